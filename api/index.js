@@ -0,0 +1,6 @@
+// @ts-check
+const { createApi } = require("./server");
+
+module.exports = {
+    createApi
+};
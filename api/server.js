@@ -0,0 +1,354 @@
+// @ts-check
+const http = require("http");
+const { ethers } = require("ethers");
+const { WebSocketServer } = require("ws");
+const { PHASES, createClient } = require("../sdk");
+const { INTERVALS } = require("../indexer");
+
+const SORTS = ["newest", "market-cap", "near-graduation"];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+// Curves per getCurveStates call.
+const STATE_CHUNK = 100;
+
+class HttpError extends Error {
+    /**
+     * @param {number} status
+     * @param {string} message
+     */
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Serialises bigints as decimal strings, since JSON has no integers that large.
+ * @param {any} value
+ * @returns {string}
+ */
+function toJson(value) {
+    return JSON.stringify(value, (_, field) => (typeof field === "bigint" ? field.toString() : field));
+}
+
+/**
+ * @param {string} value
+ * @param {string} name
+ * @returns {string}
+ */
+function parseAddress(value, name) {
+    if (!ethers.isAddress(value)) {
+        throw new HttpError(400, `Invalid ${name} address: ${value}`);
+    }
+    return ethers.getAddress(value);
+}
+
+/**
+ * @param {string | null} value
+ * @param {number} fallback
+ * @param {string} name
+ * @param {number} [max]
+ * @returns {number}
+ */
+function parseInteger(value, fallback, name, max = Number.MAX_SAFE_INTEGER) {
+    if (value === null || value === "") {
+        return fallback;
+    }
+    const number = Number(value);
+    if (!Number.isSafeInteger(number) || number < 0) {
+        throw new HttpError(400, `Invalid ${name}: ${value}`);
+    }
+    return Math.min(number, max);
+}
+
+/**
+ * @typedef {Object} ApiOptions
+ * @property {Awaited<ReturnType<typeof import("../indexer").openStore>>} store The indexer's store.
+ * @property {ethers.Provider} provider Used for the curves' live state.
+ * @property {string} factory TokenFactory address.
+ * @property {import("events").EventEmitter} [events] The indexer's events, streamed to WebSocket clients.
+ */
+
+/**
+ * A read-only HTTP and WebSocket API over the indexed launches. Prices and market caps are read from the
+ * curves themselves, so they always match the on-chain views.
+ *
+ * GET /tokens?sort=newest|market-cap|near-graduation&phase=&creator=&search=&limit=&offset=
+ * GET /tokens/:token
+ * GET /tokens/:token/trades?limit=&offset=
+ * GET /tokens/:token/candles?interval=1m|5m|1h&from=&to=
+ * GET /tokens/:token/holders?limit=&offset=
+ * GET /creators/:creator
+ * WS  /trades?token=
+ *
+ * @param {ApiOptions} options
+ */
+function createApi({ store, provider, factory, events }) {
+    const client = createClient({ factory, runner: provider });
+    /** @type {Map<string, bigint>} */
+    const totalSupplies = new Map();
+
+    /**
+     * Market cap in USD with the curve's PRICE_DECIMALS: the current price times the launch's total supply.
+     * @param {string} curve
+     * @param {bigint} price
+     */
+    async function marketCap(curve, price) {
+        let totalSupply = totalSupplies.get(curve);
+        if (totalSupply === undefined) {
+            totalSupply = /** @type {bigint} */ ((await client.curve(curve).launchConfig()).totalSupply);
+            totalSupplies.set(curve, totalSupply);
+        }
+        return (price * totalSupply) / 10n ** 18n;
+    }
+
+    /**
+     * @param {any} state
+     */
+    async function formatState(state) {
+        return {
+            phase: PHASES[Number(state.phase)],
+            price: state.price,
+            marketCap: await marketCap(state.bondingCurve, state.price),
+            tokensSold: state.tokensSold,
+            beraRaised: state.beraRaised,
+            progressBps: state.progressBps
+        };
+    }
+
+    /**
+     * Live state of each curve, or null for a curve whose state cannot be read, e.g. while its price feeds
+     * are down.
+     * @param {string[]} curves
+     */
+    async function curveStates(curves) {
+        const states = [];
+        for (let i = 0; i < curves.length; i += STATE_CHUNK) {
+            const chunk = curves.slice(i, i + STATE_CHUNK);
+            try {
+                states.push(...await client.factory.getCurveStates(chunk));
+            } catch {
+                for (const curve of chunk) {
+                    states.push(await client.curve(curve).curveState().catch(() => null));
+                }
+            }
+        }
+        return Promise.all(states.map(state => (state ? formatState(state) : null)));
+    }
+
+    /**
+     * @param {string} address
+     */
+    function findToken(address) {
+        const token = parseAddress(address, "token");
+        const launch = store.getTokens().find(entry => entry.token === token);
+        if (!launch) {
+            throw new HttpError(404, `Unknown token ${token}`);
+        }
+        return launch;
+    }
+
+    /**
+     * @param {URLSearchParams} query
+     */
+    async function listTokens(query) {
+        const sort = query.get("sort") || "newest";
+        if (!SORTS.includes(sort)) {
+            throw new HttpError(400, `Unknown sort ${sort}; use one of ${SORTS.join(", ")}`);
+        }
+        const creator = query.get("creator") ? parseAddress(/** @type {string} */ (query.get("creator")), "creator") : null;
+        const search = (query.get("search") || "").toLowerCase();
+        const phase = sort === "near-graduation" ? "Trading" : query.get("phase");
+        if (phase && !PHASES.includes(phase)) {
+            throw new HttpError(400, `Unknown phase ${phase}`);
+        }
+        const limit = parseInteger(query.get("limit"), DEFAULT_LIMIT, "limit", MAX_LIMIT);
+        const offset = parseInteger(query.get("offset"), 0, "offset");
+
+        const launches = store.getTokens().filter(launch =>
+            (!creator || launch.creator === creator) &&
+            (!search || launch.name.toLowerCase().includes(search) || launch.symbol.toLowerCase().includes(search))
+        );
+        if (sort === "newest" && !phase) {
+            // The index alone orders and counts these, so only the page's curves are read.
+            const page = launches.reverse().slice(offset, offset + limit);
+            const states = await curveStates(page.map(launch => launch.bondingCurve));
+            return { total: launches.length, tokens: page.map((launch, i) => ({ ...launch, state: states[i] })) };
+        }
+
+        const states = await curveStates(launches.map(launch => launch.bondingCurve));
+        const tokens = launches
+            .map((launch, i) => ({ ...launch, state: states[i] }))
+            .filter(token => !phase || token.state?.phase === phase);
+
+        /** @param {bigint | undefined} a @param {bigint | undefined} b */
+        const descending = (a, b) => ((a ?? -1n) === (b ?? -1n) ? 0 : (a ?? -1n) > (b ?? -1n) ? -1 : 1);
+        if (sort === "newest") {
+            tokens.reverse();
+        } else if (sort === "market-cap") {
+            tokens.sort((a, b) => descending(a.state?.marketCap, b.state?.marketCap));
+        } else {
+            tokens.sort((a, b) => descending(a.state?.progressBps, b.state?.progressBps));
+        }
+        return { total: tokens.length, tokens: tokens.slice(offset, offset + limit) };
+    }
+
+    /**
+     * @param {string} address
+     */
+    async function tokenDetail(address) {
+        const launch = findToken(address);
+        const [info, [state]] = await Promise.all([
+            client.factory.getTokenInfo(launch.token),
+            curveStates([launch.bondingCurve])
+        ]);
+        const { imageURI, description, website, twitter, telegram } = info.metadata;
+        return {
+            ...launch,
+            metadata: { imageURI, description, website, twitter, telegram },
+            state,
+            stats: store.getStats(launch.token),
+            graduation: store.getGraduation(launch.token)
+        };
+    }
+
+    /**
+     * Launches by a creator with their current state and the creator's balance of each.
+     * @param {string} address
+     */
+    async function creatorPortfolio(address) {
+        const creator = parseAddress(address, "creator");
+        const launches = store.getTokens().filter(launch => launch.creator === creator);
+        const states = await curveStates(launches.map(launch => launch.bondingCurve));
+        const tokens = launches.map((launch, i) => ({
+            ...launch,
+            state: states[i],
+            creatorBalance: store.getHolders(launch.token).find(entry => entry.holder === creator)?.balance ?? 0n
+        }));
+        return {
+            creator,
+            launches: tokens.length,
+            graduated: tokens.filter(token => token.state?.phase === "Graduated").length,
+            marketCap: tokens.reduce((sum, token) => sum + (token.state?.marketCap ?? 0n), 0n),
+            tokens
+        };
+    }
+
+    /**
+     * @param {URL} url
+     */
+    async function route(url) {
+        const parts = url.pathname.split("/").filter(Boolean);
+        const query = url.searchParams;
+
+        if (parts[0] === "tokens" && parts.length === 1) {
+            return listTokens(query);
+        }
+        if (parts[0] === "tokens" && parts.length === 2) {
+            return tokenDetail(parts[1]);
+        }
+        if (parts[0] === "tokens" && parts.length === 3) {
+            const { token } = findToken(parts[1]);
+            const limit = parseInteger(query.get("limit"), DEFAULT_LIMIT, "limit", MAX_LIMIT);
+            const offset = parseInteger(query.get("offset"), 0, "offset");
+            if (parts[2] === "trades") {
+                return { trades: store.getTrades(token, { limit, offset }) };
+            }
+            if (parts[2] === "holders") {
+                const holders = store.getHolders(token);
+                return { total: holders.length, holders: holders.slice(offset, offset + limit) };
+            }
+            if (parts[2] === "candles") {
+                const interval = query.get("interval") || "1m";
+                if (!(interval in INTERVALS)) {
+                    throw new HttpError(400, `Unknown candle interval ${interval}`);
+                }
+                const from = parseInteger(query.get("from"), 0, "from");
+                const to = parseInteger(query.get("to"), Number.MAX_SAFE_INTEGER, "to");
+                return {
+                    interval,
+                    candles: store.getCandles(token, /** @type {keyof typeof INTERVALS} */ (interval), { from, to })
+                };
+            }
+        }
+        if (parts[0] === "creators" && parts.length === 2) {
+            return creatorPortfolio(parts[1]);
+        }
+        throw new HttpError(404, `Not found: ${url.pathname}`);
+    }
+
+    const server = http.createServer(async (request, response) => {
+        let status = 200;
+        let body;
+        try {
+            if (request.method !== "GET") {
+                throw new HttpError(405, "Only GET is supported");
+            }
+            body = await route(new URL(request.url || "/", "http://localhost"));
+        } catch (error) {
+            status = error instanceof HttpError ? error.status : 500;
+            body = { error: status === 500 ? "Internal error" : /** @type {Error} */ (error).message };
+            if (status === 500) {
+                console.error(error);
+            }
+        }
+        response.writeHead(status, { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" });
+        response.end(toJson(body));
+    });
+
+    // Live trades, optionally for one token with ?token=.
+    const sockets = new WebSocketServer({ noServer: true });
+    server.on("upgrade", (request, socket, head) => {
+        const url = new URL(request.url || "/", "http://localhost");
+        const token = url.searchParams.get("token");
+        if (url.pathname !== "/trades" || (token && !ethers.isAddress(token))) {
+            socket.destroy();
+            return;
+        }
+        sockets.handleUpgrade(request, socket, head, (/** @type {any} */ ws) => {
+            Object.assign(ws, { token: token ? ethers.getAddress(token) : null });
+            sockets.emit("connection", ws, request);
+        });
+    });
+
+    /** @param {import("../indexer/store").Trade} trade */
+    const broadcast = trade => {
+        const message = toJson({ type: "trade", ...trade });
+        for (const ws of sockets.clients) {
+            const token = /** @type {any} */ (ws).token;
+            if (ws.readyState === ws.OPEN && (!token || token === trade.token)) {
+                ws.send(message);
+            }
+        }
+    };
+    events?.on("trade", broadcast);
+
+    return {
+        server,
+
+        /**
+         * @param {number} [port] 0 picks a free port.
+         * @returns {Promise<number>} The port listened on.
+         */
+        listen(port = 0) {
+            return new Promise((resolve, reject) => {
+                server.once("error", reject);
+                server.listen(port, () => resolve(/** @type {import("net").AddressInfo} */ (server.address()).port));
+            });
+        },
+
+        /** @returns {Promise<void>} */
+        close() {
+            events?.off("trade", broadcast);
+            for (const ws of sockets.clients) {
+                ws.terminate();
+            }
+            sockets.close();
+            return new Promise(resolve => server.close(() => resolve()));
+        }
+    };
+}
+
+module.exports = {
+    createApi
+};
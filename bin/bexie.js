@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+// bin/bexie.js
+const readline = require("readline");
+const { ethers } = require("ethers");
+require("dotenv").config();
+
+// The live networks of hardhat.config.js, read without loading Hardhat, which is only a development dependency.
+const NETWORKS = {
+    berachain: { url: process.env.BERACHAIN_RPC_URL, chainId: 80094 },
+    bepolia: { url: process.env.BEPOLIA_RPC_URL, chainId: 80069 },
+    localhost: { url: "http://127.0.0.1:8545", chainId: undefined }
+};
+
+const args = process.argv.slice(2);
+const networkIndex = args.indexOf("--network");
+const networkName = networkIndex >= 0 && args[networkIndex + 1] ? args[networkIndex + 1] : "localhost";
+
+function confirm(question) {
+    if (!process.stdin.isTTY) {
+        return Promise.resolve(false);
+    }
+    const prompt = readline.createInterface({ input: process.stdin, output: process.stderr });
+    return new Promise(resolve => prompt.question(question, answer => {
+        prompt.close();
+        resolve(/^y(es)?$/i.test(answer.trim()));
+    }));
+}
+
+async function main() {
+    const { runCli } = require("../cli");
+    const network = NETWORKS[networkName];
+    if (!network) {
+        throw new Error(`Unknown network ${networkName}; use ${Object.keys(NETWORKS).join(", ")}`);
+    }
+    if (!network.url) {
+        throw new Error(`No RPC URL for ${networkName}; set ${networkName.toUpperCase()}_RPC_URL`);
+    }
+    const provider = new ethers.JsonRpcProvider(network.url, network.chainId);
+    // Without a key the CLI can still read; commands that send transactions ask for one.
+    const signer = process.env.PRIVATE_KEY ? new ethers.Wallet(process.env.PRIVATE_KEY, provider) : undefined;
+    return runCli(args, {
+        provider,
+        signer,
+        print: text => console.log(text),
+        printError: text => console.error(text),
+        confirm
+    });
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -0,0 +1,476 @@
+// @ts-check
+const { ethers } = require("ethers");
+const { FEE_SPLITTER_ABI, PHASES } = require("../sdk");
+const { rethrow } = require("../sdk/errors");
+
+const BPS = 10_000n;
+const DEFAULT_SLIPPAGE_BPS = "100";
+const DEADLINE_SECONDS = 20n * 60n;
+
+/**
+ * @typedef {import("./index").Cli} Cli
+ * @typedef {Record<string, string | boolean | undefined>} Values
+ */
+
+/**
+ * @typedef {Object} Command
+ * @property {string} usage
+ * @property {string} description
+ * @property {Record<string, { type: "string" | "boolean" }>} [options]
+ * @property {(cli: Cli, args: string[], values: Values) => Promise<any>} run
+ */
+
+/**
+ * @param {string | boolean | undefined} value
+ * @param {string} name
+ * @returns {bigint}
+ */
+function parseAmount(value, name) {
+    try {
+        return ethers.parseEther(String(value));
+    } catch {
+        throw new Error(`Invalid ${name}: ${value}`);
+    }
+}
+
+/**
+ * @param {string | boolean | undefined} value
+ * @param {string} name
+ * @returns {string}
+ */
+function parseAddress(value, name) {
+    if (typeof value !== "string" || !ethers.isAddress(value)) {
+        throw new Error(`Invalid ${name} address: ${value}`);
+    }
+    return ethers.getAddress(value);
+}
+
+/**
+ * @param {string | boolean | undefined} value
+ * @param {bigint} fallback
+ * @param {string} name
+ * @returns {bigint}
+ */
+function parseInteger(value, fallback, name) {
+    if (value === undefined) {
+        return fallback;
+    }
+    if (typeof value !== "string" || !/^\d+$/.test(value)) {
+        throw new Error(`Invalid ${name}: ${value}`);
+    }
+    return BigInt(value);
+}
+
+/**
+ * @param {string[]} args
+ * @param {number} count
+ * @param {string} usage
+ */
+function expectArgs(args, count, usage) {
+    if (args.length !== count) {
+        throw new Error(`Usage: bexie ${usage}`);
+    }
+}
+
+/**
+ * The minimum output to accept: --min-out when given, else the quote less --slippage-bps.
+ * @param {bigint} quoted
+ * @param {Values} values
+ */
+function minimumOut(quoted, values) {
+    if (values["min-out"] !== undefined) {
+        return parseAmount(values["min-out"], "min-out");
+    }
+    const slippageBps = parseInteger(values["slippage-bps"] ?? DEFAULT_SLIPPAGE_BPS, 0n, "slippage-bps");
+    if (slippageBps > BPS) {
+        throw new Error(`Invalid slippage-bps: ${slippageBps}`);
+    }
+    return (quoted * (BPS - slippageBps)) / BPS;
+}
+
+/**
+ * @param {Cli} cli
+ */
+async function latestTimestamp(cli) {
+    const block = await cli.provider.getBlock("latest");
+    if (!block) {
+        throw new Error("Cannot read the latest block");
+    }
+    return BigInt(block.timestamp);
+}
+
+/**
+ * @param {ethers.TransactionReceipt[]} receipts
+ * @param {ethers.Interface} iface
+ * @param {string} name
+ * @returns {ethers.Result | null}
+ */
+function findEvent(receipts, iface, name) {
+    for (const receipt of receipts) {
+        for (const log of receipt.logs) {
+            let parsed;
+            try {
+                parsed = iface.parseLog(log);
+            } catch {
+                continue;
+            }
+            if (parsed?.name === name) {
+                return parsed.args;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * @param {boolean} allowed
+ * @param {string} account
+ * @param {string} role
+ */
+function requireRole(allowed, account, role) {
+    if (!allowed) {
+        throw new Error(`${account} is not ${role}`);
+    }
+}
+
+/**
+ * Runs a timelocked setter of the factory, or of `target` when given: the first run schedules the call, and
+ * running the same command once TIMELOCK_DELAY has passed makes it.
+ * @param {Cli} cli
+ * @param {string} method
+ * @param {any[]} args
+ * @param {string} summary
+ * @param {any} [target]
+ */
+async function timelocked(cli, method, args, summary, target = cli.client.factory) {
+    const data = target.interface.encodeFunctionData(method, args);
+    const changeId = ethers.keccak256(data);
+    const readyAt = await target.scheduledChanges(changeId);
+    const now = await latestTimestamp(cli);
+
+    if (readyAt === 0n) {
+        const delay = await target.TIMELOCK_DELAY();
+        const sent = await cli.transact(
+            [{ label: "scheduleChange", tx: await target.scheduleChange.populateTransaction(data) }],
+            `${summary} This schedules the change; run the same command again after ${delay / 3600n} hours to make it.`
+        );
+        const scheduledAt = sent.dryRun ? now + delay : await target.scheduledChanges(changeId);
+        return { status: "scheduled", changeId, readyAt: new Date(Number(scheduledAt) * 1000).toISOString(), ...sent };
+    }
+    if (now < readyAt) {
+        throw new Error(`Change already scheduled; run this again after ${new Date(Number(readyAt) * 1000).toISOString()}`);
+    }
+    const sent = await cli.transact([{ label: method, tx: await target[method].populateTransaction(...args) }], summary);
+    return { status: "executed", changeId, ...sent };
+}
+
+/** @type {Record<string, { type: "string" }>} */
+const TRADE_OPTIONS = {
+    "slippage-bps": { type: "string" },
+    "min-out": { type: "string" }
+};
+
+/** @type {Record<string, Command>} */
+const COMMANDS = {
+    "create-token": {
+        usage: "create-token --name <name> --symbol <symbol> --curve-model <address> --curve-params <hex> " +
+            "[--price-feed <address>] [--initial-buy <bera>] [--min-out <tokens>] [--referrer <address>] [--salt <bytes32>] " +
+            "[--image <uri>] [--description <text>] [--website <url>] [--twitter <url>] [--telegram <url>]",
+        description: "Launches a token with the factory's default launch config. --curve-params is the model's encodeParams output; " +
+            "--price-feed defaults to PRICE_FEED_ADDRESS.",
+        options: {
+            name: { type: "string" },
+            symbol: { type: "string" },
+            "price-feed": { type: "string" },
+            "curve-model": { type: "string" },
+            "curve-params": { type: "string" },
+            "initial-buy": { type: "string" },
+            "min-out": { type: "string" },
+            referrer: { type: "string" },
+            salt: { type: "string" },
+            image: { type: "string" },
+            description: { type: "string" },
+            website: { type: "string" },
+            twitter: { type: "string" },
+            telegram: { type: "string" }
+        },
+        async run(cli, args, values) {
+            expectArgs(args, 0, this.usage);
+            for (const required of ["name", "symbol", "curve-model", "curve-params"]) {
+                if (typeof values[required] !== "string") {
+                    throw new Error(`Missing --${required}`);
+                }
+            }
+            const factory = cli.client.factory;
+            const creator = await cli.signerAddress();
+            const salt = typeof values.salt === "string" ? values.salt : ethers.hexlify(ethers.randomBytes(32));
+            const initialBuy = parseAmount(values["initial-buy"] ?? "0", "initial-buy");
+            const value = (await factory.creationFee()) + initialBuy;
+            const metadata = {
+                imageURI: values.image ?? "",
+                description: values.description ?? "",
+                website: values.website ?? "",
+                twitter: values.twitter ?? "",
+                telegram: values.telegram ?? ""
+            };
+
+            const tx = await factory.createToken.populateTransaction(
+                values.name,
+                values.symbol,
+                metadata,
+                parseAddress(values["price-feed"] ?? cli.env.PRICE_FEED_ADDRESS, "price feed"),
+                (await factory.defaultLaunchConfig()).toObject(),
+                parseAddress(values["curve-model"], "curve model"),
+                values["curve-params"],
+                parseAmount(values["min-out"] ?? "0", "min-out"),
+                values.referrer ? parseAddress(values.referrer, "referrer") : ethers.ZeroAddress,
+                salt,
+                { value }
+            );
+            // Launch addresses are deterministic, so they are known before the launch is mined.
+            const [token, bondingCurve] = await factory.predictAddresses(creator, salt);
+            return { token, bondingCurve, creator, salt, value, ...await cli.transact([{ label: "createToken", tx }]) };
+        }
+    },
+
+    buy: {
+        usage: "buy <curve|token> <bera> [--slippage-bps <bps>] [--min-out <tokens>] [--referrer <address>]",
+        description: "Buys tokens with BERA, fee included, accepting the quote less 1% slippage by default.",
+        options: { ...TRADE_OPTIONS, referrer: { type: "string" } },
+        async run(cli, args, values) {
+            expectArgs(args, 2, this.usage);
+            const curveAddress = await cli.resolveCurve(args[0]);
+            const beraIn = parseAmount(args[1], "BERA amount");
+            const quote = await cli.client.quoteBuy(curveAddress, beraIn);
+            const minOut = minimumOut(quote.tokensOut, values);
+            const bondingCurve = cli.client.curve(curveAddress);
+
+            const tx = await bondingCurve.buyTokens.populateTransaction(
+                minOut,
+                (await latestTimestamp(cli)) + DEADLINE_SECONDS,
+                values.referrer ? parseAddress(values.referrer, "referrer") : ethers.ZeroAddress,
+                { value: beraIn }
+            );
+            // A graduating buy gets the gas to migrate the curve too.
+            const gasLimit = await cli.client.buyGasLimit(curveAddress, { ...tx, from: await cli.signerAddress() })
+                .catch(error => rethrow(error));
+            if (gasLimit !== null) {
+                tx.gasLimit = gasLimit;
+            }
+            const { receipts, ...sent } = await cli.transact([{ label: "buyTokens", tx }]);
+            const event = findEvent(receipts, bondingCurve.interface, "TokensPurchased");
+            return {
+                bondingCurve: curveAddress,
+                beraIn,
+                quotedTokensOut: quote.tokensOut,
+                minOut,
+                fee: quote.fee,
+                refund: quote.refund,
+                ...(event ? { tokensOut: event.amount, beraSpent: event.beraSpent } : {}),
+                ...sent
+            };
+        }
+    },
+
+    sell: {
+        usage: "sell <curve|token> <tokens> [--slippage-bps <bps>] [--min-out <bera>]",
+        description: "Sells tokens to the curve, approving it first if needed, accepting the quote less 1% slippage by default.",
+        options: TRADE_OPTIONS,
+        async run(cli, args, values) {
+            expectArgs(args, 2, this.usage);
+            const curveAddress = await cli.resolveCurve(args[0]);
+            const tokensIn = parseAmount(args[1], "token amount");
+            const bondingCurve = cli.client.curve(curveAddress);
+            const token = cli.client.token(await bondingCurve.token());
+            const seller = await cli.signerAddress();
+
+            const steps = [];
+            if ((await token.allowance(seller, curveAddress)) < tokensIn) {
+                steps.push({ label: "approve", tx: await token.approve.populateTransaction(curveAddress, tokensIn), prerequisite: true });
+            }
+            const quote = await cli.client.quoteSell(curveAddress, tokensIn);
+            const minOut = minimumOut(quote.beraOut, values);
+            steps.push({
+                label: "sellTokens",
+                tx: await bondingCurve.sellTokens.populateTransaction(tokensIn, minOut, (await latestTimestamp(cli)) + DEADLINE_SECONDS)
+            });
+
+            const { receipts, ...sent } = await cli.transact(steps);
+            const sale = receipts.at(-1);
+            const proceeds = sale ? await cli.client.saleProceeds(curveAddress, sale) : null;
+            return {
+                bondingCurve: curveAddress,
+                tokensIn,
+                quotedBeraOut: quote.beraOut,
+                minOut,
+                fee: quote.fee,
+                ...proceeds,
+                ...sent
+            };
+        }
+    },
+
+    quote: {
+        usage: "quote <curve|token> (--buy <bera> | --sell <tokens>)",
+        description: "Quotes a purchase or a sale without sending anything.",
+        options: { buy: { type: "string" }, sell: { type: "string" } },
+        async run(cli, args, values) {
+            expectArgs(args, 1, this.usage);
+            if ((values.buy === undefined) === (values.sell === undefined)) {
+                throw new Error(`Usage: bexie ${this.usage}`);
+            }
+            const curveAddress = await cli.resolveCurve(args[0]);
+            const price = await cli.client.curve(curveAddress).getCurrentPrice();
+            if (values.buy !== undefined) {
+                const beraIn = parseAmount(values.buy, "BERA amount");
+                return { bondingCurve: curveAddress, side: "buy", beraIn, ...await cli.client.quoteBuy(curveAddress, beraIn), price };
+            }
+            const tokensIn = parseAmount(values.sell, "token amount");
+            return { bondingCurve: curveAddress, side: "sell", tokensIn, ...await cli.client.quoteSell(curveAddress, tokensIn), price };
+        }
+    },
+
+    "curve-status": {
+        usage: "curve-status <curve|token>",
+        description: "Shows a curve's phase, price, market cap, sales and graduation progress.",
+        async run(cli, args) {
+            expectArgs(args, 1, this.usage);
+            const curveAddress = await cli.resolveCurve(args[0]);
+            const bondingCurve = cli.client.curve(curveAddress);
+            const tokenAddress = await bondingCurve.token();
+            const [state, config, symbol, paused, graduationReady, expiresAt] = await Promise.all([
+                cli.client.getCurveState(curveAddress),
+                bondingCurve.launchConfig(),
+                cli.client.token(tokenAddress).symbol(),
+                bondingCurve.tradingPaused(),
+                bondingCurve.graduationReady(),
+                bondingCurve.expiresAt()
+            ]);
+            return {
+                symbol,
+                token: tokenAddress,
+                ...state,
+                marketCap: (state.price * config.totalSupply) / 10n ** 18n,
+                paused,
+                graduationReady,
+                expiresAt: new Date(Number(expiresAt) * 1000).toISOString()
+            };
+        }
+    },
+
+    "list-tokens": {
+        usage: "list-tokens [--creator <address>] [--offset <n>] [--limit <n>]",
+        description: "Lists launches in creation order with their phase and price.",
+        options: { creator: { type: "string" }, offset: { type: "string" }, limit: { type: "string" } },
+        async run(cli, args, values) {
+            expectArgs(args, 0, this.usage);
+            const factory = cli.client.factory;
+            const offset = parseInteger(values.offset, 0n, "offset");
+            const limit = parseInteger(values.limit, 20n, "limit");
+            const creator = values.creator ? parseAddress(values.creator, "creator") : null;
+
+            const [total, page] = creator
+                ? await Promise.all([factory.creatorTokenCount(creator), factory.getTokensByCreator(creator, offset, limit)])
+                : await Promise.all([factory.tokenCount(), factory.getTokens(offset, limit)]);
+            const tokens = await Promise.all(page.map(async (/** @type {any} */ info) => {
+                const [symbol, price] = await Promise.all([
+                    cli.client.token(info.token).symbol(),
+                    // Null while the curve's price feeds are down.
+                    cli.client.curve(info.bondingCurve).getCurrentPrice().catch(() => null)
+                ]);
+                return {
+                    symbol,
+                    token: info.token,
+                    bondingCurve: info.bondingCurve,
+                    creator: info.creator,
+                    phase: PHASES[Number(info.phase)],
+                    price,
+                    createdAt: new Date(Number(info.createdAt) * 1000).toISOString()
+                };
+            }));
+            return { total, tokens };
+        }
+    },
+
+    "set-fee": {
+        usage: "set-fee <bera>",
+        description: "Changes the creation fee. Timelocked: the first run schedules the change and a run after the delay makes it.",
+        async run(cli, args) {
+            expectArgs(args, 1, this.usage);
+            const factory = cli.client.factory;
+            const fee = parseAmount(args[0], "fee");
+            const account = await cli.signerAddress();
+            requireRole(
+                (await factory.owner()) === account || (await factory.feeAdmins(account)),
+                account,
+                "the factory owner or a fee admin"
+            );
+            const current = await factory.creationFee();
+            return timelocked(
+                cli,
+                "setCreationFee",
+                [fee],
+                `Change the creation fee from ${ethers.formatEther(current)} to ${ethers.formatEther(fee)} BERA.`
+            );
+        }
+    },
+
+    "set-fee-collector": {
+        usage: "set-fee-collector <address>",
+        description: "Sends the protocol's share of fees from the factory's fee splitter to another address. " +
+            "Timelocked like set-fee.",
+        async run(cli, args) {
+            expectArgs(args, 1, this.usage);
+            const recipient = parseAddress(args[0], "fee collector");
+            const splitter = new ethers.Contract(await cli.client.factory.feeSplitter(), FEE_SPLITTER_ABI, cli.signer);
+            const account = await cli.signerAddress();
+            requireRole((await splitter.owner()) === account, account, "the fee splitter owner");
+            const current = await splitter.protocolRecipient();
+            const change = await timelocked(
+                cli,
+                "setProtocolRecipient",
+                [recipient],
+                `Send the protocol's fee share to ${recipient} instead of ${current}.`,
+                splitter
+            );
+            return { feeSplitter: await splitter.getAddress(), previous: current, feeCollector: recipient, ...change };
+        }
+    },
+
+    "set-liquidity-manager": {
+        usage: "set-liquidity-manager <address>",
+        description: "Points future launches at another BEX liquidity manager. Timelocked like set-fee.",
+        async run(cli, args) {
+            expectArgs(args, 1, this.usage);
+            const factory = cli.client.factory;
+            const manager = parseAddress(args[0], "liquidity manager");
+            if ((await cli.provider.getCode(manager)) === "0x") {
+                throw new Error(`${manager} is not a contract`);
+            }
+            const account = await cli.signerAddress();
+            requireRole((await factory.owner()) === account, account, "the factory owner");
+            const current = await factory.liquidityManager();
+            return timelocked(cli, "setLiquidityManager", [manager], `Switch the liquidity manager from ${current} to ${manager}.`);
+        }
+    },
+
+    "force-migrate": {
+        usage: "force-migrate <curve|token>",
+        description: "Deploys a curve's liquidity to BEX once its graduation conditions hold, e.g. to retry a failed migration.",
+        async run(cli, args) {
+            expectArgs(args, 1, this.usage);
+            const curveAddress = await cli.resolveCurve(args[0]);
+            const bondingCurve = cli.client.curve(curveAddress);
+            const symbol = await cli.client.token(await bondingCurve.token()).symbol();
+            const sent = await cli.transact(
+                [{ label: "migrate", tx: await bondingCurve.migrate.populateTransaction() }],
+                `Deploy ${symbol}'s liquidity to BEX now.`
+            );
+            return { bondingCurve: curveAddress, phase: (await cli.client.getCurveState(curveAddress)).phase, ...sent };
+        }
+    }
+};
+
+module.exports = {
+    COMMANDS
+};
@@ -0,0 +1,252 @@
+// @ts-check
+const { parseArgs } = require("util");
+const { ethers } = require("ethers");
+const { createClient } = require("../sdk");
+const { rethrow } = require("../sdk/errors");
+const { COMMANDS } = require("./commands");
+
+/** @type {Record<string, { type: "string" | "boolean", short?: string }>} */
+const GLOBAL_OPTIONS = {
+    network: { type: "string" },
+    factory: { type: "string" },
+    json: { type: "boolean" },
+    "dry-run": { type: "boolean" },
+    yes: { type: "boolean", short: "y" },
+    help: { type: "boolean", short: "h" }
+};
+
+// Result fields holding 18-decimal amounts, and USD prices with the curve's 6 decimals.
+const ETHER_FIELDS = new Set([
+    "value", "beraIn", "beraOut", "beraSpent", "tokensIn", "tokensOut", "quotedTokensOut", "quotedBeraOut",
+    "fee", "refund", "minOut", "tokensSold", "beraRaised"
+]);
+const USD_FIELDS = new Set(["price", "marketCap"]);
+
+/**
+ * @typedef {Object} Step
+ * @property {string} label
+ * @property {ethers.TransactionRequest} tx
+ * @property {boolean} [prerequisite] Whether later steps depend on this one being mined, so a dry run
+ *           cannot simulate them.
+ */
+
+/**
+ * @typedef {Object} Cli
+ * @property {ReturnType<typeof createClient>} client
+ * @property {ethers.Provider} provider
+ * @property {ethers.Signer | undefined} signer
+ * @property {Record<string, string | undefined>} env
+ * @property {() => Promise<string>} signerAddress
+ * @property {(address: string) => Promise<string>} resolveCurve
+ * @property {(steps: Step[], confirmation?: string) => Promise<{ dryRun: boolean, transactions: any[], receipts: ethers.TransactionReceipt[] }>} transact
+ */
+
+/**
+ * @typedef {Object} CliContext
+ * @property {ethers.Provider} provider
+ * @property {ethers.Signer} [signer] The account transactions are sent from.
+ * @property {(text: string) => void} print Writes a line of output.
+ * @property {(text: string) => void} printError Writes an error, apart from the output.
+ * @property {(question: string) => Promise<boolean>} confirm Asks before owner-only actions.
+ * @property {Record<string, string | undefined>} [env]
+ */
+
+/**
+ * Receipts are for the commands to read events from, not for printing, so they are left out of the result.
+ * @param {boolean} dryRun
+ * @param {any[]} transactions
+ * @param {ethers.TransactionReceipt[]} receipts
+ * @returns {{ dryRun: boolean, transactions: any[], receipts: ethers.TransactionReceipt[] }}
+ */
+function sent(dryRun, transactions, receipts) {
+    return /** @type {any} */ (Object.defineProperty({ dryRun, transactions }, "receipts", { value: receipts }));
+}
+
+/**
+ * @param {string} key
+ * @param {any} value
+ * @returns {string}
+ */
+function formatValue(key, value) {
+    if (typeof value === "bigint") {
+        if (ETHER_FIELDS.has(key)) {
+            return ethers.formatEther(value);
+        }
+        if (USD_FIELDS.has(key)) {
+            return `$${ethers.formatUnits(value, 6)}`;
+        }
+    }
+    return value === null ? "-" : String(value);
+}
+
+/**
+ * Renders a result as indented `key: value` lines.
+ * @param {any} value
+ * @param {string} [indent]
+ * @returns {string[]}
+ */
+function formatHuman(value, indent = "") {
+    const lines = [];
+    for (const [key, field] of Object.entries(value)) {
+        if (Array.isArray(field)) {
+            lines.push(`${indent}${key}:${field.length ? "" : " none"}`);
+            for (const item of field) {
+                const [first, ...rest] = formatHuman(item, `${indent}    `);
+                lines.push(`${indent}  - ${first.trimStart()}`, ...rest);
+            }
+        } else if (field && typeof field === "object") {
+            lines.push(`${indent}${key}:`, ...formatHuman(field, `${indent}  `));
+        } else {
+            lines.push(`${indent}${key}: ${formatValue(key, field)}`);
+        }
+    }
+    return lines;
+}
+
+/**
+ * @param {any} value
+ * @returns {string}
+ */
+function toJson(value) {
+    return JSON.stringify(value, (_, field) => (typeof field === "bigint" ? field.toString() : field), 2);
+}
+
+function usage() {
+    const lines = [
+        "Usage: bexie <command> [arguments] [--network <name>] [--factory <address>] [--dry-run] [--json] [--yes]",
+        "",
+        "  --network   berachain, bepolia or localhost (the default), with the RPC URLs and PRIVATE_KEY from .env",
+        "  --factory   TokenFactory address; TOKEN_FACTORY_ADDRESS otherwise",
+        "  --dry-run   Simulate transactions with eth_call instead of sending them",
+        "  --json      Print results as JSON",
+        "  --yes       Skip the confirmation of owner-only actions",
+        "",
+        "Commands:"
+    ];
+    for (const command of Object.values(COMMANDS)) {
+        lines.push(`  ${command.usage}`, `      ${command.description}`);
+    }
+    return lines.join("\n");
+}
+
+/**
+ * Runs one bexie command. Returns the process exit code; results are printed through `print` and errors
+ * through `printError`.
+ * @param {string[]} argv Arguments after the program name, e.g. ["buy", "0x...", "0.5", "--dry-run"].
+ * @param {CliContext} context
+ * @returns {Promise<number>}
+ */
+async function runCli(argv, { provider, signer, print, printError, confirm, env = process.env }) {
+    const json = argv.includes("--json");
+    try {
+        const [name] = argv;
+        const command = COMMANDS[name];
+        if (!command) {
+            if (name && name !== "help" && !name.startsWith("-")) {
+                throw new Error(`Unknown command ${name}\n\n${usage()}`);
+            }
+            if (name && name !== "help" && !argv.includes("--help") && !argv.includes("-h")) {
+                printError(usage());
+                return 1;
+            }
+            print(usage());
+            return 0;
+        }
+
+        const { values, positionals } = parseArgs({
+            args: argv.slice(1),
+            options: { ...GLOBAL_OPTIONS, ...command.options },
+            allowPositionals: true
+        });
+        if (values.help) {
+            print(`Usage: bexie ${command.usage}\n\n${command.description}`);
+            return 0;
+        }
+
+        const factory = values.factory ?? env.TOKEN_FACTORY_ADDRESS;
+        if (typeof factory !== "string" || !ethers.isAddress(factory)) {
+            throw new Error(`Invalid token factory address: ${factory}; pass --factory or set TOKEN_FACTORY_ADDRESS`);
+        }
+        const client = createClient({ factory, runner: signer ?? provider });
+
+        /** @type {Cli} */
+        const cli = {
+            client,
+            provider,
+            signer,
+            env,
+
+            async signerAddress() {
+                if (!signer) {
+                    throw new Error("A signer is required to send transactions");
+                }
+                return signer.getAddress();
+            },
+
+            // Accepts a curve or a token launched by the factory.
+            async resolveCurve(address) {
+                if (!ethers.isAddress(address)) {
+                    throw new Error(`Invalid curve or token address: ${address}`);
+                }
+                const curve = await client.factory.bondingCurveOf(address);
+                return curve === ethers.ZeroAddress ? ethers.getAddress(address) : curve;
+            },
+
+            async transact(steps, confirmation) {
+                const from = await this.signerAddress();
+                const transactions = [];
+                /** @type {ethers.TransactionReceipt[]} */
+                const receipts = [];
+
+                if (values["dry-run"]) {
+                    let blocked = false;
+                    for (const step of steps) {
+                        if (blocked) {
+                            transactions.push({ step: step.label, simulated: false, note: "Needs the previous step mined first" });
+                            continue;
+                        }
+                        try {
+                            await provider.call({ ...step.tx, from });
+                            transactions.push({ step: step.label, simulated: true, gas: await provider.estimateGas({ ...step.tx, from }) });
+                        } catch (error) {
+                            rethrow(error);
+                        }
+                        blocked = blocked || Boolean(step.prerequisite);
+                    }
+                    return sent(true, transactions, receipts);
+                }
+
+                if (confirmation && !values.yes && !(await confirm(`${confirmation} Continue? [y/N] `))) {
+                    throw new Error("Cancelled");
+                }
+                for (const step of steps) {
+                    try {
+                        const response = await /** @type {ethers.Signer} */ (signer).sendTransaction(step.tx);
+                        const receipt = await response.wait();
+                        if (!receipt) {
+                            throw new Error(`Transaction ${response.hash} was dropped`);
+                        }
+                        receipts.push(receipt);
+                        transactions.push({ step: step.label, hash: receipt.hash, block: receipt.blockNumber, gasUsed: receipt.gasUsed });
+                    } catch (error) {
+                        rethrow(error);
+                    }
+                }
+                return sent(false, transactions, receipts);
+            }
+        };
+
+        const result = await command.run(cli, positionals, values);
+        print(json ? toJson(result) : formatHuman(result).join("\n"));
+        return 0;
+    } catch (error) {
+        const message = /** @type {Error} */ (error).message;
+        printError(json ? toJson({ error: message }) : `Error: ${message}`);
+        return 1;
+    }
+}
+
+module.exports = {
+    COMMANDS,
+    runCli
+};
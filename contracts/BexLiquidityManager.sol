@@ -3,16 +3,78 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./Timelocked.sol";
 
 interface ICrocSwapDex {
     function userCmd(uint16 callpath, bytes calldata cmd) external payable returns (bytes memory);
 }
 
-contract BexLiquidityManager is Ownable {
+interface ICrocQuery {
+    function queryPrice(address base, address quote, uint256 poolIdx) external view returns (uint128);
+}
+
+interface ITokenFactory {
+    function bondingCurveOf(address token) external view returns (address);
+}
+
+/// @notice Deploys each graduating launch's liquidity to BEX and holds the positions. The owner points it at
+///         another DEX, query contract or pool template through the timelock: scheduled with scheduleChange,
+///         then made TIMELOCK_DELAY later by calling the setter with the same arguments.
+contract BexLiquidityManager is Ownable, Timelocked {
+    // BEX (CrocSwap) proxy paths and command codes.
+    uint16 public constant LP_PROXY_IDX = 2;
+    uint16 public constant COLD_PROXY_IDX = 3;
+    uint8 public constant INIT_POOL_CODE = 71;
+    uint8 public constant MINT_AMBIENT_BASE_CODE = 31;
+    uint8 public constant MINT_AMBIENT_QUOTE_CODE = 32;
+
+    // Native BERA is always the base side of the pool.
+    address public constant BERA = address(0);
+
+    // Ambient liquidity BEX locks in every pool it creates, paid for by whoever creates it.
+    uint256 public constant INIT_LOCK_LIQUIDITY = 10_000;
+
+    // How far a pool someone else initialized may sit from the curve's price, on the square root price;
+    // 250 bps there is about 5% either way on the price.
+    uint256 public constant MAX_SQRT_PRICE_DEVIATION_BPS = 250;
+    uint256 public constant BPS_DENOMINATOR = 10_000;
+
     // BEX DEX contract address
     address public bexDex;
-    
+    // BEX's CrocQuery lens, which reads pool prices.
+    address public bexQuery;
+    // Pool template the launch pools are created with.
+    uint256 public poolIdx = 36000;
+
+    /// @notice A full-range position minted at graduation. The manager owns it on BEX and has no way to
+    ///         withdraw it, so the liquidity stays locked; `collector` is the beneficiary of record.
+    struct Position {
+        address base;
+        address quote;
+        uint256 poolIdx;
+        uint128 sqrtPriceX64;
+        uint256 beraDeposited;
+        uint256 tokensDeposited;
+        address collector;
+    }
+
+    // Locked positions by launched token.
+    mapping(address => Position) public positions;
+
+    // Contracts besides the owner allowed to deploy liquidity, i.e. the bonding curves.
+    mapping(address => bool) public authorizedCallers;
+
+    // Factory whose curves may deploy liquidity for their own token without being authorized one by one.
+    address public factory;
+
     // Events
+    event AuthorizedCallerUpdated(address indexed caller, bool authorized);
+    event FactoryUpdated(address factory);
+    event BexDexUpdated(address bexDex);
+    event BexQueryUpdated(address bexQuery);
+    event PoolIdxUpdated(uint256 poolIdx);
+    event PoolInitialized(address indexed token, uint256 poolIdx, uint128 sqrtPriceX64);
     event LiquidityDeployed(
         address indexed token,
         uint256 beraAmount,
@@ -20,21 +82,83 @@ contract BexLiquidityManager is Ownable {
         address liquidityCollector
     );
 
-    constructor(address _bexDex) Ownable(msg.sender) {
+    constructor(address _bexDex, address _bexQuery) Ownable(msg.sender) {
         bexDex = _bexDex;
+        bexQuery = _bexQuery;
+    }
+
+    /// @notice Schedules a call to a timelocked setter, given as its ABI-encoded calldata.
+    /// @return id The change's id, the hash of `data`.
+    function scheduleChange(bytes calldata data) external onlyOwner returns (bytes32 id) {
+        return _scheduleChange(data);
+    }
+
+    function cancelChange(bytes32 id) external onlyOwner {
+        _cancelChange(id);
     }
 
-    function setBexDex(address _bexDex) external onlyOwner {
+    /// @notice Holds the wiring setters back behind the timelock from now on. It cannot be undone.
+    function armTimelock() external onlyOwner {
+        _armTimelock();
+    }
+
+    function setBexDex(address _bexDex) external onlyOwner timelocked {
         bexDex = _bexDex;
+        emit BexDexUpdated(_bexDex);
+    }
+
+    function setBexQuery(address _bexQuery) external onlyOwner timelocked {
+        bexQuery = _bexQuery;
+        emit BexQueryUpdated(_bexQuery);
+    }
+
+    function setPoolIdx(uint256 _poolIdx) external onlyOwner timelocked {
+        poolIdx = _poolIdx;
+        emit PoolIdxUpdated(_poolIdx);
     }
 
+    function setAuthorizedCaller(address caller, bool authorized) external onlyOwner timelockedOnceArmed {
+        authorizedCallers[caller] = authorized;
+        emit AuthorizedCallerUpdated(caller, authorized);
+    }
+
+    function setFactory(address _factory) external onlyOwner timelockedOnceArmed {
+        factory = _factory;
+        emit FactoryUpdated(_factory);
+    }
+
+    /// @dev The owner, an authorized caller, or the curve the factory launched `token` with.
+    modifier onlyAuthorizedFor(address token) {
+        require(
+            msg.sender == owner() ||
+                authorizedCallers[msg.sender] ||
+                (factory != address(0) && ITokenFactory(factory).bondingCurveOf(token) == msg.sender),
+            "Caller not authorized"
+        );
+        _;
+    }
+
+    /// @notice Creates the BERA/token pool at `tokensPerBera` and mints full-range liquidity with the
+    ///         BERA sent and `tokenAmount` tokens. Pool creation is permissionless and launch addresses
+    ///         are known in advance, so a pool someone else already created is joined at its own price
+    ///         instead, provided that price is within MAX_SQRT_PRICE_DEVIATION_BPS of `tokensPerBera`.
+    ///         Creating the pool spends a little of both sides on the liquidity BEX locks in it. Whatever
+    ///         the DEX did not take is sent to the collector.
+    /// @param token The launched token, paired as the quote side.
+    /// @param tokenAmount The tokens to pull from the caller.
+    /// @param liquidityCollector The beneficiary of the locked position and of any leftovers.
+    /// @param tokensPerBera The initial pool price in token wei per BERA wei, scaled by 1e18.
+    /// @return position The position minted for the token.
     function deployLiquidity(
         address token,
         uint256 tokenAmount,
-        address liquidityCollector
-    ) external payable onlyOwner {
-        require(msg.value == 5 ether, "Exactly 5 BERA required for liquidity");
+        address liquidityCollector,
+        uint256 tokensPerBera
+    ) external payable onlyAuthorizedFor(token) returns (Position memory position) {
+        require(msg.value > 0, "No BERA provided for liquidity");
         require(tokenAmount > 0, "No tokens provided for liquidity");
+        require(tokensPerBera > 0, "Zero pool price");
+        require(positions[token].quote == address(0), "Liquidity already deployed for token");
 
         // Get tokens from caller
         require(IERC20(token).transferFrom(msg.sender, address(this), tokenAmount), "Token transfer failed");
@@ -42,23 +166,90 @@ contract BexLiquidityManager is Ownable {
         // Approve tokens for BEX DEX
         require(IERC20(token).approve(bexDex, tokenAmount), "Token approval failed");
 
-        // Prepare liquidity deployment command
-        bytes memory cmd = abi.encodePacked(
-            uint8(3),                // code: fixed liquidity units
-            token,                   // base token
-            uint256(0),             // poolIdx
-            int24(0),               // bidTick (full range)
-            int24(0),               // askTick (full range)
-            uint128(msg.value),     // qty in BERA
-            uint128(0),             // limitLower
-            uint128(type(uint128).max), // limitHigher
-            uint8(0),               // settleFlags
-            address(0)              // lpConduit
+        uint128 sqrtPriceX64 = _sqrtPriceX64(tokensPerBera);
+        uint256 beraAvailable = msg.value;
+        uint256 tokensAvailable = tokenAmount;
+        uint128 livePrice = ICrocQuery(bexQuery).queryPrice(BERA, token, poolIdx);
+        if (livePrice == 0) {
+            (uint256 lockBera, uint256 lockTokens) = _initLockCost(sqrtPriceX64);
+            require(lockBera < beraAvailable && lockTokens < tokensAvailable, "Liquidity too small to create pool");
+            // The DEX reports nothing back from creating a pool, so what the lock took is read off the balances.
+            uint256 beraBefore = address(this).balance;
+            uint256 tokensBefore = IERC20(token).balanceOf(address(this));
+            _userCmd(COLD_PROXY_IDX, abi.encode(INIT_POOL_CODE, BERA, token, poolIdx, sqrtPriceX64), lockBera);
+            beraAvailable -= beraBefore - address(this).balance;
+            tokensAvailable -= tokensBefore - IERC20(token).balanceOf(address(this));
+            emit PoolInitialized(token, poolIdx, sqrtPriceX64);
+        } else {
+            require(
+                uint256(livePrice) * BPS_DENOMINATOR >= uint256(sqrtPriceX64) * (BPS_DENOMINATOR - MAX_SQRT_PRICE_DEVIATION_BPS) &&
+                    uint256(livePrice) * BPS_DENOMINATOR <= uint256(sqrtPriceX64) * (BPS_DENOMINATOR + MAX_SQRT_PRICE_DEVIATION_BPS),
+                "Existing pool price out of bounds"
+            );
+            sqrtPriceX64 = livePrice;
+        }
+
+        // Mint on the side that runs out first at the pool price.
+        uint256 priceX128 = uint256(sqrtPriceX64) * sqrtPriceX64;
+        uint8 code = MINT_AMBIENT_BASE_CODE;
+        uint256 qty = beraAvailable;
+        uint256 beraIn = beraAvailable;
+        if (Math.mulDiv(beraAvailable, priceX128, 1 << 128, Math.Rounding.Ceil) > tokensAvailable) {
+            code = MINT_AMBIENT_QUOTE_CODE;
+            qty = tokensAvailable;
+            beraIn = Math.mulDiv(tokensAvailable, 1 << 128, priceX128, Math.Rounding.Ceil);
+        }
+        bytes memory result = _userCmd(
+            LP_PROXY_IDX,
+            abi.encode(
+                code,
+                BERA,                // base: native BERA
+                token,               // quote: launched token
+                poolIdx,
+                int24(0),            // bidTick (unused for full range)
+                int24(0),            // askTick (unused for full range)
+                uint128(qty),
+                sqrtPriceX64,        // limitLower: the pool's price, as created or found
+                sqrtPriceX64,        // limitHigher
+                uint8(0),            // reserveFlags
+                address(0)           // lpConduit: the position stays with this contract
+            ),
+            beraIn
         );
+        (int128 baseFlow, int128 quoteFlow) = abi.decode(result, (int128, int128));
+
+        position = Position({
+            base: BERA,
+            quote: token,
+            poolIdx: poolIdx,
+            sqrtPriceX64: sqrtPriceX64,
+            beraDeposited: uint256(int256(baseFlow)),
+            tokensDeposited: uint256(int256(quoteFlow)),
+            collector: liquidityCollector
+        });
+        positions[token] = position;
 
-        // Deploy liquidity to BEX
-        try ICrocSwapDex(bexDex).userCmd{value: msg.value}(2, cmd) {
-            emit LiquidityDeployed(token, msg.value, tokenAmount, liquidityCollector);
+        // Hand whatever the pool did not take to the collector. The DEX returns any BERA sent beyond the flow.
+        uint256 tokensLeft = tokensAvailable - position.tokensDeposited;
+        if (tokensLeft > 0) {
+            require(IERC20(token).transfer(liquidityCollector, tokensLeft), "Token transfer failed");
+        }
+        uint256 beraLeft = beraAvailable - position.beraDeposited;
+        if (beraLeft > 0) {
+            (bool sent, ) = liquidityCollector.call{value: beraLeft}("");
+            require(sent, "Failed to send BERA to collector");
+        }
+
+        emit LiquidityDeployed(token, position.beraDeposited, position.tokensDeposited, liquidityCollector);
+    }
+
+    function getPosition(address token) external view returns (Position memory) {
+        return positions[token];
+    }
+
+    function _userCmd(uint16 callpath, bytes memory cmd, uint256 value) internal returns (bytes memory) {
+        try ICrocSwapDex(bexDex).userCmd{value: value}(callpath, cmd) returns (bytes memory result) {
+            return result;
         } catch Error(string memory reason) {
             revert(reason);
         } catch {
@@ -66,6 +257,19 @@ contract BexLiquidityManager is Ownable {
         }
     }
 
+    /// @dev What locking INIT_LOCK_LIQUIDITY costs at `sqrtPriceX64`, rounded up like the DEX charges it.
+    function _initLockCost(uint128 sqrtPriceX64) internal pure returns (uint256 bera, uint256 tokens) {
+        bera = Math.mulDiv(INIT_LOCK_LIQUIDITY, 1 << 64, sqrtPriceX64, Math.Rounding.Ceil);
+        tokens = Math.mulDiv(INIT_LOCK_LIQUIDITY, sqrtPriceX64, 1 << 64, Math.Rounding.Ceil);
+    }
+
+    /// @dev CrocSwap prices are quote per base as a Q64.64 square root.
+    function _sqrtPriceX64(uint256 tokensPerBera) internal pure returns (uint128) {
+        uint256 sqrtPrice = Math.sqrt(Math.mulDiv(tokensPerBera, 1 << 128, 1e18));
+        require(sqrtPrice > 0 && sqrtPrice <= type(uint128).max, "Pool price out of range");
+        return uint128(sqrtPrice);
+    }
+
     // Allow contract to receive BERA
     receive() external payable {}
-} 
\ No newline at end of file
+}
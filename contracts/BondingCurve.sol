@@ -3,227 +3,855 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import "@chainlink/contracts/src/v0.8/shared/interfaces/AggregatorV3Interface.sol";
+import "./curves/ICurveModel.sol";
 
 interface ICustomERC20 {
-    function mint(address to, uint256 amount) external; // no longer used in sales
-    function burn(address from, uint256 amount) external; // no longer used in sales
+    function burnFrom(address account, uint256 amount) external;
     function balanceOf(address account) external view returns (uint256);
     function approve(address spender, uint256 amount) external returns (bool);
     function transfer(address to, uint256 amount) external returns (bool);
     function transferFrom(address from, address to, uint256 amount) external returns (bool);
+    function totalSupply() external view returns (uint256);
+    function freeze() external;
+    function renounceOwnership() external;
+    function permit(
+        address holder,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external;
+}
+
+interface IFeeSplitter {
+    function depositTradingFee(address creator, address trader, address referrer, uint256 volume) external payable;
+    function depositProtocolFee() external payable;
+    function registerCurve(address curve) external;
+}
+
+interface ITokenFactory {
+    function paused() external view returns (bool);
+    function vesting() external view returns (address);
+}
+
+interface ICreatorVesting {
+    function lockedAllocation(address token) external view returns (uint256);
 }
 
 interface IBexLiquidityManager {
     function deployLiquidity(
         address token,
         uint256 tokenAmount,
-        address liquidityCollector
+        address liquidityCollector,
+        uint256 tokensPerBera
     ) external payable;
 }
 
-contract BondingCurve is Ownable, ReentrancyGuard {
+/// @notice Launch economics chosen by the creator and validated by the TokenFactory. Token and BERA
+///         amounts use 18 decimals.
+struct LaunchConfig {
+    uint256 totalSupply;         // Tokens minted at launch
+    uint256 tokenSoldThreshold;  // Tokens that must be sold before liquidity is deployed
+    uint256 beraRaisedThreshold; // BERA that must be raised before liquidity is deployed
+    uint256 liquidityTokens;     // Tokens held back from the sale and paired on BEX
+    uint256 liquidityBera;       // BERA paired on BEX at graduation; the rest raised is a protocol fee
+    uint16 buyFeeBps;            // Fee on purchases, in basis points
+    uint16 sellFeeBps;           // Fee on sales, in basis points
+    uint256 saleDuration;        // Seconds until an ungraduated launch can switch to refunds
+    // Anti-sniping protections; a zero disables each one.
+    uint256 maxTxTokens;         // Most tokens a single purchase may buy
+    uint256 maxWalletTokens;     // Most tokens one address may buy while the protection window is open
+    uint256 protectionBlocks;    // Blocks after launch during which maxWalletTokens applies
+    uint256 protectionDuration;  // Seconds after launch during which maxWalletTokens applies
+    uint256 buyCooldown;         // Seconds an address must wait between purchases
+    // Creator vesting. The schedule applies to the allocation and to a locked initial purchase.
+    uint256 creatorAllocation;   // Tokens carved from the supply and vested to the creator instead of sold
+    uint256 vestingCliff;        // Seconds after launch before anything can be released
+    uint256 vestingDuration;     // Seconds after launch until everything has vested, linearly from launch
+    bool lockInitialPurchase;    // Whether the creator's initial purchase vests instead of being delivered
+    // Presale. While the window is open only allowlisted wallets can buy, each up to its own cap.
+    bytes32 allowlistRoot;       // Merkle root of (account, maxTokens) leaves; zero for no presale
+    uint256 allowlistDuration;   // Seconds after launch until the curve opens to everyone
+}
+
+/// @notice Snapshot of a curve's sale, as returned by the factory's discovery views.
+struct CurveState {
+    address bondingCurve;
+    BondingCurve.Phase phase;
+    uint256 price;          // Current token price in USD with PRICE_DECIMALS
+    uint256 tokensSold;     // Tokens sold by the curve (including the liquidity tokens once graduated)
+    uint256 beraRaised;     // BERA held by the curve, plus the BERA migrated to BEX once graduated
+    uint256 progressBps;    // Progress toward the slower of the two graduation thresholds
+}
+
+/// @notice A sale signed by a trader for a relayer to submit. It pulls tokens the trader approved to the
+///         curve, e.g. with a permit, and may pay the relayer out of the proceeds. There are no relayed buys:
+///         the BERA would have to come from the relayer.
+struct Order {
+    address trader;
+    uint256 amount;       // Tokens to sell
+    uint256 minAmountOut; // BERA for the trader after fees and the relayer fee
+    uint256 relayerFee;   // BERA paid to the relayer out of the proceeds
+    uint256 nonce;        // Any value not used by the trader on this curve before
+    uint256 deadline;
+}
+
+/// @notice Each launch runs on a minimal-proxy clone of a shared implementation, set up by initialize().
+contract BondingCurve is Ownable, ReentrancyGuard, Initializable {
     ICustomERC20 public token;
-    address public feeCollector;
-    // totalSupplyTokens tracks the unsold tokens held by the bonding curve.
+    // Fees are booked in the splitter and claimed from there, so no recipient can block a trade.
+    address public feeSplitter;
+    // The launcher, who earns a share of the trading fees.
+    address public creator;
+    // totalSupplyTokens tracks the unsold tokens held by the bonding curve; the creator allocation is never
+    // held here. The liquidity allocation stays counted after graduation, so the sold supply, and with it
+    // the price, stay where the sale ended.
     uint256 public totalSupplyTokens;
-    uint256 public constant FEE_PERCENT = 2; // 2%
+    LaunchConfig public launchConfig;
 
-    uint256 public constant TOTAL_TOKENS = 1_000_000_000 * 1e18; // 1B tokens
-    uint256 public constant TOKEN_SOLD_THRESHOLD = 800_000_000 * 1e18; // 80% sold triggers liquidity
-    uint256 public constant BERA_RAISED_THRESHOLD = 6 ether; // 6 BERA target
-    uint256 public constant INITIAL_PRICE_MULTIPLIER = 7;  // e.g. $0.000007 per token initially
-    uint256 public constant FINAL_PRICE_MULTIPLIER = 75;   // e.g. $0.000075 target at 3000 USD/BERA
-    uint256 public constant PRICE_DECIMALS = 1e6; // Price multiplier decimals
+    uint256 public constant BPS_DENOMINATOR = 10_000;
+    uint256 public constant PRICE_DECIMALS = 1e6; // Price decimals used by the curve model
+    // Models scale their USD price with the BERA price, so quoted at 1e30 (1e12 USD per BERA) the 6-decimal
+    // USD price is the token's price in BERA with 18 decimals, without the rounding of the USD quote.
+    uint256 private constant BERA_DENOMINATED = 1e30;
+
+    /// @notice Trading: the curve buys and sells. Graduating: the thresholds are met and trading is closed
+    ///         until migrate() deploys the liquidity. Graduated: the liquidity is on BEX for good.
+    ///         Failed: the DEX rejected the migration; trading stays closed, so the reserves still meet the
+    ///         thresholds, while migrate() is retried or until the owner or the expiry switches to refunds.
+    ///         Refunding: the sale expired without graduating; the token is frozen and holders redeem
+    ///         the BERA held pro-rata.
+    enum Phase { Trading, Graduating, Graduated, Failed, Refunding }
+
+    // Gas a migration attempt must start with, so a caller cannot starve the DEX call into failing.
+    uint256 public constant MIGRATION_GAS = 2_000_000;
 
     uint256 public collectedBeraUSD;
     uint256 public currentPrice;
-    bool public liquidityDeployed;
+    Phase public phase;
+
+    // Buys stop at this timestamp; if the launch has not graduated, refunds can be enabled.
+    uint256 public expiresAt;
+    // Snapshot taken when refunds are enabled: the BERA to share and the tokens it is shared across.
+    uint256 public refundPool;
+    uint256 public refundSupply;
+    // BERA redeemed per holder.
+    mapping(address => uint256) public refundClaimed;
+
+    // Launch block and time, which open the anti-sniping protection window.
+    uint256 public launchBlock;
+    uint256 public launchedAt;
+    // Tokens each address bought while the protection window was open, and when it last bought.
+    mapping(address => uint256) public earlyPurchases;
+    mapping(address => uint256) public lastBuyAt;
+    // Tokens each allowlisted wallet bought during the presale window.
+    mapping(address => uint256) public allowlistPurchases;
+
+    // Set by the factory's guardians to halt this curve; the factory's own pause halts every curve.
+    bool public paused;
+
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 public constant ORDER_TYPEHASH = keccak256(
+        "Order(address trader,uint256 amount,uint256 minAmountOut,uint256 relayerFee,uint256 nonce,uint256 deadline)"
+    );
+    // Order nonces each trader has used or cancelled.
+    mapping(address => mapping(uint256 => bool)) public orderNonceUsed;
+
+    enum PriceSource { Primary, Secondary, Fallback }
 
     AggregatorV3Interface internal priceFeed;
+    // Optional backup feed, consulted while the primary feed is unhealthy.
+    AggregatorV3Interface public secondaryPriceFeed;
+    // Owner-set BERA/USD price (18 decimals) used while neither feed is healthy; zero disables it.
+    uint256 public fallbackPrice;
+    // Feed answers older than this are treated as stale. Set to 1 day at initialization.
+    uint256 public maxPriceAge;
+
     uint256 public lastBeraPrice;
     uint256 public lastUpdateTime;
+    // When the cached price was published by its source.
+    uint256 public lastPriceUpdatedAt;
+    PriceSource public lastPriceSource;
     uint256 public constant UPDATE_INTERVAL = 1 hours;
 
     address public liquidityManager;
     address public liquidityCollector;
+    // BERA the graduation moved out of the curve: the liquidity BERA plus the protocol fee, which is the rest.
+    uint256 public beraMigrated;
+
+    // Pricing is delegated to a shared curve model; curveParams holds this token's shape.
+    ICurveModel public curveModel;
+    bytes public curveParams;
 
     event TokensPurchased(address indexed buyer, uint256 amount, uint256 beraSpent);
     event TokensSold(address indexed seller, uint256 amount, uint256 beraReceived);
     event PriceUpdated(uint256 newPrice, uint256 timestamp);
+    event PriceSourcesUpdated(address secondaryPriceFeed, uint256 fallbackPrice, uint256 maxPriceAge);
     event LiquidityDeployedToBex(uint256 beraAmount, uint256 tokenAmount);
+    event PhaseChanged(Phase previousPhase, Phase newPhase);
+    event MigrationFailed(bytes reason);
+    event RefundsEnabled(uint256 refundPool, uint256 refundSupply);
+    event Refunded(address indexed holder, uint256 tokenAmount, uint256 beraAmount);
+    event PauseUpdated(bool paused);
+    event OrderExecuted(address indexed trader, uint256 indexed nonce, address indexed relayer);
+    event OrderCancelled(address indexed trader, uint256 indexed nonce);
+
+    /// @dev The implementation itself can never be initialized; only its clones are.
+    constructor() Ownable(msg.sender) {
+        _disableInitializers();
+    }
 
-    constructor(
-        address _token, 
-        address _feeCollector,
+    /// @notice Sets up a freshly cloned curve. The caller, i.e. the factory, becomes its owner.
+    function initialize(
+        address _token,
+        address _feeSplitter,
+        address _creator,
         address _priceFeed,
         address _liquidityManager,
-        address _liquidityCollector
-    ) Ownable(msg.sender) {
+        address _liquidityCollector,
+        address _curveModel,
+        bytes calldata _curveParams,
+        LaunchConfig calldata _launchConfig
+    ) external initializer {
+        _transferOwnership(msg.sender);
+        maxPriceAge = 1 days;
         token = ICustomERC20(_token);
-        feeCollector = _feeCollector;
+        feeSplitter = _feeSplitter;
+        creator = _creator;
         liquidityManager = _liquidityManager;
         liquidityCollector = _liquidityCollector;
         priceFeed = AggregatorV3Interface(_priceFeed);
+        curveModel = ICurveModel(_curveModel);
+        curveParams = _curveParams;
+        launchConfig = _launchConfig;
+        expiresAt = block.timestamp + _launchConfig.saleDuration;
+        launchBlock = block.number;
+        launchedAt = block.timestamp;
         
-        // The unsold token balance is initially the full supply.
-        totalSupplyTokens = TOTAL_TOKENS;
+        // The unsold token balance is initially the full supply less the creator allocation.
+        totalSupplyTokens = _launchConfig.totalSupply - _launchConfig.creatorAllocation;
         updateBeraPrice();
         
         // Set an initial price (in raw form)
-        currentPrice = (INITIAL_PRICE_MULTIPLIER * getBeraPrice()) / (3000 * 1e18);
+        currentPrice = getCurrentPrice();
     }
 
     function updateBeraPrice() public {
-        if (block.timestamp >= lastUpdateTime + UPDATE_INTERVAL) {
-            (, int256 price,,,) = priceFeed.latestRoundData();
-            require(price > 0, "Invalid BERA price");
-            lastBeraPrice = uint256(price) * 1e10; // Convert to 18 decimals
+        if (!_cacheValid()) {
+            (uint256 price, uint256 updatedAt, PriceSource source) = _readPrice();
+            require(price > 0, "Price feed unavailable");
+            lastBeraPrice = price;
             lastUpdateTime = block.timestamp;
+            lastPriceUpdatedAt = updatedAt;
+            lastPriceSource = source;
             emit PriceUpdated(lastBeraPrice, block.timestamp);
         }
     }
 
+    /// @notice BERA/USD price with 18 decimals. Reverts while neither feed nor the fallback price is
+    ///         usable, which pauses trading until a source recovers.
     function getBeraPrice() public view returns (uint256) {
-        if (block.timestamp >= lastUpdateTime + UPDATE_INTERVAL) {
-            (, int256 price,,,) = priceFeed.latestRoundData();
-            require(price > 0, "Invalid BERA price");
-            return uint256(price) * 1e10; // Convert to 18 decimals
+        if (_cacheValid()) {
+            return lastBeraPrice;
+        }
+        (uint256 price, , ) = _readPrice();
+        require(price > 0, "Price feed unavailable");
+        return price;
+    }
+
+    /// @notice Whether a usable BERA/USD price is currently available.
+    function isPriceHealthy() external view returns (bool) {
+        if (_cacheValid()) {
+            return true;
+        }
+        (uint256 price, , ) = _readPrice();
+        return price > 0;
+    }
+
+    /// @notice Configures the backup price sources and the staleness bound.
+    /// @param _secondaryPriceFeed A second BERA/USD feed, or the zero address for none.
+    /// @param _fallbackPrice A BERA/USD price with 18 decimals, or zero for none.
+    /// @param _maxPriceAge The maximum age in seconds of a feed answer.
+    function setPriceSources(
+        address _secondaryPriceFeed,
+        uint256 _fallbackPrice,
+        uint256 _maxPriceAge
+    ) external onlyOwner {
+        require(_maxPriceAge > 0, "Zero max price age");
+        secondaryPriceFeed = AggregatorV3Interface(_secondaryPriceFeed);
+        fallbackPrice = _fallbackPrice;
+        maxPriceAge = _maxPriceAge;
+        // Re-read on the next trade so the new sources take effect immediately.
+        lastUpdateTime = 0;
+        emit PriceSourcesUpdated(_secondaryPriceFeed, _fallbackPrice, _maxPriceAge);
+    }
+
+    /// @dev The cache is reused for UPDATE_INTERVAL, but never past the staleness bound of a feed answer.
+    function _cacheValid() internal view returns (bool) {
+        if (lastUpdateTime == 0 || block.timestamp >= lastUpdateTime + UPDATE_INTERVAL) {
+            return false;
+        }
+        return lastPriceSource == PriceSource.Fallback || block.timestamp - lastPriceUpdatedAt <= maxPriceAge;
+    }
+
+    /// @dev Primary feed first, then the secondary feed, then the fallback price. Returns a zero price
+    ///      when none is usable.
+    function _readPrice() internal view returns (uint256 price, uint256 updatedAt, PriceSource source) {
+        (price, updatedAt) = _readFeed(priceFeed);
+        if (price > 0) {
+            return (price, updatedAt, PriceSource.Primary);
+        }
+        (price, updatedAt) = _readFeed(secondaryPriceFeed);
+        if (price > 0) {
+            return (price, updatedAt, PriceSource.Secondary);
+        }
+        return (fallbackPrice, block.timestamp, PriceSource.Fallback);
+    }
+
+    /// @dev Reads a feed and scales its answer to 18 decimals. Returns a zero price for a missing feed,
+    ///      a reverting feed, a non-positive answer, or a round that is stale, incomplete or from the future.
+    function _readFeed(AggregatorV3Interface feed) internal view returns (uint256 price, uint256 updatedAt) {
+        if (address(feed) == address(0)) {
+            return (0, 0);
+        }
+        try feed.latestRoundData() returns (
+            uint80 roundId,
+            int256 answer,
+            uint256,
+            uint256 roundUpdatedAt,
+            uint80 answeredInRound
+        ) {
+            if (
+                answer <= 0 ||
+                roundUpdatedAt == 0 ||
+                roundUpdatedAt > block.timestamp ||
+                block.timestamp - roundUpdatedAt > maxPriceAge ||
+                answeredInRound < roundId
+            ) {
+                return (0, 0);
+            }
+            try feed.decimals() returns (uint8 feedDecimals) {
+                price = feedDecimals <= 18
+                    ? uint256(answer) * 10 ** (18 - feedDecimals)
+                    : uint256(answer) / 10 ** (feedDecimals - 18);
+                return (price, roundUpdatedAt);
+            } catch {
+                return (0, 0);
+            }
+        } catch {
+            return (0, 0);
         }
-        return lastBeraPrice;
     }
 
     function getCurrentPrice() public view returns (uint256) {
-        uint256 beraPrice = getBeraPrice(); // 18 decimals
-        
-        if (totalSupplyTokens == TOTAL_TOKENS) {
-            // Initial price: (INITIAL_PRICE_MULTIPLIER * beraPrice) / (3000 * 1e18)
-            return (INITIAL_PRICE_MULTIPLIER * beraPrice) / (3000 * 1e18);
+        return curveModel.priceAt(curveParams, _soldTokens(), getBeraPrice());
+    }
+
+    /// @notice Quotes a purchase, charging the area under the curve for the tokens sold. Purchases larger
+    ///         than the tokens left for sale fill the remainder and return the unused BERA.
+    /// @param beraIn The BERA amount sent with the purchase, fee included.
+    /// @return tokensOut The tokens the purchase would deliver.
+    /// @return fee The BERA fee taken out of beraIn.
+    /// @return refund The BERA returned because the sale ran out of tokens.
+    function quoteBuy(uint256 beraIn) public view returns (uint256 tokensOut, uint256 fee, uint256 refund) {
+        uint256 beraPrice = getBeraPrice();
+        uint256 soldTokens = _soldTokens();
+        fee = _feeOn(beraIn, launchConfig.buyFeeBps);
+        uint256 valueUSD = ((beraIn - fee) * beraPrice) / 1e18;
+        tokensOut = curveModel.tokensForValue(curveParams, soldTokens, valueUSD, beraPrice);
+
+        uint256 available = totalSupplyTokens - launchConfig.liquidityTokens;
+        if (tokensOut > available) {
+            tokensOut = available;
+            uint256 netBera = Math.ceilDiv(
+                curveModel.valueBetween(curveParams, soldTokens, available, beraPrice) * 1e18,
+                beraPrice
+            );
+            uint256 spent = Math.ceilDiv(netBera * BPS_DENOMINATOR, BPS_DENOMINATOR - launchConfig.buyFeeBps) + 1;
+            if (spent < beraIn) {
+                fee = _feeOn(spent, launchConfig.buyFeeBps);
+                refund = beraIn - spent;
+            }
         }
+    }
 
-        uint256 soldTokens = TOTAL_TOKENS - totalSupplyTokens;
-        uint256 initialPrice = (INITIAL_PRICE_MULTIPLIER * beraPrice) / (3000 * 1e18);
-        uint256 finalPrice = (FINAL_PRICE_MULTIPLIER * beraPrice) / (3000 * 1e18);
-        uint256 priceDiff = finalPrice - initialPrice;
-        return initialPrice + (priceDiff * soldTokens) / TOKEN_SOLD_THRESHOLD;
+    /// @notice Quotes a sale, paying out the area under the curve for the tokens returned.
+    /// @param tokensIn The amount of tokens to sell.
+    /// @return beraOut The BERA the seller would receive after fees.
+    /// @return fee The BERA fee withheld from the sale.
+    function quoteSell(uint256 tokensIn) public view returns (uint256 beraOut, uint256 fee) {
+        uint256 grossBera = getSellPrice(tokensIn);
+        fee = _feeOn(grossBera, launchConfig.sellFeeBps);
+        beraOut = grossBera - fee;
     }
 
-    /// @notice Sells tokens to the caller for the provided BERA amount.
-    function buyTokens(uint256 /* unused */) external payable nonReentrant {
-        require(msg.value > 0, "Zero BERA amount");
-        require(totalSupplyTokens > 0, "No tokens available");
-        
-        updateBeraPrice();
-        uint256 beraValueUSD = (msg.value * getBeraPrice()) / 1e18;
-        uint256 price = getCurrentPrice();
-        uint256 tokensToSell = (beraValueUSD * PRICE_DECIMALS) / price;
-        
-        require(tokensToSell <= totalSupplyTokens, "Not enough tokens in supply");
+    function _soldTokens() internal view returns (uint256) {
+        return launchConfig.totalSupply - launchConfig.creatorAllocation - totalSupplyTokens;
+    }
 
-        // Charge fee
-        uint256 fee = (msg.value * FEE_PERCENT) / 100;
-        (bool sentFee, ) = feeCollector.call{value: fee}("");
-        require(sentFee, "Failed to send fee");
+    /// @dev Fee charged on a BERA amount, rounded up so split orders never pay less in total.
+    function _feeOn(uint256 beraAmount, uint256 feeBps) internal pure returns (uint256) {
+        return Math.ceilDiv(beraAmount * feeBps, BPS_DENOMINATOR);
+    }
 
-        // Transfer tokens from this contract (the unsold pool) to the buyer.
-        require(token.transfer(msg.sender, tokensToSell), "Token transfer failed");
-        totalSupplyTokens -= tokensToSell;
-        collectedBeraUSD += beraValueUSD;
+    /// @notice Reverts while this curve or the factory that created it is paused.
+    modifier whenNotPaused() {
+        require(!tradingPaused(), "Trading paused");
+        _;
+    }
+
+    /// @notice Whether trading, migration and refunds are halted, by this curve's pause or the factory's.
+    function tradingPaused() public view returns (bool) {
+        return paused || ITokenFactory(owner()).paused();
+    }
+
+    /// @notice Pauses or resumes this curve. Called by the factory on behalf of its guardians and owner.
+    function setPaused(bool _paused) external onlyOwner {
+        paused = _paused;
+        emit PauseUpdated(_paused);
+    }
+
+    /// @notice Reverts once the caller-supplied deadline has passed.
+    modifier ensure(uint256 deadline) {
+        require(block.timestamp <= deadline, "Transaction expired");
+        _;
+    }
 
-        // Check if liquidity conditions are met.
-        if (!liquidityDeployed &&
-            collectedBeraUSD >= (BERA_RAISED_THRESHOLD * getBeraPrice()) / 1e18 &&
-            (TOTAL_TOKENS - totalSupplyTokens) >= TOKEN_SOLD_THRESHOLD) {
-            deployLiquidityToBex();
+    /// @notice Sells tokens to the caller for the provided BERA amount.
+    /// @param minTokensOut The minimum amount of tokens the caller accepts for msg.value.
+    /// @param deadline The timestamp after which the purchase is no longer valid.
+    /// @param referrer The caller's referrer, or the zero address. Only a trader's first referrer sticks.
+    function buyTokens(
+        uint256 minTokensOut,
+        uint256 deadline,
+        address referrer
+    ) external payable nonReentrant whenNotPaused ensure(deadline) {
+        require(!allowlistActive(), "Allowlist only");
+        _buyTokens(msg.sender, msg.sender, minTokensOut, referrer);
+    }
+
+    /// @notice Sells tokens to the caller and delivers them to a specified beneficiary. The purchase is the
+    ///         caller's: it counts against their purchase limits and fees, and they get back any BERA the sale
+    ///         cannot use, so nobody can use up another address's limits by buying for it.
+    /// @param beneficiary The address receiving the purchased tokens.
+    /// @param minTokensOut The minimum amount of tokens the beneficiary accepts for msg.value.
+    /// @param deadline The timestamp after which the purchase is no longer valid.
+    /// @param referrer The caller's referrer, or the zero address.
+    function buyTokensFor(
+        address beneficiary,
+        uint256 minTokensOut,
+        uint256 deadline,
+        address referrer
+    ) external payable nonReentrant whenNotPaused ensure(deadline) {
+        require(!allowlistActive(), "Allowlist only");
+        _buyTokens(msg.sender, beneficiary, minTokensOut, referrer);
+    }
+
+    /// @notice Buys during the presale window with a proof that the caller is on the allowlist. Once the
+    ///         window closes it behaves like buyTokens and the proof is ignored.
+    /// @param maxTokens The caller's cap from their allowlist leaf, or zero when the leaf sets no cap.
+    /// @param proof The Merkle proof of the caller's leaf, keccak256(bytes.concat(keccak256(abi.encode(
+    ///        account, maxTokens)))), against the launch's allowlist root.
+    /// @param minTokensOut The minimum amount of tokens the caller accepts for msg.value.
+    /// @param deadline The timestamp after which the purchase is no longer valid.
+    /// @param referrer The caller's referrer, or the zero address.
+    function buyTokensAllowlisted(
+        uint256 maxTokens,
+        bytes32[] calldata proof,
+        uint256 minTokensOut,
+        uint256 deadline,
+        address referrer
+    ) external payable nonReentrant whenNotPaused ensure(deadline) {
+        if (!allowlistActive()) {
+            _buyTokens(msg.sender, msg.sender, minTokensOut, referrer);
+            return;
         }
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(msg.sender, maxTokens))));
+        require(MerkleProof.verifyCalldata(proof, launchConfig.allowlistRoot, leaf), "Invalid allowlist proof");
 
-        emit TokensPurchased(msg.sender, tokensToSell, msg.value);
+        uint256 tokensOut = _buyTokens(msg.sender, msg.sender, minTokensOut, referrer);
+        uint256 purchased = allowlistPurchases[msg.sender] + tokensOut;
+        require(maxTokens == 0 || purchased <= maxTokens, "Exceeds allowlist allocation");
+        allowlistPurchases[msg.sender] = purchased;
     }
 
-    /// @notice Sells tokens on behalf of a specified beneficiary.
-    function buyTokensFor(address beneficiary) external payable nonReentrant {
+    /// @notice Whether the curve only sells to allowlisted wallets right now.
+    function allowlistActive() public view returns (bool) {
+        return launchConfig.allowlistRoot != bytes32(0) &&
+            block.timestamp < launchedAt + launchConfig.allowlistDuration;
+    }
+
+    /// @notice Lets the factory make a creator's initial purchase on their behalf while delivering the tokens
+    ///         elsewhere, such as the vesting contract when the purchase is locked. The creator still counts as
+    ///         the buyer for the purchase limits, the fees and any BERA the sale cannot use, but is not held
+    ///         to the allowlist.
+    /// @param trader The creator making the purchase.
+    /// @param recipient The address receiving the tokens.
+    /// @param minTokensOut The minimum amount of tokens the purchase must return.
+    /// @param referrer The creator's referrer, or the zero address.
+    /// @return tokensOut The tokens delivered to `recipient`.
+    function buyTokensInto(
+        address trader,
+        address recipient,
+        uint256 minTokensOut,
+        address referrer
+    ) external payable onlyOwner nonReentrant whenNotPaused returns (uint256 tokensOut) {
+        return _buyTokens(trader, recipient, minTokensOut, referrer);
+    }
+
+    /// @dev `trader` pays, is held to the purchase limits and gets back unused BERA; `recipient` gets the tokens.
+    function _buyTokens(
+        address trader,
+        address recipient,
+        uint256 minTokensOut,
+        address referrer
+    ) internal returns (uint256) {
+        require(phase == Phase.Trading, "Trading closed");
+        require(block.timestamp < expiresAt, "Sale expired");
         require(msg.value > 0, "Zero BERA amount");
-        require(totalSupplyTokens > 0, "No tokens available");
+        require(totalSupplyTokens > launchConfig.liquidityTokens, "No tokens available");
 
         updateBeraPrice();
-        uint256 beraValueUSD = (msg.value * getBeraPrice()) / 1e18;
-        uint256 price = getCurrentPrice();
-        uint256 tokensToSell = (beraValueUSD * PRICE_DECIMALS) / price;
-        require(tokensToSell <= totalSupplyTokens, "Not enough tokens in supply");
+        (uint256 tokensToSell, uint256 fee, uint256 refund) = quoteBuy(msg.value);
+        uint256 beraSpent = msg.value - refund;
+        uint256 beraValueUSD = ((beraSpent - fee) * getBeraPrice()) / 1e18;
+
+        require(tokensToSell > 0, "Zero tokens out");
+        require(tokensToSell >= minTokensOut, "Slippage: insufficient tokens out");
+        _checkBuyLimits(trader, tokensToSell);
 
-        uint256 fee = (msg.value * FEE_PERCENT) / 100;
-        (bool sentFee, ) = feeCollector.call{value: fee}("");
-        require(sentFee, "Failed to send fee");
+        // Charge fee
+        _depositTradingFee(fee, trader, referrer, beraSpent);
 
-        require(token.transfer(beneficiary, tokensToSell), "Token transfer failed");
+        // Transfer tokens from this contract (the unsold pool) to the recipient.
+        require(token.transfer(recipient, tokensToSell), "Token transfer failed");
         totalSupplyTokens -= tokensToSell;
         collectedBeraUSD += beraValueUSD;
 
-        if (!liquidityDeployed &&
-            collectedBeraUSD >= (BERA_RAISED_THRESHOLD * getBeraPrice()) / 1e18 &&
-            (TOTAL_TOKENS - totalSupplyTokens) >= TOKEN_SOLD_THRESHOLD) {
-            deployLiquidityToBex();
+        // Return the BERA the sale could not use once it ran out of tokens.
+        if (refund > 0) {
+            (bool sentRefund, ) = trader.call{value: refund}("");
+            require(sentRefund, "Failed to refund BERA");
+        }
+
+        emit TokensPurchased(recipient, tokensToSell, beraSpent);
+
+        // Close trading once the thresholds are met, and migrate right away when the buyer sent enough
+        // gas; otherwise anyone can finish with migrate().
+        if (graduationReady()) {
+            _setPhase(Phase.Graduating);
+            if (gasleft() >= MIGRATION_GAS) {
+                _migrate();
+            }
+        }
+        return tokensToSell;
+    }
+
+    /// @notice Whether the per-address purchase cap is still in force: it lasts until both the protection
+    ///         blocks and the protection duration have passed since launch.
+    function protectionActive() public view returns (bool) {
+        return
+            block.number < launchBlock + launchConfig.protectionBlocks ||
+            block.timestamp < launchedAt + launchConfig.protectionDuration;
+    }
+
+    /// @dev Enforces the creator's anti-sniping limits on a purchase. They apply to the trader who makes it,
+    ///      never to the recipient, whom anyone can name.
+    function _checkBuyLimits(address trader, uint256 tokensToSell) internal {
+        LaunchConfig storage config = launchConfig;
+        require(config.maxTxTokens == 0 || tokensToSell <= config.maxTxTokens, "Exceeds max transaction");
+
+        if (config.maxWalletTokens > 0 && protectionActive()) {
+            uint256 purchased = earlyPurchases[trader] + tokensToSell;
+            require(purchased <= config.maxWalletTokens, "Exceeds early wallet limit");
+            earlyPurchases[trader] = purchased;
         }
 
-        emit TokensPurchased(beneficiary, tokensToSell, msg.value);
+        if (config.buyCooldown > 0) {
+            uint256 last = lastBuyAt[trader];
+            require(last == 0 || block.timestamp >= last + config.buyCooldown, "Buy cooldown active");
+            lastBuyAt[trader] = block.timestamp;
+        }
     }
 
-    /// @notice Computes the amount of BERA a seller would receive for a given tokenAmount.
+    /// @notice Computes the amount of BERA, before fees, a seller would receive for a given tokenAmount.
     function getSellPrice(uint256 tokenAmount) public view returns (uint256) {
         require(tokenAmount > 0, "Zero token amount");
-        require(totalSupplyTokens > 0, "No tokens in supply");
-        uint256 price = getCurrentPrice();
-        uint256 valueUSD = (tokenAmount * price) / PRICE_DECIMALS;
-        return (valueUSD * 1e18) / getBeraPrice();
+        uint256 soldTokens = _soldTokens();
+        require(tokenAmount <= soldTokens, "Amount exceeds tokens sold");
+        uint256 beraPrice = getBeraPrice();
+        uint256 valueUSD = curveModel.valueBetween(curveParams, soldTokens - tokenAmount, tokenAmount, beraPrice);
+        return (valueUSD * 1e18) / beraPrice;
     }
 
     /// @notice Allows a token holder to sell tokens back to the bonding curve.
-    function sellTokens(uint256 tokenAmount) external nonReentrant {
+    /// @param tokenAmount The amount of tokens to sell.
+    /// @param minBeraOut The minimum BERA, net of fees, the seller accepts.
+    /// @param deadline The timestamp after which the sale is no longer valid.
+    function sellTokens(
+        uint256 tokenAmount,
+        uint256 minBeraOut,
+        uint256 deadline
+    ) external nonReentrant whenNotPaused ensure(deadline) {
+        _sellTokens(msg.sender, tokenAmount, minBeraOut, 0);
+    }
+
+    /// @notice Sells tokens in one transaction by approving the curve with an EIP-2612 permit first. A permit
+    ///         that was already used, e.g. by someone front-running it, is ignored as long as the allowance it
+    ///         granted is still there.
+    /// @param tokenAmount The amount of tokens to sell, which is also the permitted allowance.
+    /// @param minBeraOut The minimum BERA, net of fees, the seller accepts.
+    /// @param deadline The timestamp after which both the permit and the sale are no longer valid.
+    function sellTokensWithPermit(
+        uint256 tokenAmount,
+        uint256 minBeraOut,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant whenNotPaused ensure(deadline) {
+        try token.permit(msg.sender, address(this), tokenAmount, deadline, v, r, s) {} catch {}
+        _sellTokens(msg.sender, tokenAmount, minBeraOut, 0);
+    }
+
+    /// @notice Submits a sale the trader signed, so they need no gas of their own. It pulls the trader's
+    ///         tokens and pays the relayer its fee out of the proceeds.
+    /// @param order The signed order.
+    /// @param signature The trader's 65-byte EIP-712 signature of the order.
+    function executeOrder(
+        Order calldata order,
+        bytes calldata signature
+    ) external nonReentrant whenNotPaused ensure(order.deadline) {
+        require(!orderNonceUsed[order.trader][order.nonce], "Order nonce used");
+        (address signer, ECDSA.RecoverError error, ) = ECDSA.tryRecover(hashOrder(order), signature);
+        require(error == ECDSA.RecoverError.NoError && signer == order.trader, "Invalid order signature");
+        orderNonceUsed[order.trader][order.nonce] = true;
+
+        _sellTokens(order.trader, order.amount, order.minAmountOut, order.relayerFee);
+
+        emit OrderExecuted(order.trader, order.nonce, msg.sender);
+    }
+
+    /// @notice Voids one of the caller's unexecuted orders.
+    function cancelOrder(uint256 nonce) external {
+        require(!orderNonceUsed[msg.sender][nonce], "Order nonce used");
+        orderNonceUsed[msg.sender][nonce] = true;
+        emit OrderCancelled(msg.sender, nonce);
+    }
+
+    /// @notice The EIP-712 domain orders are signed against. Every clone shares the name and version but
+    ///         signs against its own address, so an order only executes on the curve it was meant for.
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            DOMAIN_TYPEHASH, keccak256("Bexie Bonding Curve"), keccak256("1"), block.chainid, address(this)
+        ));
+    }
+
+    /// @notice The EIP-712 digest a trader signs for `order` on this curve.
+    function hashOrder(Order calldata order) public view returns (bytes32) {
+        // Every Order field is a static type, so encoding the struct whole matches encoding it field by field.
+        bytes32 structHash = keccak256(abi.encode(ORDER_TYPEHASH, order));
+        return keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+    }
+
+    /// @dev Buys back `tokenAmount` from `seller`, who must have approved the curve, and pays `relayerFee` of
+    ///      the proceeds to the caller.
+    function _sellTokens(address seller, uint256 tokenAmount, uint256 minBeraOut, uint256 relayerFee) internal {
+        require(phase == Phase.Trading, "Trading closed");
         require(tokenAmount > 0, "Zero token amount");
         updateBeraPrice();
         uint256 beraToReceive = getSellPrice(tokenAmount);
         require(beraToReceive <= address(this).balance, "Insufficient BERA balance");
 
-        uint256 fee = (beraToReceive * FEE_PERCENT) / 100;
-        uint256 effectiveBeraAmount = beraToReceive - fee;
+        uint256 fee = _feeOn(beraToReceive, launchConfig.sellFeeBps);
+        require(beraToReceive - fee >= relayerFee, "Relayer fee exceeds proceeds");
+        uint256 effectiveBeraAmount = beraToReceive - fee - relayerFee;
+        require(effectiveBeraAmount >= minBeraOut, "Slippage: insufficient BERA out");
 
         // Transfer tokens from seller back to the contract.
-        require(token.transferFrom(msg.sender, address(this), tokenAmount), "Token transfer failed");
+        require(token.transferFrom(seller, address(this), tokenAmount), "Token transfer failed");
         totalSupplyTokens += tokenAmount;
 
-        (bool sentFee, ) = feeCollector.call{value: fee}("");
-        require(sentFee, "Failed to send fee");
+        _depositTradingFee(fee, seller, address(0), beraToReceive);
 
-        (bool sentSeller, ) = msg.sender.call{value: effectiveBeraAmount}("");
+        (bool sentSeller, ) = seller.call{value: effectiveBeraAmount}("");
         require(sentSeller, "Failed to send BERA");
+        if (relayerFee > 0) {
+            (bool sentRelayer, ) = msg.sender.call{value: relayerFee}("");
+            require(sentRelayer, "Failed to pay relayer");
+        }
 
-        emit TokensSold(msg.sender, tokenAmount, beraToReceive);
+        emit TokensSold(seller, tokenAmount, beraToReceive);
     }
 
-    /// @notice When sufficient tokens have been sold and enough BERA collected,
-    ///         deploy liquidity to the external DEX using a fixed amount of tokens.
-    function deployLiquidityToBex() internal {
-        require(!liquidityDeployed, "Liquidity already deployed");
-        require(address(this).balance >= 6 ether, "Insufficient BERA for liquidity");
+    /// @notice Whether enough tokens have been sold and enough BERA is held to deploy the liquidity.
+    function graduationReady() public view returns (bool) {
+        return _soldTokens() >= launchConfig.tokenSoldThreshold &&
+            address(this).balance >= launchConfig.beraRaisedThreshold;
+    }
 
-        uint256 tokenAmount = 200_000_000 * 1e18; // 200M tokens for liquidity
-        require(totalSupplyTokens >= tokenAmount, "Not enough tokens for liquidity deployment");
-        totalSupplyTokens -= tokenAmount;
+    /// @notice The curve's price, sales and progress toward graduation in one call.
+    function curveState() external view returns (CurveState memory state) {
+        LaunchConfig memory config = launchConfig;
+        state.bondingCurve = address(this);
+        state.phase = phase;
+        state.price = getCurrentPrice();
+        state.tokensSold = _soldTokens();
+        state.beraRaised = address(this).balance;
+        if (phase == Phase.Graduated) {
+            state.beraRaised = beraMigrated;
+            state.progressBps = BPS_DENOMINATOR;
+        } else {
+            state.progressBps = Math.min(
+                Math.min(
+                    (state.tokensSold * BPS_DENOMINATOR) / config.tokenSoldThreshold,
+                    (state.beraRaised * BPS_DENOMINATOR) / config.beraRaisedThreshold
+                ),
+                BPS_DENOMINATOR
+            );
+        }
+    }
+
+    function liquidityDeployed() external view returns (bool) {
+        return phase == Phase.Graduated;
+    }
+
+    /// @notice Deploys the liquidity to BEX once the graduation conditions hold. Anyone may call it, including
+    ///         to retry after a failed attempt.
+    function migrate() external nonReentrant whenNotPaused {
+        require(phase != Phase.Graduated, "Already graduated");
+        require(phase != Phase.Refunding, "Refunds enabled");
+        require(graduationReady(), "Graduation conditions not met");
+        require(gasleft() >= MIGRATION_GAS, "Insufficient gas for migration");
+        if (phase != Phase.Graduating) {
+            _setPhase(Phase.Graduating);
+        }
+        _migrate();
+    }
+
+    /// @dev Deploys the reserved liquidity tokens and BERA to the external DEX and pays the remainder of
+    ///      the raise threshold to the protocol as a fee. A DEX failure leaves the curve in the Failed phase
+    ///      with its tokens and BERA untouched.
+    function _migrate() internal {
+        LaunchConfig memory config = launchConfig;
+
+        // Open the pool at the curve's final price in BERA. A zero price is left for the manager to
+        // reject, so the attempt fails over instead of reverting the graduating buy.
+        uint256 beraPerToken = curveModel.priceAt(curveParams, _soldTokens(), BERA_DENOMINATED);
+        uint256 tokensPerBera = beraPerToken == 0 ? 0 : Math.mulDiv(1e18, 1e18, beraPerToken);
 
         // Approve tokens for the liquidity manager.
-        require(token.approve(liquidityManager, tokenAmount), "Token approval failed");
+        require(token.approve(liquidityManager, config.liquidityTokens), "Token approval failed");
 
-        IBexLiquidityManager(liquidityManager).deployLiquidity{value: 5 ether}(
+        try IBexLiquidityManager(liquidityManager).deployLiquidity{value: config.liquidityBera}(
             address(token),
-            tokenAmount,
-            liquidityCollector
-        );
+            config.liquidityTokens,
+            liquidityCollector,
+            tokensPerBera
+        ) {
+            // Everything raised beyond the liquidity BERA, including any overshoot of the threshold, goes to
+            // the protocol: nothing can move BERA out of a graduated curve.
+            uint256 protocolShare = address(this).balance;
+            if (protocolShare > 0) {
+                IFeeSplitter(feeSplitter).depositProtocolFee{value: protocolShare}();
+            }
+            beraMigrated = config.liquidityBera + protocolShare;
+
+            // Nothing can freeze the token once it trades on the DEX.
+            token.renounceOwnership();
+            _setPhase(Phase.Graduated);
+            emit LiquidityDeployedToBex(beraMigrated, config.liquidityTokens);
+        } catch (bytes memory reason) {
+            require(token.approve(liquidityManager, 0), "Token approval failed");
+            _setPhase(Phase.Failed);
+            emit MigrationFailed(reason);
+        }
+    }
+
+    /// @notice Switches an expired, ungraduated launch to refunds. Anyone may call it. The token is frozen
+    ///         and the BERA held is shared pro-rata across the tokens outside the curve, including a locked
+    ///         initial purchase, which the vesting contract redeems for the creator. The creator allocation
+    ///         still vesting was never paid for and takes no share.
+    function enableRefunds() external nonReentrant whenNotPaused {
+        require(phase == Phase.Trading || phase == Phase.Failed, "Refunds not available");
+        require(block.timestamp >= expiresAt, "Sale not expired");
+        _enableRefunds();
+    }
+
+    /// @notice Switches a paused, ungraduated launch, or one whose migration failed, to refunds before its
+    ///         sale expires, so holders can withdraw the BERA held. Called by the factory's owner.
+    function emergencyRefunds() external onlyOwner nonReentrant {
+        require(paused || phase == Phase.Failed, "Curve not paused");
+        require(phase != Phase.Graduated && phase != Phase.Refunding, "Refunds not available");
+        _enableRefunds();
+    }
+
+    function _enableRefunds() internal {
+        refundPool = address(this).balance;
+        uint256 unvestedAllocation = ICreatorVesting(ITokenFactory(owner()).vesting()).lockedAllocation(address(token));
+        refundSupply = token.totalSupply() - token.balanceOf(address(this)) - unvestedAllocation;
+        token.freeze();
+
+        _setPhase(Phase.Refunding);
+        emit RefundsEnabled(refundPool, refundSupply);
+    }
+
+    /// @notice Burns the caller's whole balance for their share of the refund pool. The caller must first
+    ///         approve the curve for that balance; approvals still go through while the token is frozen.
+    /// @return beraAmount The BERA paid out.
+    function claimRefund() external nonReentrant returns (uint256 beraAmount) {
+        return _claimRefund(token.balanceOf(msg.sender));
+    }
+
+    /// @notice Burns `tokenAmount` of the caller's tokens for their share of the refund pool, e.g. so the
+    ///         vesting contract can redeem a locked purchase without the allocation it also holds.
+    /// @return beraAmount The BERA paid out.
+    function claimPartialRefund(uint256 tokenAmount) external nonReentrant returns (uint256 beraAmount) {
+        return _claimRefund(tokenAmount);
+    }
+
+    function _claimRefund(uint256 tokenAmount) internal returns (uint256 beraAmount) {
+        require(phase == Phase.Refunding, "Refunds not enabled");
+        require(tokenAmount > 0, "Nothing to refund");
+
+        beraAmount = Math.mulDiv(tokenAmount, refundPool, refundSupply);
+        refundClaimed[msg.sender] += beraAmount;
+        token.burnFrom(msg.sender, tokenAmount);
+
+        (bool sent, ) = msg.sender.call{value: beraAmount}("");
+        require(sent, "Failed to send refund");
 
-        (bool sentFee, ) = feeCollector.call{value: 1 ether}("");
-        require(sentFee, "Failed to send BERA to collector");
+        emit Refunded(msg.sender, tokenAmount, beraAmount);
+    }
+
+    /// @notice The BERA `holder` would receive from claimRefund() right now.
+    function refundOf(address holder) external view returns (uint256) {
+        if (phase != Phase.Refunding || refundSupply == 0) {
+            return 0;
+        }
+        return Math.mulDiv(token.balanceOf(holder), refundPool, refundSupply);
+    }
+
+    /// @dev The splitter credits the trader's stored referrer, binding `referrer` on their first referred trade.
+    ///      Every caller passes a referrer the trader chose, in their own call, their signed order or their
+    ///      createToken, so nobody else can bind one for them.
+    function _depositTradingFee(uint256 fee, address trader, address referrer, uint256 volume) internal {
+        if (fee > 0) {
+            IFeeSplitter(feeSplitter).depositTradingFee{value: fee}(creator, trader, referrer, volume);
+        }
+    }
 
-        liquidityDeployed = true;
-        emit LiquidityDeployedToBex(6 ether, tokenAmount);
+    function _setPhase(Phase newPhase) internal {
+        emit PhaseChanged(phase, newPhase);
+        phase = newPhase;
     }
 
     // Allow the contract to receive BERA.
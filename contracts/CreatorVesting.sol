@@ -0,0 +1,196 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+
+interface ILaunchRegistry {
+    function bondingCurveOf(address token) external view returns (address);
+}
+
+interface IRefundableCurve {
+    function claimPartialRefund(uint256 tokenAmount) external returns (uint256 beraAmount);
+}
+
+/// @notice Holds creator allocations and locked initial purchases for every launch of one TokenFactory and
+///         releases them on a cliff and linear schedule. Schedules are public so buyers can audit what a
+///         creator still has to unlock. When a launch switches to refunds its token is frozen, so nothing
+///         more is released: a locked purchase is redeemed for its refund instead, and an allocation, which
+///         was never paid for, stays locked.
+contract CreatorVesting is ReentrancyGuard {
+    /// @notice Tokens vest linearly from `start` to `start + duration`, but nothing is releasable before
+    ///         `start + cliff`.
+    struct VestingSchedule {
+        address token;
+        address beneficiary;
+        uint256 amount;
+        uint256 released;
+        uint64 start;
+        uint64 cliff;
+        uint64 duration;
+        bool purchased; // Bought on the curve rather than carved from the supply
+        bool refunded;  // Redeemed for its share of a failed launch's refunds
+    }
+
+    // The factory that funds and creates the schedules.
+    address public immutable factory;
+
+    VestingSchedule[] internal schedules;
+    mapping(address => uint256[]) internal schedulesByToken;
+    mapping(address => uint256[]) internal schedulesByBeneficiary;
+    // Tokens held for unreleased schedules, per token.
+    mapping(address => uint256) public lockedAmount;
+    // The part of lockedAmount that is creator allocation, which takes no share of refunds.
+    mapping(address => uint256) public lockedAllocation;
+
+    event VestingScheduleCreated(
+        uint256 indexed scheduleId,
+        address indexed token,
+        address indexed beneficiary,
+        uint256 amount,
+        uint64 start,
+        uint64 cliff,
+        uint64 duration
+    );
+    event TokensReleased(uint256 indexed scheduleId, address indexed beneficiary, uint256 amount);
+    event PurchaseRefunded(uint256 indexed scheduleId, address indexed beneficiary, uint256 tokenAmount, uint256 beraAmount);
+
+    constructor() {
+        factory = msg.sender;
+    }
+
+    /// @notice Locks tokens the factory has already sent here, starting now.
+    /// @param purchased Whether the tokens are a locked purchase rather than a creator allocation.
+    /// @return scheduleId The new schedule's id.
+    function createSchedule(
+        address token,
+        address beneficiary,
+        uint256 amount,
+        uint64 cliff,
+        uint64 duration,
+        bool purchased
+    ) external returns (uint256 scheduleId) {
+        require(msg.sender == factory, "Caller not factory");
+        require(amount > 0, "Zero vesting amount");
+        require(duration > 0 && cliff <= duration, "Invalid vesting schedule");
+        require(
+            IERC20(token).balanceOf(address(this)) >= lockedAmount[token] + amount,
+            "Schedule not funded"
+        );
+
+        scheduleId = schedules.length;
+        schedules.push(VestingSchedule({
+            token: token,
+            beneficiary: beneficiary,
+            amount: amount,
+            released: 0,
+            start: uint64(block.timestamp),
+            cliff: cliff,
+            duration: duration,
+            purchased: purchased,
+            refunded: false
+        }));
+        schedulesByToken[token].push(scheduleId);
+        schedulesByBeneficiary[beneficiary].push(scheduleId);
+        lockedAmount[token] += amount;
+        if (!purchased) {
+            lockedAllocation[token] += amount;
+        }
+
+        emit VestingScheduleCreated(scheduleId, token, beneficiary, amount, uint64(block.timestamp), cliff, duration);
+    }
+
+    /// @notice Sends the beneficiary everything vested and not yet released. Anyone may call it.
+    /// @return amount The tokens released.
+    function release(uint256 scheduleId) external nonReentrant returns (uint256 amount) {
+        amount = releasable(scheduleId);
+        require(amount > 0, "Nothing to release");
+
+        VestingSchedule storage schedule = schedules[scheduleId];
+        schedule.released += amount;
+        lockedAmount[schedule.token] -= amount;
+        if (!schedule.purchased) {
+            lockedAllocation[schedule.token] -= amount;
+        }
+        require(IERC20(schedule.token).transfer(schedule.beneficiary, amount), "Token transfer failed");
+
+        emit TokensReleased(scheduleId, schedule.beneficiary, amount);
+    }
+
+    /// @notice Redeems what is left of a locked purchase for its share of the launch's refunds and sends the
+    ///         BERA to the beneficiary. Anyone may call it once the launch's curve is refunding.
+    /// @return beraAmount The BERA sent.
+    function claimRefund(uint256 scheduleId) external nonReentrant returns (uint256 beraAmount) {
+        VestingSchedule memory locked = _schedule(scheduleId);
+        require(locked.purchased, "Allocation not refundable");
+        require(!locked.refunded, "Already refunded");
+        uint256 amount = locked.amount - locked.released;
+        require(amount > 0, "Nothing to refund");
+
+        schedules[scheduleId].refunded = true;
+        lockedAmount[locked.token] -= amount;
+        address curve = ILaunchRegistry(factory).bondingCurveOf(locked.token);
+        require(IERC20(locked.token).approve(curve, amount), "Token approval failed");
+        beraAmount = IRefundableCurve(curve).claimPartialRefund(amount);
+
+        (bool sent, ) = locked.beneficiary.call{value: beraAmount}("");
+        require(sent, "Failed to send refund");
+        emit PurchaseRefunded(scheduleId, locked.beneficiary, amount, beraAmount);
+    }
+
+    /// @notice The tokens of a schedule vested by `timestamp`, released or not.
+    function vestedAmount(uint256 scheduleId, uint256 timestamp) public view returns (uint256) {
+        VestingSchedule memory schedule = _schedule(scheduleId);
+        if (timestamp < schedule.start + schedule.cliff) {
+            return 0;
+        }
+        if (timestamp >= schedule.start + schedule.duration) {
+            return schedule.amount;
+        }
+        return (schedule.amount * (timestamp - schedule.start)) / schedule.duration;
+    }
+
+    /// @notice The tokens release() would send right now.
+    function releasable(uint256 scheduleId) public view returns (uint256) {
+        if (_schedule(scheduleId).refunded) {
+            return 0;
+        }
+        return vestedAmount(scheduleId, block.timestamp) - schedules[scheduleId].released;
+    }
+
+    function scheduleCount() external view returns (uint256) {
+        return schedules.length;
+    }
+
+    function getSchedule(uint256 scheduleId) external view returns (VestingSchedule memory) {
+        return _schedule(scheduleId);
+    }
+
+    /// @notice Every schedule locking `token`, e.g. a launch's creator allocation and locked purchase.
+    function getSchedulesByToken(address token) external view returns (VestingSchedule[] memory) {
+        return _schedulesAt(schedulesByToken[token]);
+    }
+
+    function scheduleIdsByToken(address token) external view returns (uint256[] memory) {
+        return schedulesByToken[token];
+    }
+
+    function scheduleIdsByBeneficiary(address beneficiary) external view returns (uint256[] memory) {
+        return schedulesByBeneficiary[beneficiary];
+    }
+
+    function _schedule(uint256 scheduleId) internal view returns (VestingSchedule memory) {
+        require(scheduleId < schedules.length, "Unknown schedule");
+        return schedules[scheduleId];
+    }
+
+    // Refunds for locked purchases arrive from the launches' curves.
+    receive() external payable {}
+
+    function _schedulesAt(uint256[] storage ids) internal view returns (VestingSchedule[] memory list) {
+        list = new VestingSchedule[](ids.length);
+        for (uint256 i = 0; i < ids.length; i++) {
+            list[i] = schedules[ids[i]];
+        }
+    }
+}
@@ -0,0 +1,205 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./Timelocked.sol";
+
+/// @notice Collects every protocol fee and trading fee and books each party's share for them to claim.
+///         Trading fees are shared between the protocol, the token creator and an optional referrer at
+///         the rates of the fee tier the depositing curve is assigned to; creation fees and graduation
+///         leftovers go to the protocol alone. A trader's first referrer is remembered across every curve
+///         and earns the referrer share of all their later trades. The owner changes the tiers, a curve's
+///         tier and the protocol recipient through the timelock: scheduled with scheduleChange, then made
+///         TIMELOCK_DELAY later by calling the setter with the same arguments.
+contract FeeSplitter is Ownable, ReentrancyGuard, Timelocked {
+    /// @notice Shares of each trading fee, in basis points of the fee. The protocol keeps the rest.
+    struct FeeTier {
+        uint16 creatorShareBps;
+        uint16 referrerShareBps;
+    }
+
+    uint256 public constant BPS_DENOMINATOR = 10_000;
+
+    address public protocolRecipient;
+
+    // Tier 0 is the default every curve starts on.
+    mapping(uint256 => FeeTier) public tiers;
+    mapping(uint256 => bool) public tierExists;
+    mapping(address => uint256) public curveTier;
+
+    // BERA each account can claim.
+    mapping(address => uint256) public claimable;
+
+    // Factories allowed to register the curves they deploy.
+    mapping(address => bool) public authorizedCallers;
+    // Curves allowed to deposit trading fees.
+    mapping(address => bool) public isCurve;
+
+    // Referral graph: each trader's referrer, set once. It never contains a cycle.
+    mapping(address => address) public referrerOf;
+    // Gross BERA traded by each referrer's referrals, and the referrer share booked on it.
+    mapping(address => uint256) public referralVolume;
+    mapping(address => uint256) public referralFees;
+
+    event TierUpdated(uint256 indexed tierId, uint16 creatorShareBps, uint16 referrerShareBps);
+    event CurveTierUpdated(address indexed curve, uint256 indexed tierId);
+    event ProtocolRecipientUpdated(address protocolRecipient);
+    event AuthorizedCallerUpdated(address indexed caller, bool authorized);
+    event CurveRegistered(address indexed curve);
+    event ReferrerSet(address indexed trader, address indexed referrer);
+    event Referred(
+        address indexed curve,
+        address indexed trader,
+        address indexed referrer,
+        uint256 volume,
+        uint256 referrerAmount
+    );
+    event TradingFeeDeposited(
+        address indexed curve,
+        address indexed creator,
+        address indexed referrer,
+        uint256 protocolAmount,
+        uint256 creatorAmount,
+        uint256 referrerAmount
+    );
+    event ProtocolFeeDeposited(address indexed from, uint256 amount);
+    event FeesClaimed(address indexed account, uint256 amount);
+
+    constructor(address _protocolRecipient) Ownable(msg.sender) {
+        require(_protocolRecipient != address(0), "Zero protocol recipient");
+        protocolRecipient = _protocolRecipient;
+        _setTier(0, FeeTier({creatorShareBps: 2_500, referrerShareBps: 1_000}));
+    }
+
+    modifier onlyAuthorized() {
+        require(msg.sender == owner() || authorizedCallers[msg.sender], "Caller not authorized");
+        _;
+    }
+
+    /// @notice Lets a newly deployed curve deposit trading fees.
+    function registerCurve(address curve) external onlyAuthorized {
+        isCurve[curve] = true;
+        emit CurveRegistered(curve);
+    }
+
+    /// @notice Books a trading fee paid by the calling curve.
+    /// @param creator The token creator, or the zero address to give the creator share to the protocol.
+    /// @param trader The account whose trade paid the fee.
+    /// @param referrer The referrer the trader came with, or the zero address. It is only recorded when the
+    ///        trader has none yet; the stored referrer is credited either way, and without one the referrer
+    ///        share goes to the protocol.
+    /// @param volume The gross BERA value of the trade, recorded as referral volume.
+    function depositTradingFee(
+        address creator,
+        address trader,
+        address referrer,
+        uint256 volume
+    ) external payable {
+        require(isCurve[msg.sender], "Unknown curve");
+        referrer = _referrerFor(trader, referrer);
+
+        FeeTier memory tier = tiers[curveTier[msg.sender]];
+        uint256 creatorAmount = creator == address(0) ? 0 : (msg.value * tier.creatorShareBps) / BPS_DENOMINATOR;
+        uint256 referrerAmount = referrer == address(0) ? 0 : (msg.value * tier.referrerShareBps) / BPS_DENOMINATOR;
+        uint256 protocolAmount = msg.value - creatorAmount - referrerAmount;
+
+        claimable[creator] += creatorAmount;
+        claimable[referrer] += referrerAmount;
+        claimable[protocolRecipient] += protocolAmount;
+
+        emit TradingFeeDeposited(msg.sender, creator, referrer, protocolAmount, creatorAmount, referrerAmount);
+
+        if (referrer != address(0)) {
+            referralVolume[referrer] += volume;
+            referralFees[referrer] += referrerAmount;
+            emit Referred(msg.sender, trader, referrer, volume, referrerAmount);
+        }
+    }
+
+    /// @notice Books a fee that belongs to the protocol alone, such as the creation fee.
+    function depositProtocolFee() external payable {
+        claimable[protocolRecipient] += msg.value;
+        emit ProtocolFeeDeposited(msg.sender, msg.value);
+    }
+
+    /// @notice Sends the caller everything booked to them.
+    /// @return amount The BERA claimed.
+    function claim() external nonReentrant returns (uint256 amount) {
+        amount = claimable[msg.sender];
+        require(amount > 0, "Nothing to claim");
+        claimable[msg.sender] = 0;
+
+        (bool sent, ) = msg.sender.call{value: amount}("");
+        require(sent, "Failed to send fees");
+
+        emit FeesClaimed(msg.sender, amount);
+    }
+
+    function setAuthorizedCaller(address caller, bool authorized) external onlyOwner timelockedOnceArmed {
+        authorizedCallers[caller] = authorized;
+        emit AuthorizedCallerUpdated(caller, authorized);
+    }
+
+    /// @notice Schedules a call to a timelocked setter, given as its ABI-encoded calldata.
+    /// @return id The change's id, the hash of `data`.
+    function scheduleChange(bytes calldata data) external onlyOwner returns (bytes32 id) {
+        return _scheduleChange(data);
+    }
+
+    function cancelChange(bytes32 id) external onlyOwner {
+        _cancelChange(id);
+    }
+
+    /// @notice Holds the wiring setters back behind the timelock from now on. It cannot be undone.
+    function armTimelock() external onlyOwner {
+        _armTimelock();
+    }
+
+    function setTier(uint256 tierId, FeeTier calldata tier) external onlyOwner timelocked {
+        _setTier(tierId, tier);
+    }
+
+    function setCurveTier(address curve, uint256 tierId) external onlyOwner timelocked {
+        require(tierExists[tierId], "Unknown fee tier");
+        curveTier[curve] = tierId;
+        emit CurveTierUpdated(curve, tierId);
+    }
+
+    /// @notice Redirects future protocol shares; amounts already booked stay with the previous recipient.
+    function setProtocolRecipient(address _protocolRecipient) external onlyOwner timelocked {
+        require(_protocolRecipient != address(0), "Zero protocol recipient");
+        protocolRecipient = _protocolRecipient;
+        emit ProtocolRecipientUpdated(_protocolRecipient);
+    }
+
+    /// @dev Returns the trader's referrer, first recording `referrer` if they have none. Rejects referring
+    ///      yourself and any referrer whose own chain of referrers leads back to the trader.
+    function _referrerFor(address trader, address referrer) internal returns (address) {
+        if (referrer == address(0)) {
+            return referrerOf[trader];
+        }
+        require(referrer != trader, "Self-referral");
+
+        address current = referrerOf[trader];
+        if (current != address(0)) {
+            return current;
+        }
+        for (address upline = referrerOf[referrer]; upline != address(0); upline = referrerOf[upline]) {
+            require(upline != trader, "Referral loop");
+        }
+        referrerOf[trader] = referrer;
+        emit ReferrerSet(trader, referrer);
+        return referrer;
+    }
+
+    function _setTier(uint256 tierId, FeeTier memory tier) internal {
+        require(
+            uint256(tier.creatorShareBps) + tier.referrerShareBps <= BPS_DENOMINATOR,
+            "Shares exceed fee"
+        );
+        tiers[tierId] = tier;
+        tierExists[tierId] = true;
+        emit TierUpdated(tierId, tier.creatorShareBps, tier.referrerShareBps);
+    }
+}
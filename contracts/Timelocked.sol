@@ -0,0 +1,65 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @notice Holds setters back until TIMELOCK_DELAY after they were scheduled. A change is scheduled as the
+///         setter's ABI-encoded calldata and made by calling the setter with exactly that calldata once the
+///         delay has passed. Who may schedule and cancel changes is up to the inheriting contract.
+///
+///         Setters that wire contracts together, which a fresh deployment must call before anything runs on
+///         it, are held back only once the timelock is armed. Arming is a one-way switch; until then anyone
+///         can see timelockArmed is false and that those setters still apply at once.
+abstract contract Timelocked {
+    uint256 public constant TIMELOCK_DELAY = 2 days;
+    // When each scheduled change, keyed by the hash of the setter's calldata, can be executed.
+    mapping(bytes32 => uint256) public scheduledChanges;
+    bool public timelockArmed;
+
+    event ChangeScheduled(bytes32 indexed id, bytes data, uint256 readyAt);
+    event ChangeCancelled(bytes32 indexed id);
+    event ChangeExecuted(bytes32 indexed id);
+    event TimelockArmed();
+
+    /// @dev Runs the setter only when this exact call was scheduled at least TIMELOCK_DELAY ago, and consumes
+    ///      the schedule.
+    modifier timelocked() {
+        _consumeChange();
+        _;
+    }
+
+    /// @dev Like timelocked, once the timelock is armed; until then the setter applies at once.
+    modifier timelockedOnceArmed() {
+        if (timelockArmed) {
+            _consumeChange();
+        }
+        _;
+    }
+
+    function _consumeChange() internal {
+        bytes32 id = keccak256(msg.data);
+        uint256 readyAt = scheduledChanges[id];
+        require(readyAt > 0, "Change not scheduled");
+        require(block.timestamp >= readyAt, "Timelock not expired");
+        delete scheduledChanges[id];
+        emit ChangeExecuted(id);
+    }
+
+    function _armTimelock() internal {
+        require(!timelockArmed, "Timelock already armed");
+        timelockArmed = true;
+        emit TimelockArmed();
+    }
+
+    function _scheduleChange(bytes calldata data) internal returns (bytes32 id) {
+        id = keccak256(data);
+        require(scheduledChanges[id] == 0, "Change already scheduled");
+        uint256 readyAt = block.timestamp + TIMELOCK_DELAY;
+        scheduledChanges[id] = readyAt;
+        emit ChangeScheduled(id, data, readyAt);
+    }
+
+    function _cancelChange(bytes32 id) internal {
+        require(scheduledChanges[id] > 0, "Change not scheduled");
+        delete scheduledChanges[id];
+        emit ChangeCancelled(id);
+    }
+}
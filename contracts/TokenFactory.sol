@@ -3,48 +3,287 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
 import "./BondingCurve.sol";
+import "./CreatorVesting.sol";
+import "./Timelocked.sol";
+import "./curves/ICurveModel.sol";
 
 /*
     Instructions for token creation and initial purchase:
     
     1. To deploy a new token (and its associated bonding curve), call createToken with the following parameters:
-       - name: The token name.
-       - symbol: The token symbol.
-       - initialSupply: The total token supply (in whole units, e.g. 1000000000 for 1B tokens).
+       - name: The token name, 1 to 32 printable ASCII characters without leading or trailing spaces.
+       - symbol: The token symbol, 1 to 10 ASCII letters and digits. Symbols are unique regardless of case,
+         and the owner can reserve symbols (e.g. well-known tickers) so nobody can launch them.
+       - metadata: The logo URI, description, website and socials shown by frontends. Every field is optional
+         and the creator can replace them later with updateTokenMetadata.
        - priceFeedAddress: The address of the price feed contract (for example, a Chainlink aggregator).
+       - config: The launch economics (supply, graduation thresholds, liquidity split and fees). Token and
+         BERA amounts use 18 decimals and must fall within the owner's launch bounds; defaultLaunchConfig
+         returns the standard 1B supply / 800M sold / 6 BERA raised launch. A saleDuration of 0 picks the
+         default; once the sale expires without graduating, holders can redeem the BERA held pro-rata.
+         The config also carries optional anti-sniping protections, each disabled by a zero: a cap on the
+         tokens a single purchase may buy, a cap on the tokens one address may buy during the first
+         protectionBlocks blocks or protectionDuration seconds, and a cooldown between an address's purchases.
+         The creator's own initial purchase is held to them too.
+         Finally, the config can carve a creatorAllocation (up to the owner's cap) out of the supply for the
+         creator and lock it in the factory's vesting contract, releasing nothing before vestingCliff and
+         everything after vestingDuration, linearly from launch. With lockInitialPurchase the initial
+         purchase is locked on the same schedule instead of being delivered.
+         For a community launch, set allowlistRoot to the Merkle root of the allowlist and allowlistDuration
+         to the presale window. Each leaf is keccak256(bytes.concat(keccak256(abi.encode(account, maxTokens))))
+         with maxTokens the wallet's cap (0 for none); during the window wallets buy with
+         buyTokensAllowlisted and a proof, and the curve opens to everyone once it ends.
+       - curveModel: An owner-approved curve model (linear, exponential or virtual reserves).
+       - curveParams: The model's ABI-encoded parameters (each model exposes encodeParams to build them).
+       - minTokensOut: The minimum amount of tokens the initial purchase must return, guarding against
+         price movement between quoting and inclusion (pass 0 when no initial purchase is made).
+       - referrer: Whoever referred the creator, credited on the initial purchase (the zero address for none).
+       - salt: Any value the creator picks. The token and curve are clones deployed with CREATE2 on the
+         creator's address and this salt, so predictAddresses(creator, salt) returns both addresses before
+         the launch is mined. A creator cannot reuse a salt while the implementations are unchanged.
     
     2. In the transaction, send a total value of at least the creation fee (0.002 BERA).
        Any amount above the creation fee will be used as an initial purchase. That extra BERA is forwarded
        to the bonding curve, which immediately sells tokens from its pre‑minted pool to the creator.
 */
 
-contract CustomERC20 is Ownable, ERC20 {
-    constructor(
-        string memory name, 
-        string memory symbol, 
-        uint256 initialSupply,
+/// @notice Launch token. Each launch is a minimal-proxy clone of a shared implementation, so the name and
+///         symbol live in the clone's own storage instead of the ERC20 constructor's. For the same reason
+///         EIP-2612 permits are signed against a domain built from the clone's own name and address rather
+///         than OpenZeppelin's ERC20Permit, whose domain is fixed when the implementation is deployed.
+contract CustomERC20 is Ownable, ERC20, Initializable, IERC20Permit, Nonces {
+    // Set by the bonding curve when a failed launch switches to refunds; only burns go through.
+    bool public frozen;
+    // Minted to the factory at launch. There is no mint function, so the supply can never grow past it.
+    uint256 public initialSupply;
+
+    string private _tokenName;
+    string private _tokenSymbol;
+    bytes32 private _hashedName;
+
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 private constant PERMIT_TYPEHASH =
+        keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+
+    event Frozen();
+
+    /// @dev The implementation itself can never be initialized; only its clones are.
+    constructor() ERC20("", "") Ownable(msg.sender) {
+        _disableInitializers();
+    }
+
+    function initialize(
+        string calldata name_,
+        string calldata symbol_,
+        uint256 totalSupply_,
         address owner_
-    ) ERC20(name, symbol) Ownable(owner_) {
-        // Mint the fixed total supply (using 18 decimals) to the creator (TokenFactory)
-        _mint(owner_, initialSupply * (10 ** uint256(18)));
+    ) external initializer {
+        _tokenName = name_;
+        _tokenSymbol = symbol_;
+        _hashedName = keccak256(bytes(name_));
+        _transferOwnership(owner_);
+        // Mint the fixed total supply (already in 18 decimals) to the creator (TokenFactory)
+        initialSupply = totalSupply_;
+        _mint(owner_, totalSupply_);
+    }
+
+    function name() public view override returns (string memory) {
+        return _tokenName;
+    }
+
+    function symbol() public view override returns (string memory) {
+        return _tokenSymbol;
+    }
+
+    /// @notice Approves `spender` with `holder`'s EIP-712 signature over the domain (name, "1", chain id,
+    ///         this token's address).
+    function permit(
+        address holder,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        require(block.timestamp <= deadline, "Permit expired");
+        bytes32 structHash = keccak256(
+            abi.encode(PERMIT_TYPEHASH, holder, spender, value, _useNonce(holder), deadline)
+        );
+        address signer = ECDSA.recover(keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash)), v, r, s);
+        require(signer == holder, "Invalid permit signature");
+        _approve(holder, spender, value);
+    }
+
+    function nonces(address holder) public view override(IERC20Permit, Nonces) returns (uint256) {
+        return super.nonces(holder);
+    }
+
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(abi.encode(DOMAIN_TYPEHASH, _hashedName, keccak256("1"), block.chainid, address(this)));
+    }
+
+    /// @notice Destroys `amount` of the caller's own tokens.
+    function burn(uint256 amount) external {
+        _burn(msg.sender, amount);
     }
 
-    function mint(address to, uint256 amount) external onlyOwner {
-        _mint(to, amount);
+    /// @notice Destroys `amount` of `account`'s tokens out of the allowance `account` gave the caller, as the
+    ///         bonding curve does when a holder claims a refund.
+    function burnFrom(address account, uint256 amount) external {
+        _spendAllowance(account, msg.sender, amount);
+        _burn(account, amount);
     }
 
-    function burn(address from, uint256 amount) external onlyOwner {
-        _burn(from, amount);
+    /// @notice Lets buyers check the supply is fixed: `initialSupply` was minted once at launch and this
+    ///         contract has no way to mint more, so the current supply only falls as holders burn. The curve
+    ///         renounces ownership when the launch graduates, after which nobody can freeze transfers either.
+    function supplyProof()
+        external
+        view
+        returns (uint256 initialSupply_, uint256 currentSupply, uint256 burned, bool ownershipRenounced)
+    {
+        currentSupply = totalSupply();
+        return (initialSupply, currentSupply, initialSupply - currentSupply, owner() == address(0));
     }
+
+    function freeze() external onlyOwner {
+        frozen = true;
+        emit Frozen();
+    }
+
+    function _update(address from, address to, uint256 value) internal override {
+        require(!frozen || from == address(0) || to == address(0), "Token frozen");
+        super._update(from, to, value);
+    }
+}
+
+/// @notice Limits the owner places on creator-supplied launch configs.
+struct LaunchBounds {
+    uint256 minTotalSupply;
+    uint256 maxTotalSupply;
+    uint256 minBeraRaisedThreshold;
+    uint256 maxBeraRaisedThreshold;
+    uint16 maxFeeBps;
+    uint256 minSaleDuration;
+    uint256 maxSaleDuration;
+    uint256 maxProtectionBlocks;
+    uint256 maxProtectionDuration;
+    uint256 maxBuyCooldown;
+    uint16 minBuyLimitBps;       // Smallest max-tx or max-wallet limit, in basis points of the total supply
+    uint16 maxCreatorAllocationBps;
+    uint256 minVestingDuration;
+    uint256 maxVestingDuration;
+    uint256 maxAllowlistDuration;
+}
+
+/// @notice Launch details shown by frontends. Every field is optional.
+struct TokenMetadata {
+    string imageURI;    // Logo, e.g. an ipfs:// or https:// URI
+    string description;
+    string website;
+    string twitter;
+    string telegram;
+}
+
+/// @notice A launched token as recorded in the factory's registry.
+struct TokenInfo {
+    address token;
+    address bondingCurve;
+    address creator;
+    uint256 createdAt;
+    BondingCurve.Phase phase; // Read from the curve whenever a record is returned
+    TokenMetadata metadata;
 }
 
-contract TokenFactory is Ownable, ReentrancyGuard {
+/// @notice Roles: the owner administers everything; guardians can pause the factory and single curves and
+///         cancel scheduled changes; fee admins manage the creation fee. Changes to the fee, the fee splitter,
+///         the liquidity manager, the implementations, the launch bounds and a curve's price sources are
+///         scheduled with scheduleChange and can only be made TIMELOCK_DELAY later by calling the setter with
+///         the same arguments.
+contract TokenFactory is Ownable, ReentrancyGuard, Pausable, Timelocked {
     uint256 public creationFee = 0.002 ether;
-    address public feeCollector;
+    uint256 public constant MAX_CREATION_FEE = 1 ether;
+    // FeeSplitter booking the creation fee and every curve's fees.
+    address public feeSplitter;
     address public liquidityManager;
     address public liquidityCollector;
+    // Implementations new launches are cloned from. Replacing them leaves existing launches untouched.
+    address public tokenImplementation;
+    address public curveImplementation;
+    // Holds every launch's creator allocation and locked initial purchase.
+    CreatorVesting public immutable vesting;
+
+    // Curve models launchers may pick from, managed by the owner.
+    mapping(address => bool) public curveModels;
+
+    // Registry of every launch in creation order, indexed by creator and token.
+    TokenInfo[] internal launches;
+    mapping(address => uint256[]) internal launchesByCreator;
+    // Position in `launches` plus one, so zero means unknown.
+    mapping(address => uint256) internal launchIndex;
+    mapping(address => address) public bondingCurveOf;
+
+    uint256 public constant MAX_NAME_LENGTH = 32;
+    uint256 public constant MAX_SYMBOL_LENGTH = 10;
+    uint256 public constant MAX_URI_LENGTH = 256;
+    uint256 public constant MAX_DESCRIPTION_LENGTH = 1024;
+    // Launched and reserved symbols, keyed by symbolKey() so the checks ignore case.
+    mapping(bytes32 => address) public tokenBySymbol;
+    mapping(bytes32 => bool) public reservedSymbols;
+
+    mapping(address => bool) public guardians;
+    mapping(address => bool) public feeAdmins;
+
+    LaunchBounds public launchBounds = LaunchBounds({
+        minTotalSupply: 1_000_000 * 1e18,
+        maxTotalSupply: 1_000_000_000_000 * 1e18,
+        minBeraRaisedThreshold: 1 ether,
+        maxBeraRaisedThreshold: 1_000 ether,
+        maxFeeBps: 500,
+        minSaleDuration: 1 days,
+        maxSaleDuration: 365 days,
+        maxProtectionBlocks: 1_800,
+        maxProtectionDuration: 1 hours,
+        maxBuyCooldown: 10 minutes,
+        minBuyLimitBps: 10,
+        maxCreatorAllocationBps: 1_000,
+        minVestingDuration: 30 days,
+        maxVestingDuration: 4 * 365 days,
+        maxAllowlistDuration: 7 days
+    });
+
+    // The standard launch: 1B tokens, 80% sold and 6 BERA raised graduate 200M tokens with 5 BERA.
+    LaunchConfig public defaultLaunchConfig = LaunchConfig({
+        totalSupply: 1_000_000_000 * 1e18,
+        tokenSoldThreshold: 800_000_000 * 1e18,
+        beraRaisedThreshold: 6 ether,
+        liquidityTokens: 200_000_000 * 1e18,
+        liquidityBera: 5 ether,
+        buyFeeBps: 200,
+        sellFeeBps: 200,
+        saleDuration: 30 days,
+        maxTxTokens: 0,
+        maxWalletTokens: 0,
+        protectionBlocks: 0,
+        protectionDuration: 0,
+        buyCooldown: 0,
+        creatorAllocation: 0,
+        vestingCliff: 0,
+        vestingDuration: 0,
+        lockInitialPurchase: false,
+        allowlistRoot: bytes32(0),
+        allowlistDuration: 0
+    });
 
     event TokenCreated(
         address indexed creator,
@@ -53,13 +292,57 @@ contract TokenFactory is Ownable, ReentrancyGuard {
         string name,
         string symbol
     );
+    event ImplementationsUpdated(address tokenImplementation, address curveImplementation);
+    event SymbolReservationUpdated(string symbol, bool reserved);
+    event TokenMetadataUpdated(address indexed token, TokenMetadata metadata);
+    event CreationFeeUpdated(uint256 creationFee);
+    event FeeSplitterUpdated(address feeSplitter);
+    event LiquidityManagerUpdated(address liquidityManager);
+    event CurveModelUpdated(address indexed curveModel, bool allowed);
+    event LaunchBoundsUpdated(LaunchBounds bounds);
+    event DefaultLaunchConfigUpdated(LaunchConfig config);
+    event GuardianUpdated(address indexed account, bool enabled);
+    event FeeAdminUpdated(address indexed account, bool enabled);
+    event CurvePaused(address indexed bondingCurve, bool paused);
+    event EmergencyRefundsEnabled(address indexed bondingCurve);
+    event CurvePriceSourcesUpdated(
+        address indexed bondingCurve,
+        address secondaryPriceFeed,
+        uint256 fallbackPrice,
+        uint256 maxPriceAge
+    );
+
+    error InvalidNameLength(uint256 length);
+    error InvalidNameCharacter(uint256 index);
+    error InvalidSymbolLength(uint256 length);
+    error InvalidSymbolCharacter(uint256 index);
+    error SymbolTaken(string symbol, address token);
+    error SymbolReserved(string symbol);
+    error MetadataTooLong(string field);
+    error NotTokenCreator(address token, address caller);
+
+    modifier onlyGuardian() {
+        require(msg.sender == owner() || guardians[msg.sender], "Caller not guardian");
+        _;
+    }
 
+    modifier onlyFeeAdmin() {
+        require(msg.sender == owner() || feeAdmins[msg.sender], "Caller not fee admin");
+        _;
+    }
+
+    /// @dev The token and curve implementations are deployed on their own and passed in, since embedding their
+    ///      creation code would push this contract's init code past the EIP-3860 size limit.
     constructor(
-        address _feeCollector,
+        address _feeSplitter,
         address _liquidityManager,
-        address _liquidityCollector
+        address _liquidityCollector,
+        address _tokenImplementation,
+        address _curveImplementation
     ) Ownable(msg.sender) {
-        feeCollector = _feeCollector;
+        _setImplementations(_tokenImplementation, _curveImplementation);
+        vesting = new CreatorVesting();
+        feeSplitter = _feeSplitter;
         liquidityManager = _liquidityManager;
         liquidityCollector = _liquidityCollector;
     }
@@ -68,47 +351,118 @@ contract TokenFactory is Ownable, ReentrancyGuard {
     ///         to make an initial purchase (i.e. to sell tokens from the pre‑minted pool to the creator).
     /// @param name The name of the new token.
     /// @param symbol The token symbol.
-    /// @param initialSupply The total token supply (in whole numbers, e.g. 1000000000 for 1B tokens).
+    /// @param metadata The token's logo, description, website and socials.
     /// @param priceFeedAddress The address of the price feed (e.g. a Chainlink aggregator).
+    /// @param config The launch economics, validated against the owner's launch bounds. A zero saleDuration
+    ///        uses the default launch's duration.
+    /// @param curveModel The approved curve model pricing the token.
+    /// @param curveParams The curve model's ABI-encoded parameters.
+    /// @param minTokensOut The minimum amount of tokens the initial purchase must return (ignored without one).
+    /// @param referrer The creator's referrer, credited on the initial purchase, or the zero address.
+    /// @param salt The creator's CREATE2 salt; see predictAddresses.
     function createToken(
         string memory name,
         string memory symbol,
-        uint256 initialSupply,
-        address priceFeedAddress
-    ) external payable nonReentrant {
+        TokenMetadata calldata metadata,
+        address priceFeedAddress,
+        LaunchConfig calldata config,
+        address curveModel,
+        bytes calldata curveParams,
+        uint256 minTokensOut,
+        address referrer,
+        bytes32 salt
+    ) external payable nonReentrant whenNotPaused {
         require(msg.value >= creationFee, "Insufficient creation fee");
+        require(curveModels[curveModel], "Curve model not allowed");
+        validateTokenIdentity(name, symbol);
+        validateTokenMetadata(metadata);
+        LaunchConfig memory launch = config;
+        if (launch.saleDuration == 0) {
+            launch.saleDuration = defaultLaunchConfig.saleDuration;
+        }
+        validateLaunchConfig(launch);
+        ICurveModel(curveModel).validateParams(curveParams);
+        // Everything not vested to the creator or held back for liquidity is for sale.
+        ICurveModel(curveModel).validateLaunch(
+            curveParams,
+            launch.totalSupply - launch.creatorAllocation - launch.liquidityTokens,
+            launch.beraRaisedThreshold
+        );
         uint256 purchaseValue = msg.value - creationFee;
 
-        // Deploy a new token; the full supply is minted to this factory.
-        CustomERC20 token = new CustomERC20(
-            name,
-            symbol,
-            initialSupply,
-            address(this)
+        bytes32 launchSalt = _launchSalt(msg.sender, salt);
+        require(
+            Clones.predictDeterministicAddress(tokenImplementation, launchSalt).code.length == 0,
+            "Salt already used"
         );
 
-        // Deploy a new bonding curve that will hold and sell the tokens.
-        BondingCurve bondingCurve = new BondingCurve(
+        // Clone a new token; the full supply is minted to this factory.
+        CustomERC20 token = CustomERC20(Clones.cloneDeterministic(tokenImplementation, launchSalt));
+        token.initialize(name, symbol, config.totalSupply, address(this));
+
+        // Clone a new bonding curve that will hold and sell the tokens.
+        BondingCurve bondingCurve = BondingCurve(payable(Clones.cloneDeterministic(curveImplementation, launchSalt)));
+        bondingCurve.initialize(
             address(token),
-            feeCollector,
+            feeSplitter,
+            msg.sender,
             priceFeedAddress,
             liquidityManager,
-            liquidityCollector
+            liquidityCollector,
+            curveModel,
+            curveParams,
+            launch
         );
 
-        // Transfer the entire token supply from this factory to the bonding curve.
-        require(token.transfer(address(bondingCurve), initialSupply * (10 ** 18)), "Token transfer failed");
+        // Lock the creator allocation in the vesting contract and hand the rest of the supply to the curve.
+        if (launch.creatorAllocation > 0) {
+            require(token.transfer(address(vesting), launch.creatorAllocation), "Token transfer failed");
+            _vest(address(token), launch.creatorAllocation, launch, false);
+        }
+        require(
+            token.transfer(address(bondingCurve), launch.totalSupply - launch.creatorAllocation),
+            "Token transfer failed"
+        );
 
         // Transfer token ownership to the bonding curve.
         token.transferOwnership(address(bondingCurve));
 
-        // Send the fixed creation fee to the fee collector.
-        (bool sentFee, ) = feeCollector.call{value: creationFee}("");
-        require(sentFee, "Failed to send creation fee");
+        // Record the launch before the initial purchase can move its phase.
+        launchesByCreator[msg.sender].push(launches.length);
+        launches.push(TokenInfo({
+            token: address(token),
+            bondingCurve: address(bondingCurve),
+            creator: msg.sender,
+            createdAt: block.timestamp,
+            phase: BondingCurve.Phase.Trading,
+            metadata: metadata
+        }));
+        launchIndex[address(token)] = launches.length;
+        bondingCurveOf[address(token)] = address(bondingCurve);
+        tokenBySymbol[symbolKey(symbol)] = address(token);
+        emit TokenMetadataUpdated(address(token), metadata);
+
+        // Let the curve book its trading fees with the splitter.
+        IFeeSplitter(feeSplitter).registerCurve(address(bondingCurve));
 
-        // If extra funds are provided, use them to make an initial purchase (i.e. sell tokens from the bonding curve).
+        // Book the fixed creation fee for the protocol.
+        if (creationFee > 0) {
+            IFeeSplitter(feeSplitter).depositProtocolFee{value: creationFee}();
+        }
+
+        // If extra funds are provided, use them to make an initial purchase (i.e. sell tokens from the bonding
+        // curve), delivered to the vesting contract when the creator locks it. The creator may buy even when
+        // the launch opens with an allowlist.
         if (purchaseValue > 0) {
-            bondingCurve.buyTokensFor{value: purchaseValue}(msg.sender);
+            uint256 bought = bondingCurve.buyTokensInto{value: purchaseValue}(
+                msg.sender,
+                launch.lockInitialPurchase ? address(vesting) : msg.sender,
+                minTokensOut,
+                referrer
+            );
+            if (launch.lockInitialPurchase) {
+                _vest(address(token), bought, launch, true);
+            }
         }
 
         emit TokenCreated(
@@ -120,15 +474,404 @@ contract TokenFactory is Ownable, ReentrancyGuard {
         );
     }
 
-    function setCreationFee(uint256 _newFee) external onlyOwner {
+    /// @dev Locks `amount` of `token`, already sent to the vesting contract, for the caller on the launch's schedule.
+    function _vest(address token, uint256 amount, LaunchConfig memory launch, bool purchased) internal {
+        vesting.createSchedule(
+            token,
+            msg.sender,
+            amount,
+            uint64(launch.vestingCliff),
+            uint64(launch.vestingDuration),
+            purchased
+        );
+    }
+
+    /// @notice The token and curve addresses createToken will deploy for `creator` and `salt` with the
+    ///         current implementations.
+    function predictAddresses(
+        address creator,
+        bytes32 salt
+    ) external view returns (address token, address bondingCurve) {
+        bytes32 launchSalt = _launchSalt(creator, salt);
+        token = Clones.predictDeterministicAddress(tokenImplementation, launchSalt);
+        bondingCurve = Clones.predictDeterministicAddress(curveImplementation, launchSalt);
+    }
+
+    function tokenCount() external view returns (uint256) {
+        return launches.length;
+    }
+
+    function creatorTokenCount(address creator) external view returns (uint256) {
+        return launchesByCreator[creator].length;
+    }
+
+    /// @notice The registry record of a launched token.
+    function getTokenInfo(address token) external view returns (TokenInfo memory) {
+        uint256 index = launchIndex[token];
+        require(index > 0, "Unknown token");
+        return _launch(index - 1);
+    }
+
+    /// @notice Launches in creation order, `limit` at a time from `offset`.
+    function getTokens(uint256 offset, uint256 limit) external view returns (TokenInfo[] memory page) {
+        uint256 end = _pageEnd(launches.length, offset, limit);
+        page = new TokenInfo[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            page[i - offset] = _launch(i);
+        }
+    }
+
+    /// @notice A creator's launches in creation order, `limit` at a time from `offset`.
+    function getTokensByCreator(
+        address creator,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (TokenInfo[] memory page) {
+        uint256[] storage indexes = launchesByCreator[creator];
+        uint256 end = _pageEnd(indexes.length, offset, limit);
+        page = new TokenInfo[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            page[i - offset] = _launch(indexes[i]);
+        }
+    }
+
+    /// @notice Launches currently in `phase`, e.g. those still trading or already graduated, among the `limit`
+    ///         launches from `offset` in creation order. Each call reads only that range, so a page can hold
+    ///         fewer than `limit` launches, or none, with more to come; page on until `offset` reaches
+    ///         tokenCount().
+    function getTokensByPhase(
+        BondingCurve.Phase phase,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (TokenInfo[] memory page) {
+        uint256 end = _pageEnd(launches.length, offset, limit);
+        // Match the range first, so the page is allocated at its exact size.
+        bool[] memory matches = new bool[](end - offset);
+        uint256 found;
+        for (uint256 i = offset; i < end; i++) {
+            if (BondingCurve(payable(launches[i].bondingCurve)).phase() == phase) {
+                matches[i - offset] = true;
+                found++;
+            }
+        }
+        page = new TokenInfo[](found);
+        found = 0;
+        for (uint256 i = offset; i < end; i++) {
+            if (matches[i - offset]) {
+                page[found++] = _launch(i);
+            }
+        }
+    }
+
+    /// @notice Replaces a token's metadata. Only its creator may call this.
+    function updateTokenMetadata(address token, TokenMetadata calldata metadata) external {
+        uint256 index = launchIndex[token];
+        require(index > 0, "Unknown token");
+        if (launches[index - 1].creator != msg.sender) {
+            revert NotTokenCreator(token, msg.sender);
+        }
+        validateTokenMetadata(metadata);
+        launches[index - 1].metadata = metadata;
+        emit TokenMetadataUpdated(token, metadata);
+    }
+
+    /// @notice Reverts with MetadataTooLong when a field exceeds its length limit.
+    function validateTokenMetadata(TokenMetadata calldata metadata) public pure {
+        _checkLength(metadata.imageURI, MAX_URI_LENGTH, "imageURI");
+        _checkLength(metadata.description, MAX_DESCRIPTION_LENGTH, "description");
+        _checkLength(metadata.website, MAX_URI_LENGTH, "website");
+        _checkLength(metadata.twitter, MAX_URI_LENGTH, "twitter");
+        _checkLength(metadata.telegram, MAX_URI_LENGTH, "telegram");
+    }
+
+    function _checkLength(string calldata value, uint256 maxLength, string memory field) internal pure {
+        if (bytes(value).length > maxLength) {
+            revert MetadataTooLong(field);
+        }
+    }
+
+    /// @notice Price, tokens sold, BERA raised and graduation progress of many curves in one call.
+    function getCurveStates(address[] calldata curves) external view returns (CurveState[] memory states) {
+        states = new CurveState[](curves.length);
+        for (uint256 i = 0; i < curves.length; i++) {
+            states[i] = BondingCurve(payable(curves[i])).curveState();
+        }
+    }
+
+    function _launch(uint256 index) internal view returns (TokenInfo memory info) {
+        info = launches[index];
+        info.phase = BondingCurve(payable(info.bondingCurve)).phase();
+    }
+
+    /// @dev Salts are namespaced by creator so nobody can take another creator's predicted addresses.
+    function _launchSalt(address creator, bytes32 salt) internal pure returns (bytes32) {
+        return keccak256(abi.encode(creator, salt));
+    }
+
+    function _pageEnd(uint256 length, uint256 offset, uint256 limit) internal pure returns (uint256) {
+        if (offset >= length) {
+            return offset;
+        }
+        return length - offset < limit ? length : offset + limit;
+    }
+
+    /// @notice Reverts with a custom error unless the name and symbol are well formed and the symbol is
+    ///         neither launched already, in any case, nor reserved.
+    function validateTokenIdentity(string memory name, string memory symbol) public view {
+        bytes memory nameBytes = bytes(name);
+        if (nameBytes.length == 0 || nameBytes.length > MAX_NAME_LENGTH) {
+            revert InvalidNameLength(nameBytes.length);
+        }
+        for (uint256 i = 0; i < nameBytes.length; i++) {
+            bytes1 char = nameBytes[i];
+            bool edgeSpace = char == 0x20 && (i == 0 || i == nameBytes.length - 1);
+            if (char < 0x20 || char > 0x7E || edgeSpace) {
+                revert InvalidNameCharacter(i);
+            }
+        }
+
+        bytes memory symbolBytes = bytes(symbol);
+        if (symbolBytes.length == 0 || symbolBytes.length > MAX_SYMBOL_LENGTH) {
+            revert InvalidSymbolLength(symbolBytes.length);
+        }
+        for (uint256 i = 0; i < symbolBytes.length; i++) {
+            bytes1 char = symbolBytes[i];
+            bool alphanumeric = (char >= "0" && char <= "9") ||
+                (char >= "A" && char <= "Z") ||
+                (char >= "a" && char <= "z");
+            if (!alphanumeric) {
+                revert InvalidSymbolCharacter(i);
+            }
+        }
+
+        bytes32 key = symbolKey(symbol);
+        if (reservedSymbols[key]) {
+            revert SymbolReserved(symbol);
+        }
+        if (tokenBySymbol[key] != address(0)) {
+            revert SymbolTaken(symbol, tokenBySymbol[key]);
+        }
+    }
+
+    /// @notice Case-insensitive key of a symbol: the hash of its upper-cased ASCII bytes.
+    function symbolKey(string memory symbol) public pure returns (bytes32) {
+        // Work on a copy so the caller's string is left as is.
+        bytes memory upper = abi.encodePacked(symbol);
+        for (uint256 i = 0; i < upper.length; i++) {
+            if (upper[i] >= "a" && upper[i] <= "z") {
+                upper[i] = bytes1(uint8(upper[i]) - 32);
+            }
+        }
+        return keccak256(upper);
+    }
+
+    /// @notice Reverts unless the config can graduate and stays within the launch bounds.
+    function validateLaunchConfig(LaunchConfig memory config) public view {
+        LaunchBounds memory bounds = launchBounds;
+        require(
+            config.totalSupply >= bounds.minTotalSupply && config.totalSupply <= bounds.maxTotalSupply,
+            "Total supply out of bounds"
+        );
+        require(config.tokenSoldThreshold > 0, "Zero sold threshold");
+        require(config.liquidityTokens > 0, "Zero liquidity tokens");
+        require(
+            config.tokenSoldThreshold + config.liquidityTokens <= config.totalSupply,
+            "Sold threshold and liquidity exceed supply"
+        );
+        require(
+            config.beraRaisedThreshold >= bounds.minBeraRaisedThreshold &&
+                config.beraRaisedThreshold <= bounds.maxBeraRaisedThreshold,
+            "BERA threshold out of bounds"
+        );
+        require(
+            config.liquidityBera > 0 && config.liquidityBera <= config.beraRaisedThreshold,
+            "Invalid liquidity BERA"
+        );
+        require(
+            config.buyFeeBps <= bounds.maxFeeBps && config.sellFeeBps <= bounds.maxFeeBps,
+            "Fee above maximum"
+        );
+        require(
+            config.saleDuration > 0 &&
+                config.saleDuration >= bounds.minSaleDuration &&
+                config.saleDuration <= bounds.maxSaleDuration,
+            "Sale duration out of bounds"
+        );
+
+        uint256 minBuyLimit = (config.totalSupply * bounds.minBuyLimitBps) / 10_000;
+        require(
+            (config.maxTxTokens == 0 || config.maxTxTokens >= minBuyLimit) &&
+                (config.maxWalletTokens == 0 || config.maxWalletTokens >= minBuyLimit),
+            "Buy limit below minimum"
+        );
+        require(
+            config.protectionBlocks <= bounds.maxProtectionBlocks &&
+                config.protectionDuration <= bounds.maxProtectionDuration,
+            "Protection window out of bounds"
+        );
+        require(
+            config.maxWalletTokens == 0 || config.protectionBlocks > 0 || config.protectionDuration > 0,
+            "Wallet limit without window"
+        );
+        require(config.buyCooldown <= bounds.maxBuyCooldown, "Buy cooldown out of bounds");
+
+        require(
+            config.creatorAllocation <= (config.totalSupply * bounds.maxCreatorAllocationBps) / 10_000,
+            "Creator allocation above maximum"
+        );
+        require(
+            config.tokenSoldThreshold + config.liquidityTokens + config.creatorAllocation <= config.totalSupply,
+            "Allocation exceeds unsold supply"
+        );
+        if (config.creatorAllocation > 0 || config.lockInitialPurchase) {
+            require(
+                config.vestingDuration >= bounds.minVestingDuration &&
+                    config.vestingDuration <= bounds.maxVestingDuration &&
+                    config.vestingCliff <= config.vestingDuration,
+                "Vesting schedule out of bounds"
+            );
+        }
+
+        require(
+            config.allowlistRoot == bytes32(0)
+                ? config.allowlistDuration == 0
+                : config.allowlistDuration > 0 &&
+                    config.allowlistDuration <= bounds.maxAllowlistDuration &&
+                    config.allowlistDuration < config.saleDuration,
+            "Allowlist window out of bounds"
+        );
+    }
+
+    /// @notice Schedules a call to a timelocked setter, given as its ABI-encoded calldata. It can be made once
+    ///         TIMELOCK_DELAY has passed, by an account holding the setter's role.
+    /// @return id The change's id, the hash of `data`.
+    function scheduleChange(bytes calldata data) external returns (bytes32 id) {
+        require(msg.sender == owner() || feeAdmins[msg.sender], "Caller not authorized");
+        return _scheduleChange(data);
+    }
+
+    function cancelChange(bytes32 id) external onlyGuardian {
+        _cancelChange(id);
+    }
+
+    /// @notice Holds the wiring setters back behind the timelock from now on. It cannot be undone.
+    function armTimelock() external onlyOwner {
+        _armTimelock();
+    }
+
+    function setGuardian(address account, bool enabled) external onlyOwner timelockedOnceArmed {
+        guardians[account] = enabled;
+        emit GuardianUpdated(account, enabled);
+    }
+
+    function setFeeAdmin(address account, bool enabled) external onlyOwner timelockedOnceArmed {
+        feeAdmins[account] = enabled;
+        emit FeeAdminUpdated(account, enabled);
+    }
+
+    /// @notice Stops new launches and trading on every curve created here.
+    function pause() external onlyGuardian {
+        _pause();
+    }
+
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
+    /// @notice Stops trading, migration and refunds on one curve created here.
+    function pauseCurve(address payable bondingCurve) external onlyGuardian {
+        BondingCurve(bondingCurve).setPaused(true);
+        emit CurvePaused(bondingCurve, true);
+    }
+
+    function unpauseCurve(address payable bondingCurve) external onlyOwner {
+        BondingCurve(bondingCurve).setPaused(false);
+        emit CurvePaused(bondingCurve, false);
+    }
+
+    /// @notice Returns a paused or failed curve's BERA to its holders: the curve switches to refunds at once,
+    ///         whether or not its sale has expired, and holders redeem with claimRefund.
+    function emergencyRefund(address payable bondingCurve) external onlyOwner {
+        BondingCurve(bondingCurve).emergencyRefunds();
+        emit EmergencyRefundsEnabled(bondingCurve);
+    }
+
+    function setCreationFee(uint256 _newFee) external onlyFeeAdmin timelocked {
+        require(_newFee <= MAX_CREATION_FEE, "Creation fee too high");
         creationFee = _newFee;
+        emit CreationFeeUpdated(_newFee);
+    }
+
+    /// @notice Points new curves at another splitter; existing curves keep theirs.
+    function setFeeSplitter(address _newSplitter) external onlyOwner timelocked {
+        require(_newSplitter != address(0), "Zero fee splitter");
+        feeSplitter = _newSplitter;
+        emit FeeSplitterUpdated(_newSplitter);
     }
 
-    function setFeeCollector(address _newCollector) external onlyOwner {
-        feeCollector = _newCollector;
+    /// @notice Switches the implementations future launches are cloned from. Existing launches keep theirs.
+    function setImplementations(
+        address _tokenImplementation,
+        address _curveImplementation
+    ) external onlyOwner timelocked {
+        _setImplementations(_tokenImplementation, _curveImplementation);
     }
 
-    function setLiquidityManager(address _newManager) external onlyOwner {
+    function _setImplementations(address _tokenImplementation, address _curveImplementation) internal {
+        require(
+            _tokenImplementation.code.length > 0 && _curveImplementation.code.length > 0,
+            "Implementation is not a contract"
+        );
+        tokenImplementation = _tokenImplementation;
+        curveImplementation = _curveImplementation;
+        emit ImplementationsUpdated(_tokenImplementation, _curveImplementation);
+    }
+
+    function setLiquidityManager(address _newManager) external onlyOwner timelocked {
+        require(_newManager != address(0), "Zero liquidity manager");
         liquidityManager = _newManager;
+        emit LiquidityManagerUpdated(_newManager);
+    }
+
+    function setCurveModel(address _model, bool _allowed) external onlyOwner timelockedOnceArmed {
+        curveModels[_model] = _allowed;
+        emit CurveModelUpdated(_model, _allowed);
+    }
+
+    /// @notice Configures the backup BERA/USD sources and staleness bound of a curve created here.
+    function setCurvePriceSources(
+        address payable bondingCurve,
+        address secondaryPriceFeed,
+        uint256 fallbackPrice,
+        uint256 maxPriceAge
+    ) external onlyOwner timelocked {
+        BondingCurve(bondingCurve).setPriceSources(secondaryPriceFeed, fallbackPrice, maxPriceAge);
+        emit CurvePriceSourcesUpdated(bondingCurve, secondaryPriceFeed, fallbackPrice, maxPriceAge);
+    }
+
+    /// @notice Reserves symbols nobody may launch, or releases them. Launched symbols stay taken either way.
+    function setReservedSymbols(string[] calldata symbols, bool reserved) external onlyOwner {
+        for (uint256 i = 0; i < symbols.length; i++) {
+            reservedSymbols[symbolKey(symbols[i])] = reserved;
+            emit SymbolReservationUpdated(symbols[i], reserved);
+        }
+    }
+
+    function setLaunchBounds(LaunchBounds calldata _bounds) external onlyOwner timelocked {
+        require(_bounds.minTotalSupply <= _bounds.maxTotalSupply, "Invalid supply bounds");
+        require(_bounds.minBeraRaisedThreshold <= _bounds.maxBeraRaisedThreshold, "Invalid BERA bounds");
+        require(_bounds.maxFeeBps < 10_000, "Fee bound too high");
+        require(_bounds.minSaleDuration <= _bounds.maxSaleDuration, "Invalid sale duration bounds");
+        require(_bounds.minBuyLimitBps <= 10_000, "Buy limit bound too high");
+        require(_bounds.maxCreatorAllocationBps <= 10_000, "Allocation bound too high");
+        require(_bounds.minVestingDuration <= _bounds.maxVestingDuration, "Invalid vesting bounds");
+        launchBounds = _bounds;
+        emit LaunchBoundsUpdated(_bounds);
+    }
+
+    function setDefaultLaunchConfig(LaunchConfig calldata _config) external onlyOwner timelockedOnceArmed {
+        validateLaunchConfig(_config);
+        defaultLaunchConfig = _config;
+        emit DefaultLaunchConfigUpdated(_config);
     }
 }
@@ -0,0 +1,131 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./ICurveModel.sol";
+import "./FixedPointMath.sol";
+
+/// @notice Price grows exponentially from `initialPrice` to `finalPrice` over the first `priceSpan`
+///         tokens sold, i.e. price(s) = initialPrice * (finalPrice / initialPrice) ^ (s / priceSpan).
+/// @dev Params: abi.encode(initialPrice, finalPrice, referenceBeraPrice, priceSpan), with the same
+///      units as LinearCurveModel. Cheap early, steep late: the same endpoints as a linear curve raise
+///      less BERA before the span is reached.
+contract ExponentialCurveModel is ICurveModel {
+    using FixedPointMath for uint256;
+
+    uint256 public constant PRICE_DECIMALS = 1e6;
+
+    struct Params {
+        uint256 initialPrice;
+        uint256 finalPrice;
+        uint256 referenceBeraPrice;
+        uint256 priceSpan;
+    }
+
+    function encodeParams(
+        uint256 initialPrice,
+        uint256 finalPrice,
+        uint256 referenceBeraPrice,
+        uint256 priceSpan
+    ) external pure returns (bytes memory) {
+        return abi.encode(initialPrice, finalPrice, referenceBeraPrice, priceSpan);
+    }
+
+    function validateParams(bytes calldata params) external pure {
+        Params memory p = _decode(params);
+        require(p.initialPrice > 0, "Zero initial price");
+        require(p.finalPrice > p.initialPrice, "Final price not above initial price");
+        require(p.referenceBeraPrice > 0, "Zero reference BERA price");
+        require(p.priceSpan > 0, "Zero price span");
+    }
+
+    /// @dev Valued at the reference BERA price, as in LinearCurveModel.
+    function validateLaunch(bytes calldata params, uint256 saleSupply, uint256 beraRaisedThreshold) external pure {
+        uint256 referenceBeraPrice = _decode(params).referenceBeraPrice;
+        uint256 beraRaised = (valueBetween(params, 0, saleSupply, referenceBeraPrice) * 1e18) / referenceBeraPrice;
+        require(beraRaised >= beraRaisedThreshold, "Sale cannot raise BERA threshold");
+    }
+
+    function priceAt(bytes calldata params, uint256 soldTokens, uint256 beraPrice) external pure returns (uint256) {
+        Params memory p = _decode(params);
+        uint256 growth = _growth(p);
+        return Math.mulDiv(
+            p.initialPrice * beraPrice,
+            _exp(p, growth, soldTokens),
+            p.referenceBeraPrice * FixedPointMath.WAD
+        );
+    }
+
+    function valueBetween(
+        bytes calldata params,
+        uint256 soldTokens,
+        uint256 amount,
+        uint256 beraPrice
+    ) public pure returns (uint256) {
+        Params memory p = _decode(params);
+        uint256 growth = _growth(p);
+        uint256 start = _area(p, growth, soldTokens, beraPrice);
+        uint256 end = _area(p, growth, soldTokens + amount, beraPrice);
+        return end > start ? end - start : 0;
+    }
+
+    function tokensForValue(
+        bytes calldata params,
+        uint256 soldTokens,
+        uint256 valueUSD,
+        uint256 beraPrice
+    ) external pure returns (uint256 amount) {
+        Params memory p = _decode(params);
+        uint256 growth = _growth(p);
+        uint256 target = _area(p, growth, soldTokens, beraPrice) + valueUSD;
+        // Invert _area: exp(growth * s / priceSpan) = target * scale / (initialPrice * beraPrice * priceSpan).
+        uint256 exponent = Math.mulDiv(
+            target,
+            p.referenceBeraPrice * growth * PRICE_DECIMALS,
+            p.initialPrice * beraPrice * p.priceSpan
+        );
+        if (exponent <= FixedPointMath.WAD) {
+            return 0;
+        }
+        uint256 newSold = (exponent.lnWad() * p.priceSpan) / growth;
+        if (newSold <= soldTokens) {
+            return 0;
+        }
+        amount = newSold - soldTokens;
+
+        // The logarithm is approximate; back off until the fill is covered by valueUSD.
+        uint256 step = 1;
+        while (amount > 0 && valueBetween(params, soldTokens, amount, beraPrice) > valueUSD) {
+            amount = amount > step ? amount - step : 0;
+            step *= 2;
+        }
+    }
+
+    /// @dev ln(finalPrice / initialPrice), 18 decimals.
+    function _growth(Params memory p) internal pure returns (uint256) {
+        return ((p.finalPrice * FixedPointMath.WAD) / p.initialPrice).lnWad();
+    }
+
+    /// @dev exp(growth * soldTokens / priceSpan), 18 decimals.
+    function _exp(Params memory p, uint256 growth, uint256 soldTokens) internal pure returns (uint256) {
+        return ((growth * soldTokens) / p.priceSpan).expWad();
+    }
+
+    /// @dev USD value (18 decimals) of the antiderivative at `soldTokens`; differences give the area.
+    function _area(
+        Params memory p,
+        uint256 growth,
+        uint256 soldTokens,
+        uint256 beraPrice
+    ) internal pure returns (uint256) {
+        return Math.mulDiv(
+            p.initialPrice * beraPrice,
+            p.priceSpan * _exp(p, growth, soldTokens),
+            p.referenceBeraPrice * growth * PRICE_DECIMALS
+        );
+    }
+
+    function _decode(bytes calldata params) internal pure returns (Params memory) {
+        return abi.decode(params, (Params));
+    }
+}
@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/// @notice Natural exponent and logarithm on 18-decimal fixed-point numbers, limited to the
+///         non-negative range the curve models need.
+library FixedPointMath {
+    uint256 internal constant WAD = 1e18;
+    uint256 internal constant LN2 = 693147180559945309; // ln(2), rounded down
+
+    /// @notice e^x for x >= 0, rounded down.
+    function expWad(uint256 x) internal pure returns (uint256) {
+        require(x <= 130 * WAD, "Exponent too large");
+        // e^x = 2^k * e^r with 0 <= r < ln(2); the series for e^r drops below 1 wei within ~20 terms.
+        uint256 k = x / LN2;
+        uint256 r = x - k * LN2;
+        uint256 term = WAD;
+        uint256 sum = WAD;
+        for (uint256 i = 1; term != 0; i++) {
+            term = (term * r) / (WAD * i);
+            sum += term;
+        }
+        return sum << k;
+    }
+
+    /// @notice ln(x) for x >= 1, rounded down.
+    function lnWad(uint256 x) internal pure returns (uint256) {
+        require(x >= WAD, "Logarithm below one");
+        // ln(x) = n * ln(2) + ln(y) with 1 <= y < 2, and ln(y) = 2 * atanh((y - 1) / (y + 1)).
+        uint256 n = Math.log2(x / WAD);
+        uint256 y = x >> n;
+        uint256 z = ((y - WAD) * WAD) / (y + WAD);
+        uint256 zSquared = (z * z) / WAD;
+        uint256 term = z;
+        uint256 sum = 0;
+        for (uint256 i = 1; term != 0; i += 2) {
+            sum += term / i;
+            term = (term * zSquared) / WAD;
+        }
+        return n * LN2 + 2 * sum;
+    }
+}
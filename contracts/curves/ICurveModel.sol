@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @notice Pricing logic a BondingCurve delegates to. Models are stateless and shared between curves;
+///         each curve keeps its own ABI-encoded parameters and passes them on every call.
+/// @dev Prices are USD per whole token with 6 decimals (the curve's PRICE_DECIMALS) and values are USD
+///      with 18 decimals, both derived from the BERA/USD price (18 decimals) supplied by the curve.
+interface ICurveModel {
+    /// @notice Reverts unless `params` describe a usable curve for this model.
+    function validateParams(bytes calldata params) external view;
+
+    /// @notice Reverts unless a curve with `params` can sell all `saleSupply` tokens and raises at least
+    ///         `beraRaisedThreshold` BERA by doing so, i.e. unless the launch can graduate.
+    function validateLaunch(bytes calldata params, uint256 saleSupply, uint256 beraRaisedThreshold) external view;
+
+    /// @notice Spot price once `soldTokens` have been sold.
+    function priceAt(
+        bytes calldata params,
+        uint256 soldTokens,
+        uint256 beraPrice
+    ) external view returns (uint256);
+
+    /// @notice USD value of the area under the curve between `soldTokens` and `soldTokens + amount`,
+    ///         rounded down.
+    function valueBetween(
+        bytes calldata params,
+        uint256 soldTokens,
+        uint256 amount,
+        uint256 beraPrice
+    ) external view returns (uint256);
+
+    /// @notice Largest token amount, starting at `soldTokens`, whose value does not exceed `valueUSD`.
+    function tokensForValue(
+        bytes calldata params,
+        uint256 soldTokens,
+        uint256 valueUSD,
+        uint256 beraPrice
+    ) external view returns (uint256);
+}
@@ -0,0 +1,109 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./ICurveModel.sol";
+
+/// @notice Price rises linearly from `initialPrice` to `finalPrice` over the first `priceSpan` tokens
+///         sold and keeps the same slope afterwards.
+/// @dev Params: abi.encode(initialPrice, finalPrice, referenceBeraPrice, priceSpan). Both prices are
+///      USD per token (6 decimals) quoted at `referenceBeraPrice` and scale with the live BERA price,
+///      e.g. (7, 75, 3000e18, 800_000_000e18) for $0.000007 -> $0.000075 at 3000 USD/BERA. They are only
+///      rounded once a price or value is returned, so the curve costs the same BERA at any BERA price.
+contract LinearCurveModel is ICurveModel {
+    uint256 public constant PRICE_DECIMALS = 1e6;
+
+    function encodeParams(
+        uint256 initialPrice,
+        uint256 finalPrice,
+        uint256 referenceBeraPrice,
+        uint256 priceSpan
+    ) external pure returns (bytes memory) {
+        return abi.encode(initialPrice, finalPrice, referenceBeraPrice, priceSpan);
+    }
+
+    function validateParams(bytes calldata params) external pure {
+        (uint256 initialPrice, uint256 finalPrice, uint256 referenceBeraPrice, uint256 priceSpan) = _decode(params);
+        require(initialPrice > 0, "Zero initial price");
+        require(finalPrice >= initialPrice, "Final price below initial price");
+        require(referenceBeraPrice > 0, "Zero reference BERA price");
+        require(priceSpan > 0, "Zero price span");
+    }
+
+    /// @dev Prices follow the BERA price, so the sale raises the same BERA at any BERA price; it is valued
+    ///      at the reference price.
+    function validateLaunch(bytes calldata params, uint256 saleSupply, uint256 beraRaisedThreshold) external pure {
+        (, , uint256 referenceBeraPrice, ) = _decode(params);
+        uint256 beraRaised = (valueBetween(params, 0, saleSupply, referenceBeraPrice) * 1e18) / referenceBeraPrice;
+        require(beraRaised >= beraRaisedThreshold, "Sale cannot raise BERA threshold");
+    }
+
+    function priceAt(bytes calldata params, uint256 soldTokens, uint256 beraPrice) external pure returns (uint256) {
+        (uint256 initialPrice, uint256 finalPrice, uint256 referenceBeraPrice, uint256 priceSpan) =
+            _decodeAt(params, beraPrice);
+        return Math.mulDiv(
+            initialPrice * priceSpan + (finalPrice - initialPrice) * soldTokens,
+            beraPrice,
+            priceSpan * referenceBeraPrice
+        );
+    }
+
+    function valueBetween(
+        bytes calldata params,
+        uint256 soldTokens,
+        uint256 amount,
+        uint256 beraPrice
+    ) public pure returns (uint256) {
+        (uint256 initialPrice, uint256 finalPrice, uint256 referenceBeraPrice, uint256 priceSpan) =
+            _decodeAt(params, beraPrice);
+        uint256 priceDiff = finalPrice - initialPrice;
+        // Twice the area at the reference price, scaled by priceSpan * PRICE_DECIMALS to stay in integers.
+        uint256 scaledStart = initialPrice * priceSpan + priceDiff * soldTokens;
+        return Math.mulDiv(
+            amount * (2 * scaledStart + priceDiff * amount),
+            beraPrice,
+            2 * priceSpan * PRICE_DECIMALS * referenceBeraPrice
+        );
+    }
+
+    /// @dev Solves the quadratic and then nudges the result onto the exact bound so that splitting an
+    ///      order can never deliver more tokens than filling it at once.
+    function tokensForValue(
+        bytes calldata params,
+        uint256 soldTokens,
+        uint256 valueUSD,
+        uint256 beraPrice
+    ) external pure returns (uint256) {
+        (uint256 initialPrice, uint256 finalPrice, uint256 referenceBeraPrice, uint256 priceSpan) =
+            _decodeAt(params, beraPrice);
+        uint256 priceDiff = finalPrice - initialPrice;
+        uint256 scaledStart = initialPrice * priceSpan + priceDiff * soldTokens;
+        // amount * (2 * scaledStart + priceDiff * amount) <= budget, the value brought to the reference price
+        uint256 budget = Math.mulDiv(2 * valueUSD * priceSpan * PRICE_DECIMALS, referenceBeraPrice, beraPrice);
+
+        uint256 amount = priceDiff == 0
+            ? budget / (2 * scaledStart)
+            : (Math.sqrt(scaledStart * scaledStart + priceDiff * budget) - scaledStart) / priceDiff;
+
+        while (amount > 0 && amount * (2 * scaledStart + priceDiff * amount) > budget) {
+            amount--;
+        }
+        while ((amount + 1) * (2 * scaledStart + priceDiff * (amount + 1)) <= budget) {
+            amount++;
+        }
+        return amount;
+    }
+
+    /// @dev The params, for a BERA price at which the curve still starts at a nonzero price.
+    function _decodeAt(
+        bytes calldata params,
+        uint256 beraPrice
+    ) internal pure returns (uint256 initialPrice, uint256 finalPrice, uint256 referenceBeraPrice, uint256 priceSpan) {
+        (initialPrice, finalPrice, referenceBeraPrice, priceSpan) = _decode(params);
+        require(initialPrice * beraPrice >= referenceBeraPrice, "Invalid BERA price");
+    }
+
+    function _decode(bytes calldata params) internal pure returns (uint256, uint256, uint256, uint256) {
+        return abi.decode(params, (uint256, uint256, uint256, uint256));
+    }
+}
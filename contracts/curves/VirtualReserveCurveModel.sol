@@ -0,0 +1,92 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./ICurveModel.sol";
+
+/// @notice Constant-product curve over virtual reserves, as popularised by pump-style launchpads.
+///         The curve starts with `virtualBera` BERA against `virtualTokens` tokens and keeps
+///         virtualBera * virtualTokens constant as tokens leave the token reserve.
+/// @dev Params: abi.encode(virtualBera, virtualTokens), both with 18 decimals. The model is priced in
+///      BERA, so its USD price simply follows the BERA price. `virtualTokens` must exceed every token
+///      the curve can sell, otherwise the price becomes unbounded before the supply runs out; validateLaunch
+///      checks it against the launch's sale supply.
+contract VirtualReserveCurveModel is ICurveModel {
+    uint256 public constant PRICE_DECIMALS = 1e6;
+
+    function encodeParams(uint256 virtualBera, uint256 virtualTokens) external pure returns (bytes memory) {
+        return abi.encode(virtualBera, virtualTokens);
+    }
+
+    function validateParams(bytes calldata params) external pure {
+        (uint256 virtualBera, uint256 virtualTokens) = _decode(params);
+        require(virtualBera > 0, "Zero virtual BERA reserve");
+        require(virtualTokens > 0, "Zero virtual token reserve");
+    }
+
+    function validateLaunch(bytes calldata params, uint256 saleSupply, uint256 beraRaisedThreshold) external pure {
+        (uint256 virtualBera, uint256 virtualTokens) = _decode(params);
+        require(saleSupply < virtualTokens, "Sale supply exceeds virtual token reserve");
+        uint256 beraRaised = _beraReserve(virtualBera, virtualTokens, virtualTokens - saleSupply) - virtualBera;
+        require(beraRaised >= beraRaisedThreshold, "Sale cannot raise BERA threshold");
+    }
+
+    function priceAt(bytes calldata params, uint256 soldTokens, uint256 beraPrice) external pure returns (uint256) {
+        (uint256 virtualBera, uint256 virtualTokens) = _decode(params);
+        uint256 tokenReserve = _tokenReserve(virtualTokens, soldTokens);
+        return Math.mulDiv(
+            _beraReserve(virtualBera, virtualTokens, tokenReserve) * PRICE_DECIMALS,
+            beraPrice,
+            tokenReserve * 1e18
+        );
+    }
+
+    function valueBetween(
+        bytes calldata params,
+        uint256 soldTokens,
+        uint256 amount,
+        uint256 beraPrice
+    ) external pure returns (uint256) {
+        (uint256 virtualBera, uint256 virtualTokens) = _decode(params);
+        uint256 beraBefore = _beraReserve(virtualBera, virtualTokens, _tokenReserve(virtualTokens, soldTokens));
+        uint256 beraAfter = _beraReserve(
+            virtualBera,
+            virtualTokens,
+            _tokenReserve(virtualTokens, soldTokens + amount)
+        );
+        return ((beraAfter - beraBefore) * beraPrice) / 1e18;
+    }
+
+    function tokensForValue(
+        bytes calldata params,
+        uint256 soldTokens,
+        uint256 valueUSD,
+        uint256 beraPrice
+    ) external pure returns (uint256) {
+        (uint256 virtualBera, uint256 virtualTokens) = _decode(params);
+        uint256 tokenReserve = _tokenReserve(virtualTokens, soldTokens);
+        uint256 beraIn = (valueUSD * 1e18) / beraPrice;
+        uint256 beraReserve = _beraReserve(virtualBera, virtualTokens, tokenReserve) + beraIn;
+        // Rounding the remaining reserve up keeps the fill within what beraIn pays for.
+        uint256 newTokenReserve = Math.mulDiv(virtualBera, virtualTokens, beraReserve, Math.Rounding.Ceil);
+        return newTokenReserve < tokenReserve ? tokenReserve - newTokenReserve : 0;
+    }
+
+    function _tokenReserve(uint256 virtualTokens, uint256 soldTokens) internal pure returns (uint256) {
+        require(soldTokens < virtualTokens, "Exceeds virtual token reserve");
+        return virtualTokens - soldTokens;
+    }
+
+    /// @dev BERA side of the constant product for a given token reserve, rounded down.
+    function _beraReserve(
+        uint256 virtualBera,
+        uint256 virtualTokens,
+        uint256 tokenReserve
+    ) internal pure returns (uint256) {
+        return Math.mulDiv(virtualBera, virtualTokens, tokenReserve);
+    }
+
+    function _decode(bytes calldata params) internal pure returns (uint256, uint256) {
+        return abi.decode(params, (uint256, uint256));
+    }
+}
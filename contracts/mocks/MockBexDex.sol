@@ -1,36 +1,105 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/// @dev Decodes the CrocSwap init-pool (cold path, code 71) and full-range mint (warm path, codes 31
+///      and 32) commands and settles them the way the DEX would: native BERA from msg.value, quote
+///      tokens pulled from the caller, and surplus BERA sent back. Creating a pool locks
+///      INIT_LOCK_LIQUIDITY in it at the creator's expense and, like the DEX, returns no flows.
 contract MockBexDex {
-    mapping(address => mapping(address => uint256)) public liquidityPools;
+    uint256 public constant INIT_LOCK_LIQUIDITY = 10_000;
+
+    struct Pool {
+        uint128 sqrtPriceX64;
+        uint256 baseReserves;
+        uint256 quoteReserves;
+    }
+
+    mapping(bytes32 => Pool) public pools;
+    // Ambient liquidity by pool and position owner.
+    mapping(bytes32 => mapping(address => uint256)) public ambientLiquidity;
 
     function userCmd(uint16 callpath, bytes calldata cmd) external payable returns (bytes memory) {
+        uint8 code = abi.decode(cmd, (uint8));
+
+        if (callpath == 3) {
+            require(code == 71, "Invalid code");
+            (, address base, address quote, uint256 poolIdx, uint128 price) =
+                abi.decode(cmd, (uint8, address, address, uint256, uint128));
+            require(base < quote, "Base must sort before quote");
+            require(price > 0, "Invalid price");
+            Pool storage pool = pools[poolKey(base, quote, poolIdx)];
+            require(pool.sqrtPriceX64 == 0, "Pool already initialized");
+            pool.sqrtPriceX64 = price;
+
+            uint256 lockBase = Math.mulDiv(INIT_LOCK_LIQUIDITY, 1 << 64, price, Math.Rounding.Ceil);
+            uint256 lockQuote = Math.mulDiv(INIT_LOCK_LIQUIDITY, price, 1 << 64, Math.Rounding.Ceil);
+            _settle(quote, lockBase, lockQuote);
+            pool.baseReserves += lockBase;
+            pool.quoteReserves += lockQuote;
+            return "";
+        }
+
         require(callpath == 2, "Invalid callpath");
-        
-        // Extract the first byte (code)
-        uint8 code = uint8(cmd[0]);
-        require(code == 3, "Invalid code");
+        require(code == 31 || code == 32, "Invalid code");
+        (, address base, address quote, uint256 poolIdx, , , uint128 qty, uint128 limitLower, uint128 limitHigher, , address lpConduit) =
+            abi.decode(cmd, (uint8, address, address, uint256, int24, int24, uint128, uint128, uint128, uint8, address));
+        require(base == address(0), "Only native base supported");
+        bytes32 key = poolKey(base, quote, poolIdx);
+        Pool storage pool = pools[key];
+        require(pool.sqrtPriceX64 > 0, "Pool not initialized");
+        require(pool.sqrtPriceX64 >= limitLower && pool.sqrtPriceX64 <= limitHigher, "Price outside limits");
 
-        // Extract token address (next 20 bytes)
-        address baseToken;
-        assembly {
-            // Skip the first byte and load the next 32 bytes
-            let ptr := add(cmd.offset, 1)
-            baseToken := shr(96, calldataload(ptr))
+        uint256 priceX128 = uint256(pool.sqrtPriceX64) * pool.sqrtPriceX64;
+        uint256 baseIn;
+        uint256 quoteIn;
+        if (code == 31) {
+            baseIn = qty;
+            quoteIn = Math.mulDiv(qty, priceX128, 1 << 128, Math.Rounding.Ceil);
+        } else {
+            quoteIn = qty;
+            baseIn = Math.mulDiv(qty, 1 << 128, priceX128, Math.Rounding.Ceil);
         }
-        
-        // Record the liquidity using msg.value
-        liquidityPools[baseToken][address(0)] = msg.value;
-        
-        return "";
+        _settle(quote, baseIn, quoteIn);
+
+        pool.baseReserves += baseIn;
+        pool.quoteReserves += quoteIn;
+        ambientLiquidity[key][lpConduit == address(0) ? msg.sender : lpConduit] += Math.sqrt(baseIn * quoteIn);
+        return abi.encode(int128(int256(baseIn)), int128(int256(quoteIn)));
     }
 
-    function getLiquidity(address baseToken, address quoteToken) external view returns (uint256) {
-        return liquidityPools[baseToken][quoteToken];
+    /// @dev Takes `baseIn` out of msg.value and pulls `quoteIn`, refunding surplus native BERA like the DEX
+    ///      settlement does.
+    function _settle(address quote, uint256 baseIn, uint256 quoteIn) internal {
+        require(msg.value >= baseIn, "Insufficient native base");
+        require(IERC20(quote).transferFrom(msg.sender, address(this), quoteIn), "Quote transfer failed");
+        if (msg.value > baseIn) {
+            (bool sent, ) = msg.sender.call{value: msg.value - baseIn}("");
+            require(sent, "Refund failed");
+        }
+    }
+
+    function poolKey(address base, address quote, uint256 poolIdx) public pure returns (bytes32) {
+        return keccak256(abi.encode(base, quote, poolIdx));
+    }
+
+    /// @dev CrocQuery's price lookup: the square root price, or zero for a pool that does not exist.
+    function queryPrice(address base, address quote, uint256 poolIdx) external view returns (uint128) {
+        return pools[poolKey(base, quote, poolIdx)].sqrtPriceX64;
+    }
+
+    function getPool(address base, address quote, uint256 poolIdx) external view returns (Pool memory) {
+        return pools[poolKey(base, quote, poolIdx)];
     }
 }
 
 contract MockFailingBexDex {
+    function queryPrice(address, address, uint256) external pure returns (uint128) {
+        return 0;
+    }
+
     function userCmd(uint16, bytes calldata) external pure returns (bytes memory) {
         assembly {
             revert(0, 0)
@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/// @notice Plain ERC20 minting its whole supply to the deployer.
+contract MockERC20 is ERC20 {
+    constructor(string memory name, string memory symbol, uint256 totalSupply) ERC20(name, symbol) {
+        _mint(msg.sender, totalSupply);
+    }
+}
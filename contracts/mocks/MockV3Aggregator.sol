@@ -10,6 +10,7 @@ contract MockV3Aggregator {
     mapping(uint256 => int256) public getAnswer;
     mapping(uint256 => uint256) public getTimestamp;
     mapping(uint256 => uint256) private getStartedAt;
+    mapping(uint256 => uint256) private getAnsweredInRound;
 
     constructor(uint8 _decimals, int256 _initialAnswer) {
         decimals = _decimals;
@@ -23,6 +24,24 @@ contract MockV3Aggregator {
         getAnswer[latestRound] = _answer;
         getTimestamp[latestRound] = block.timestamp;
         getStartedAt[latestRound] = block.timestamp;
+        getAnsweredInRound[latestRound] = latestRound;
+    }
+
+    /// @dev Writes an arbitrary round and makes it the latest, e.g. to replay old or future rounds.
+    function updateRoundData(uint80 _roundId, int256 _answer, uint256 _timestamp, uint256 _startedAt) public {
+        latestRound = _roundId;
+        latestAnswer = _answer;
+        latestTimestamp = _timestamp;
+        getAnswer[latestRound] = _answer;
+        getTimestamp[latestRound] = _timestamp;
+        getStartedAt[latestRound] = _startedAt;
+        getAnsweredInRound[latestRound] = _roundId;
+    }
+
+    /// @dev Marks a round as carried over from an earlier one, as an aggregator does when it has not
+    ///      reached a fresh answer.
+    function setAnsweredInRound(uint80 _roundId, uint80 _answeredInRound) external {
+        getAnsweredInRound[_roundId] = _answeredInRound;
     }
 
     function getRoundData(uint80 _roundId)
@@ -41,7 +60,7 @@ contract MockV3Aggregator {
             getAnswer[_roundId],
             getStartedAt[_roundId],
             getTimestamp[_roundId],
-            _roundId
+            uint80(getAnsweredInRound[_roundId])
         );
     }
 
@@ -61,7 +80,7 @@ contract MockV3Aggregator {
             latestAnswer,
             getStartedAt[latestRound],
             getTimestamp[latestRound],
-            uint80(latestRound)
+            uint80(getAnsweredInRound[latestRound])
         );
     }
 } 
\ No newline at end of file
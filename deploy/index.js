@@ -0,0 +1,17 @@
+// @ts-check
+const { CONTRACTS, CURVE_MODELS, deploy } = require("./pipeline");
+const { loadManifest, saveManifest } = require("./manifest");
+const { PROFILES, resolveProfile } = require("./profiles");
+const { verificationPayload, writeVerificationPayload } = require("./verify");
+
+module.exports = {
+    CONTRACTS,
+    CURVE_MODELS,
+    PROFILES,
+    deploy,
+    loadManifest,
+    resolveProfile,
+    saveManifest,
+    verificationPayload,
+    writeVerificationPayload
+};
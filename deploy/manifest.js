@@ -0,0 +1,59 @@
+// @ts-check
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @typedef {Object} ManifestEntry
+ * @property {string} contract Fully qualified contract name.
+ * @property {string} address
+ * @property {any[]} args Constructor arguments.
+ * @property {string} [txHash] The deployment transaction; for contracts created by another, its creator's.
+ * @property {boolean} [pending] Set between sending the deployment and it being mined.
+ * @property {number} [block]
+ * @property {string} [createdBy] The manifest entry of the contract that created this one.
+ * @property {string} [deployedAt]
+ */
+
+/**
+ * @typedef {Object} Manifest
+ * @property {string} network
+ * @property {number} chainId
+ * @property {Record<string, string | null>} config The external addresses the contracts were wired to.
+ * @property {Record<string, ManifestEntry>} contracts
+ * @property {string | null} updatedAt
+ */
+
+/**
+ * Reads a network's manifest, or starts an empty one. A manifest recorded on another chain is refused
+ * rather than resumed, since none of its addresses mean anything here.
+ * @param {string} file
+ * @param {{ network: string, chainId: number }} chain
+ * @returns {Manifest}
+ */
+function loadManifest(file, { network, chainId }) {
+    if (!fs.existsSync(file)) {
+        return { network, chainId, config: {}, contracts: {}, updatedAt: null };
+    }
+    const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (manifest.chainId !== chainId) {
+        throw new Error(`${file} was recorded on chain ${manifest.chainId}, but ${network} is chain ${chainId}`);
+    }
+    return { network, chainId, config: {}, contracts: {}, updatedAt: null, ...manifest };
+}
+
+/**
+ * Writes the manifest through a temporary file, so an interrupted run never leaves it half written.
+ * @param {string} file
+ * @param {Manifest} manifest
+ */
+function saveManifest(file, manifest) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    manifest.updatedAt = new Date().toISOString();
+    fs.writeFileSync(`${file}.tmp`, `${JSON.stringify(manifest, null, 2)}\n`);
+    fs.renameSync(`${file}.tmp`, file);
+}
+
+module.exports = {
+    loadManifest,
+    saveManifest
+};
@@ -0,0 +1,401 @@
+// @ts-check
+const path = require("path");
+const { ethers } = require("ethers");
+const { loadManifest, saveManifest } = require("./manifest");
+const { resolveProfile } = require("./profiles");
+const { writeVerificationPayload } = require("./verify");
+
+/** @typedef {import("./manifest").Manifest} Manifest */
+/** @typedef {import("./manifest").ManifestEntry} ManifestEntry */
+
+// Manifest entries and the contracts they are deployed from.
+const CONTRACTS = {
+    MockBexDex: "contracts/mocks/MockBexDex.sol:MockBexDex",
+    MockPriceFeed: "contracts/mocks/MockPriceFeed.sol:MockPriceFeed",
+    BexLiquidityManager: "contracts/BexLiquidityManager.sol:BexLiquidityManager",
+    FeeSplitter: "contracts/FeeSplitter.sol:FeeSplitter",
+    TokenImplementation: "contracts/TokenFactory.sol:CustomERC20",
+    CurveImplementation: "contracts/BondingCurve.sol:BondingCurve",
+    TokenFactory: "contracts/TokenFactory.sol:TokenFactory",
+    CreatorVesting: "contracts/CreatorVesting.sol:CreatorVesting",
+    LinearCurveModel: "contracts/curves/LinearCurveModel.sol:LinearCurveModel",
+    ExponentialCurveModel: "contracts/curves/ExponentialCurveModel.sol:ExponentialCurveModel",
+    VirtualReserveCurveModel: "contracts/curves/VirtualReserveCurveModel.sol:VirtualReserveCurveModel"
+};
+
+// Models approved on the factory, so launches can pick any of them.
+const CURVE_MODELS = /** @type {const} */ (["LinearCurveModel", "ExponentialCurveModel", "VirtualReserveCurveModel"]);
+
+// Contracts the deployer hands over to OWNER_ADDRESS.
+const OWNED = /** @type {const} */ (["TokenFactory", "FeeSplitter", "BexLiquidityManager"]);
+
+// The mock feed's starting price on local chains, in USD with 18 decimals.
+const MOCK_BERA_PRICE = ethers.parseEther("3000");
+
+const PRICE_FEED_ABI = [
+    "function decimals() view returns (uint8)",
+    "function latestRoundData() view returns (uint80, int256, uint256, uint256, uint80)"
+];
+
+/**
+ * @typedef {Object} DeployOptions
+ * @property {Record<string, string | undefined>} [env] Where the addresses are read from; process.env by default.
+ * @property {string} [dir] Where manifests and verification payloads are written.
+ * @property {(line: string) => void} [log]
+ */
+
+/**
+ * @typedef {Object} DeployResult
+ * @property {string} file The manifest.
+ * @property {Manifest} manifest
+ * @property {string[]} deployed Manifest entries deployed by this run.
+ * @property {string[]} reused Manifest entries found already deployed.
+ * @property {{ label: string, hash: string }[]} transactions Wiring and ownership transactions sent by this run.
+ */
+
+/**
+ * @param {string} a
+ * @param {string | undefined} b
+ * @returns {boolean}
+ */
+function same(a, b) {
+    return b !== undefined && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Reads an optional address setting; when set it has to be a valid, non-zero address.
+ * @param {Record<string, string | undefined>} env
+ * @param {string} name
+ * @returns {string | undefined}
+ */
+function readAddress(env, name) {
+    const value = env[name];
+    if (value === undefined || value === "") {
+        return undefined;
+    }
+    if (!ethers.isAddress(value) || ethers.getAddress(value) === ethers.ZeroAddress) {
+        throw new Error(`Invalid ${name}: ${value}`);
+    }
+    return ethers.getAddress(value);
+}
+
+/**
+ * Bigints are recorded as decimal strings, which encode the same way.
+ * @param {any[]} args
+ * @returns {any[]}
+ */
+function recordable(args) {
+    return args.map(arg => (typeof arg === "bigint" ? arg.toString() : arg));
+}
+
+/**
+ * Deploys the protocol to the Hardhat network `hre` is connected to, resuming from its manifest:
+ * contracts recorded there and still on chain are reused, and each wiring step is only sent when the
+ * chain does not already reflect it. Ownership moves to OWNER_ADDRESS once every check passes.
+ * @param {any} hre
+ * @param {DeployOptions} [options]
+ * @returns {Promise<DeployResult>}
+ */
+async function deploy(hre, { env = process.env, dir = "deployments", log = console.log } = {}) {
+    const provider = hre.ethers.provider;
+    const [deployer] = await hre.ethers.getSigners();
+    const chainId = Number((await provider.getNetwork()).chainId);
+    const profile = resolveProfile(hre.network, env);
+    if (profile.chainId !== undefined && profile.chainId !== chainId) {
+        throw new Error(`${hre.network.name} is chain ${chainId}, but the ${profile.name} profile expects chain ${profile.chainId}`);
+    }
+
+    const file = path.join(dir, `${profile.name}.json`);
+    const verifyDir = path.join(dir, "verify", profile.name);
+    const manifest = loadManifest(file, { network: profile.name, chainId });
+    /** @type {DeployResult} */
+    const result = { file, manifest, deployed: [], reused: [], transactions: [] };
+    log(`Deploying to ${profile.name} (chain ${chainId}) from ${deployer.address}`);
+
+    /** @param {string} address */
+    const hasCode = async address => (await provider.getCode(address)) !== "0x";
+    /** @param {string} key */
+    const addressOf = key => manifest.contracts[key].address;
+
+    /**
+     * Records a mined deployment and writes its verification payload.
+     * @param {string} key
+     * @param {ManifestEntry} entry
+     * @param {number} block
+     */
+    async function record(key, { pending, ...entry }, block) {
+        manifest.contracts[key] = { ...entry, block, deployedAt: new Date().toISOString() };
+        saveManifest(file, manifest);
+        await writeVerificationPayload(hre, verifyDir, key, manifest.contracts[key]);
+    }
+
+    /**
+     * Settles a deployment an interrupted run sent but never saw mined: it is kept when it made it on
+     * chain and forgotten when it was dropped or reverted.
+     * @param {string} key
+     * @param {ManifestEntry} entry
+     * @returns {Promise<ManifestEntry | undefined>}
+     */
+    async function settle(key, entry) {
+        let receipt = await provider.getTransactionReceipt(entry.txHash);
+        if (!receipt && (await provider.getTransaction(entry.txHash))) {
+            log(`${key}: waiting for ${entry.txHash}`);
+            receipt = await provider.waitForTransaction(entry.txHash, profile.confirmations);
+        }
+        if (!receipt || receipt.status !== 1) {
+            delete manifest.contracts[key];
+            saveManifest(file, manifest);
+            return undefined;
+        }
+        await record(key, entry, receipt.blockNumber);
+        return manifest.contracts[key];
+    }
+
+    /**
+     * Deploys a manifest entry unless it is already on chain.
+     * @param {keyof typeof CONTRACTS} key
+     * @param {any[]} [args]
+     * @returns {Promise<any>}
+     */
+    async function contract(key, args = []) {
+        const name = CONTRACTS[key];
+        /** @type {ManifestEntry | undefined} */
+        let entry = manifest.contracts[key];
+        if (entry?.pending) {
+            entry = await settle(key, entry);
+        }
+        if (entry) {
+            const onChain = await hasCode(entry.address);
+            // On live networks a contract deployed with other arguments is kept; the checks below report
+            // whatever that leaves miswired.
+            const changed = profile.local && JSON.stringify(entry.args) !== JSON.stringify(recordable(args));
+            if (onChain && !changed) {
+                result.reused.push(key);
+                log(`${key}: reusing ${entry.address}`);
+                return hre.ethers.getContractAt(name, entry.address, deployer);
+            }
+            if (!onChain && !profile.local) {
+                throw new Error(`${key} is recorded at ${entry.address}, but there is no code there; remove it from ${file} to deploy it again`);
+            }
+            log(`${key}: ${onChain ? "constructor arguments changed" : `${entry.address} is gone from this chain`}, deploying it again`);
+        }
+
+        const deployed = await (await hre.ethers.getContractFactory(name, deployer)).deploy(...args);
+        const tx = deployed.deploymentTransaction();
+        // Saved before waiting, so a run interrupted here picks the transaction up instead of sending another.
+        manifest.contracts[key] = { contract: name, address: await deployed.getAddress(), args: recordable(args), txHash: tx.hash, pending: true };
+        saveManifest(file, manifest);
+        const receipt = await tx.wait(profile.confirmations);
+        await record(key, manifest.contracts[key], receipt.blockNumber);
+        result.deployed.push(key);
+        log(`${key}: deployed at ${addressOf(key)} (${tx.hash})`);
+        return deployed;
+    }
+
+    /**
+     * @param {string} label
+     * @param {() => Promise<any>} send
+     */
+    async function transact(label, send) {
+        const tx = await send();
+        await tx.wait(profile.confirmations);
+        result.transactions.push({ label, hash: tx.hash });
+        log(`${label}: ${tx.hash}`);
+    }
+
+    // External addresses: mainnets need them all, local chains get mocks and the deployer for what is unset.
+    const config = {
+        bexDex: readAddress(env, "BEX_DEX_ADDRESS"),
+        bexQuery: readAddress(env, "BEX_QUERY_ADDRESS"),
+        priceFeed: readAddress(env, "PRICE_FEED_ADDRESS"),
+        feeCollector: readAddress(env, "FEE_COLLECTOR_ADDRESS"),
+        liquidityCollector: readAddress(env, "LIQUIDITY_COLLECTOR_ADDRESS"),
+        guardian: readAddress(env, "GUARDIAN_ADDRESS"),
+        owner: readAddress(env, "OWNER_ADDRESS") ?? deployer.address
+    };
+    if (!profile.local) {
+        for (const [name, value] of Object.entries({
+            BEX_DEX_ADDRESS: config.bexDex,
+            BEX_QUERY_ADDRESS: config.bexQuery,
+            PRICE_FEED_ADDRESS: config.priceFeed,
+            FEE_COLLECTOR_ADDRESS: config.feeCollector,
+            LIQUIDITY_COLLECTOR_ADDRESS: config.liquidityCollector
+        })) {
+            if (!value) {
+                throw new Error(`${name} not set in environment`);
+            }
+        }
+    }
+    for (const [name, value] of Object.entries({
+        BEX_DEX_ADDRESS: config.bexDex,
+        BEX_QUERY_ADDRESS: config.bexQuery,
+        PRICE_FEED_ADDRESS: config.priceFeed
+    })) {
+        if (value && !(await hasCode(value))) {
+            throw new Error(`${name} ${value} is not a contract on ${profile.name}`);
+        }
+    }
+    if (config.priceFeed) {
+        const feed = new ethers.Contract(config.priceFeed, PRICE_FEED_ABI, provider);
+        const answer = await feed.latestRoundData().then(round => round[1], () => 0n);
+        if (answer <= 0n) {
+            throw new Error(`PRICE_FEED_ADDRESS ${config.priceFeed} does not report a price`);
+        }
+    }
+    if (profile.local) {
+        if (!config.bexDex) {
+            await contract("MockBexDex");
+            config.bexDex = addressOf("MockBexDex");
+        }
+        // The mock DEX answers price queries itself.
+        config.bexQuery ??= config.bexDex;
+        if (!config.priceFeed) {
+            await contract("MockPriceFeed", [MOCK_BERA_PRICE]);
+            config.priceFeed = addressOf("MockPriceFeed");
+        }
+        config.feeCollector ??= deployer.address;
+        config.liquidityCollector ??= deployer.address;
+    }
+    // Every address but the guardian is set by now.
+    manifest.config = /** @type {Record<string, string>} */ ({ ...config, guardian: config.guardian ?? null });
+    saveManifest(file, manifest);
+
+    const manager = await contract("BexLiquidityManager", [config.bexDex, config.bexQuery]);
+    const splitter = await contract("FeeSplitter", [config.feeCollector]);
+    await contract("TokenImplementation");
+    await contract("CurveImplementation");
+    const factory = await contract("TokenFactory", [
+        addressOf("FeeSplitter"),
+        addressOf("BexLiquidityManager"),
+        config.liquidityCollector,
+        addressOf("TokenImplementation"),
+        addressOf("CurveImplementation")
+    ]);
+    for (const key of CURVE_MODELS) {
+        await contract(key);
+    }
+
+    // The factory creates its vesting contract; it is recorded for verification with the factory's transaction.
+    const vesting = await factory.vesting();
+    if (!same(vesting, manifest.contracts.CreatorVesting?.address)) {
+        const { txHash, block } = manifest.contracts.TokenFactory;
+        await record("CreatorVesting", { contract: CONTRACTS.CreatorVesting, address: vesting, args: [], createdBy: "TokenFactory", txHash }, block ?? 0);
+    }
+
+    /** @type {string[]} */
+    const problems = [];
+
+    /**
+     * Sends a wiring transaction when the chain does not already reflect it. Once the target's timelock is
+     * armed the call is scheduled instead, and sent by the first run after the delay has passed.
+     * @param {string} label
+     * @param {any} target
+     * @param {() => Promise<boolean>} isDone
+     * @param {string} method
+     * @param {any[]} args
+     */
+    async function wire(label, target, isDone, method, args) {
+        if (await isDone()) {
+            return;
+        }
+        const owner = await target.owner();
+        if (!same(owner, deployer.address)) {
+            problems.push(`${label} is needed, but only its owner ${owner} can send it`);
+            return;
+        }
+        if (await target.timelockArmed()) {
+            const data = target.interface.encodeFunctionData(method, args);
+            let readyAt = await target.scheduledChanges(ethers.keccak256(data));
+            if (readyAt === 0n) {
+                await transact(`${label} scheduled`, () => target.scheduleChange(data));
+                readyAt = await target.scheduledChanges(ethers.keccak256(data));
+            }
+            const now = BigInt((await provider.getBlock("latest")).timestamp);
+            if (now < readyAt) {
+                problems.push(`${label} is timelocked until ${new Date(Number(readyAt) * 1000).toISOString()}; run again after that`);
+                return;
+            }
+        }
+        await transact(label, () => target[method](...args));
+    }
+
+    const factoryAddress = addressOf("TokenFactory");
+    await wire("FeeSplitter.setAuthorizedCaller(TokenFactory)", splitter,
+        () => splitter.authorizedCallers(factoryAddress),
+        "setAuthorizedCaller", [factoryAddress, true]);
+    await wire("BexLiquidityManager.setFactory(TokenFactory)", manager,
+        async () => same(await manager.factory(), factoryAddress),
+        "setFactory", [factoryAddress]);
+    for (const key of CURVE_MODELS) {
+        await wire(`TokenFactory.setCurveModel(${key})`, factory,
+            () => factory.curveModels(addressOf(key)),
+            "setCurveModel", [addressOf(key), true]);
+    }
+    const { guardian } = config;
+    if (guardian) {
+        await wire(`TokenFactory.setGuardian(${guardian})`, factory,
+            () => factory.guardians(guardian),
+            "setGuardian", [guardian, true]);
+    }
+
+    // These only change through a timelock, or not at all, so a mismatch is reported rather than fixed.
+    /** @type {[string, any, Record<string, string | undefined>][]} */
+    const timelockedSettings = [
+        ["TokenFactory", factory, {
+            feeSplitter: addressOf("FeeSplitter"),
+            liquidityManager: addressOf("BexLiquidityManager"),
+            liquidityCollector: config.liquidityCollector,
+            tokenImplementation: addressOf("TokenImplementation"),
+            curveImplementation: addressOf("CurveImplementation")
+        }],
+        ["FeeSplitter", splitter, { protocolRecipient: config.feeCollector }],
+        ["BexLiquidityManager", manager, { bexDex: config.bexDex, bexQuery: config.bexQuery }]
+    ];
+    for (const [key, target, settings] of timelockedSettings) {
+        for (const [getter, expected] of Object.entries(settings)) {
+            const actual = await target[getter]();
+            if (!same(actual, expected)) {
+                problems.push(`${key}.${getter} is ${actual}, expected ${expected}`);
+            }
+        }
+    }
+
+    // Once the wiring checks out the wiring setters go behind the timelock, before anyone else owns them.
+    const targets = { TokenFactory: factory, FeeSplitter: splitter, BexLiquidityManager: manager };
+    for (const key of OWNED) {
+        if (problems.length || (await targets[key].timelockArmed())) {
+            continue;
+        }
+        if (same(await targets[key].owner(), deployer.address)) {
+            await transact(`${key}.armTimelock()`, () => targets[key].armTimelock());
+        } else {
+            problems.push(`${key}'s timelock is not armed, but only its owner can arm it`);
+        }
+    }
+
+    // Ownership is handed over last and only once everything checks out, so the deployer can still fix the wiring.
+    for (const key of OWNED) {
+        const owner = await targets[key].owner();
+        if (same(owner, config.owner)) {
+            continue;
+        }
+        if (!same(owner, deployer.address)) {
+            problems.push(`${key} is owned by ${owner}, expected ${config.owner}`);
+        } else if (!problems.length) {
+            await transact(`${key}.transferOwnership(${config.owner})`, () => targets[key].transferOwnership(config.owner));
+        }
+    }
+
+    saveManifest(file, manifest);
+    log(`${result.deployed.length} deployed, ${result.reused.length} reused, ${result.transactions.length} transactions; manifest at ${file}`);
+    if (problems.length) {
+        throw new Error(`Deployment checks failed:\n  - ${problems.join("\n  - ")}`);
+    }
+    return result;
+}
+
+module.exports = {
+    CONTRACTS,
+    CURVE_MODELS,
+    deploy
+};
@@ -0,0 +1,37 @@
+// @ts-check
+
+/**
+ * @typedef {Object} Profile
+ * @property {string} name Names the manifest, e.g. deployments/berachain.json.
+ * @property {number} [chainId] The chain the network has to be on.
+ * @property {boolean} local Whether missing external contracts are replaced with mocks and the collectors
+ *           default to the deployer.
+ * @property {number} confirmations Blocks to wait for each transaction.
+ */
+
+/** @type {Record<string, Omit<Profile, "name">>} */
+const PROFILES = {
+    berachain: { chainId: 80094, local: false, confirmations: 2 },
+    bepolia: { chainId: 80069, local: false, confirmations: 1 },
+    fork: { local: true, confirmations: 1 },
+    localhost: { local: true, confirmations: 1 },
+    hardhat: { local: true, confirmations: 1 }
+};
+
+/**
+ * Picks the profile for a Hardhat network: DEPLOY_PROFILE when set, "fork" for the in-process network
+ * forking another chain, and otherwise the network's own name. Unknown networks are treated as live.
+ * @param {{ name: string, config: any }} network
+ * @param {Record<string, string | undefined>} env
+ * @returns {Profile}
+ */
+function resolveProfile(network, env) {
+    const forking = network.name === "hardhat" && Boolean(network.config.forking?.enabled);
+    const name = env.DEPLOY_PROFILE || (forking ? "fork" : network.name);
+    return { name, ...(PROFILES[name] ?? { local: false, confirmations: 1 }) };
+}
+
+module.exports = {
+    PROFILES,
+    resolveProfile
+};
@@ -0,0 +1,59 @@
+// @ts-check
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Builds what a block explorer needs to verify a deployed contract: the compiler version, the encoded
+ * constructor arguments and a standard JSON input trimmed to the sources the contract was compiled from.
+ * @param {any} hre
+ * @param {string} contract Fully qualified contract name.
+ * @param {string} address
+ * @param {any[]} args
+ */
+async function verificationPayload(hre, contract, address, args) {
+    const buildInfo = await hre.artifacts.getBuildInfo(contract);
+    if (!buildInfo) {
+        throw new Error(`No build info for ${contract}; compile the contracts first`);
+    }
+    const [source, name] = contract.split(":");
+    const metadata = JSON.parse(buildInfo.output.contracts[source][name].metadata);
+    const { interface: contractInterface } = await hre.ethers.getContractFactory(contract);
+
+    /** @type {Record<string, any>} */
+    const sources = {};
+    for (const file of Object.keys(metadata.sources)) {
+        sources[file] = buildInfo.input.sources[file];
+    }
+    return {
+        address,
+        contract,
+        constructorArguments: args,
+        encodedConstructorArguments: contractInterface.encodeDeploy(args),
+        compilerVersion: `v${buildInfo.solcLongVersion}`,
+        settings: {
+            optimizer: buildInfo.input.settings.optimizer,
+            viaIR: buildInfo.input.settings.viaIR ?? false,
+            evmVersion: buildInfo.input.settings.evmVersion
+        },
+        standardJsonInput: { language: buildInfo.input.language, sources, settings: buildInfo.input.settings }
+    };
+}
+
+/**
+ * @param {any} hre
+ * @param {string} dir The network's verification directory; one file per manifest entry.
+ * @param {string} key
+ * @param {{ contract: string, address: string, args: any[] }} entry
+ * @returns {Promise<string>} The file written.
+ */
+async function writeVerificationPayload(hre, dir, key, { contract, address, args }) {
+    const file = path.join(dir, `${key}.json`);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(await verificationPayload(hre, contract, address, args), null, 2)}\n`);
+    return file;
+}
+
+module.exports = {
+    verificationPayload,
+    writeVerificationPayload
+};
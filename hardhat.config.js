@@ -2,6 +2,8 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
 
+const accounts = process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [];
+
 module.exports = {
   solidity: {
     version: "0.8.20",
@@ -14,9 +16,19 @@ module.exports = {
     }
   },
   networks: {
+    // FORK_URL runs the in-process network as a fork of that chain, e.g. to rehearse a deployment.
+    hardhat: process.env.FORK_URL
+      ? { forking: { url: process.env.FORK_URL, blockNumber: process.env.FORK_BLOCK ? Number(process.env.FORK_BLOCK) : undefined } }
+      : {},
     berachain: {
-      url: process.env.BERACHAIN_RPC_URL,
-      accounts: [process.env.PRIVATE_KEY],
+      url: process.env.BERACHAIN_RPC_URL || "",
+      chainId: 80094,
+      accounts,
+    },
+    bepolia: {
+      url: process.env.BEPOLIA_RPC_URL || "",
+      chainId: 80069,
+      accounts,
     },
   },
 };
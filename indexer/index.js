@@ -0,0 +1,9 @@
+// @ts-check
+const { createIndexer } = require("./indexer");
+const { INTERVALS, openStore } = require("./store");
+
+module.exports = {
+    createIndexer,
+    openStore,
+    INTERVALS
+};
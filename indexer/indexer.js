@@ -0,0 +1,281 @@
+// @ts-check
+const { EventEmitter } = require("events");
+const { ethers } = require("ethers");
+const { TOKEN_FACTORY_ABI, CUSTOM_ERC20_ABI, BONDING_CURVE_ABI } = require("../sdk/abis");
+
+const factoryInterface = new ethers.Interface(TOKEN_FACTORY_ABI);
+const curveInterface = new ethers.Interface(BONDING_CURVE_ABI);
+const tokenInterface = new ethers.Interface(CUSTOM_ERC20_ABI);
+
+/**
+ * @param {ethers.Interface} iface
+ * @param {string} name
+ */
+function topic(iface, name) {
+    return /** @type {ethers.EventFragment} */ (iface.getEvent(name)).topicHash;
+}
+
+const TOKEN_CREATED = topic(factoryInterface, "TokenCreated");
+const CURVE_TOPICS = ["TokensPurchased", "TokensSold", "PriceUpdated", "LiquidityDeployedToBex"]
+    .map(name => topic(curveInterface, name));
+const TRANSFER = topic(tokenInterface, "Transfer");
+
+// Addresses per eth_getLogs request, to stay under RPC filter limits.
+const ADDRESS_CHUNK = 500;
+
+/**
+ * @typedef {Object} IndexerOptions
+ * @property {ethers.Provider} provider
+ * @property {string} factory TokenFactory address.
+ * @property {Awaited<ReturnType<typeof import("./store").openStore>>} store
+ * @property {number} [startBlock] First block to index, e.g. the factory's deployment block.
+ * @property {number} [batchSize] Blocks per eth_getLogs range.
+ * @property {number} [confirmations] Blocks to stay behind the head.
+ * @property {number} [reorgDepth] How many blocks back a reorg is looked for.
+ */
+
+/**
+ * Follows a TokenFactory and the curves and tokens it launches into `store`. Emits "token", "trade" and
+ * "graduation" as events are indexed, "reorg" with the block it rolled back to, and "synced" with the
+ * last indexed block.
+ * @param {IndexerOptions} options
+ */
+function createIndexer({ provider, factory, store, startBlock = 0, batchSize = 2000, confirmations = 0, reorgDepth = 64 }) {
+    const events = new EventEmitter();
+    const factoryAddress = ethers.getAddress(factory);
+    /** @type {Map<string, { kind: "curve" | "token", token: string }>} */
+    const watched = new Map();
+    /** @type {NodeJS.Timeout | null} */
+    let timer = null;
+    /** @type {Promise<number> | null} */
+    let running = null;
+
+    function watchLaunches() {
+        for (const { token, bondingCurve } of store.getTokens()) {
+            watched.set(bondingCurve, { kind: "curve", token });
+            watched.set(token, { kind: "token", token });
+        }
+    }
+    watchLaunches();
+
+    /**
+     * @param {number} number
+     * @returns {Promise<ethers.Block>}
+     */
+    async function getBlock(number) {
+        const block = await provider.getBlock(number);
+        if (!block || !block.hash) {
+            throw new Error(`Block ${number} not available`);
+        }
+        return block;
+    }
+
+    /**
+     * Rolls back to the last indexed block still on the chain if the chain reorganised since the last sync.
+     */
+    async function handleReorg() {
+        const checkpoint = store.checkpoint();
+        if (!checkpoint) {
+            return;
+        }
+        const current = await provider.getBlock(checkpoint.block);
+        if (current?.hash === checkpoint.hash) {
+            return;
+        }
+
+        let ancestor = null;
+        for (const known of store.recentBlocks()) {
+            const block = await provider.getBlock(known.number);
+            if (block?.hash === known.hash) {
+                ancestor = known;
+                break;
+            }
+        }
+        store.transaction(() => store.rollback(ancestor ? ancestor.number : startBlock - 1, ancestor?.hash ?? null));
+        store.save();
+        watched.clear();
+        watchLaunches();
+        events.emit("reorg", ancestor ? ancestor.number : startBlock - 1);
+    }
+
+    /**
+     * @param {ethers.Filter} filter
+     * @param {string[]} addresses
+     * @returns {Promise<ethers.Log[]>}
+     */
+    async function getLogs(filter, addresses) {
+        const logs = [];
+        for (let i = 0; i < addresses.length; i += ADDRESS_CHUNK) {
+            logs.push(...await provider.getLogs({ ...filter, address: addresses.slice(i, i + ADDRESS_CHUNK) }));
+        }
+        return logs;
+    }
+
+    /**
+     * Indexes blocks `from` to `to`, discovering launches first so their own events in the range are kept.
+     * @param {number} from
+     * @param {number} to
+     */
+    async function indexRange(from, to) {
+        const launches = await provider.getLogs({ address: factoryAddress, topics: [TOKEN_CREATED], fromBlock: from, toBlock: to });
+        const discovered = [];
+        for (const log of launches) {
+            const parsed = factoryInterface.parseLog(log);
+            if (!parsed) {
+                continue;
+            }
+            const [, token, bondingCurve] = parsed.args;
+            watched.set(bondingCurve, { kind: "curve", token });
+            watched.set(token, { kind: "token", token });
+            discovered.push({ log, parsed });
+        }
+
+        const curves = [...watched].filter(([, entry]) => entry.kind === "curve").map(([address]) => address);
+        const tokens = [...watched].filter(([, entry]) => entry.kind === "token").map(([address]) => address);
+        const logs = [
+            ...await getLogs({ topics: [CURVE_TOPICS], fromBlock: from, toBlock: to }, curves),
+            ...await getLogs({ topics: [TRANSFER], fromBlock: from, toBlock: to }, tokens)
+        ];
+
+        /** @type {Map<number, ethers.Block>} */
+        const blocks = new Map();
+        for (const number of new Set([...launches, ...logs].map(log => log.blockNumber))) {
+            blocks.set(number, await getBlock(number));
+        }
+        const end = blocks.get(to) ?? await getBlock(to);
+
+        const ordered = [...discovered.map(({ log }) => log), ...logs]
+            .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+        /** @type {[string, object][]} */
+        const emitted = [];
+
+        store.transaction(() => {
+            for (const log of ordered) {
+                const block = /** @type {ethers.Block} */ (blocks.get(log.blockNumber));
+                const timestamp = block.timestamp;
+                const context = { txHash: log.transactionHash, logIndex: log.index, block: log.blockNumber };
+                store.addBlock(log.blockNumber, /** @type {string} */ (block.hash));
+
+                if (log.address === factoryAddress) {
+                    const [creator, token, bondingCurve, name, symbol] = /** @type {ethers.LogDescription} */ (factoryInterface.parseLog(log)).args;
+                    const launch = { token, bondingCurve, creator, name, symbol, block: log.blockNumber, timestamp, txHash: log.transactionHash };
+                    store.addToken(launch);
+                    emitted.push(["token", launch]);
+                    continue;
+                }
+
+                const entry = watched.get(log.address);
+                if (!entry) {
+                    continue;
+                }
+                if (entry.kind === "token") {
+                    const parsed = tokenInterface.parseLog(log);
+                    if (parsed?.name === "Transfer") {
+                        const [from, to, amount] = parsed.args;
+                        store.addTransfer({ ...context, token: entry.token, from, to, amount });
+                    }
+                    continue;
+                }
+
+                const parsed = curveInterface.parseLog(log);
+                if (parsed?.name === "TokensPurchased" || parsed?.name === "TokensSold") {
+                    const [trader, tokenAmount, beraAmount] = parsed.args;
+                    if (tokenAmount === 0n) {
+                        continue;
+                    }
+                    const trade = {
+                        ...context,
+                        token: entry.token,
+                        trader,
+                        side: /** @type {"buy" | "sell"} */ (parsed.name === "TokensPurchased" ? "buy" : "sell"),
+                        tokenAmount,
+                        beraAmount,
+                        price: (beraAmount * 10n ** 18n) / tokenAmount,
+                        timestamp
+                    };
+                    store.addTrade(trade);
+                    emitted.push(["trade", trade]);
+                } else if (parsed?.name === "PriceUpdated") {
+                    store.addPriceUpdate({ ...context, token: entry.token, beraPrice: parsed.args[0], timestamp });
+                } else if (parsed?.name === "LiquidityDeployedToBex") {
+                    const [beraAmount, tokenAmount] = parsed.args;
+                    const graduation = { token: entry.token, beraAmount, tokenAmount, txHash: log.transactionHash, block: log.blockNumber, timestamp };
+                    store.addGraduation(graduation);
+                    emitted.push(["graduation", graduation]);
+                }
+            }
+            store.setCheckpoint(to, /** @type {string} */ (end.hash), to - reorgDepth);
+        });
+        store.save();
+
+        for (const [name, payload] of emitted) {
+            events.emit(name, payload);
+        }
+    }
+
+    /**
+     * Indexes everything from the last checkpoint (or startBlock) up to the confirmed head.
+     * @returns {Promise<number>} The last indexed block.
+     */
+    async function syncOnce() {
+        await handleReorg();
+        const head = (await provider.getBlockNumber()) - confirmations;
+        const checkpoint = store.checkpoint();
+        for (let from = checkpoint ? checkpoint.block + 1 : startBlock; from <= head; from += batchSize) {
+            await indexRange(from, Math.min(from + batchSize - 1, head));
+        }
+        const last = store.checkpoint()?.block ?? startBlock - 1;
+        events.emit("synced", last);
+        return last;
+    }
+
+    return {
+        events,
+
+        /**
+         * Runs one sync, waiting for one already in progress instead of overlapping it.
+         * @returns {Promise<number>}
+         */
+        async sync() {
+            while (running) {
+                await running.catch(() => {});
+            }
+            running = syncOnce();
+            try {
+                return await running;
+            } finally {
+                running = null;
+            }
+        },
+
+        /**
+         * Keeps syncing every `intervalMs` until stop(). Sync errors are emitted as "error" and retried.
+         * @param {number} [intervalMs]
+         */
+        start(intervalMs = 5000) {
+            const tick = async () => {
+                try {
+                    await this.sync();
+                } catch (error) {
+                    events.emit("error", error);
+                }
+                if (timer) {
+                    timer = setTimeout(tick, intervalMs);
+                }
+            };
+            timer = setTimeout(tick, 0);
+        },
+
+        async stop() {
+            if (timer) {
+                clearTimeout(timer);
+            }
+            timer = null;
+            await running?.catch(() => {});
+        }
+    };
+}
+
+module.exports = {
+    createIndexer
+};
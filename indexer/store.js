@@ -0,0 +1,504 @@
+// @ts-check
+const fs = require("fs");
+const path = require("path");
+const initSqlJs = require("sql.js");
+
+// Candle intervals in seconds.
+const INTERVALS = { "1m": 60, "5m": 300, "1h": 3600 };
+
+// Token amounts and BERA values are stored as decimal strings of their 18-decimal integers, which do not
+// fit SQLite's 64-bit integers; sums and comparisons are done with BigInt in JavaScript.
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS checkpoint (
+        id INTEGER PRIMARY KEY CHECK (id = 0),
+        block INTEGER NOT NULL,
+        hash TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS blocks (
+        number INTEGER PRIMARY KEY,
+        hash TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS tokens (
+        token TEXT PRIMARY KEY,
+        bonding_curve TEXT NOT NULL UNIQUE,
+        creator TEXT NOT NULL,
+        name TEXT NOT NULL,
+        symbol TEXT NOT NULL,
+        block INTEGER NOT NULL,
+        timestamp INTEGER NOT NULL,
+        tx_hash TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS trades (
+        tx_hash TEXT NOT NULL,
+        log_index INTEGER NOT NULL,
+        token TEXT NOT NULL,
+        trader TEXT NOT NULL,
+        side TEXT NOT NULL,
+        token_amount TEXT NOT NULL,
+        bera_amount TEXT NOT NULL,
+        price TEXT NOT NULL,
+        block INTEGER NOT NULL,
+        timestamp INTEGER NOT NULL,
+        PRIMARY KEY (tx_hash, log_index)
+    );
+    CREATE INDEX IF NOT EXISTS trades_by_token ON trades (token, block, log_index);
+    CREATE TABLE IF NOT EXISTS transfers (
+        tx_hash TEXT NOT NULL,
+        log_index INTEGER NOT NULL,
+        token TEXT NOT NULL,
+        from_address TEXT NOT NULL,
+        to_address TEXT NOT NULL,
+        amount TEXT NOT NULL,
+        block INTEGER NOT NULL,
+        PRIMARY KEY (tx_hash, log_index)
+    );
+    CREATE TABLE IF NOT EXISTS price_updates (
+        tx_hash TEXT NOT NULL,
+        log_index INTEGER NOT NULL,
+        token TEXT NOT NULL,
+        bera_price TEXT NOT NULL,
+        block INTEGER NOT NULL,
+        timestamp INTEGER NOT NULL,
+        PRIMARY KEY (tx_hash, log_index)
+    );
+    CREATE TABLE IF NOT EXISTS graduations (
+        token TEXT PRIMARY KEY,
+        bera_amount TEXT NOT NULL,
+        token_amount TEXT NOT NULL,
+        tx_hash TEXT NOT NULL,
+        block INTEGER NOT NULL,
+        timestamp INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS holders (
+        token TEXT NOT NULL,
+        holder TEXT NOT NULL,
+        balance TEXT NOT NULL,
+        PRIMARY KEY (token, holder)
+    );
+    CREATE TABLE IF NOT EXISTS candles (
+        token TEXT NOT NULL,
+        interval TEXT NOT NULL,
+        start INTEGER NOT NULL,
+        open TEXT NOT NULL,
+        high TEXT NOT NULL,
+        low TEXT NOT NULL,
+        close TEXT NOT NULL,
+        volume_bera TEXT NOT NULL,
+        volume_tokens TEXT NOT NULL,
+        trades INTEGER NOT NULL,
+        PRIMARY KEY (token, interval, start)
+    );
+`;
+
+// Tables of raw events, rolled back by block on a reorg.
+const EVENT_TABLES = ["tokens", "trades", "transfers", "price_updates", "graduations"];
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+/**
+ * @typedef {Object} Trade
+ * @property {string} txHash
+ * @property {number} logIndex
+ * @property {string} token
+ * @property {string} trader
+ * @property {"buy" | "sell"} side
+ * @property {bigint} tokenAmount
+ * @property {bigint} beraAmount
+ * @property {bigint} price BERA paid or received per whole token, with 18 decimals.
+ * @property {number} block
+ * @property {number} timestamp
+ */
+
+/**
+ * @typedef {Object} Candle
+ * @property {number} start Bucket start as a unix timestamp.
+ * @property {bigint} open
+ * @property {bigint} high
+ * @property {bigint} low
+ * @property {bigint} close
+ * @property {bigint} volumeBera
+ * @property {bigint} volumeTokens
+ * @property {number} trades
+ */
+
+/**
+ * @param {Record<string, any>} row
+ * @returns {Trade}
+ */
+function toTrade(row) {
+    return {
+        txHash: row.tx_hash,
+        logIndex: row.log_index,
+        token: row.token,
+        trader: row.trader,
+        side: row.side,
+        tokenAmount: BigInt(row.token_amount),
+        beraAmount: BigInt(row.bera_amount),
+        price: BigInt(row.price),
+        block: row.block,
+        timestamp: row.timestamp
+    };
+}
+
+/**
+ * Opens the SQLite file at `file`, creating it if needed. Changes stay in memory until save().
+ * @param {string} file
+ */
+async function openStore(file) {
+    const SQL = await initSqlJs();
+    const db = fs.existsSync(file) ? new SQL.Database(fs.readFileSync(file)) : new SQL.Database();
+    db.exec(SCHEMA);
+
+    /**
+     * @param {string} sql
+     * @param {any[]} [params]
+     * @returns {Record<string, any>[]}
+     */
+    function all(sql, params = []) {
+        const statement = db.prepare(sql);
+        try {
+            statement.bind(params);
+            const rows = [];
+            while (statement.step()) {
+                rows.push(statement.getAsObject());
+            }
+            return rows;
+        } finally {
+            statement.free();
+        }
+    }
+
+    /**
+     * @param {string} sql
+     * @param {any[]} [params]
+     */
+    function run(sql, params = []) {
+        db.run(sql, params);
+    }
+
+    /**
+     * @param {string} token
+     * @param {string} holder
+     * @param {bigint} delta
+     */
+    function adjustBalance(token, holder, delta) {
+        if (holder === ZERO_ADDRESS) {
+            return;
+        }
+        const [row] = all("SELECT balance FROM holders WHERE token = ? AND holder = ?", [token, holder]);
+        const balance = (row ? BigInt(row.balance) : 0n) + delta;
+        if (balance === 0n) {
+            run("DELETE FROM holders WHERE token = ? AND holder = ?", [token, holder]);
+        } else {
+            run("INSERT OR REPLACE INTO holders (token, holder, balance) VALUES (?, ?, ?)", [token, holder, balance.toString()]);
+        }
+    }
+
+    /** @param {Trade} trade */
+    function addToCandles(trade) {
+        for (const [interval, seconds] of Object.entries(INTERVALS)) {
+            const start = trade.timestamp - (trade.timestamp % seconds);
+            const [row] = all("SELECT * FROM candles WHERE token = ? AND interval = ? AND start = ?", [trade.token, interval, start]);
+            const price = trade.price;
+            const candle = row
+                ? {
+                    open: row.open,
+                    high: BigInt(row.high) > price ? row.high : price.toString(),
+                    low: BigInt(row.low) < price ? row.low : price.toString(),
+                    volumeBera: BigInt(row.volume_bera) + trade.beraAmount,
+                    volumeTokens: BigInt(row.volume_tokens) + trade.tokenAmount,
+                    trades: Number(row.trades) + 1
+                }
+                : {
+                    open: price.toString(),
+                    high: price.toString(),
+                    low: price.toString(),
+                    volumeBera: trade.beraAmount,
+                    volumeTokens: trade.tokenAmount,
+                    trades: 1
+                };
+            run(
+                `INSERT OR REPLACE INTO candles
+                    (token, interval, start, open, high, low, close, volume_bera, volume_tokens, trades)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    trade.token, interval, start, candle.open, candle.high, candle.low, price.toString(),
+                    candle.volumeBera.toString(), candle.volumeTokens.toString(), candle.trades
+                ]
+            );
+        }
+    }
+
+    return {
+        /** @returns {{ block: number, hash: string } | null} */
+        checkpoint() {
+            const [row] = all("SELECT block, hash FROM checkpoint WHERE id = 0");
+            return row ? { block: Number(row.block), hash: String(row.hash) } : null;
+        },
+
+        /**
+         * Records that every block up to `block` is indexed. Block hashes older than `keepFrom` are dropped,
+         * as reorgs are not expected to reach that far.
+         * @param {number} block
+         * @param {string} hash
+         * @param {number} keepFrom
+         */
+        setCheckpoint(block, hash, keepFrom) {
+            run("INSERT OR REPLACE INTO checkpoint (id, block, hash) VALUES (0, ?, ?)", [block, hash]);
+            this.addBlock(block, hash);
+            run("DELETE FROM blocks WHERE number < ?", [keepFrom]);
+        },
+
+        /**
+         * @param {number} number
+         * @param {string} hash
+         */
+        addBlock(number, hash) {
+            run("INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)", [number, hash]);
+        },
+
+        /**
+         * Indexed block hashes, newest first, to find where a reorg forked off.
+         * @returns {{ number: number, hash: string }[]}
+         */
+        recentBlocks() {
+            return all("SELECT number, hash FROM blocks ORDER BY number DESC").map(row => ({
+                number: Number(row.number),
+                hash: String(row.hash)
+            }));
+        },
+
+        /**
+         * @param {{ token: string, bondingCurve: string, creator: string, name: string, symbol: string,
+         *           block: number, timestamp: number, txHash: string }} launch
+         */
+        addToken(launch) {
+            run(
+                `INSERT OR IGNORE INTO tokens (token, bonding_curve, creator, name, symbol, block, timestamp, tx_hash)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [launch.token, launch.bondingCurve, launch.creator, launch.name, launch.symbol, launch.block, launch.timestamp, launch.txHash]
+            );
+        },
+
+        /** @param {Trade} trade */
+        addTrade(trade) {
+            run(
+                `INSERT OR IGNORE INTO trades
+                    (tx_hash, log_index, token, trader, side, token_amount, bera_amount, price, block, timestamp)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    trade.txHash, trade.logIndex, trade.token, trade.trader, trade.side, trade.tokenAmount.toString(),
+                    trade.beraAmount.toString(), trade.price.toString(), trade.block, trade.timestamp
+                ]
+            );
+            if (db.getRowsModified() > 0) {
+                addToCandles(trade);
+            }
+        },
+
+        /**
+         * @param {{ txHash: string, logIndex: number, token: string, from: string, to: string, amount: bigint,
+         *           block: number }} transfer
+         */
+        addTransfer(transfer) {
+            run(
+                `INSERT OR IGNORE INTO transfers (tx_hash, log_index, token, from_address, to_address, amount, block)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [transfer.txHash, transfer.logIndex, transfer.token, transfer.from, transfer.to, transfer.amount.toString(), transfer.block]
+            );
+            if (db.getRowsModified() > 0) {
+                adjustBalance(transfer.token, transfer.from, -transfer.amount);
+                adjustBalance(transfer.token, transfer.to, transfer.amount);
+            }
+        },
+
+        /**
+         * @param {{ txHash: string, logIndex: number, token: string, beraPrice: bigint, block: number,
+         *           timestamp: number }} update
+         */
+        addPriceUpdate(update) {
+            run(
+                `INSERT OR IGNORE INTO price_updates (tx_hash, log_index, token, bera_price, block, timestamp)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [update.txHash, update.logIndex, update.token, update.beraPrice.toString(), update.block, update.timestamp]
+            );
+        },
+
+        /**
+         * @param {{ token: string, beraAmount: bigint, tokenAmount: bigint, txHash: string, block: number,
+         *           timestamp: number }} graduation
+         */
+        addGraduation(graduation) {
+            run(
+                `INSERT OR IGNORE INTO graduations (token, bera_amount, token_amount, tx_hash, block, timestamp)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [graduation.token, graduation.beraAmount.toString(), graduation.tokenAmount.toString(), graduation.txHash, graduation.block, graduation.timestamp]
+            );
+        },
+
+        /**
+         * Forgets everything indexed after `block` and rebuilds the holders and candles from what is left.
+         * @param {number} block The last block still on the canonical chain.
+         * @param {string | null} hash Its hash, or null to start over from scratch.
+         */
+        rollback(block, hash) {
+            for (const table of EVENT_TABLES) {
+                run(`DELETE FROM ${table} WHERE block > ?`, [block]);
+            }
+            run("DELETE FROM blocks WHERE number > ?", [block]);
+            if (hash) {
+                run("INSERT OR REPLACE INTO checkpoint (id, block, hash) VALUES (0, ?, ?)", [block, hash]);
+            } else {
+                run("DELETE FROM checkpoint");
+            }
+
+            run("DELETE FROM holders");
+            run("DELETE FROM candles");
+            for (const row of all("SELECT * FROM transfers ORDER BY block, log_index")) {
+                const amount = BigInt(row.amount);
+                adjustBalance(row.token, row.from_address, -amount);
+                adjustBalance(row.token, row.to_address, amount);
+            }
+            for (const row of all("SELECT * FROM trades ORDER BY block, log_index")) {
+                addToCandles(toTrade(row));
+            }
+        },
+
+        /**
+         * Runs `fn` in a transaction, so a batch lands whole or not at all.
+         * @template T
+         * @param {() => T} fn
+         * @returns {T}
+         */
+        transaction(fn) {
+            run("BEGIN");
+            try {
+                const result = fn();
+                run("COMMIT");
+                return result;
+            } catch (error) {
+                run("ROLLBACK");
+                throw error;
+            }
+        },
+
+        /** Writes the database to its file, replacing the previous copy in one step. */
+        save() {
+            fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+            const temp = `${file}.tmp`;
+            fs.writeFileSync(temp, db.export());
+            fs.renameSync(temp, file);
+        },
+
+        close() {
+            db.close();
+        },
+
+        /** @returns {{ token: string, bondingCurve: string, creator: string, name: string, symbol: string, block: number, timestamp: number }[]} */
+        getTokens() {
+            return all("SELECT * FROM tokens ORDER BY block, token").map(row => ({
+                token: row.token,
+                bondingCurve: row.bonding_curve,
+                creator: row.creator,
+                name: row.name,
+                symbol: row.symbol,
+                block: row.block,
+                timestamp: row.timestamp
+            }));
+        },
+
+        /**
+         * A token's trades, newest first.
+         * @param {string} token
+         * @param {{ limit?: number, offset?: number }} [options]
+         * @returns {Trade[]}
+         */
+        getTrades(token, { limit = 100, offset = 0 } = {}) {
+            return all(
+                "SELECT * FROM trades WHERE token = ? ORDER BY block DESC, log_index DESC LIMIT ? OFFSET ?",
+                [token, limit, offset]
+            ).map(toTrade);
+        },
+
+        /**
+         * @param {string} token
+         * @param {keyof typeof INTERVALS} interval
+         * @param {{ from?: number, to?: number }} [range] Unix timestamps bounding the bucket starts.
+         * @returns {Candle[]}
+         */
+        getCandles(token, interval, { from = 0, to = Number.MAX_SAFE_INTEGER } = {}) {
+            if (!(interval in INTERVALS)) {
+                throw new Error(`Unknown candle interval ${interval}`);
+            }
+            return all(
+                "SELECT * FROM candles WHERE token = ? AND interval = ? AND start BETWEEN ? AND ? ORDER BY start",
+                [token, interval, from, to]
+            ).map(row => ({
+                start: row.start,
+                open: BigInt(row.open),
+                high: BigInt(row.high),
+                low: BigInt(row.low),
+                close: BigInt(row.close),
+                volumeBera: BigInt(row.volume_bera),
+                volumeTokens: BigInt(row.volume_tokens),
+                trades: row.trades
+            }));
+        },
+
+        /**
+         * A token's holders, largest balance first.
+         * @param {string} token
+         * @returns {{ holder: string, balance: bigint }[]}
+         */
+        getHolders(token) {
+            return all("SELECT holder, balance FROM holders WHERE token = ?", [token])
+                .map(row => ({ holder: String(row.holder), balance: BigInt(row.balance) }))
+                .sort((a, b) => (a.balance === b.balance ? 0 : a.balance > b.balance ? -1 : 1));
+        },
+
+        /**
+         * Trading totals for a token.
+         * @param {string} token
+         */
+        getStats(token) {
+            const stats = { trades: 0, buys: 0, sells: 0, volumeBera: 0n, volumeTokens: 0n, lastPrice: 0n, holders: 0 };
+            for (const row of all("SELECT side, token_amount, bera_amount, price FROM trades WHERE token = ? ORDER BY block, log_index", [token])) {
+                stats.trades++;
+                row.side === "buy" ? stats.buys++ : stats.sells++;
+                stats.volumeBera += BigInt(row.bera_amount);
+                stats.volumeTokens += BigInt(row.token_amount);
+                stats.lastPrice = BigInt(row.price);
+            }
+            stats.holders = Number(all("SELECT COUNT(*) AS count FROM holders WHERE token = ?", [token])[0].count);
+            return stats;
+        },
+
+        /**
+         * @param {string} token
+         * @returns {{ beraPrice: bigint, block: number, timestamp: number }[]}
+         */
+        getPriceUpdates(token) {
+            return all("SELECT * FROM price_updates WHERE token = ? ORDER BY block, log_index", [token]).map(row => ({
+                beraPrice: BigInt(row.bera_price),
+                block: row.block,
+                timestamp: row.timestamp
+            }));
+        },
+
+        /**
+         * @param {string} token
+         * @returns {{ beraAmount: bigint, tokenAmount: bigint, block: number, timestamp: number } | null}
+         */
+        getGraduation(token) {
+            const [row] = all("SELECT * FROM graduations WHERE token = ?", [token]);
+            return row
+                ? { beraAmount: BigInt(row.bera_amount), tokenAmount: BigInt(row.token_amount), block: row.block, timestamp: row.timestamp }
+                : null;
+        }
+    };
+}
+
+module.exports = {
+    INTERVALS,
+    openStore
+};
@@ -0,0 +1,49 @@
+// scripts/api.js
+const { ethers } = require("ethers");
+const { createIndexer, openStore } = require("../indexer");
+const { createApi } = require("../api");
+require("dotenv").config();
+
+// Runs the indexer and serves its data; the store lives in this process, so the two run together.
+async function main() {
+    const rpcUrl = process.env.INDEXER_RPC_URL || process.env.BERACHAIN_RPC_URL;
+    if (!rpcUrl) {
+        throw new Error("INDEXER_RPC_URL or BERACHAIN_RPC_URL not set in environment");
+    }
+    const factory = process.env.TOKEN_FACTORY_ADDRESS;
+    if (!factory || !ethers.isAddress(factory)) {
+        throw new Error(`Invalid token factory address: ${factory}`);
+    }
+
+    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    const file = process.env.INDEXER_DB || "indexer.sqlite";
+    const store = await openStore(file);
+    const indexer = createIndexer({
+        provider,
+        factory,
+        store,
+        startBlock: Number(process.env.INDEXER_START_BLOCK || 0),
+        confirmations: Number(process.env.INDEXER_CONFIRMATIONS || 2)
+    });
+    indexer.events.on("reorg", block => console.log(`Reorg detected, rolled back to block ${block}`));
+    indexer.events.on("error", error => console.error("Sync failed, retrying:", error.message));
+
+    const api = createApi({ store, provider, factory, events: indexer.events });
+    const port = await api.listen(Number(process.env.API_PORT || 3001));
+    console.log(`Serving ${file} on http://localhost:${port}`);
+    indexer.start(Number(process.env.INDEXER_POLL_MS || 5000));
+
+    const shutdown = async () => {
+        await api.close();
+        await indexer.stop();
+        store.close();
+        process.exit(0);
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,25 @@
+// @ts-check
+const path = require("path");
+
+const ARTIFACTS = path.join(__dirname, "..", "artifacts", "contracts");
+
+/**
+ * Reads a contract ABI from the Hardhat artifacts, so the SDK always matches the compiled contracts.
+ * @param {string} file Solidity file the contract lives in.
+ * @param {string} name Contract name.
+ * @returns {any[]}
+ */
+function loadAbi(file, name) {
+    try {
+        return require(path.join(ARTIFACTS, file, `${name}.json`)).abi;
+    } catch (error) {
+        throw new Error(`Missing ${name} artifact; run \`npx hardhat compile\` first`, { cause: error });
+    }
+}
+
+module.exports = {
+    TOKEN_FACTORY_ABI: loadAbi("TokenFactory.sol", "TokenFactory"),
+    CUSTOM_ERC20_ABI: loadAbi("TokenFactory.sol", "CustomERC20"),
+    BONDING_CURVE_ABI: loadAbi("BondingCurve.sol", "BondingCurve"),
+    FEE_SPLITTER_ABI: loadAbi("FeeSplitter.sol", "FeeSplitter")
+};
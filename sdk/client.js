@@ -0,0 +1,366 @@
+// @ts-check
+const { ethers } = require("ethers");
+const { TOKEN_FACTORY_ABI, CUSTOM_ERC20_ABI, BONDING_CURVE_ABI } = require("./abis");
+const { rethrow } = require("./errors");
+
+const PHASES = ["Trading", "Graduating", "Graduated", "Failed", "Refunding"];
+const DEFAULT_SLIPPAGE_BPS = 100n;
+const DEFAULT_DEADLINE_SECONDS = 20n * 60n;
+const BPS = 10_000n;
+
+const EMPTY_METADATA = { imageURI: "", description: "", website: "", twitter: "", telegram: "" };
+
+const factoryInterface = new ethers.Interface(TOKEN_FACTORY_ABI);
+const curveInterface = new ethers.Interface(BONDING_CURVE_ABI);
+
+/**
+ * An amount in wei, or a decimal string in whole BERA or tokens (both have 18 decimals), e.g. "0.5".
+ * @typedef {bigint | string} Amount
+ */
+
+/**
+ * @typedef {Object} TokenMetadata
+ * @property {string} [imageURI]
+ * @property {string} [description]
+ * @property {string} [website]
+ * @property {string} [twitter]
+ * @property {string} [telegram]
+ */
+
+/**
+ * @typedef {Object} CreateTokenParams
+ * @property {string} name
+ * @property {string} symbol
+ * @property {string} priceFeed BERA/USD price feed address.
+ * @property {string} curveModel Approved curve model address.
+ * @property {string} curveParams The curve model's ABI-encoded parameters.
+ * @property {TokenMetadata} [metadata]
+ * @property {Record<string, any>} [config] Launch config fields to change from the factory's default launch.
+ * @property {Amount} [initialBuy] BERA for the creator's initial purchase, on top of the creation fee.
+ * @property {Amount} [minTokensOut] Minimum tokens the initial purchase must return.
+ * @property {string} [referrer]
+ * @property {string} [salt] CREATE2 salt; random when omitted.
+ */
+
+/**
+ * @typedef {Object} TokenCreated
+ * @property {string} creator
+ * @property {string} token
+ * @property {string} bondingCurve
+ * @property {string} name
+ * @property {string} symbol
+ */
+
+/**
+ * @typedef {Object} TradeOptions
+ * @property {bigint | number} [slippageBps] Tolerated price movement against the quote; 1% by default.
+ * @property {Amount} [minOut] Exact minimum output, overriding slippageBps.
+ * @property {bigint | number} [deadline] Unix time after which the trade fails; 20 minutes from now by default.
+ * @property {string} [referrer] Referrer credited on buys.
+ */
+
+/**
+ * @typedef {Object} CurveState
+ * @property {string} bondingCurve
+ * @property {string} phase One of Trading, Graduating, Graduated, Failed or Refunding.
+ * @property {bigint} price Token price in USD with the curve's PRICE_DECIMALS.
+ * @property {bigint} tokensSold
+ * @property {bigint} beraRaised
+ * @property {bigint} progressBps
+ */
+
+/**
+ * @param {Amount} amount
+ * @returns {bigint}
+ */
+function toWei(amount) {
+    return typeof amount === "bigint" ? amount : ethers.parseEther(amount);
+}
+
+/**
+ * @param {bigint} quoted
+ * @param {TradeOptions} options
+ * @returns {bigint}
+ */
+function minOut(quoted, options) {
+    if (options.minOut !== undefined) {
+        return toWei(options.minOut);
+    }
+    return (quoted * (BPS - BigInt(options.slippageBps ?? DEFAULT_SLIPPAGE_BPS))) / BPS;
+}
+
+/**
+ * Reads the launch out of a createToken receipt.
+ * @param {ethers.TransactionReceipt} receipt
+ * @returns {TokenCreated | null}
+ */
+function parseTokenCreated(receipt) {
+    for (const log of receipt.logs) {
+        let parsed;
+        try {
+            parsed = factoryInterface.parseLog(log);
+        } catch {
+            continue;
+        }
+        if (parsed?.name === "TokenCreated") {
+            const [creator, token, bondingCurve, name, symbol] = parsed.args;
+            return { creator, token, bondingCurve, name, symbol };
+        }
+    }
+    return null;
+}
+
+/**
+ * @param {ethers.TransactionReceipt} receipt
+ * @param {string} eventName
+ * @returns {ethers.Result | null}
+ */
+function findCurveEvent(receipt, eventName) {
+    for (const log of receipt.logs) {
+        let parsed;
+        try {
+            parsed = curveInterface.parseLog(log);
+        } catch {
+            continue;
+        }
+        if (parsed?.name === eventName) {
+            return parsed.args;
+        }
+    }
+    return null;
+}
+
+/**
+ * Sends a transaction and waits for it, turning reverts into readable errors.
+ * @param {() => Promise<ethers.ContractTransactionResponse>} send
+ * @returns {Promise<ethers.TransactionReceipt>}
+ */
+async function submit(send) {
+    try {
+        const tx = await send();
+        const receipt = await tx.wait();
+        if (!receipt) {
+            throw new Error(`Transaction ${tx.hash} was dropped`);
+        }
+        return receipt;
+    } catch (error) {
+        return rethrow(error);
+    }
+}
+
+/**
+ * Connects to a TokenFactory and the curves and tokens it launched.
+ * @param {Object} options
+ * @param {string} options.factory TokenFactory address.
+ * @param {ethers.ContractRunner} options.runner A signer to trade with, or a provider for reads only.
+ */
+function createClient({ factory, runner }) {
+    const tokenFactory = new ethers.Contract(factory, TOKEN_FACTORY_ABI, runner);
+
+    /** @param {string} address */
+    const curve = (address) => new ethers.Contract(address, BONDING_CURVE_ABI, runner);
+    /** @param {string} address */
+    const token = (address) => new ethers.Contract(address, CUSTOM_ERC20_ABI, runner);
+
+    /** @returns {Promise<string>} */
+    async function signerAddress() {
+        if (!runner || !("getAddress" in runner) || typeof runner.getAddress !== "function") {
+            throw new Error("A signer is required to send transactions");
+        }
+        return runner.getAddress();
+    }
+
+    /**
+     * @param {TradeOptions} options
+     * @returns {Promise<bigint>}
+     */
+    async function deadline(options) {
+        if (options.deadline !== undefined) {
+            return BigInt(options.deadline);
+        }
+        const block = await runner?.provider?.getBlock("latest");
+        if (!block) {
+            throw new Error("Cannot read the latest block to set a deadline");
+        }
+        return BigInt(block.timestamp) + DEFAULT_DEADLINE_SECONDS;
+    }
+
+    return {
+        factory: tokenFactory,
+        curve,
+        token,
+
+        /**
+         * Launches a token and its curve, paying the creation fee plus any initial purchase.
+         * @param {CreateTokenParams} params
+         * @returns {Promise<{ receipt: ethers.TransactionReceipt, launch: TokenCreated }>}
+         */
+        async createToken(params) {
+            const config = { ...(await tokenFactory.defaultLaunchConfig()).toObject(), ...params.config };
+            const initialBuy = toWei(params.initialBuy ?? 0n);
+            const value = (await tokenFactory.creationFee()) + initialBuy;
+
+            const receipt = await submit(() => tokenFactory.createToken(
+                params.name,
+                params.symbol,
+                { ...EMPTY_METADATA, ...params.metadata },
+                params.priceFeed,
+                config,
+                params.curveModel,
+                params.curveParams,
+                toWei(params.minTokensOut ?? 0n),
+                params.referrer ?? ethers.ZeroAddress,
+                params.salt ?? ethers.hexlify(ethers.randomBytes(32)),
+                { value }
+            ));
+            const launch = parseTokenCreated(receipt);
+            if (!launch) {
+                throw new Error("TokenCreated event not found");
+            }
+            return { receipt, launch };
+        },
+
+        /**
+         * Quotes a purchase of `beraIn`, fee included.
+         * @param {string} curveAddress
+         * @param {Amount} beraIn
+         * @returns {Promise<{ tokensOut: bigint, fee: bigint, refund: bigint }>}
+         */
+        async quoteBuy(curveAddress, beraIn) {
+            const [tokensOut, fee, refund] = await curve(curveAddress).quoteBuy(toWei(beraIn));
+            return { tokensOut, fee, refund };
+        },
+
+        /**
+         * Quotes a sale of `tokenAmount` tokens.
+         * @param {string} curveAddress
+         * @param {Amount} tokenAmount
+         * @returns {Promise<{ beraOut: bigint, fee: bigint }>}
+         */
+        async quoteSell(curveAddress, tokenAmount) {
+            const [beraOut, fee] = await curve(curveAddress).quoteSell(toWei(tokenAmount));
+            return { beraOut, fee };
+        },
+
+        /**
+         * Buys with `beraIn`, accepting the quoted tokens less the slippage tolerance.
+         * @param {string} curveAddress
+         * @param {Amount} beraIn
+         * @param {TradeOptions} [options]
+         * @returns {Promise<{ receipt: ethers.TransactionReceipt, tokensOut: bigint, beraSpent: bigint }>}
+         */
+        async buy(curveAddress, beraIn, options = {}) {
+            const value = toWei(beraIn);
+            const { tokensOut } = await this.quoteBuy(curveAddress, value);
+            const bondingCurve = curve(curveAddress);
+            const receipt = await submit(async () => {
+                const args = [minOut(tokensOut, options), await deadline(options), options.referrer ?? ethers.ZeroAddress];
+                const tx = await bondingCurve.buyTokens.populateTransaction(...args, { value });
+                const gasLimit = await this.buyGasLimit(curveAddress, { ...tx, from: await signerAddress() });
+                return bondingCurve.buyTokens(...args, gasLimit === null ? { value } : { value, gasLimit });
+            });
+            const event = findCurveEvent(receipt, "TokensPurchased");
+            return { receipt, tokensOut: event?.amount ?? 0n, beraSpent: event?.beraSpent ?? 0n };
+        },
+
+        /**
+         * The gas limit for a buyTokens transaction that meets the graduation thresholds, or null when the
+         * node's estimate will do. The curve migrates within the buy only when MIGRATION_GAS is left, so the
+         * estimate settles on the cheaper run that leaves the curve Graduating until someone calls migrate();
+         * the limit returned adds MIGRATION_GAS to it.
+         * @param {string} curveAddress
+         * @param {ethers.TransactionRequest} tx The transaction, with its sender and value.
+         * @returns {Promise<bigint | null>}
+         */
+        async buyGasLimit(curveAddress, tx) {
+            const bondingCurve = curve(curveAddress);
+            const value = BigInt(tx.value ?? 0n);
+            const [state, config, quote] = await Promise.all([
+                bondingCurve.curveState(),
+                bondingCurve.launchConfig(),
+                this.quoteBuy(curveAddress, value)
+            ]);
+            // Fees leave the curve for the fee splitter, and the refund goes back to the buyer.
+            const graduates = PHASES[Number(state.phase)] === "Trading" &&
+                state.tokensSold + quote.tokensOut >= config.tokenSoldThreshold &&
+                state.beraRaised + value - quote.fee - quote.refund >= config.beraRaisedThreshold;
+            const provider = runner?.provider;
+            if (!graduates || !provider) {
+                return null;
+            }
+            return (await provider.estimateGas(tx)) + (await bondingCurve.MIGRATION_GAS());
+        },
+
+        /**
+         * Sells `tokenAmount` tokens, approving the curve first if its allowance falls short.
+         * @param {string} curveAddress
+         * @param {Amount} tokenAmount
+         * @param {TradeOptions} [options]
+         * @returns {Promise<{ receipt: ethers.TransactionReceipt, approval: ethers.TransactionReceipt | null, beraOut: bigint, fee: bigint }>}
+         */
+        async sell(curveAddress, tokenAmount, options = {}) {
+            const amount = toWei(tokenAmount);
+            const bondingCurve = curve(curveAddress);
+            const launchToken = token(await bondingCurve.token());
+            const owner = await signerAddress();
+
+            let approval = null;
+            if ((await launchToken.allowance(owner, curveAddress)) < amount) {
+                approval = await submit(() => launchToken.approve(curveAddress, amount));
+            }
+
+            const { beraOut } = await this.quoteSell(curveAddress, amount);
+            const receipt = await submit(async () => bondingCurve.sellTokens(
+                amount,
+                minOut(beraOut, options),
+                await deadline(options)
+            ));
+            const proceeds = await this.saleProceeds(curveAddress, receipt);
+            return { receipt, approval, beraOut: proceeds?.beraOut ?? 0n, fee: proceeds?.fee ?? 0n };
+        },
+
+        /**
+         * What a sellTokens receipt paid out, or null when it holds no sale.
+         * @param {string} curveAddress
+         * @param {ethers.TransactionReceipt} receipt
+         * @returns {Promise<{ beraOut: bigint, fee: bigint } | null>}
+         */
+        async saleProceeds(curveAddress, receipt) {
+            const sale = findCurveEvent(receipt, "TokensSold");
+            if (!sale) {
+                return null;
+            }
+            // The event reports the sale before fees; the fee is rounded up like the curve does.
+            /** @type {bigint} */
+            const gross = sale.beraReceived;
+            const { sellFeeBps } = await curve(curveAddress).launchConfig();
+            const fee = (gross * BigInt(sellFeeBps) + BPS - 1n) / BPS;
+            return { beraOut: gross - fee, fee };
+        },
+
+        /**
+         * The curve's sale snapshot with its phase by name.
+         * @param {string} curveAddress
+         * @returns {Promise<CurveState>}
+         */
+        async getCurveState(curveAddress) {
+            const state = await curve(curveAddress).curveState();
+            return {
+                bondingCurve: state.bondingCurve,
+                phase: PHASES[Number(state.phase)],
+                price: state.price,
+                tokensSold: state.tokensSold,
+                beraRaised: state.beraRaised,
+                progressBps: state.progressBps
+            };
+        },
+
+        parseTokenCreated
+    };
+}
+
+module.exports = {
+    PHASES,
+    createClient,
+    parseTokenCreated
+};
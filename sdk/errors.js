@@ -0,0 +1,126 @@
+// @ts-check
+const { ethers } = require("ethers");
+const { TOKEN_FACTORY_ABI, CUSTOM_ERC20_ABI, BONDING_CURVE_ABI } = require("./abis");
+
+// Plain-language explanations of the bonding curve's revert strings.
+/** @type {Record<string, string>} */
+const CURVE_ERRORS = {
+    "Allowlist only": "The presale is still running; only allowlisted wallets can buy until it ends.",
+    "Already graduated": "This token has already graduated to BEX.",
+    "Amount exceeds tokens sold": "You cannot sell more tokens than the curve has sold.",
+    "Buy cooldown active": "You bought too recently; wait for the buy cooldown to pass.",
+    "Curve not paused": "The curve must be paused before emergency refunds.",
+    "Exceeds allowlist allocation": "This purchase would exceed your presale allocation.",
+    "Exceeds early wallet limit": "This purchase would exceed the per-wallet limit that applies right after launch.",
+    "Exceeds max transaction": "This purchase is larger than the launch's maximum transaction size.",
+    "Failed to pay relayer": "The relayer could not be paid.",
+    "Failed to refund BERA": "The unused BERA could not be returned to you.",
+    "Failed to send BERA": "The BERA from the sale could not be sent to you.",
+    "Failed to send refund": "The refund could not be sent to you.",
+    "Graduation conditions not met": "The sale has not reached its graduation thresholds yet.",
+    "Insufficient BERA balance": "The curve does not hold enough BERA to buy these tokens back.",
+    "Insufficient gas for migration": "Migration needs more gas; raise the gas limit.",
+    "Invalid allowlist proof": "Your wallet and allocation are not on this presale's allowlist.",
+    "Invalid order signature": "The order was not signed by its trader.",
+    "No tokens available": "The curve has no tokens left to sell.",
+    "Nothing to refund": "You hold no tokens to refund.",
+    "Order amount mismatch": "The BERA sent does not match the order.",
+    "Order nonce used": "This order was already executed or cancelled.",
+    "Price feed unavailable": "The BERA/USD price feeds are down; try again later.",
+    "Refunds enabled": "This sale failed and switched to refunds.",
+    "Refunds not available": "Refunds are not available for this token.",
+    "Refunds not enabled": "Refunds have not been enabled for this token.",
+    "Relayer fee exceeds proceeds": "The relayer fee is larger than what the sale pays out.",
+    "Relayer fee on buy": "Buy orders cannot pay a relayer fee.",
+    "Sale expired": "The sale window has closed.",
+    "Sale not expired": "The sale is still running.",
+    "Slippage: insufficient BERA out": "The price moved; the sale would pay less BERA than your minimum.",
+    "Slippage: insufficient tokens out": "The price moved; the purchase would return fewer tokens than your minimum.",
+    "Token approval failed": "The token approval failed.",
+    "Token transfer failed": "The token transfer failed.",
+    "Trading closed": "Trading on this curve has closed.",
+    "Trading paused": "Trading on this curve is paused.",
+    "Transaction expired": "The transaction deadline passed before it was mined.",
+    "Zero BERA amount": "Send some BERA to buy.",
+    "Zero token amount": "Choose an amount of tokens to sell.",
+    "Zero tokens out": "The BERA sent is too little to buy any tokens."
+};
+
+// Custom errors the contracts can raise, tried in turn when a revert carries raw data.
+const INTERFACES = [TOKEN_FACTORY_ABI, BONDING_CURVE_ABI, CUSTOM_ERC20_ABI].map(abi => new ethers.Interface(abi));
+
+/**
+ * @typedef {Object} DecodedError
+ * @property {string | null} reason The revert string or custom error name, or null if the error is not a revert.
+ * @property {any[]} args The custom error's arguments.
+ * @property {string} message A message fit to show a user.
+ */
+
+/**
+ * Finds the revert data in an ethers error, which nests it differently depending on how the call failed.
+ * @param {any} error
+ * @returns {string | null}
+ */
+function revertData(error) {
+    for (let current = error; current; current = current.error ?? current.info?.error ?? current.cause) {
+        if (typeof current.data === "string" && current.data.startsWith("0x")) {
+            return current.data;
+        }
+        if (typeof current.data?.data === "string") {
+            return current.data.data;
+        }
+    }
+    return null;
+}
+
+/**
+ * Turns a failed call or transaction into a readable reason, including the curve's revert strings and
+ * the factory's and token's custom errors.
+ * @param {any} error The error ethers threw.
+ * @returns {DecodedError}
+ */
+function decodeError(error) {
+    let reason = error?.revert?.name === "Error" ? error.revert.args[0] : error?.reason ?? null;
+    let args = [];
+
+    const data = revertData(error);
+    if (!reason && data && data !== "0x") {
+        if (data.startsWith(ethers.id("Error(string)").slice(0, 10))) {
+            [reason] = ethers.AbiCoder.defaultAbiCoder().decode(["string"], ethers.dataSlice(data, 4));
+        } else {
+            for (const iface of INTERFACES) {
+                const parsed = iface.parseError(data);
+                if (parsed) {
+                    reason = parsed.name;
+                    args = [...parsed.args];
+                    break;
+                }
+            }
+        }
+    }
+
+    if (!reason) {
+        return { reason: null, args, message: error?.shortMessage ?? error?.message ?? String(error) };
+    }
+    const message = CURVE_ERRORS[reason] ?? (args.length ? `${reason}(${args.join(", ")})` : reason);
+    return { reason, args, message };
+}
+
+/**
+ * Rethrows `error` with its decoded message, keeping the original as the cause.
+ * @param {any} error
+ * @returns {never}
+ */
+function rethrow(error) {
+    const { reason, args, message } = decodeError(error);
+    if (!reason) {
+        throw error;
+    }
+    throw Object.assign(new Error(message, { cause: error }), { reason, args });
+}
+
+module.exports = {
+    CURVE_ERRORS,
+    decodeError,
+    rethrow
+};
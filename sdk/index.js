@@ -0,0 +1,16 @@
+// @ts-check
+const { PHASES, createClient, parseTokenCreated } = require("./client");
+const { CURVE_ERRORS, decodeError } = require("./errors");
+const { TOKEN_FACTORY_ABI, CUSTOM_ERC20_ABI, BONDING_CURVE_ABI, FEE_SPLITTER_ABI } = require("./abis");
+
+module.exports = {
+    createClient,
+    parseTokenCreated,
+    decodeError,
+    CURVE_ERRORS,
+    PHASES,
+    TOKEN_FACTORY_ABI,
+    CUSTOM_ERC20_ABI,
+    BONDING_CURVE_ABI,
+    FEE_SPLITTER_ABI
+};
@@ -0,0 +1,251 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const WebSocket = require("ws");
+const { deployCurveModel } = require("./helpers/curveModels");
+const { deployFeeSplitter } = require("./helpers/feeSplitter");
+const { deployImplementations } = require("./helpers/implementations");
+const { createClient } = require("../sdk");
+const { createIndexer, openStore } = require("../indexer");
+const { createApi } = require("../api");
+
+describe("Launch Data API", function () {
+    let tokenFactory;
+    let priceFeed;
+    let curveModel;
+    let curveParams;
+    let bexLiquidityManager;
+    let creator;
+    let alice;
+    let bob;
+    let feeCollector;
+    let liquidityCollector;
+    let client;
+    let first;
+    let second;
+    let file;
+    let store;
+    let indexer;
+    let api;
+    let baseUrl;
+
+    const BERA_PRICE = ethers.parseEther("3000");
+
+    async function launchToken(signer, name, symbol) {
+        const { launch } = await createClient({ factory: client.factory.target, runner: signer }).createToken({
+            name,
+            symbol,
+            priceFeed: await priceFeed.getAddress(),
+            curveModel: await curveModel.getAddress(),
+            curveParams,
+            metadata: { website: `https://${symbol.toLowerCase()}.example` }
+        });
+        return launch;
+    }
+
+    function trader(signer) {
+        return createClient({ factory: client.factory.target, runner: signer });
+    }
+
+    async function get(route) {
+        const response = await fetch(baseUrl + route);
+        return { status: response.status, body: await response.json() };
+    }
+
+    // The market cap the curve's own views imply: its current price times the launch's total supply.
+    async function onChainMarketCap(bondingCurve) {
+        const curve = client.curve(bondingCurve);
+        return (await curve.getCurrentPrice()) * (await curve.launchConfig()).totalSupply / 10n ** 18n;
+    }
+
+    beforeEach(async function () {
+        [creator, alice, bob, feeCollector, liquidityCollector] = await ethers.getSigners();
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        priceFeed = await MockPriceFeed.deploy(BERA_PRICE);
+
+        const MockBexDex = await ethers.getContractFactory("MockBexDex");
+        const mockBexDex = await MockBexDex.deploy();
+        const BexLiquidityManager = await ethers.getContractFactory("BexLiquidityManager");
+        bexLiquidityManager = await BexLiquidityManager.deploy(await mockBexDex.getAddress(), await mockBexDex.getAddress());
+
+        const feeSplitter = await deployFeeSplitter(feeCollector.address);
+        const TokenFactory = await ethers.getContractFactory("TokenFactory");
+        tokenFactory = await TokenFactory.deploy(
+            await feeSplitter.getAddress(),
+            await bexLiquidityManager.getAddress(),
+            liquidityCollector.address,
+            ...(await deployImplementations())
+        );
+        const deployBlock = (await tokenFactory.deploymentTransaction().wait()).blockNumber;
+        await feeSplitter.setAuthorizedCaller(tokenFactory, true);
+        await bexLiquidityManager.setFactory(tokenFactory);
+        ({ curveModel, curveParams } = await deployCurveModel(tokenFactory));
+
+        client = createClient({ factory: await tokenFactory.getAddress(), runner: creator });
+        first = await launchToken(creator, "First Token", "FRST");
+        second = await launchToken(alice, "Second Token", "SCND");
+        await trader(alice).buy(first.bondingCurve, "0.5");
+        await trader(bob).buy(second.bondingCurve, "2");
+
+        file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "bexie-api-")), "index.sqlite");
+        store = await openStore(file);
+        indexer = createIndexer({ provider: ethers.provider, factory: await tokenFactory.getAddress(), store, startBlock: deployBlock });
+        await indexer.sync();
+
+        api = createApi({ store, provider: ethers.provider, factory: await tokenFactory.getAddress(), events: indexer.events });
+        baseUrl = `http://127.0.0.1:${await api.listen()}`;
+    });
+
+    afterEach(async function () {
+        await api.close();
+        await indexer.stop();
+        store.close();
+        fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    });
+
+    describe("Token list", function () {
+        it("should list the newest launches first with on-chain prices", async function () {
+            const { status, body } = await get("/tokens");
+            console.log("Token list:", body);
+
+            expect(status).to.equal(200);
+            expect(body.total).to.equal(2);
+            expect(body.tokens.map(token => token.symbol)).to.deep.equal(["SCND", "FRST"]);
+            const [scnd] = body.tokens;
+            expect(BigInt(scnd.state.price)).to.equal(await client.curve(second.bondingCurve).getCurrentPrice());
+            expect(BigInt(scnd.state.marketCap)).to.equal(await onChainMarketCap(second.bondingCurve));
+            expect(scnd.state.phase).to.equal("Trading");
+        });
+
+        it("should read the curves of the requested page only when listing the newest", async function () {
+            // A provider that records the curves each getCurveStates call asks for.
+            const requested = [];
+            const fragment = tokenFactory.interface.getFunction("getCurveStates");
+            const provider = Object.create(ethers.provider);
+            provider.call = async tx => {
+                if (tx.data?.startsWith(fragment.selector)) {
+                    requested.push([...tokenFactory.interface.decodeFunctionData(fragment, tx.data)[0]]);
+                }
+                return ethers.provider.call(tx);
+            };
+            const paged = createApi({ store, provider, factory: await tokenFactory.getAddress() });
+            const pagedUrl = `http://127.0.0.1:${await paged.listen()}`;
+            try {
+                const body = await (await fetch(`${pagedUrl}/tokens?limit=1&offset=1`)).json();
+                expect(body.total).to.equal(2);
+                expect(body.tokens.map(token => token.symbol)).to.deep.equal(["FRST"]);
+                expect(body.tokens[0].state.phase).to.equal("Trading");
+                expect(requested).to.deep.equal([[first.bondingCurve]]);
+            } finally {
+                await paged.close();
+            }
+        });
+
+        it("should sort by market cap and by progress toward graduation", async function () {
+            await trader(alice).buy(first.bondingCurve, "3");
+            const third = await launchToken(bob, "Third Token", "THRD");
+            await client.curve(third.bondingCurve).connect(bob)
+                .buyTokens(0, ethers.MaxUint256, ethers.ZeroAddress, { value: ethers.parseEther("15") });
+            await indexer.sync();
+
+            const byMarketCap = (await get("/tokens?sort=market-cap")).body.tokens;
+            const caps = byMarketCap.map(token => BigInt(token.state.marketCap));
+            expect(byMarketCap[0].symbol).to.equal("THRD");
+            expect(caps).to.deep.equal([...caps].sort((a, b) => (a > b ? -1 : a < b ? 1 : 0)));
+
+            const nearGraduation = (await get("/tokens?sort=near-graduation")).body.tokens;
+            console.log("Near graduation:", nearGraduation.map(token => [token.symbol, token.state.progressBps]));
+            expect(nearGraduation.map(token => token.symbol)).to.deep.equal(["FRST", "SCND"]);
+        });
+
+        it("should filter by creator, phase and name", async function () {
+            expect((await get(`/tokens?creator=${alice.address.toLowerCase()}`)).body.tokens.map(token => token.symbol))
+                .to.deep.equal(["SCND"]);
+            expect((await get("/tokens?search=first")).body.tokens.map(token => token.symbol)).to.deep.equal(["FRST"]);
+            expect((await get("/tokens?phase=Graduated")).body.total).to.equal(0);
+            expect((await get("/tokens?limit=1&offset=1")).body.tokens.map(token => token.symbol)).to.deep.equal(["FRST"]);
+
+            expect((await get("/tokens?sort=oldest")).status).to.equal(400);
+            expect((await get("/tokens?phase=Sideways")).status).to.equal(400);
+            expect((await get("/tokens?creator=0x1234")).status).to.equal(400);
+        });
+    });
+
+    describe("Token data", function () {
+        it("should return a token's detail", async function () {
+            const { body } = await get(`/tokens/${first.token}`);
+            console.log("Detail:", body);
+
+            expect(body.bondingCurve).to.equal(first.bondingCurve);
+            expect(body.metadata.website).to.equal("https://frst.example");
+            expect(BigInt(body.state.marketCap)).to.equal(await onChainMarketCap(first.bondingCurve));
+            expect(body.stats.trades).to.equal(1);
+            expect(body.graduation).to.be.null;
+
+            expect((await get(`/tokens/${ethers.ZeroAddress}`)).status).to.equal(404);
+            expect((await get("/tokens/nope")).status).to.equal(400);
+        });
+
+        it("should return trades, candles and holders", async function () {
+            await trader(bob).buy(first.bondingCurve, "0.25");
+            await indexer.sync();
+
+            const { trades } = (await get(`/tokens/${first.token}/trades?limit=1`)).body;
+            expect(trades).to.have.length(1);
+            expect(trades[0].trader).to.equal(bob.address);
+
+            const { candles } = (await get(`/tokens/${first.token}/candles?interval=1h`)).body;
+            expect(candles.reduce((sum, candle) => sum + candle.trades, 0)).to.equal(2);
+            expect((await get(`/tokens/${first.token}/candles?interval=1w`)).status).to.equal(400);
+
+            const { total, holders } = (await get(`/tokens/${first.token}/holders`)).body;
+            console.log("Holders:", holders);
+            expect(total).to.equal(3);
+            for (const { holder, balance } of holders) {
+                expect(await client.token(first.token).balanceOf(holder)).to.equal(BigInt(balance));
+            }
+        });
+
+        it("should summarise a creator's launches", async function () {
+            await trader(creator).buy(first.bondingCurve, "0.1");
+            await indexer.sync();
+
+            const { body } = await get(`/creators/${creator.address}`);
+            console.log("Portfolio:", body);
+            expect(body.launches).to.equal(1);
+            expect(body.tokens[0].symbol).to.equal("FRST");
+            expect(BigInt(body.tokens[0].creatorBalance)).to.equal(await client.token(first.token).balanceOf(creator.address));
+            expect(BigInt(body.marketCap)).to.equal(await onChainMarketCap(first.bondingCurve));
+        });
+
+        it("should reject unknown routes and methods", async function () {
+            expect((await get("/launches")).status).to.equal(404);
+            const response = await fetch(`${baseUrl}/tokens`, { method: "POST" });
+            expect(response.status).to.equal(405);
+        });
+    });
+
+    describe("Trade stream", function () {
+        it("should stream indexed trades for the subscribed token", async function () {
+            const socket = new WebSocket(`${baseUrl.replace("http", "ws")}/trades?token=${first.token}`);
+            await new Promise((resolve, reject) => socket.once("open", resolve).once("error", reject));
+            const received = [];
+            socket.on("message", data => received.push(JSON.parse(data.toString())));
+
+            await trader(bob).buy(second.bondingCurve, "0.1");
+            await trader(bob).buy(first.bondingCurve, "0.1");
+            await indexer.sync();
+            await new Promise(resolve => setTimeout(resolve, 100));
+            socket.close();
+
+            console.log("Streamed:", received);
+            expect(received).to.have.length(1);
+            expect(received[0].type).to.equal("trade");
+            expect(received[0].token).to.equal(first.token);
+            expect(received[0].trader).to.equal(bob.address);
+        });
+    });
+});
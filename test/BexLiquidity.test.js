@@ -1,6 +1,11 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployCurveModel } = require("./helpers/curveModels");
+const { deployFeeSplitter } = require("./helpers/feeSplitter");
+const { NO_METADATA } = require("./helpers/tokenMetadata");
+const { deployImplementations } = require("./helpers/implementations");
+const { executeTimelocked } = require("./helpers/timelock");
 
 describe("BEX Liquidity Deployment", function () {
     let tokenFactory;
@@ -8,179 +13,398 @@ describe("BEX Liquidity Deployment", function () {
     let token;
     let bondingCurve;
     let owner;
+    let buyer;
     let feeCollector;
+    let feeSplitter;
     let liquidityCollector;
     let priceFeed;
     let mockBexDex;
+    let failingBexDex;
+    let curveModel;
+    let curveParams;
 
     // Test constants
-    const INITIAL_SUPPLY = 1000000000; // 1 billion tokens
-    const TARGET_MARKET_CAP = ethers.parseEther("69420"); // $69,420
-    const LIQUIDITY_AMOUNT = ethers.parseEther("6942"); // $6,942
-    const BERA_PRICE = ethers.parseEther("10"); // $10 per BERA
+    const BERA_PRICE = ethers.parseEther("3000"); // $3,000 per BERA
+    const GRADUATING_BUY = ethers.parseEther("15"); // More than the whole sale costs
+    const TRADING = 0n;
+    const GRADUATING = 1n;
+    const GRADUATED = 2n;
+    const FAILED = 3n;
+    const REFUNDING = 4n;
+
+    async function createToken(config, symbol = "TEST") {
+        const tx = await tokenFactory.createToken(
+            "Test Token",
+            symbol,
+            NO_METADATA,
+            await priceFeed.getAddress(),
+            config,
+            await curveModel.getAddress(),
+            curveParams,
+            0,
+            ethers.ZeroAddress,
+            ethers.hexlify(ethers.randomBytes(32)),
+            { value: await tokenFactory.creationFee() }
+        );
+        const receipt = await tx.wait();
+
+        // Get token and bonding curve addresses from event
+        const event = receipt.logs.find(
+            log => {
+                try {
+                    const decoded = tokenFactory.interface.parseLog(log);
+                    return decoded.name === "TokenCreated";
+                } catch (e) {
+                    return false;
+                }
+            }
+        );
+        const decodedEvent = tokenFactory.interface.parseLog(event);
+        token = await ethers.getContractAt("CustomERC20", decodedEvent.args.tokenAddress);
+        bondingCurve = await ethers.getContractAt("BondingCurve", decodedEvent.args.bondingCurveAddress);
+    }
+
+    function sqrt(value) {
+        if (value < 2n) return value;
+        let x = value;
+        let y = (x + 1n) / 2n;
+        while (y < x) {
+            x = y;
+            y = (x + value / x) / 2n;
+        }
+        return x;
+    }
+
+    // The square root pool price, Q64.64, for the curve's end price once the whole sale is sold.
+    async function endSqrtPriceX64() {
+        const config = await bondingCurve.launchConfig();
+        const sold = config.totalSupply - config.creatorAllocation - config.liquidityTokens;
+        const beraPerToken = await curveModel.priceAt(curveParams, sold, 10n ** 30n);
+        const tokensPerBera = 10n ** 36n / beraPerToken;
+        return sqrt(tokensPerBera * 2n ** 128n / 10n ** 18n);
+    }
+
+    async function initializePoolFirst(sqrtPriceX64) {
+        const initCmd = ethers.AbiCoder.defaultAbiCoder().encode(
+            ["uint8", "address", "address", "uint256", "uint128"],
+            [71, ethers.ZeroAddress, await token.getAddress(), await bexLiquidityManager.poolIdx(), sqrtPriceX64]
+        );
+        // Whoever opens the pool pays for the liquidity it locks, so the buyer gets a few tokens first.
+        await buy(ethers.parseEther("0.01"));
+        await token.connect(buyer).approve(await mockBexDex.getAddress(), ethers.MaxUint256);
+        await mockBexDex.connect(buyer).userCmd(3, initCmd, { value: ethers.parseEther("0.01") });
+    }
+
+    function buy(value, overrides = {}) {
+        return bondingCurve.connect(buyer).buyTokens(0, ethers.MaxUint256, ethers.ZeroAddress, { value, ...overrides });
+    }
+
+    async function sell(amount) {
+        await token.connect(buyer).approve(await bondingCurve.getAddress(), amount);
+        return bondingCurve.connect(buyer).sellTokens(amount, 0, ethers.MaxUint256);
+    }
 
     beforeEach(async function () {
         // Get signers
-        [owner, feeCollector, liquidityCollector] = await ethers.getSigners();
-
-        // Fund accounts with large amounts of BERA
-        for (const account of [owner, feeCollector, liquidityCollector]) {
-            await ethers.provider.send("hardhat_setBalance", [
-                account.address,
-                ethers.toBeHex(ethers.parseEther("1000000"))
-            ]);
-        }
+        [owner, buyer, feeCollector, liquidityCollector] = await ethers.getSigners();
 
         // Deploy mock price feed
         const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
         priceFeed = await MockPriceFeed.deploy(BERA_PRICE);
         await priceFeed.waitForDeployment();
 
-        // Deploy mock BEX DEX
+        // Deploy working and failing mock BEX DEXes
         const MockBexDex = await ethers.getContractFactory("MockBexDex");
         mockBexDex = await MockBexDex.deploy();
         await mockBexDex.waitForDeployment();
+        const MockFailingBexDex = await ethers.getContractFactory("MockFailingBexDex");
+        failingBexDex = await MockFailingBexDex.deploy();
+        await failingBexDex.waitForDeployment();
 
         // Deploy BexLiquidityManager with mock BEX DEX
         const BexLiquidityManager = await ethers.getContractFactory("BexLiquidityManager");
-        bexLiquidityManager = await BexLiquidityManager.deploy(await mockBexDex.getAddress());
+        bexLiquidityManager = await BexLiquidityManager.deploy(await mockBexDex.getAddress(), await mockBexDex.getAddress());
         await bexLiquidityManager.waitForDeployment();
 
         // Deploy TokenFactory
+        feeSplitter = await deployFeeSplitter(feeCollector.address);
         const TokenFactory = await ethers.getContractFactory("TokenFactory");
         tokenFactory = await TokenFactory.deploy(
-            feeCollector.address,
+            await feeSplitter.getAddress(),
             await bexLiquidityManager.getAddress(),
-            liquidityCollector.address
+            liquidityCollector.address,
+            ...(await deployImplementations())
         );
         await tokenFactory.waitForDeployment();
+        await feeSplitter.setAuthorizedCaller(tokenFactory, true);
+        // Let the factory's curves deploy liquidity while the owner keeps control of the manager
+        await bexLiquidityManager.setFactory(await tokenFactory.getAddress());
+        ({ curveModel, curveParams } = await deployCurveModel(tokenFactory));
 
-        // Create a new token
-        const tx = await tokenFactory.createToken(
-            "Test Token",
-            "TEST",
-            INITIAL_SUPPLY,
-            await priceFeed.getAddress(),
-            { value: ethers.parseEther("0.02") } // Creation fee
-        );
-        const receipt = await tx.wait();
-
-        // Get token and bonding curve addresses from event
-        const event = receipt.logs.find(
-            log => {
-                try {
-                    const decoded = tokenFactory.interface.parseLog(log);
-                    return decoded.name === "TokenCreated";
-                } catch (e) {
-                    return false;
-                }
-            }
-        );
-        const decodedEvent = tokenFactory.interface.parseLog(event);
-        token = await ethers.getContractAt("CustomERC20", decodedEvent.args.tokenAddress);
-        bondingCurve = await ethers.getContractAt("BondingCurve", decodedEvent.args.bondingCurveAddress);
-
-        // Transfer BexLiquidityManager ownership to bonding curve
-        await bexLiquidityManager.transferOwnership(await bondingCurve.getAddress());
-
-        // Fund the bonding curve with BERA (enough for liquidity deployment)
-        await owner.sendTransaction({
-            to: await bondingCurve.getAddress(),
-            value: ethers.parseEther("100000") // Much more than needed
-        });
+        await createToken((await tokenFactory.defaultLaunchConfig()).toObject());
     });
 
-    describe("Liquidity Deployment Tests", function () {
-        it("Should deploy liquidity to BEX when target market cap is reached", async function () {
+    describe("Trading to Graduated", function () {
+        it("Should deploy liquidity to BEX when the thresholds are met", async function () {
             console.log("=== Testing Liquidity Deployment ===");
-            
-            // Buy enough tokens to reach target market cap (6942 BERA at $10 = $69,420)
-            const buyAmount = ethers.parseEther("7000");
-            console.log("Buying tokens with", ethers.formatEther(buyAmount), "BERA");
-            
-            const initialCollectorBalance = await ethers.provider.getBalance(liquidityCollector.address);
-            
-            await bondingCurve.connect(owner).buyTokens(0, { value: buyAmount });
-            
-            const marketCap = await bondingCurve.currentMarketCapUSD();
-            console.log("Current Market Cap:", ethers.formatEther(marketCap), "USD");
-            
-            const collectedBera = await bondingCurve.collectedBeraUSD();
-            console.log("Collected BERA:", ethers.formatEther(collectedBera), "USD");
-
-            // Wait for a block to ensure all state changes are processed
-            await ethers.provider.send("evm_mine", []);
-
-            // Verify liquidity deployment
-            expect(await bondingCurve.targetReached()).to.be.true;
+            expect(await bondingCurve.phase()).to.equal(TRADING);
+
+            const tx = buy(GRADUATING_BUY);
+            await expect(tx).to.emit(bondingCurve, "PhaseChanged").withArgs(TRADING, GRADUATING);
+            await expect(tx).to.emit(bondingCurve, "PhaseChanged").withArgs(GRADUATING, GRADUATED);
+            await expect(tx).to.emit(bexLiquidityManager, "LiquidityDeployed");
+
+            expect(await bondingCurve.phase()).to.equal(GRADUATED);
             expect(await bondingCurve.liquidityDeployed()).to.be.true;
 
             // Check BEX liquidity pool
-            const bexLiquidity = await mockBexDex.getLiquidity(
-                await token.getAddress(),
-                ethers.ZeroAddress
+            const position = await bexLiquidityManager.getPosition(await token.getAddress());
+            const pool = await mockBexDex.getPool(ethers.ZeroAddress, await token.getAddress(), position.poolIdx);
+            console.log("BEX Liquidity Pool:", {
+                bera: ethers.formatEther(pool.baseReserves),
+                tokens: ethers.formatEther(pool.quoteReserves)
+            });
+            // The pool also holds the liquidity BEX locked when the manager created it.
+            expect(pool.baseReserves).to.be.gt(position.beraDeposited);
+            expect(pool.quoteReserves).to.be.gt(position.tokensDeposited);
+            expect(position.beraDeposited).to.be.gt(0);
+            expect(position.collector).to.equal(liquidityCollector.address);
+        });
+
+        it("Should move everything raised beyond the threshold out of the curve", async function () {
+            // The 15 BERA buy takes the whole sale for ~10.93 BERA, well past the 6 BERA threshold.
+            const [, fee] = await bondingCurve.quoteBuy(GRADUATING_BUY);
+            const protocolBefore = await feeSplitter.claimable(feeCollector.address);
+            const tx = await buy(GRADUATING_BUY);
+            const purchase = (await tx.wait()).logs
+                .map(log => { try { return bondingCurve.interface.parseLog(log); } catch { return null; } })
+                .find(parsed => parsed?.name === "TokensPurchased");
+            const raised = purchase.args.beraSpent - fee;
+            const config = await bondingCurve.launchConfig();
+            console.log("BERA raised:", ethers.formatEther(raised));
+
+            expect(raised).to.be.gt(config.beraRaisedThreshold);
+            expect(await ethers.provider.getBalance(bondingCurve)).to.equal(0);
+            await expect(tx).to.emit(bondingCurve, "LiquidityDeployedToBex").withArgs(raised, config.liquidityTokens);
+            expect(await bondingCurve.beraMigrated()).to.equal(raised);
+            expect((await bondingCurve.curveState()).beraRaised).to.equal(raised);
+
+            // The liquidity BERA went to the manager and the rest to the protocol, on top of its fee share.
+            expect(await ethers.provider.getBalance(bexLiquidityManager)).to.equal(0);
+            expect(await feeSplitter.claimable(feeCollector.address)).to.be.gte(
+                protocolBefore + raised - config.liquidityBera
             );
-            console.log("BEX Liquidity Pool:", ethers.formatEther(bexLiquidity), "BERA");
-            expect(bexLiquidity).to.be.gt(0);
+        });
+
+        it("Should open the pool at the curve's end price and keep the sold supply apart from it", async function () {
+            await buy(GRADUATING_BUY);
+
+            const position = await bexLiquidityManager.getPosition(await token.getAddress());
+            expect(position.sqrtPriceX64).to.equal(await endSqrtPriceX64());
+
+            // The tokens paired on BEX were never sold, so the curve still reports where the sale ended.
+            const config = await bondingCurve.launchConfig();
+            const state = await bondingCurve.curveState();
+            console.log("After graduation:", {
+                price: ethers.formatUnits(state.price, 6),
+                tokensSold: ethers.formatEther(state.tokensSold)
+            });
+            expect(state.tokensSold).to.equal(await token.balanceOf(buyer.address));
+            expect(state.price).to.equal(
+                await curveModel.priceAt(curveParams, state.tokensSold, await bondingCurve.getBeraPrice())
+            );
+            expect(state.tokensSold).to.equal(config.totalSupply - config.creatorAllocation - config.liquidityTokens);
+        });
 
-            // Check liquidity collector balance
-            const finalCollectorBalance = await ethers.provider.getBalance(liquidityCollector.address);
-            expect(finalCollectorBalance).to.be.gt(initialCollectorBalance);
-            console.log("Liquidity Collector Balance Change:", 
-                ethers.formatEther(finalCollectorBalance - initialCollectorBalance), "BERA");
+        it("Should join a pool someone opened first near the curve's price", async function () {
+            const livePrice = (await endSqrtPriceX64()) * 101n / 100n;
+            await initializePoolFirst(livePrice);
+
+            const tx = buy(GRADUATING_BUY);
+            await expect(tx).to.emit(bondingCurve, "PhaseChanged").withArgs(GRADUATING, GRADUATED);
+            await expect(tx).to.not.emit(bexLiquidityManager, "PoolInitialized");
+            expect((await bexLiquidityManager.getPosition(await token.getAddress())).sqrtPriceX64).to.equal(livePrice);
         });
 
-        it("Should not deploy liquidity before target market cap", async function () {
+        it("Should fail over when someone opened the pool far from the curve's price", async function () {
+            await initializePoolFirst(2n ** 64n);
+
+            const tx = buy(GRADUATING_BUY);
+            await expect(tx).to.emit(bondingCurve, "PhaseChanged").withArgs(GRADUATING, FAILED);
+            await expect(tx).to.emit(bondingCurve, "MigrationFailed");
+        });
+
+        it("Should not deploy liquidity before the thresholds", async function () {
             console.log("=== Testing Pre-Target Behavior ===");
-            
-            // Buy small amount of tokens
-            const buyAmount = ethers.parseEther("100"); // 100 BERA = $1,000
-            console.log("Buying tokens with", ethers.formatEther(buyAmount), "BERA");
-            
-            const initialCollectorBalance = await ethers.provider.getBalance(liquidityCollector.address);
-            
-            await bondingCurve.connect(owner).buyTokens(0, { value: buyAmount });
-            
-            const marketCap = await bondingCurve.currentMarketCapUSD();
-            console.log("Current Market Cap:", ethers.formatEther(marketCap), "USD");
-            
-            // Wait for a block to ensure all state changes are processed
-            await ethers.provider.send("evm_mine", []);
-
-            // Verify no liquidity deployment
-            expect(await bondingCurve.targetReached()).to.be.false;
+
+            await buy(ethers.parseEther("1"));
+
+            expect(await bondingCurve.graduationReady()).to.be.false;
+            expect(await bondingCurve.phase()).to.equal(TRADING);
+            await expect(bondingCurve.migrate()).to.be.revertedWith("Graduation conditions not met");
+        });
+
+        it("Should block curve trading after graduation", async function () {
+            await buy(GRADUATING_BUY);
+            const balance = await token.balanceOf(buyer.address);
+
+            await expect(buy(ethers.parseEther("1"))).to.be.revertedWith("Trading closed");
+            await expect(sell(balance / 2n)).to.be.revertedWith("Trading closed");
+            await expect(bondingCurve.migrate()).to.be.revertedWith("Already graduated");
+        });
+    });
+
+    describe("Graduating", function () {
+        it("Should close trading and wait for migrate() when the buyer sends too little gas", async function () {
+            console.log("=== Testing Deferred Migration ===");
+
+            const tx = buy(GRADUATING_BUY, { gasLimit: 1_000_000 });
+            await expect(tx).to.emit(bondingCurve, "PhaseChanged").withArgs(TRADING, GRADUATING);
+            expect(await bondingCurve.phase()).to.equal(GRADUATING);
             expect(await bondingCurve.liquidityDeployed()).to.be.false;
 
-            // Check liquidity collector balance hasn't changed
-            const finalCollectorBalance = await ethers.provider.getBalance(liquidityCollector.address);
-            expect(finalCollectorBalance).to.equal(initialCollectorBalance);
+            await expect(buy(ethers.parseEther("1"))).to.be.revertedWith("Trading closed");
+            await expect(sell(await token.balanceOf(buyer.address))).to.be.revertedWith("Trading closed");
+
+            // A starved migration cannot push the curve into Failed.
+            await expect(
+                bondingCurve.connect(feeCollector).migrate({ gasLimit: 1_500_000 })
+            ).to.be.revertedWith("Insufficient gas for migration");
+
+            await expect(bondingCurve.connect(feeCollector).migrate())
+                .to.emit(bondingCurve, "PhaseChanged").withArgs(GRADUATING, GRADUATED);
+            expect(await bondingCurve.liquidityDeployed()).to.be.true;
+        });
+
+        it("Should raise the validated BERA threshold at any BERA price", async function () {
+            // Selling out raises ~10.93 BERA at the reference $3,000, just above the threshold.
+            const config = {
+                ...(await tokenFactory.defaultLaunchConfig()).toObject(),
+                beraRaisedThreshold: ethers.parseEther("10.9"),
+                liquidityBera: ethers.parseEther("10")
+            };
+            await createToken(config, "ANYPRICE");
+
+            // At $2,500 the prices are $0.0000058 -> $0.0000625; rounded to whole micro-dollars they would
+            // raise ~15% less and the sale would sell out below the threshold.
+            await priceFeed.setPrice(2500n * 10n ** 8n);
+            await time.increase(await bondingCurve.UPDATE_INTERVAL());
+            const [, fee] = await bondingCurve.quoteBuy(GRADUATING_BUY);
+            const tx = await buy(GRADUATING_BUY);
+            const purchase = (await tx.wait()).logs
+                .map(log => { try { return bondingCurve.interface.parseLog(log); } catch { return null; } })
+                .find(parsed => parsed?.name === "TokensPurchased");
+            console.log("BERA raised at $2,500:", ethers.formatEther(purchase.args.beraSpent - fee));
+
+            expect(purchase.args.beraSpent - fee).to.be.gte(config.beraRaisedThreshold);
+            await expect(tx).to.emit(bondingCurve, "LiquidityDeployedToBex");
+            expect(await bondingCurve.phase()).to.equal(GRADUATED);
+        });
+    });
+
+    describe("Factory curves", function () {
+        it("Should graduate every curve of the factory set on the manager without authorizing each one", async function () {
+            await buy(GRADUATING_BUY);
+            expect(await bondingCurve.phase()).to.equal(GRADUATED);
+
+            await createToken((await tokenFactory.defaultLaunchConfig()).toObject(), "NEXT");
+            expect(await bexLiquidityManager.authorizedCallers(await bondingCurve.getAddress())).to.be.false;
+            await buy(GRADUATING_BUY);
+            expect(await bondingCurve.phase()).to.equal(GRADUATED);
+        });
+
+        it("Should fail over without the factory set and graduate once it is", async function () {
+            await bexLiquidityManager.setFactory(ethers.ZeroAddress);
+            await buy(GRADUATING_BUY);
+            expect(await bondingCurve.phase()).to.equal(FAILED);
+
+            await expect(bexLiquidityManager.setFactory(await tokenFactory.getAddress()))
+                .to.emit(bexLiquidityManager, "FactoryUpdated")
+                .withArgs(await tokenFactory.getAddress());
+            await expect(bondingCurve.migrate()).to.emit(bondingCurve, "PhaseChanged").withArgs(GRADUATING, GRADUATED);
         });
 
-        it("Should handle errors gracefully during liquidity deployment", async function () {
+        it("Should only accept the curve the factory launched the token with", async function () {
+            await expect(
+                bexLiquidityManager.connect(buyer).deployLiquidity(
+                    await token.getAddress(), 1, buyer.address, ethers.parseEther("1"), { value: 1 }
+                )
+            ).to.be.revertedWith("Caller not authorized");
+            await expect(
+                bexLiquidityManager.connect(buyer).setFactory(buyer.address)
+            ).to.be.revertedWithCustomError(bexLiquidityManager, "OwnableUnauthorizedAccount")
+            .withArgs(buyer.address);
+        });
+    });
+
+    describe("Failed", function () {
+        beforeEach(async function () {
+            await executeTimelocked(bexLiquidityManager, "setBexDex", [await failingBexDex.getAddress()]);
+        });
+
+        it("Should move to Failed and keep the funds when the DEX call fails", async function () {
             console.log("=== Testing Error Handling ===");
-            
-            // Deploy faulty mock BEX DEX
-            const MockFailingBexDex = await ethers.getContractFactory("MockFailingBexDex");
-            const failingBexDex = await MockFailingBexDex.deploy();
-
-            // Create new BexLiquidityManager with failing DEX
-            const BexLiquidityManager = await ethers.getContractFactory("BexLiquidityManager");
-            const failingManager = await BexLiquidityManager.deploy(await failingBexDex.getAddress());
-
-            // Approve tokens for failing manager
-            await token.approve(await failingManager.getAddress(), ethers.parseEther("1000"));
-            
-            // Try to deploy liquidity
-            const tx = failingManager.deployLiquidity(
-                await token.getAddress(),
-                ethers.parseEther("1000"),
-                liquidityCollector.address,
-                { value: ethers.parseEther("1") }
-            );
-            
-            await expect(tx).to.be.reverted;
-            
-            console.log("Error handling test passed");
+
+            const tx = buy(GRADUATING_BUY);
+            await expect(tx).to.emit(bondingCurve, "PhaseChanged").withArgs(GRADUATING, FAILED);
+            await expect(tx).to.emit(bondingCurve, "MigrationFailed");
+
+            const config = await bondingCurve.launchConfig();
+            expect(await bondingCurve.phase()).to.equal(FAILED);
+            expect(await ethers.provider.getBalance(bondingCurve)).to.be.gte(config.beraRaisedThreshold);
+            expect(await token.balanceOf(bondingCurve)).to.equal(config.liquidityTokens);
+            expect(await token.allowance(bondingCurve, bexLiquidityManager)).to.equal(0);
+        });
+
+        it("Should close trading both ways while failed", async function () {
+            await buy(GRADUATING_BUY);
+            const balance = await token.balanceOf(buyer.address);
+
+            await expect(buy(ethers.parseEther("1"))).to.be.revertedWith("Trading closed");
+            await expect(sell(balance / 10n)).to.be.revertedWith("Trading closed");
+            expect(await bondingCurve.graduationReady()).to.be.true;
+        });
+
+        it("Should stay failed while the DEX keeps failing", async function () {
+            await buy(GRADUATING_BUY);
+
+            await expect(bondingCurve.migrate()).to.emit(bondingCurve, "MigrationFailed");
+            expect(await bondingCurve.phase()).to.equal(FAILED);
+        });
+
+        it("Should graduate on retry once the DEX is fixed", async function () {
+            await buy(GRADUATING_BUY);
+            await executeTimelocked(bexLiquidityManager, "setBexDex", [await mockBexDex.getAddress()]);
+
+            const tx = bondingCurve.connect(feeCollector).migrate();
+            await expect(tx).to.emit(bondingCurve, "PhaseChanged").withArgs(FAILED, GRADUATING);
+            await expect(tx).to.emit(bondingCurve, "PhaseChanged").withArgs(GRADUATING, GRADUATED);
+            expect(await bondingCurve.liquidityDeployed()).to.be.true;
+        });
+
+        it("Should let the owner refund holders of a launch that cannot migrate", async function () {
+            await buy(GRADUATING_BUY);
+            const held = await ethers.provider.getBalance(bondingCurve);
+            const balance = await token.balanceOf(buyer.address);
+
+            await expect(tokenFactory.emergencyRefund(bondingCurve))
+                .to.emit(tokenFactory, "EmergencyRefundsEnabled").withArgs(await bondingCurve.getAddress())
+                .and.to.emit(bondingCurve, "PhaseChanged").withArgs(FAILED, REFUNDING);
+            await expect(bondingCurve.migrate()).to.be.revertedWith("Refunds enabled");
+
+            // The buyer holds everything in circulation, so they get every wei the curve held.
+            await token.connect(buyer).approve(await bondingCurve.getAddress(), balance);
+            await expect(bondingCurve.connect(buyer).claimRefund()).to.changeEtherBalance(buyer, held);
+        });
+
+        it("Should not let anyone but the owner switch a failed launch to refunds", async function () {
+            await buy(GRADUATING_BUY);
+
+            await expect(tokenFactory.connect(buyer).emergencyRefund(bondingCurve))
+                .to.be.revertedWithCustomError(tokenFactory, "OwnableUnauthorizedAccount");
+            await expect(bondingCurve.connect(buyer).emergencyRefunds())
+                .to.be.revertedWithCustomError(bondingCurve, "OwnableUnauthorizedAccount");
+            expect(await bondingCurve.phase()).to.equal(FAILED);
         });
     });
-}); 
\ No newline at end of file
+});
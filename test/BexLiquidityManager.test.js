@@ -0,0 +1,278 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { executeTimelocked } = require("./helpers/timelock");
+
+describe("BexLiquidityManager", function () {
+    let mockBexDex;
+    let manager;
+    let token;
+    let owner;
+    let collector;
+    let other;
+
+    const TOKENS_PER_BERA = ethers.parseEther("900"); // 900 tokens per BERA, a perfect square
+    const SQRT_PRICE_X64 = 30n * 2n ** 64n;
+
+    async function deploy(tokenAmount, beraAmount, tokensPerBera = TOKENS_PER_BERA) {
+        await token.approve(await manager.getAddress(), tokenAmount);
+        return manager.deployLiquidity(await token.getAddress(), tokenAmount, collector.address, tokensPerBera, {
+            value: beraAmount
+        });
+    }
+
+    async function pool() {
+        return mockBexDex.getPool(ethers.ZeroAddress, await token.getAddress(), await manager.poolIdx());
+    }
+
+    // What the liquidity BEX locks in a new pool costs on each side, rounded up.
+    async function initLock(sqrtPriceX64) {
+        const liquidity = await manager.INIT_LOCK_LIQUIDITY();
+        const ceilDiv = (a, b) => (a + b - 1n) / b;
+        return { bera: ceilDiv(liquidity * 2n ** 64n, sqrtPriceX64), tokens: ceilDiv(liquidity * sqrtPriceX64, 2n ** 64n) };
+    }
+
+    beforeEach(async function () {
+        [owner, collector, other] = await ethers.getSigners();
+
+        const MockBexDex = await ethers.getContractFactory("MockBexDex");
+        mockBexDex = await MockBexDex.deploy();
+
+        const BexLiquidityManager = await ethers.getContractFactory("BexLiquidityManager");
+        manager = await BexLiquidityManager.deploy(await mockBexDex.getAddress(), await mockBexDex.getAddress());
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        token = await MockERC20.deploy("Pool Token", "POOL", ethers.parseEther("1000000"));
+    });
+
+    describe("Pool creation", function () {
+        it("should initialize the BERA/token pool at the requested price", async function () {
+            await expect(deploy(ethers.parseEther("900"), ethers.parseEther("1")))
+                .to.emit(manager, "PoolInitialized")
+                .withArgs(await token.getAddress(), 36000, SQRT_PRICE_X64);
+
+            const state = await pool();
+            console.log("Pool state:", {
+                sqrtPriceX64: state.sqrtPriceX64.toString(),
+                baseReserves: ethers.formatEther(state.baseReserves),
+                quoteReserves: ethers.formatEther(state.quoteReserves)
+            });
+            expect(state.sqrtPriceX64).to.equal(SQRT_PRICE_X64);
+            expect(state.baseReserves).to.equal(ethers.parseEther("1"));
+            expect(state.quoteReserves).to.be.closeTo(ethers.parseEther("900"), 1000n);
+        });
+
+        it("should pay for the liquidity BEX locks in a new pool and pass on what the DEX left", async function () {
+            const lock = await initLock(SQRT_PRICE_X64);
+            const tx = deploy(ethers.parseEther("900"), ethers.parseEther("1"));
+            await expect(tx).to.emit(manager, "LiquidityDeployed");
+
+            const state = await pool();
+            const position = await manager.getPosition(await token.getAddress());
+            const tokensLeft = await token.balanceOf(collector.address);
+            console.log("Pool lock:", { bera: lock.bera.toString(), tokens: lock.tokens.toString(), tokensLeft: tokensLeft.toString() });
+            expect(state.baseReserves).to.equal(position.beraDeposited + lock.bera);
+            expect(state.quoteReserves).to.equal(position.tokensDeposited + lock.tokens);
+            // Every BERA and token sent ended up in the pool or with the collector, and none stayed behind.
+            await expect(tx).to.changeEtherBalance(collector, ethers.parseEther("1") - state.baseReserves);
+            expect(tokensLeft).to.equal(ethers.parseEther("900") - state.quoteReserves);
+            expect(await ethers.provider.getBalance(manager)).to.equal(0);
+            expect(await token.balanceOf(manager)).to.equal(0);
+        });
+
+        it("should refuse liquidity too small to pay for a new pool's lock", async function () {
+            const lock = await initLock(SQRT_PRICE_X64);
+            await expect(deploy(lock.tokens, ethers.parseEther("1")))
+                .to.be.revertedWith("Liquidity too small to create pool");
+            await expect(deploy(ethers.parseEther("900"), lock.bera))
+                .to.be.revertedWith("Liquidity too small to create pool");
+        });
+
+        it("should use the configured pool template", async function () {
+            await executeTimelocked(manager, "setPoolIdx", [36001]);
+            await deploy(ethers.parseEther("900"), ethers.parseEther("1"));
+
+            const state = await mockBexDex.getPool(ethers.ZeroAddress, await token.getAddress(), 36001);
+            expect(state.baseReserves).to.equal(ethers.parseEther("1"));
+        });
+
+        async function initializeFirst(sqrtPriceX64) {
+            const initCmd = ethers.AbiCoder.defaultAbiCoder().encode(
+                ["uint8", "address", "address", "uint256", "uint128"],
+                [71, ethers.ZeroAddress, await token.getAddress(), 36000, sqrtPriceX64]
+            );
+            // Whoever opens the pool pays for the liquidity it locks.
+            const lock = await initLock(sqrtPriceX64);
+            await token.transfer(other.address, lock.tokens);
+            await token.connect(other).approve(await mockBexDex.getAddress(), lock.tokens);
+            await mockBexDex.connect(other).userCmd(3, initCmd, { value: lock.bera });
+        }
+
+        it("should join a pool someone else initialized near the requested price", async function () {
+            // 30.3^2 = 918.09 tokens per BERA, 2% above the requested 900.
+            const livePrice = 303n * 2n ** 64n / 10n;
+            await initializeFirst(livePrice);
+
+            const tx = deploy(ethers.parseEther("900"), ethers.parseEther("1"));
+            await expect(tx).to.not.emit(manager, "PoolInitialized");
+            await expect(tx).to.emit(manager, "LiquidityDeployed");
+
+            const state = await pool();
+            const position = await manager.getPosition(await token.getAddress());
+            console.log("Joined pool:", {
+                beraDeposited: ethers.formatEther(position.beraDeposited),
+                tokensDeposited: ethers.formatEther(position.tokensDeposited)
+            });
+            expect(state.sqrtPriceX64).to.equal(livePrice);
+            expect(position.sqrtPriceX64).to.equal(livePrice);
+            expect(position.tokensDeposited).to.equal(ethers.parseEther("900"));
+            // At the pool's higher price the tokens run out first; the unused BERA goes to the collector.
+            await expect(tx).to.changeEtherBalance(collector, ethers.parseEther("1") - position.beraDeposited);
+        });
+
+        it("should refuse a pool someone else initialized far from the requested price", async function () {
+            await initializeFirst(2n * 2n ** 64n);
+
+            await expect(deploy(ethers.parseEther("900"), ethers.parseEther("1")))
+                .to.be.revertedWith("Existing pool price out of bounds");
+        });
+
+        it("should reject a zero price", async function () {
+            await expect(deploy(ethers.parseEther("900"), ethers.parseEther("1"), 0))
+                .to.be.revertedWith("Zero pool price");
+        });
+    });
+
+    describe("Position custody", function () {
+        it("should mint a full-range position held by the manager for the collector", async function () {
+            const tokenAddress = await token.getAddress();
+            await token.approve(await manager.getAddress(), ethers.parseEther("900"));
+            const returned = await manager.deployLiquidity.staticCall(
+                tokenAddress,
+                ethers.parseEther("900"),
+                collector.address,
+                TOKENS_PER_BERA,
+                { value: ethers.parseEther("1") }
+            );
+            await deploy(ethers.parseEther("900"), ethers.parseEther("1"));
+
+            const position = await manager.getPosition(tokenAddress);
+            expect(returned).to.deep.equal(position);
+            expect(position.base).to.equal(ethers.ZeroAddress);
+            expect(position.quote).to.equal(tokenAddress);
+            expect(position.poolIdx).to.equal(36000);
+            // Creating the pool took its lock out of the BERA first.
+            const lock = await initLock(SQRT_PRICE_X64);
+            expect(position.beraDeposited).to.equal(ethers.parseEther("1") - lock.bera);
+            expect(position.tokensDeposited).to.equal(position.beraDeposited * 900n);
+            expect(position.collector).to.equal(collector.address);
+
+            // The DEX credits the liquidity to the manager, which has no way to withdraw it.
+            const key = await mockBexDex.poolKey(ethers.ZeroAddress, tokenAddress, 36000);
+            expect(await mockBexDex.ambientLiquidity(key, await manager.getAddress())).to.be.gt(0);
+            expect(await mockBexDex.ambientLiquidity(key, collector.address)).to.equal(0);
+        });
+
+        it("should send surplus tokens to the collector when BERA runs out first", async function () {
+            await deploy(ethers.parseEther("1500"), ethers.parseEther("1"));
+
+            const lock = await initLock(SQRT_PRICE_X64);
+            const position = await manager.getPosition(await token.getAddress());
+            expect(position.tokensDeposited).to.equal((ethers.parseEther("1") - lock.bera) * 900n);
+            expect(await token.balanceOf(collector.address)).to.equal(
+                ethers.parseEther("1500") - lock.tokens - position.tokensDeposited
+            );
+            expect(await token.balanceOf(await manager.getAddress())).to.equal(0);
+        });
+
+        it("should send surplus BERA to the collector when tokens run out first", async function () {
+            const collectorBefore = await ethers.provider.getBalance(collector.address);
+            await deploy(ethers.parseEther("900"), ethers.parseEther("3"));
+
+            const lock = await initLock(SQRT_PRICE_X64);
+            const position = await manager.getPosition(await token.getAddress());
+            expect(position.tokensDeposited).to.equal(ethers.parseEther("900") - lock.tokens);
+            expect(position.beraDeposited).to.equal((position.tokensDeposited + 899n) / 900n);
+            expect(await ethers.provider.getBalance(await mockBexDex.getAddress())).to.equal(position.beraDeposited + lock.bera);
+            expect(await ethers.provider.getBalance(collector.address) - collectorBefore).to.equal(
+                ethers.parseEther("3") - position.beraDeposited - lock.bera
+            );
+            expect(await ethers.provider.getBalance(await manager.getAddress())).to.equal(0);
+        });
+
+        it("should refuse a second deployment for the same token", async function () {
+            await deploy(ethers.parseEther("900"), ethers.parseEther("1"));
+
+            await expect(deploy(ethers.parseEther("900"), ethers.parseEther("1")))
+                .to.be.revertedWith("Liquidity already deployed for token");
+        });
+    });
+
+    describe("Access and failures", function () {
+        it("should only let the owner and authorized callers deploy liquidity", async function () {
+            await token.transfer(other.address, ethers.parseEther("900"));
+            await token.connect(other).approve(await manager.getAddress(), ethers.parseEther("900"));
+            const deployAsOther = async () => manager.connect(other).deployLiquidity(
+                await token.getAddress(),
+                ethers.parseEther("900"),
+                collector.address,
+                TOKENS_PER_BERA,
+                { value: ethers.parseEther("1") }
+            );
+
+            await expect(deployAsOther()).to.be.revertedWith("Caller not authorized");
+
+            await expect(manager.setAuthorizedCaller(other.address, true))
+                .to.emit(manager, "AuthorizedCallerUpdated")
+                .withArgs(other.address, true);
+            await expect(deployAsOther()).to.emit(manager, "LiquidityDeployed");
+
+            await expect(
+                manager.connect(other).setAuthorizedCaller(other.address, true)
+            ).to.be.revertedWithCustomError(manager, "OwnableUnauthorizedAccount")
+            .withArgs(other.address);
+        });
+
+        it("should only change the DEX, query contract and pool template through the timelock", async function () {
+            await expect(manager.setBexDex(other.address)).to.be.revertedWith("Change not scheduled");
+            await expect(manager.setBexQuery(other.address)).to.be.revertedWith("Change not scheduled");
+            await expect(manager.setPoolIdx(36001)).to.be.revertedWith("Change not scheduled");
+            await expect(
+                manager.connect(other).scheduleChange(manager.interface.encodeFunctionData("setBexDex", [other.address]))
+            ).to.be.revertedWithCustomError(manager, "OwnableUnauthorizedAccount")
+            .withArgs(other.address);
+
+            await expect(executeTimelocked(manager, "setBexDex", [other.address]))
+                .to.emit(manager, "BexDexUpdated").withArgs(other.address);
+            await expect(executeTimelocked(manager, "setBexQuery", [other.address]))
+                .to.emit(manager, "BexQueryUpdated").withArgs(other.address);
+            await expect(executeTimelocked(manager, "setPoolIdx", [36001]))
+                .to.emit(manager, "PoolIdxUpdated").withArgs(36001);
+            expect(await manager.bexDex()).to.equal(other.address);
+            expect(await manager.bexQuery()).to.equal(other.address);
+        });
+
+        it("should hold the factory and authorized callers behind the timelock once armed", async function () {
+            await expect(manager.connect(other).armTimelock())
+                .to.be.revertedWithCustomError(manager, "OwnableUnauthorizedAccount")
+                .withArgs(other.address);
+            await expect(manager.armTimelock()).to.emit(manager, "TimelockArmed");
+
+            await expect(manager.setFactory(other.address)).to.be.revertedWith("Change not scheduled");
+            await expect(manager.setAuthorizedCaller(other.address, true)).to.be.revertedWith("Change not scheduled");
+            await expect(executeTimelocked(manager, "setFactory", [other.address]))
+                .to.emit(manager, "FactoryUpdated").withArgs(other.address);
+            await expect(executeTimelocked(manager, "setAuthorizedCaller", [other.address, true]))
+                .to.emit(manager, "AuthorizedCallerUpdated").withArgs(other.address, true);
+            expect(await manager.factory()).to.equal(other.address);
+        });
+
+        it("should surface a DEX failure", async function () {
+            const MockFailingBexDex = await ethers.getContractFactory("MockFailingBexDex");
+            const failingBexDex = await MockFailingBexDex.deploy();
+            await executeTimelocked(manager, "setBexDex", [await failingBexDex.getAddress()]);
+
+            await expect(deploy(ethers.parseEther("900"), ethers.parseEther("1")))
+                .to.be.revertedWith("BEX operation failed");
+        });
+    });
+});
@@ -0,0 +1,204 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployCurveModel } = require("./helpers/curveModels");
+const { deployFeeSplitter } = require("./helpers/feeSplitter");
+const { buildAllowlist } = require("./helpers/merkle");
+const { NO_METADATA } = require("./helpers/tokenMetadata");
+const { deployImplementations } = require("./helpers/implementations");
+
+describe("BondingCurve Allowlist Presale", function () {
+    let tokenFactory;
+    let priceFeed;
+    let curveModel;
+    let curveParams;
+    let token;
+    let bondingCurve;
+    let creator;
+    let alice;
+    let bob;
+    let carol;
+    let mallory;
+    let feeCollector;
+    let feeSplitter;
+    let liquidityCollector;
+    let allowlist;
+    let createTx;
+
+    const BERA_PRICE = ethers.parseEther("3000");
+    const WINDOW = 3600;
+    const ALICE_CAP = ethers.parseEther("50000000");
+    // About 35M tokens at the start of the default curve.
+    const SMALL_BUY = ethers.parseEther("0.1");
+
+    async function createToken(overrides = {}, value = 0n, symbol = "PRE") {
+        const config = {
+            ...(await tokenFactory.defaultLaunchConfig()).toObject(),
+            allowlistRoot: allowlist.root,
+            allowlistDuration: WINDOW,
+            ...overrides
+        };
+        createTx = await tokenFactory.connect(creator).createToken(
+            "Presale Token",
+            symbol,
+            NO_METADATA,
+            await priceFeed.getAddress(),
+            config,
+            await curveModel.getAddress(),
+            curveParams,
+            0,
+            ethers.ZeroAddress,
+            ethers.hexlify(ethers.randomBytes(32)),
+            { value: (await tokenFactory.creationFee()) + value }
+        );
+        const receipt = await createTx.wait();
+        const event = receipt.logs.find(log => {
+            try {
+                return tokenFactory.interface.parseLog(log)?.name === "TokenCreated";
+            } catch {
+                return false;
+            }
+        });
+        const { tokenAddress, bondingCurveAddress } = tokenFactory.interface.parseLog(event).args;
+        token = await ethers.getContractAt("CustomERC20", tokenAddress);
+        bondingCurve = await ethers.getContractAt("BondingCurve", bondingCurveAddress);
+    }
+
+    function buyAllowlisted(signer, maxTokens, proof, value) {
+        return bondingCurve.connect(signer).buyTokensAllowlisted(
+            maxTokens, proof, 0, ethers.MaxUint256, ethers.ZeroAddress, { value }
+        );
+    }
+
+    function buy(signer, value) {
+        return bondingCurve.connect(signer).buyTokens(0, ethers.MaxUint256, ethers.ZeroAddress, { value });
+    }
+
+    beforeEach(async function () {
+        [creator, alice, bob, carol, mallory, feeCollector, liquidityCollector] = await ethers.getSigners();
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        priceFeed = await MockPriceFeed.deploy(BERA_PRICE);
+
+        const MockBexDex = await ethers.getContractFactory("MockBexDex");
+        const mockBexDex = await MockBexDex.deploy();
+        const BexLiquidityManager = await ethers.getContractFactory("BexLiquidityManager");
+        const bexLiquidityManager = await BexLiquidityManager.deploy(await mockBexDex.getAddress(), await mockBexDex.getAddress());
+
+        feeSplitter = await deployFeeSplitter(feeCollector.address);
+        const TokenFactory = await ethers.getContractFactory("TokenFactory");
+        tokenFactory = await TokenFactory.deploy(
+            await feeSplitter.getAddress(),
+            await bexLiquidityManager.getAddress(),
+            liquidityCollector.address,
+            ...(await deployImplementations())
+        );
+        await feeSplitter.setAuthorizedCaller(tokenFactory, true);
+        ({ curveModel, curveParams } = await deployCurveModel(tokenFactory));
+
+        // Alice is capped, Bob and Carol are not; the odd count leaves a node to carry up the tree.
+        allowlist = buildAllowlist([
+            [alice.address, ALICE_CAP],
+            [bob.address, 0n],
+            [carol.address, 0n],
+            [ethers.Wallet.createRandom().address, ALICE_CAP],
+            [ethers.Wallet.createRandom().address, ALICE_CAP]
+        ]);
+        await createToken();
+    });
+
+    describe("Presale Window", function () {
+        it("should close public buys while the window is open", async function () {
+            expect(await bondingCurve.allowlistActive()).to.be.true;
+
+            await expect(buy(alice, SMALL_BUY)).to.be.revertedWith("Allowlist only");
+            await expect(
+                bondingCurve.connect(alice).buyTokensFor(alice.address, 0, ethers.MaxUint256, ethers.ZeroAddress, { value: SMALL_BUY })
+            ).to.be.revertedWith("Allowlist only");
+        });
+
+        it("should sell to allowlisted wallets with a valid proof", async function () {
+            await expect(buyAllowlisted(bob, 0n, allowlist.proofFor(bob.address), SMALL_BUY))
+                .to.emit(bondingCurve, "TokensPurchased");
+            await buyAllowlisted(carol, 0n, allowlist.proofFor(carol.address), SMALL_BUY);
+
+            const bought = await token.balanceOf(bob.address);
+            console.log("Presale buys:", {
+                bob: ethers.formatEther(bought),
+                carol: ethers.formatEther(await token.balanceOf(carol.address))
+            });
+            expect(bought).to.be.gt(0);
+            expect(await bondingCurve.allowlistPurchases(bob.address)).to.equal(bought);
+        });
+
+        it("should hold each wallet to the cap in its leaf", async function () {
+            const proof = allowlist.proofFor(alice.address);
+            await buyAllowlisted(alice, ALICE_CAP, proof, SMALL_BUY);
+            await expect(buyAllowlisted(alice, ALICE_CAP, proof, SMALL_BUY))
+                .to.be.revertedWith("Exceeds allowlist allocation");
+
+            // Uncapped wallets can keep buying.
+            const bobProof = allowlist.proofFor(bob.address);
+            await buyAllowlisted(bob, 0n, bobProof, SMALL_BUY * 2n);
+            await buyAllowlisted(bob, 0n, bobProof, SMALL_BUY);
+            expect(await token.balanceOf(bob.address)).to.be.gt(ALICE_CAP);
+        });
+
+        it("should reject invalid claims", async function () {
+            const aliceProof = allowlist.proofFor(alice.address);
+
+            // Someone else's proof
+            await expect(buyAllowlisted(mallory, ALICE_CAP, aliceProof, SMALL_BUY))
+                .to.be.revertedWith("Invalid allowlist proof");
+            // A bigger cap than the leaf grants, or claiming to be uncapped
+            await expect(buyAllowlisted(alice, ALICE_CAP * 2n, aliceProof, SMALL_BUY))
+                .to.be.revertedWith("Invalid allowlist proof");
+            await expect(buyAllowlisted(alice, 0n, aliceProof, SMALL_BUY))
+                .to.be.revertedWith("Invalid allowlist proof");
+            // No proof, or a proof against another tree
+            await expect(buyAllowlisted(bob, 0n, [], SMALL_BUY))
+                .to.be.revertedWith("Invalid allowlist proof");
+            const other = buildAllowlist([[mallory.address, 0n], [alice.address, 0n]]);
+            await expect(buyAllowlisted(mallory, 0n, other.proofFor(mallory.address), SMALL_BUY))
+                .to.be.revertedWith("Invalid allowlist proof");
+        });
+
+        it("should let the creator make the initial purchase", async function () {
+            await createToken({}, SMALL_BUY, "PRE2");
+            expect(await bondingCurve.allowlistActive()).to.be.true;
+            expect(await token.balanceOf(creator.address)).to.be.gt(0);
+        });
+    });
+
+    describe("Public Trading", function () {
+        it("should open to everyone once the window ends", async function () {
+            await time.increaseTo((await bondingCurve.launchedAt()) + BigInt(WINDOW));
+            expect(await bondingCurve.allowlistActive()).to.be.false;
+
+            await buy(mallory, SMALL_BUY);
+            expect(await token.balanceOf(mallory.address)).to.be.gt(0);
+            // The presale entry point keeps working without a proof or a cap.
+            await buyAllowlisted(alice, ALICE_CAP, [], SMALL_BUY * 3n);
+            expect(await token.balanceOf(alice.address)).to.be.gt(ALICE_CAP);
+        });
+
+        it("should launch without a presale by default", async function () {
+            await createToken({ allowlistRoot: ethers.ZeroHash, allowlistDuration: 0 }, 0n, "OPEN");
+            expect(await bondingCurve.allowlistActive()).to.be.false;
+            await buy(mallory, SMALL_BUY);
+        });
+
+        it("should reject windows outside the owner's bounds", async function () {
+            const cases = [
+                [{ allowlistDuration: 0 }, "Allowlist window out of bounds"],
+                [{ allowlistRoot: ethers.ZeroHash }, "Allowlist window out of bounds"],
+                [{ allowlistDuration: 7 * 24 * 3600 + 1 }, "Allowlist window out of bounds"],
+                [{ saleDuration: 24 * 3600, allowlistDuration: 24 * 3600 }, "Allowlist window out of bounds"]
+            ];
+
+            for (const [overrides, reason] of cases) {
+                await expect(createToken(overrides, 0n, "BAD")).to.be.revertedWith(reason);
+            }
+        });
+    });
+});
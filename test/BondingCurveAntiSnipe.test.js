@@ -0,0 +1,211 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployCurveModel } = require("./helpers/curveModels");
+const { deployFeeSplitter } = require("./helpers/feeSplitter");
+const { NO_METADATA } = require("./helpers/tokenMetadata");
+const { executeTimelocked } = require("./helpers/timelock");
+const { deployImplementations } = require("./helpers/implementations");
+
+describe("BondingCurve Anti-Sniping Protections", function () {
+    let tokenFactory;
+    let priceFeed;
+    let curveModel;
+    let curveParams;
+    let token;
+    let bondingCurve;
+    let owner;
+    let alice;
+    let bob;
+    let feeCollector;
+    let feeSplitter;
+    let liquidityCollector;
+
+    const BERA_PRICE = ethers.parseEther("3000");
+    // About 35M tokens at the start of the default curve.
+    const SMALL_BUY = ethers.parseEther("0.1");
+    const LIMIT = ethers.parseEther("50000000");
+
+    async function createToken(overrides = {}, value = 0n, symbol = "SNIPE") {
+        const config = { ...(await tokenFactory.defaultLaunchConfig()).toObject(), ...overrides };
+        const tx = await tokenFactory.createToken(
+            "Snipe Guard",
+            symbol,
+            NO_METADATA,
+            await priceFeed.getAddress(),
+            config,
+            await curveModel.getAddress(),
+            curveParams,
+            0,
+            ethers.ZeroAddress,
+            ethers.hexlify(ethers.randomBytes(32)),
+            { value: (await tokenFactory.creationFee()) + value }
+        );
+        const receipt = await tx.wait();
+        const event = receipt.logs.find(log => {
+            try {
+                return tokenFactory.interface.parseLog(log)?.name === "TokenCreated";
+            } catch {
+                return false;
+            }
+        });
+        const { tokenAddress, bondingCurveAddress } = tokenFactory.interface.parseLog(event).args;
+        token = await ethers.getContractAt("CustomERC20", tokenAddress);
+        bondingCurve = await ethers.getContractAt("BondingCurve", bondingCurveAddress);
+    }
+
+    function buy(signer, value) {
+        return bondingCurve.connect(signer).buyTokens(0, ethers.MaxUint256, ethers.ZeroAddress, { value });
+    }
+
+    beforeEach(async function () {
+        [owner, alice, bob, feeCollector, liquidityCollector] = await ethers.getSigners();
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        priceFeed = await MockPriceFeed.deploy(BERA_PRICE);
+
+        const MockBexDex = await ethers.getContractFactory("MockBexDex");
+        const mockBexDex = await MockBexDex.deploy();
+        const BexLiquidityManager = await ethers.getContractFactory("BexLiquidityManager");
+        const bexLiquidityManager = await BexLiquidityManager.deploy(await mockBexDex.getAddress(), await mockBexDex.getAddress());
+
+        feeSplitter = await deployFeeSplitter(feeCollector.address);
+        const TokenFactory = await ethers.getContractFactory("TokenFactory");
+        tokenFactory = await TokenFactory.deploy(
+            await feeSplitter.getAddress(),
+            await bexLiquidityManager.getAddress(),
+            liquidityCollector.address,
+            ...(await deployImplementations())
+        );
+        await feeSplitter.setAuthorizedCaller(tokenFactory, true);
+        ({ curveModel, curveParams } = await deployCurveModel(tokenFactory));
+    });
+
+    describe("Max Transaction", function () {
+        it("should cap the tokens a single purchase may buy", async function () {
+            await createToken({ maxTxTokens: LIMIT });
+            const [smallOut] = await bondingCurve.quoteBuy(SMALL_BUY);
+            const [largeOut] = await bondingCurve.quoteBuy(SMALL_BUY * 2n);
+            console.log("Quotes:", { small: ethers.formatEther(smallOut), large: ethers.formatEther(largeOut) });
+            expect(smallOut).to.be.lt(LIMIT);
+            expect(largeOut).to.be.gt(LIMIT);
+
+            await expect(buy(alice, SMALL_BUY * 2n)).to.be.revertedWith("Exceeds max transaction");
+            await buy(alice, SMALL_BUY);
+            await buy(alice, SMALL_BUY);
+            expect(await token.balanceOf(alice.address)).to.be.gt(LIMIT);
+        });
+
+        it("should hold the creator's initial purchase to the limit", async function () {
+            await expect(createToken({ maxTxTokens: LIMIT }, SMALL_BUY * 2n))
+                .to.be.revertedWith("Exceeds max transaction");
+
+            await createToken({ maxTxTokens: LIMIT }, SMALL_BUY);
+            expect(await token.balanceOf(owner.address)).to.be.gt(0);
+        });
+    });
+
+    describe("Early Wallet Limit", function () {
+        it("should cap each address during the first blocks", async function () {
+            await createToken({ maxWalletTokens: LIMIT, protectionBlocks: 10 });
+            expect(await bondingCurve.protectionActive()).to.be.true;
+
+            await buy(alice, SMALL_BUY);
+            await expect(buy(alice, SMALL_BUY)).to.be.revertedWith("Exceeds early wallet limit");
+            // Buying for someone else counts against the payer, not the recipient.
+            await expect(
+                bondingCurve.connect(alice).buyTokensFor(bob.address, 0, ethers.MaxUint256, ethers.ZeroAddress, { value: SMALL_BUY })
+            ).to.be.revertedWith("Exceeds early wallet limit");
+            await bondingCurve.connect(bob).buyTokensFor(alice.address, 0, ethers.MaxUint256, ethers.ZeroAddress, { value: SMALL_BUY });
+            expect(await bondingCurve.earlyPurchases(alice.address)).to.be.lt(await token.balanceOf(alice.address));
+            expect(await bondingCurve.earlyPurchases(bob.address)).to.be.gt(0);
+            expect(await token.balanceOf(bob.address)).to.equal(0);
+
+            await mine(10);
+            expect(await bondingCurve.protectionActive()).to.be.false;
+            await buy(alice, SMALL_BUY);
+            expect(await token.balanceOf(alice.address)).to.be.gt(LIMIT);
+        });
+
+        it("should cap each address during the first minutes", async function () {
+            await createToken({ maxWalletTokens: LIMIT, protectionDuration: 600 });
+
+            await buy(alice, SMALL_BUY);
+            await mine(50);
+            await expect(buy(alice, SMALL_BUY)).to.be.revertedWith("Exceeds early wallet limit");
+
+            await time.increaseTo((await bondingCurve.launchedAt()) + 600n);
+            await buy(alice, SMALL_BUY);
+        });
+    });
+
+    describe("Cooldown", function () {
+        it("should make an address wait between purchases", async function () {
+            await createToken({ buyCooldown: 60 });
+
+            await buy(alice, SMALL_BUY);
+            await expect(buy(alice, SMALL_BUY)).to.be.revertedWith("Buy cooldown active");
+            await buy(bob, SMALL_BUY);
+
+            await time.increaseTo((await bondingCurve.lastBuyAt(alice.address)) + 60n);
+            await buy(alice, SMALL_BUY);
+        });
+
+        it("should not let a dust purchase for someone else lock them out", async function () {
+            await createToken({ buyCooldown: 60, maxWalletTokens: LIMIT, protectionBlocks: 10 });
+
+            await bondingCurve.connect(bob).buyTokensFor(alice.address, 0, ethers.MaxUint256, ethers.ZeroAddress, { value: 1000n });
+            expect(await bondingCurve.lastBuyAt(alice.address)).to.equal(0);
+            expect(await bondingCurve.earlyPurchases(alice.address)).to.equal(0);
+
+            await buy(alice, SMALL_BUY);
+            await expect(buy(bob, SMALL_BUY)).to.be.revertedWith("Buy cooldown active");
+        });
+
+        it("should leave sales alone", async function () {
+            await createToken({ buyCooldown: 60 });
+            await buy(alice, SMALL_BUY);
+            const balance = await token.balanceOf(alice.address);
+
+            await token.connect(alice).approve(await bondingCurve.getAddress(), balance);
+            await bondingCurve.connect(alice).sellTokens(balance / 2n, 0, ethers.MaxUint256);
+            await expect(buy(alice, SMALL_BUY)).to.be.revertedWith("Buy cooldown active");
+        });
+    });
+
+    describe("Factory Bounds", function () {
+        it("should launch without protections by default", async function () {
+            await createToken();
+            expect(await bondingCurve.protectionActive()).to.be.false;
+
+            await buy(alice, SMALL_BUY * 10n);
+            await buy(alice, SMALL_BUY);
+        });
+
+        it("should reject protections outside the owner's bounds", async function () {
+            const cases = [
+                [{ maxTxTokens: ethers.parseEther("999999") }, "Buy limit below minimum"],
+                [{ maxWalletTokens: ethers.parseEther("999999"), protectionBlocks: 10 }, "Buy limit below minimum"],
+                [{ maxWalletTokens: LIMIT }, "Wallet limit without window"],
+                [{ protectionBlocks: 1_801 }, "Protection window out of bounds"],
+                [{ protectionDuration: 3601 }, "Protection window out of bounds"],
+                [{ buyCooldown: 601 }, "Buy cooldown out of bounds"]
+            ];
+
+            for (const [overrides, reason] of cases) {
+                await expect(createToken(overrides)).to.be.revertedWith(reason);
+            }
+        });
+
+        it("should let the owner tighten the bounds", async function () {
+            const bounds = (await tokenFactory.launchBounds()).toObject();
+            await executeTimelocked(tokenFactory, "setLaunchBounds", [{ ...bounds, maxBuyCooldown: 0, minBuyLimitBps: 1_000 }]);
+
+            await expect(createToken({ buyCooldown: 60 })).to.be.revertedWith("Buy cooldown out of bounds");
+            await expect(createToken({ maxTxTokens: LIMIT })).to.be.revertedWith("Buy limit below minimum");
+            await expect(
+                executeTimelocked(tokenFactory, "setLaunchBounds", [{ ...bounds, minBuyLimitBps: 10_001 }])
+            ).to.be.revertedWith("Buy limit bound too high");
+        });
+    });
+});
@@ -1,5 +1,10 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployCurveModel } = require("./helpers/curveModels");
+const { deployFeeSplitter } = require("./helpers/feeSplitter");
+const { NO_METADATA } = require("./helpers/tokenMetadata");
+const { deployImplementations } = require("./helpers/implementations");
 
 // Helper: validate that an address is correctly formatted.
 function validateAddress(address, name) {
@@ -13,9 +18,21 @@ function validateAddress(address, name) {
 const TOTAL_TOKENS = ethers.parseEther("1000000000"); // 1B tokens (as BigInt)
 const TOKEN_SOLD_THRESHOLD = ethers.parseEther("800000000"); // 800M tokens (as BigInt)
 
+// BERA (fee included) needed to buy `tokens` starting at `soldTokens`, using the area under the
+// linear curve between the initial and final prices.
+function beraForTokens(soldTokens, tokens, beraPrice) {
+  const initialPrice = (7n * beraPrice) / (3000n * 10n**18n);
+  const finalPrice = (75n * beraPrice) / (3000n * 10n**18n);
+  const priceDiff = finalPrice - initialPrice;
+  const scaledStart = initialPrice * TOKEN_SOLD_THRESHOLD + priceDiff * soldTokens;
+  const valueUSD = (tokens * (2n * scaledStart + priceDiff * tokens)) / (2n * TOKEN_SOLD_THRESHOLD * 1000000n) + 1n;
+  const netBera = (valueUSD * 10n**18n) / beraPrice + 1n;
+  return (netBera * 100n) / 98n + 1n;
+}
+
 describe("BondingCurve Price Scaling Tests", function () {
-  let TokenFactory, tokenFactory, owner, addr1, feeCollector, token, bondingCurve, mockPriceFeed;
-  let liquidityManager, liquidityCollector;
+  let TokenFactory, tokenFactory, owner, addr1, feeCollector, feeSplitter, token, bondingCurve, mockPriceFeed;
+  let liquidityManager, liquidityCollector, curveModel, curveParams;
   const creationFee = ethers.parseEther("0.002");
 
   // Helper functions for logging
@@ -52,25 +69,36 @@ describe("BondingCurve Price Scaling Tests", function () {
       );
 
       const BexLiquidityManager = await ethers.getContractFactory("BexLiquidityManager");
-      const bexLiquidityManager = await BexLiquidityManager.deploy(mockBexDexAddress);
+      const bexLiquidityManager = await BexLiquidityManager.deploy(mockBexDexAddress, mockBexDexAddress);
       const bexLiquidityManagerAddress = validateAddress(
         await bexLiquidityManager.getAddress(),
         "BexLiquidityManager"
       );
 
       // Deploy token factory and create token using only the creation fee (no extra purchase)
+      feeSplitter = await deployFeeSplitter(feeCollector.address);
       TokenFactory = await ethers.getContractFactory("TokenFactory");
       tokenFactory = await TokenFactory.deploy(
-        feeCollector.address,
+        await feeSplitter.getAddress(),
         bexLiquidityManagerAddress,
-        liquidityCollector.address
+        liquidityCollector.address,
+        ...(await deployImplementations())
       );
+      await feeSplitter.setAuthorizedCaller(tokenFactory, true);
+
+      ({ curveModel, curveParams } = await deployCurveModel(tokenFactory));
 
       const createTokenTx = await tokenFactory.createToken(
         "Test Token",
         "TEST",
-        1000000000,
+        NO_METADATA,
         mockPriceFeedAddress,
+        (await tokenFactory.defaultLaunchConfig()).toObject(),
+        await curveModel.getAddress(),
+        curveParams,
+        0,
+        ethers.ZeroAddress,
+        ethers.hexlify(ethers.randomBytes(32)),
         { value: creationFee }
       );
       const receipt = await createTokenTx.wait();
@@ -122,7 +150,7 @@ describe("BondingCurve Price Scaling Tests", function () {
   it("Should scale price correctly when buying tokens", async function () {
     const buyAmount = ethers.parseEther("1"); // 1 BERA
     const initialPrice = await bondingCurve.getCurrentPrice();
-    await bondingCurve.buyTokens(1, { value: buyAmount });
+    await bondingCurve.buyTokens(1, ethers.MaxUint256, ethers.ZeroAddress, { value: buyAmount });
     const newPrice = await bondingCurve.getCurrentPrice();
     console.log("Price after buy:", {
       initial: (Number(initialPrice) / 1e6).toFixed(6),
@@ -138,7 +166,7 @@ describe("BondingCurve Price Scaling Tests", function () {
     // Execute 8 buys of 1 BERA each to get closer to threshold
     for (let i = 0; i < 8; i++) {
       const buyAmount = ethers.parseEther("1");
-      await bondingCurve.buyTokens(1, { value: buyAmount });
+      await bondingCurve.buyTokens(1, ethers.MaxUint256, ethers.ZeroAddress, { value: buyAmount });
       totalBought += buyAmount;
       
       const currentPrice = await bondingCurve.getCurrentPrice();
@@ -155,72 +183,176 @@ describe("BondingCurve Price Scaling Tests", function () {
     const totalSupply = await bondingCurve.totalSupplyTokens();
     const soldTokens = TOTAL_TOKENS - totalSupply;
     const tokensNeeded = TOKEN_SOLD_THRESHOLD - soldTokens - ethers.parseEther("1000000"); // Leave buffer
-    const currentPrice = await bondingCurve.getCurrentPrice();
     const beraPriceVal = await bondingCurve.getBeraPrice();
-    const requiredBera = (tokensNeeded * currentPrice * 10n**18n) / (1000000n * beraPriceVal);
+    const requiredBera = beraForTokens(soldTokens, tokensNeeded, beraPriceVal);
     
     console.log("Executing final buy:", {
       tokensNeeded: ethers.formatEther(tokensNeeded),
       requiredBera: ethers.formatEther(requiredBera)
     });
     
-    await bondingCurve.buyTokens(1, { value: requiredBera });
+    await bondingCurve.buyTokens(1, ethers.MaxUint256, ethers.ZeroAddress, { value: requiredBera });
     
     const finalPrice = await bondingCurve.getCurrentPrice();
-    const expectedFinalPrice = (75n * beraPrice) / (3000n * 10n**18n);
+    const finalSold = TOTAL_TOKENS - await bondingCurve.totalSupplyTokens();
+    // The buffer left below the threshold keeps the price just under the curve's end price.
+    const expectedFinalPrice = await curveModel.priceAt(curveParams, finalSold, beraPrice);
+    const targetPrice = (75n * beraPrice) / (3000n * 10n**18n);
     
     console.log("Final state:", {
       actualPrice: ethers.formatUnits(finalPrice, 6),
       expectedPrice: ethers.formatUnits(expectedFinalPrice, 6),
+      targetPrice: ethers.formatUnits(targetPrice, 6),
       totalBought: ethers.formatEther(totalBought + requiredBera)
     });
     
-    expect(finalPrice).to.be.closeTo(expectedFinalPrice, expectedFinalPrice / 100n);
+    expect(finalPrice).to.equal(expectedFinalPrice);
+    expect(finalPrice).to.be.closeTo(targetPrice, 1n);
   });
 
   it("Should deploy liquidity at threshold", async function () {
     // To deploy liquidity, exactly TOKEN_SOLD_THRESHOLD (800M tokens) must be sold.
     // We'll perform 7 buys of 1 BERA each, then compute the extra BERA needed.
     for (let i = 0; i < 7; i++) {
-      await bondingCurve.buyTokens(1, { value: ethers.parseEther("1") });
+      await bondingCurve.buyTokens(1, ethers.MaxUint256, ethers.ZeroAddress, { value: ethers.parseEther("1") });
     }
     const totalSupply = await bondingCurve.totalSupplyTokens();
     const soldTokens = TOTAL_TOKENS - totalSupply;
     console.log("After 7 buys, sold tokens:", ethers.formatEther(soldTokens));
     const tokensNeeded = TOKEN_SOLD_THRESHOLD - soldTokens;
     console.log("Tokens needed for liquidity threshold:", ethers.formatEther(tokensNeeded));
-    const currentPrice = await bondingCurve.getCurrentPrice();
     const beraPriceVal = await bondingCurve.getBeraPrice();
-    const requiredBera = (tokensNeeded * currentPrice * 10n**18n) / (1000000n * beraPriceVal);
+    const requiredBera = beraForTokens(soldTokens, tokensNeeded, beraPriceVal);
     console.log("Required extra BERA to reach liquidity threshold:", ethers.formatEther(requiredBera));
     // Perform the purchase that should trigger liquidity deployment.
-    await bondingCurve.buyTokensFor(owner.address, { value: requiredBera });
+    await bondingCurve.buyTokensFor(owner.address, 1, ethers.MaxUint256, ethers.ZeroAddress, { value: requiredBera });
     const liquidityDeployed = await bondingCurve.liquidityDeployed();
     expect(liquidityDeployed).to.be.true;
   });
 
   it("Should handle sells correctly", async function () {
     // addr1 buys tokens.
-    await bondingCurve.connect(addr1).buyTokens(1, { value: ethers.parseEther("1") });
+    await bondingCurve.connect(addr1).buyTokens(1, ethers.MaxUint256, ethers.ZeroAddress, { value: ethers.parseEther("1") });
     const balance = await token.balanceOf(addr1.address);
     const sellAmount = balance / 2n;
     // Approve and sell.
     await token.connect(addr1).approve(bondingCurve.getAddress(), sellAmount);
-    await bondingCurve.connect(addr1).sellTokens(sellAmount);
+    await bondingCurve.connect(addr1).sellTokens(sellAmount, 0, ethers.MaxUint256);
     const newBalance = await token.balanceOf(addr1.address);
     expect(newBalance).to.equal(balance - sellAmount);
   });
 
   it("Should handle edge cases", async function () {
     await expect(
-      bondingCurve.buyTokens(1, { value: 0 })
+      bondingCurve.buyTokens(1, ethers.MaxUint256, ethers.ZeroAddress, { value: 0 })
     ).to.be.revertedWith("Zero BERA amount");
     await expect(
-      bondingCurve.sellTokens(0)
+      bondingCurve.sellTokens(0, 0, ethers.MaxUint256)
     ).to.be.revertedWith("Zero token amount");
     const largeAmount = ethers.parseEther("1000000000") + 1n;
     await expect(
-      bondingCurve.sellTokens(largeAmount)
+      bondingCurve.sellTokens(largeAmount, 0, ethers.MaxUint256)
     ).to.be.reverted;
   });
+
+  describe("Integral pricing", function () {
+    const sum = (values) => values.reduce((a, b) => a + b, 0n);
+
+    async function buy(signer, value) {
+      const before = await token.balanceOf(signer.address);
+      await bondingCurve.connect(signer).buyTokens(0, ethers.MaxUint256, ethers.ZeroAddress, { value });
+      return (await token.balanceOf(signer.address)) - before;
+    }
+
+    async function sell(signer, amount) {
+      await token.connect(signer).approve(await bondingCurve.getAddress(), amount);
+      const before = await ethers.provider.getBalance(signer.address);
+      const tx = await bondingCurve.connect(signer).sellTokens(amount, 0, ethers.MaxUint256);
+      const receipt = await tx.wait();
+      return (await ethers.provider.getBalance(signer.address)) - before + receipt.gasUsed * receipt.gasPrice;
+    }
+
+    it("Should charge a large buy more than the spot price", async function () {
+      const buyAmount = ethers.parseEther("5");
+      const spotPrice = await bondingCurve.getCurrentPrice();
+      const beraPrice = await bondingCurve.getBeraPrice();
+      const [quoted, fee] = await bondingCurve.quoteBuy(buyAmount);
+      const tokensAtSpot = ((buyAmount - fee) * beraPrice * 1000000n) / (10n**18n * spotPrice);
+
+      const received = await buy(addr1, buyAmount);
+
+      console.log("Large buy:", {
+        received: ethers.formatEther(received),
+        atSpotPrice: ethers.formatEther(tokensAtSpot)
+      });
+      expect(received).to.equal(quoted);
+      expect(received).to.be.lt(tokensAtSpot);
+    });
+
+    it("Should quote buys and sells including fees", async function () {
+      const buyAmount = ethers.parseEther("1");
+      const [tokensOut, buyFee] = await bondingCurve.quoteBuy(buyAmount);
+      expect(buyFee).to.equal(buyAmount * 2n / 100n);
+
+      const feeBalance = await ethers.provider.getBalance(feeSplitter);
+      expect(await buy(addr1, buyAmount)).to.equal(tokensOut);
+      expect(await ethers.provider.getBalance(feeSplitter) - feeBalance).to.equal(buyFee);
+
+      const [beraOut, sellFee] = await bondingCurve.quoteSell(tokensOut / 3n);
+      expect(beraOut + sellFee).to.equal(await bondingCurve.getSellPrice(tokensOut / 3n));
+      expect(await sell(addr1, tokensOut / 3n)).to.equal(beraOut);
+    });
+
+    it("Should never deliver more tokens for a buy split into pieces", async function () {
+      const total = ethers.parseEther("6");
+      const snapshot = await takeSnapshot();
+      const single = await buy(addr1, total);
+
+      for (const pieces of [2n, 3n, 7n]) {
+        await snapshot.restore();
+        const fills = [];
+        for (let i = 0n; i < pieces - 1n; i++) {
+          fills.push(await buy(addr1, total / pieces));
+        }
+        fills.push(await buy(addr1, total - (total / pieces) * (pieces - 1n)));
+        console.log(`Buy in ${pieces} pieces:`, {
+          single: ethers.formatEther(single),
+          split: ethers.formatEther(sum(fills))
+        });
+        expect(sum(fills)).to.be.lte(single);
+      }
+    });
+
+    it("Should never pay out more BERA for a sell split into pieces", async function () {
+      const balance = await buy(addr1, ethers.parseEther("6"));
+      const snapshot = await takeSnapshot();
+      const single = await sell(addr1, balance);
+
+      for (const pieces of [2n, 5n]) {
+        await snapshot.restore();
+        const payouts = [];
+        for (let i = 0n; i < pieces - 1n; i++) {
+          payouts.push(await sell(addr1, balance / pieces));
+        }
+        payouts.push(await sell(addr1, balance - (balance / pieces) * (pieces - 1n)));
+        console.log(`Sell in ${pieces} pieces:`, {
+          single: ethers.formatEther(single),
+          split: ethers.formatEther(sum(payouts))
+        });
+        expect(sum(payouts)).to.be.lte(single);
+      }
+    });
+
+    it("Should not return more BERA than spent on a buy-then-sell round trip", async function () {
+      const spent = ethers.parseEther("3");
+      const received = await buy(addr1, spent);
+      const returned = await sell(addr1, received);
+
+      console.log("Round trip:", {
+        spent: ethers.formatEther(spent),
+        returned: ethers.formatEther(returned)
+      });
+      expect(returned).to.be.lt(spent);
+    });
+  });
 });
@@ -0,0 +1,257 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployCurveModel } = require("./helpers/curveModels");
+const { deployFeeSplitter } = require("./helpers/feeSplitter");
+const { NO_METADATA } = require("./helpers/tokenMetadata");
+const { deployImplementations } = require("./helpers/implementations");
+
+describe("BondingCurve Oracle Handling", function () {
+    let tokenFactory;
+    let curveModel;
+    let curveParams;
+    let primaryFeed;
+    let bondingCurve;
+    let owner;
+    let trader;
+    let feeCollector;
+    let feeSplitter;
+    let liquidityCollector;
+
+    const BERA_PRICE = ethers.parseEther("3000");
+    const MAX_PRICE_AGE = 24 * 3600;
+    const PRIMARY = 0n;
+    const SECONDARY = 1n;
+    const FALLBACK = 2n;
+
+    async function deployFeed(decimals, usdPrice) {
+        const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+        return MockV3Aggregator.deploy(decimals, ethers.parseUnits(usdPrice, decimals));
+    }
+
+    async function createCurve(feed, symbol = "ORCL") {
+        const tx = await tokenFactory.createToken(
+            "Oracle Token",
+            symbol,
+            NO_METADATA,
+            await feed.getAddress(),
+            (await tokenFactory.defaultLaunchConfig()).toObject(),
+            await curveModel.getAddress(),
+            curveParams,
+            0,
+            ethers.ZeroAddress,
+            ethers.hexlify(ethers.randomBytes(32)),
+            { value: await tokenFactory.creationFee() }
+        );
+        const receipt = await tx.wait();
+        const event = receipt.logs.find(log => {
+            try {
+                return tokenFactory.interface.parseLog(log)?.name === "TokenCreated";
+            } catch {
+                return false;
+            }
+        });
+        const { bondingCurveAddress } = tokenFactory.interface.parseLog(event).args;
+        return ethers.getContractAt("BondingCurve", bondingCurveAddress);
+    }
+
+    function buy() {
+        return bondingCurve.connect(trader).buyTokens(0, ethers.MaxUint256, ethers.ZeroAddress, { value: ethers.parseEther("0.1") });
+    }
+
+    // Schedules new price sources for the curve, waits out the timelock and sets them, with the primary
+    // feed reporting again after the wait.
+    async function setPriceSources(secondaryFeed, fallbackPrice, maxPriceAge) {
+        const args = [await bondingCurve.getAddress(), secondaryFeed, fallbackPrice, maxPriceAge];
+        await tokenFactory.scheduleChange(tokenFactory.interface.encodeFunctionData("setCurvePriceSources", args));
+        await time.increase(await tokenFactory.TIMELOCK_DELAY());
+        await primaryFeed.updateAnswer(ethers.parseUnits("3000", 8));
+        return tokenFactory.setCurvePriceSources(...args);
+    }
+
+    // Lets the primary feed's answer age past the staleness bound.
+    async function makePrimaryStale() {
+        await time.increase(MAX_PRICE_AGE + 1);
+        expect(await bondingCurve.isPriceHealthy()).to.be.false;
+    }
+
+    beforeEach(async function () {
+        [owner, trader, feeCollector, liquidityCollector] = await ethers.getSigners();
+
+        const MockBexDex = await ethers.getContractFactory("MockBexDex");
+        const mockBexDex = await MockBexDex.deploy();
+        const BexLiquidityManager = await ethers.getContractFactory("BexLiquidityManager");
+        const bexLiquidityManager = await BexLiquidityManager.deploy(await mockBexDex.getAddress(), await mockBexDex.getAddress());
+
+        feeSplitter = await deployFeeSplitter(feeCollector.address);
+        const TokenFactory = await ethers.getContractFactory("TokenFactory");
+        tokenFactory = await TokenFactory.deploy(
+            await feeSplitter.getAddress(),
+            await bexLiquidityManager.getAddress(),
+            liquidityCollector.address,
+            ...(await deployImplementations())
+        );
+        await feeSplitter.setAuthorizedCaller(tokenFactory, true);
+        ({ curveModel, curveParams } = await deployCurveModel(tokenFactory));
+
+        primaryFeed = await deployFeed(8, "3000");
+        bondingCurve = await createCurve(primaryFeed);
+    });
+
+    describe("Feed decimals", function () {
+        it("should scale answers from feeds with any number of decimals", async function () {
+            for (const decimals of [6, 8, 18]) {
+                const feed = await deployFeed(decimals, "3000");
+                const curve = await createCurve(feed, `ORCL${decimals}`);
+                expect(await curve.getBeraPrice()).to.equal(BERA_PRICE);
+            }
+        });
+
+        it("should price an 18-decimal feed the same as an 8-decimal one", async function () {
+            const curve = await createCurve(await deployFeed(18, "3000"), "ORCL18");
+            expect(await curve.quoteBuy(ethers.parseEther("1"))).to.deep.equal(
+                await bondingCurve.quoteBuy(ethers.parseEther("1"))
+            );
+        });
+    });
+
+    describe("Primary feed health", function () {
+        it("should pause trading once the answer is older than the staleness bound", async function () {
+            await makePrimaryStale();
+
+            await expect(buy()).to.be.revertedWith("Price feed unavailable");
+            await expect(bondingCurve.getCurrentPrice()).to.be.revertedWith("Price feed unavailable");
+        });
+
+        it("should not serve a cached price past the staleness bound", async function () {
+            await setPriceSources(ethers.ZeroAddress, 0, 1800);
+            await buy();
+
+            // Still inside the one hour cache window, but the cached answer is now 31 minutes old.
+            await time.increase(31 * 60);
+            await expect(buy()).to.be.revertedWith("Price feed unavailable");
+        });
+
+        it("should reject rounds carried over from an earlier round", async function () {
+            const round = await primaryFeed.latestRound();
+            await primaryFeed.setAnsweredInRound(round, round - 1n);
+
+            await time.increase(3600);
+            expect(await bondingCurve.isPriceHealthy()).to.be.false;
+            await expect(buy()).to.be.revertedWith("Price feed unavailable");
+        });
+
+        it("should reject a replayed older round and rounds stamped in the future", async function () {
+            const now = await time.latest();
+            await time.increase(3600);
+
+            // An out-of-order answer from two days ago becomes the latest round.
+            await primaryFeed.updateRoundData(1, ethers.parseUnits("3100", 8), now - 2 * 24 * 3600, now - 2 * 24 * 3600);
+            expect(await bondingCurve.isPriceHealthy()).to.be.false;
+
+            await primaryFeed.updateRoundData(5, ethers.parseUnits("3100", 8), now + 3600 * 10, now);
+            expect(await bondingCurve.isPriceHealthy()).to.be.false;
+        });
+
+        it("should reject non-positive answers", async function () {
+            await primaryFeed.updateAnswer(0);
+            await time.increase(3600);
+            expect(await bondingCurve.isPriceHealthy()).to.be.false;
+
+            await primaryFeed.updateAnswer(-1);
+            expect(await bondingCurve.isPriceHealthy()).to.be.false;
+        });
+
+        it("should resume trading when the feed reports again", async function () {
+            await makePrimaryStale();
+            await expect(buy()).to.be.revertedWith("Price feed unavailable");
+
+            await primaryFeed.updateAnswer(ethers.parseUnits("3000", 8));
+            await expect(buy()).to.emit(bondingCurve, "TokensPurchased");
+            expect(await bondingCurve.lastPriceSource()).to.equal(PRIMARY);
+        });
+    });
+
+    describe("Backup sources", function () {
+        let secondaryFeed;
+
+        beforeEach(async function () {
+            secondaryFeed = await deployFeed(18, "2500");
+        });
+
+        it("should fall back to the secondary feed while the primary is stale", async function () {
+            await setPriceSources(await secondaryFeed.getAddress(), 0, MAX_PRICE_AGE);
+            await time.increase(MAX_PRICE_AGE + 1);
+            await secondaryFeed.updateAnswer(ethers.parseEther("2500"));
+
+            await buy();
+            console.log("Secondary feed price:", ethers.formatEther(await bondingCurve.lastBeraPrice()));
+            expect(await bondingCurve.lastBeraPrice()).to.equal(ethers.parseEther("2500"));
+            expect(await bondingCurve.lastPriceSource()).to.equal(SECONDARY);
+        });
+
+        it("should prefer the primary feed whenever it is healthy", async function () {
+            await setPriceSources(await secondaryFeed.getAddress(), ethers.parseEther("2000"), MAX_PRICE_AGE);
+
+            await buy();
+            expect(await bondingCurve.lastBeraPrice()).to.equal(BERA_PRICE);
+            expect(await bondingCurve.lastPriceSource()).to.equal(PRIMARY);
+        });
+
+        it("should use the owner-set fallback price while neither feed is healthy", async function () {
+            await setPriceSources(await secondaryFeed.getAddress(), ethers.parseEther("2000"), MAX_PRICE_AGE);
+            await time.increase(MAX_PRICE_AGE + 1);
+
+            expect(await bondingCurve.isPriceHealthy()).to.be.true;
+            expect(await bondingCurve.getBeraPrice()).to.equal(ethers.parseEther("2000"));
+            await buy();
+            expect(await bondingCurve.lastPriceSource()).to.equal(FALLBACK);
+
+            // Clearing the fallback pauses trading again.
+            await setPriceSources(await secondaryFeed.getAddress(), 0, MAX_PRICE_AGE);
+            await makePrimaryStale();
+            await expect(buy()).to.be.revertedWith("Price feed unavailable");
+        });
+
+        it("should treat a reverting secondary feed as unhealthy", async function () {
+            // MockBexDex has no latestRoundData, so every read reverts.
+            const MockBexDex = await ethers.getContractFactory("MockBexDex");
+            const broken = await MockBexDex.deploy();
+            await setPriceSources(await broken.getAddress(), 0, MAX_PRICE_AGE);
+
+            await makePrimaryStale();
+            await expect(buy()).to.be.revertedWith("Price feed unavailable");
+        });
+
+        it("should only let the factory owner configure price sources", async function () {
+            const curveAddress = await bondingCurve.getAddress();
+
+            await expect(
+                tokenFactory.connect(trader).setCurvePriceSources(curveAddress, ethers.ZeroAddress, 0, MAX_PRICE_AGE)
+            ).to.be.revertedWithCustomError(tokenFactory, "OwnableUnauthorizedAccount")
+            .withArgs(trader.address);
+            await expect(
+                bondingCurve.connect(trader).setPriceSources(ethers.ZeroAddress, 0, MAX_PRICE_AGE)
+            ).to.be.revertedWithCustomError(bondingCurve, "OwnableUnauthorizedAccount")
+            .withArgs(trader.address);
+            await expect(setPriceSources(ethers.ZeroAddress, 0, 0)).to.be.revertedWith("Zero max price age");
+        });
+
+        it("should hold changes back until the timelock has passed", async function () {
+            const args = [await bondingCurve.getAddress(), await secondaryFeed.getAddress(), 0, MAX_PRICE_AGE];
+            await expect(tokenFactory.setCurvePriceSources(...args)).to.be.revertedWith("Change not scheduled");
+
+            await tokenFactory.scheduleChange(tokenFactory.interface.encodeFunctionData("setCurvePriceSources", args));
+            await expect(tokenFactory.setCurvePriceSources(...args)).to.be.revertedWith("Timelock not expired");
+            expect(await bondingCurve.secondaryPriceFeed()).to.equal(ethers.ZeroAddress);
+        });
+
+        it("should emit the new configuration", async function () {
+            const tx = setPriceSources(await secondaryFeed.getAddress(), ethers.parseEther("2000"), 3600);
+            await expect(tx).to.emit(bondingCurve, "PriceSourcesUpdated")
+                .withArgs(await secondaryFeed.getAddress(), ethers.parseEther("2000"), 3600);
+            await expect(tx).to.emit(tokenFactory, "CurvePriceSourcesUpdated")
+                .withArgs(await bondingCurve.getAddress(), await secondaryFeed.getAddress(), ethers.parseEther("2000"), 3600);
+        });
+    });
+});
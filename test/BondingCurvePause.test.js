@@ -0,0 +1,174 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployCurveModel } = require("./helpers/curveModels");
+const { deployFeeSplitter } = require("./helpers/feeSplitter");
+const { NO_METADATA } = require("./helpers/tokenMetadata");
+const { deployImplementations } = require("./helpers/implementations");
+
+describe("BondingCurve Pause and Emergency Refunds", function () {
+    let tokenFactory;
+    let bexLiquidityManager;
+    let priceFeed;
+    let curveModel;
+    let curveParams;
+    let token;
+    let bondingCurve;
+    let owner;
+    let guardian;
+    let alice;
+    let bob;
+    let feeCollector;
+    let feeSplitter;
+    let liquidityCollector;
+
+    const BERA_PRICE = ethers.parseEther("3000");
+    const REFUNDING = 4n;
+
+    async function createToken(symbol = "PAUSE") {
+        const tx = await tokenFactory.createToken(
+            "Pause Token",
+            symbol,
+            NO_METADATA,
+            await priceFeed.getAddress(),
+            (await tokenFactory.defaultLaunchConfig()).toObject(),
+            await curveModel.getAddress(),
+            curveParams,
+            0,
+            ethers.ZeroAddress,
+            ethers.hexlify(ethers.randomBytes(32)),
+            { value: await tokenFactory.creationFee() }
+        );
+        const receipt = await tx.wait();
+        const event = receipt.logs.find(log => {
+            try {
+                return tokenFactory.interface.parseLog(log)?.name === "TokenCreated";
+            } catch {
+                return false;
+            }
+        });
+        const { tokenAddress, bondingCurveAddress } = tokenFactory.interface.parseLog(event).args;
+        token = await ethers.getContractAt("CustomERC20", tokenAddress);
+        bondingCurve = await ethers.getContractAt("BondingCurve", bondingCurveAddress);
+    }
+
+    function buy(signer, value) {
+        return bondingCurve.connect(signer).buyTokens(0, ethers.MaxUint256, ethers.ZeroAddress, { value });
+    }
+
+    async function sell(signer, amount) {
+        await token.connect(signer).approve(await bondingCurve.getAddress(), amount);
+        return bondingCurve.connect(signer).sellTokens(amount, 0, ethers.MaxUint256);
+    }
+
+    beforeEach(async function () {
+        [owner, guardian, alice, bob, feeCollector, liquidityCollector] = await ethers.getSigners();
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        priceFeed = await MockPriceFeed.deploy(BERA_PRICE);
+
+        const MockBexDex = await ethers.getContractFactory("MockBexDex");
+        const mockBexDex = await MockBexDex.deploy();
+        const BexLiquidityManager = await ethers.getContractFactory("BexLiquidityManager");
+        bexLiquidityManager = await BexLiquidityManager.deploy(await mockBexDex.getAddress(), await mockBexDex.getAddress());
+
+        feeSplitter = await deployFeeSplitter(feeCollector.address);
+        const TokenFactory = await ethers.getContractFactory("TokenFactory");
+        tokenFactory = await TokenFactory.deploy(
+            await feeSplitter.getAddress(),
+            await bexLiquidityManager.getAddress(),
+            liquidityCollector.address,
+            ...(await deployImplementations())
+        );
+        await feeSplitter.setAuthorizedCaller(tokenFactory, true);
+        await bexLiquidityManager.setFactory(tokenFactory);
+        await tokenFactory.setGuardian(guardian.address, true);
+        ({ curveModel, curveParams } = await deployCurveModel(tokenFactory));
+
+        await createToken();
+        await buy(alice, ethers.parseEther("1"));
+        await buy(bob, ethers.parseEther("2"));
+    });
+
+    describe("Curve Pause", function () {
+        it("should let a guardian halt one curve and the owner resume it", async function () {
+            await expect(tokenFactory.connect(guardian).pauseCurve(bondingCurve))
+                .to.emit(tokenFactory, "CurvePaused").withArgs(await bondingCurve.getAddress(), true)
+                .and.to.emit(bondingCurve, "PauseUpdated").withArgs(true);
+            expect(await bondingCurve.tradingPaused()).to.be.true;
+
+            const balance = await token.balanceOf(alice.address);
+            await expect(buy(alice, ethers.parseEther("1"))).to.be.revertedWith("Trading paused");
+            await expect(sell(alice, balance)).to.be.revertedWith("Trading paused");
+            await expect(bondingCurve.migrate()).to.be.revertedWith("Trading paused");
+            await expect(bondingCurve.enableRefunds()).to.be.revertedWith("Trading paused");
+
+            // Other curves keep trading.
+            const paused = bondingCurve;
+            await createToken("OTHER");
+            await buy(alice, ethers.parseEther("1"));
+
+            await expect(tokenFactory.connect(guardian).unpauseCurve(paused))
+                .to.be.revertedWithCustomError(tokenFactory, "OwnableUnauthorizedAccount");
+            await tokenFactory.unpauseCurve(paused);
+            await paused.connect(alice).buyTokens(0, ethers.MaxUint256, ethers.ZeroAddress, { value: ethers.parseEther("1") });
+        });
+
+        it("should only take pause orders from the factory's guardians", async function () {
+            await expect(tokenFactory.connect(alice).pauseCurve(bondingCurve)).to.be.revertedWith("Caller not guardian");
+            await expect(bondingCurve.connect(alice).setPaused(true))
+                .to.be.revertedWithCustomError(bondingCurve, "OwnableUnauthorizedAccount");
+
+            await tokenFactory.setGuardian(guardian.address, false);
+            await expect(tokenFactory.connect(guardian).pauseCurve(bondingCurve)).to.be.revertedWith("Caller not guardian");
+        });
+    });
+
+    describe("Global Pause", function () {
+        it("should halt launches and every curve until the owner unpauses", async function () {
+            await expect(tokenFactory.connect(guardian).pause()).to.emit(tokenFactory, "Paused");
+            expect(await bondingCurve.paused()).to.be.false;
+            expect(await bondingCurve.tradingPaused()).to.be.true;
+
+            await expect(buy(alice, ethers.parseEther("1"))).to.be.revertedWith("Trading paused");
+            await expect(createToken("NEW")).to.be.revertedWithCustomError(tokenFactory, "EnforcedPause");
+
+            await expect(tokenFactory.connect(guardian).unpause())
+                .to.be.revertedWithCustomError(tokenFactory, "OwnableUnauthorizedAccount");
+            await tokenFactory.unpause();
+            await buy(alice, ethers.parseEther("1"));
+            await createToken("NEW");
+        });
+    });
+
+    describe("Emergency Refunds", function () {
+        it("should return the BERA held to holders of a paused curve before expiry", async function () {
+            await tokenFactory.connect(guardian).pauseCurve(bondingCurve);
+            const held = await ethers.provider.getBalance(bondingCurve);
+            const aliceTokens = await token.balanceOf(alice.address);
+            const circulating = aliceTokens + (await token.balanceOf(bob.address));
+
+            await expect(tokenFactory.emergencyRefund(bondingCurve))
+                .to.emit(tokenFactory, "EmergencyRefundsEnabled").withArgs(await bondingCurve.getAddress())
+                .and.to.emit(bondingCurve, "RefundsEnabled").withArgs(held, circulating);
+            expect(await bondingCurve.phase()).to.equal(REFUNDING);
+            expect(await token.frozen()).to.be.true;
+
+            // Claims go through while the curve stays paused.
+            const expected = (aliceTokens * held) / circulating;
+            await token.connect(alice).approve(bondingCurve, aliceTokens);
+            await expect(bondingCurve.connect(alice).claimRefund()).to.changeEtherBalance(alice, expected);
+            console.log("Emergency refund:", { held: ethers.formatEther(held), alice: ethers.formatEther(expected) });
+        });
+
+        it("should refuse emergency refunds on a live or graduated curve", async function () {
+            await expect(tokenFactory.emergencyRefund(bondingCurve)).to.be.revertedWith("Curve not paused");
+            await expect(tokenFactory.connect(guardian).emergencyRefund(bondingCurve))
+                .to.be.revertedWithCustomError(tokenFactory, "OwnableUnauthorizedAccount");
+
+            await buy(alice, ethers.parseEther("15"));
+            expect(await bondingCurve.liquidityDeployed()).to.be.true;
+            await tokenFactory.connect(guardian).pauseCurve(bondingCurve);
+            await expect(tokenFactory.emergencyRefund(bondingCurve)).to.be.revertedWith("Refunds not available");
+        });
+    });
+});
@@ -0,0 +1,263 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployCurveModel } = require("./helpers/curveModels");
+const { deployFeeSplitter } = require("./helpers/feeSplitter");
+const { NO_METADATA } = require("./helpers/tokenMetadata");
+const { ORDER_TYPES, orderDomain, permitDomain, signOrder, signPermit } = require("./helpers/signatures");
+const { deployImplementations } = require("./helpers/implementations");
+
+describe("BondingCurve Permits and Relayed Orders", function () {
+    let tokenFactory;
+    let priceFeed;
+    let curveModel;
+    let curveParams;
+    let token;
+    let bondingCurve;
+    let creator;
+    let alice;
+    let bob;
+    let relayer;
+    let feeCollector;
+    let feeSplitter;
+    let liquidityCollector;
+
+    const BERA_PRICE = ethers.parseEther("3000");
+    const RELAYER_FEE = ethers.parseEther("0.01");
+
+    async function createToken(overrides = {}, symbol = "SIGN") {
+        const config = { ...(await tokenFactory.defaultLaunchConfig()).toObject(), ...overrides };
+        const tx = await tokenFactory.connect(creator).createToken(
+            "Signed Token",
+            symbol,
+            NO_METADATA,
+            await priceFeed.getAddress(),
+            config,
+            await curveModel.getAddress(),
+            curveParams,
+            0,
+            ethers.ZeroAddress,
+            ethers.hexlify(ethers.randomBytes(32)),
+            { value: await tokenFactory.creationFee() }
+        );
+        const receipt = await tx.wait();
+        const event = receipt.logs.find(log => {
+            try {
+                return tokenFactory.interface.parseLog(log)?.name === "TokenCreated";
+            } catch {
+                return false;
+            }
+        });
+        const { tokenAddress, bondingCurveAddress } = tokenFactory.interface.parseLog(event).args;
+        token = await ethers.getContractAt("CustomERC20", tokenAddress);
+        bondingCurve = await ethers.getContractAt("BondingCurve", bondingCurveAddress);
+    }
+
+    function buy(signer, value) {
+        return bondingCurve.connect(signer).buyTokens(0, ethers.MaxUint256, ethers.ZeroAddress, { value });
+    }
+
+    async function deadlineIn(seconds) {
+        return BigInt(await time.latest()) + BigInt(seconds);
+    }
+
+    beforeEach(async function () {
+        [creator, alice, bob, relayer, feeCollector, liquidityCollector] = await ethers.getSigners();
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        priceFeed = await MockPriceFeed.deploy(BERA_PRICE);
+
+        const MockBexDex = await ethers.getContractFactory("MockBexDex");
+        const mockBexDex = await MockBexDex.deploy();
+        const BexLiquidityManager = await ethers.getContractFactory("BexLiquidityManager");
+        const bexLiquidityManager = await BexLiquidityManager.deploy(await mockBexDex.getAddress(), await mockBexDex.getAddress());
+
+        feeSplitter = await deployFeeSplitter(feeCollector.address);
+        const TokenFactory = await ethers.getContractFactory("TokenFactory");
+        tokenFactory = await TokenFactory.deploy(
+            await feeSplitter.getAddress(),
+            await bexLiquidityManager.getAddress(),
+            liquidityCollector.address,
+            ...(await deployImplementations())
+        );
+        await feeSplitter.setAuthorizedCaller(tokenFactory, true);
+        ({ curveModel, curveParams } = await deployCurveModel(tokenFactory));
+
+        await createToken();
+        await buy(alice, ethers.parseEther("1"));
+    });
+
+    describe("Token Permits", function () {
+        it("should sign against the clone's own name and address", async function () {
+            expect(await token.DOMAIN_SEPARATOR()).to.equal(
+                ethers.TypedDataEncoder.hashDomain(await permitDomain(token))
+            );
+
+            const first = await token.DOMAIN_SEPARATOR();
+            await createToken({}, "OTHER");
+            expect(await token.DOMAIN_SEPARATOR()).to.not.equal(first);
+        });
+
+        it("should approve with a signature and use up the nonce", async function () {
+            const deadline = await deadlineIn(3600);
+            const { v, r, s } = await signPermit(alice, token, bob.address, 1000n, deadline);
+
+            await token.connect(relayer).permit(alice.address, bob.address, 1000n, deadline, v, r, s);
+            expect(await token.allowance(alice.address, bob.address)).to.equal(1000n);
+            expect(await token.nonces(alice.address)).to.equal(1);
+
+            await expect(token.permit(alice.address, bob.address, 1000n, deadline, v, r, s))
+                .to.be.revertedWith("Invalid permit signature");
+        });
+
+        it("should reject expired and forged permits", async function () {
+            const expired = await deadlineIn(-1);
+            let sig = await signPermit(alice, token, bob.address, 1000n, expired);
+            await expect(token.permit(alice.address, bob.address, 1000n, expired, sig.v, sig.r, sig.s))
+                .to.be.revertedWith("Permit expired");
+
+            // Bob signing for Alice's tokens
+            const deadline = await deadlineIn(3600);
+            sig = await signPermit(bob, token, bob.address, 1000n, deadline);
+            await expect(token.permit(alice.address, bob.address, 1000n, deadline, sig.v, sig.r, sig.s))
+                .to.be.revertedWith("Invalid permit signature");
+        });
+    });
+
+    describe("Permit Sells", function () {
+        it("should sell in one transaction without a prior approval", async function () {
+            const balance = await token.balanceOf(alice.address);
+            const deadline = await deadlineIn(3600);
+            const { v, r, s } = await signPermit(alice, token, bondingCurve, balance, deadline);
+
+            await expect(bondingCurve.connect(alice).sellTokensWithPermit(balance, 0, deadline, v, r, s))
+                .to.emit(bondingCurve, "TokensSold");
+            expect(await token.balanceOf(alice.address)).to.equal(0);
+            expect(await token.allowance(alice.address, bondingCurve)).to.equal(0);
+        });
+
+        it("should still sell when someone front-runs the permit", async function () {
+            const balance = await token.balanceOf(alice.address);
+            const deadline = await deadlineIn(3600);
+            const { v, r, s } = await signPermit(alice, token, bondingCurve, balance, deadline);
+
+            await token.connect(bob).permit(alice.address, await bondingCurve.getAddress(), balance, deadline, v, r, s);
+            await bondingCurve.connect(alice).sellTokensWithPermit(balance, 0, deadline, v, r, s);
+            expect(await token.balanceOf(alice.address)).to.equal(0);
+        });
+
+        it("should fail without a valid permit or allowance", async function () {
+            const balance = await token.balanceOf(alice.address);
+            const deadline = await deadlineIn(3600);
+            const { v, r, s } = await signPermit(bob, token, bondingCurve, balance, deadline);
+
+            await expect(bondingCurve.connect(alice).sellTokensWithPermit(balance, 0, deadline, v, r, s))
+                .to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance");
+            await expect(bondingCurve.connect(alice).sellTokensWithPermit(balance, 0, await deadlineIn(-1), v, r, s))
+                .to.be.revertedWith("Transaction expired");
+        });
+    });
+
+    describe("Relayed Orders", function () {
+        it("should hash orders like ethers does", async function () {
+            const { order } = await signOrder(alice, bondingCurve, { amount: 5n, nonce: 7n });
+            expect(await bondingCurve.hashOrder(order)).to.equal(
+                ethers.TypedDataEncoder.hash(await orderDomain(bondingCurve), ORDER_TYPES, order)
+            );
+        });
+
+        it("should sell for the trader and pay the relayer out of the proceeds", async function () {
+            const balance = await token.balanceOf(alice.address);
+            const deadline = await deadlineIn(3600);
+            const permit = await signPermit(alice, token, bondingCurve, balance, deadline);
+            const { order, signature } = await signOrder(alice, bondingCurve, {
+                amount: balance,
+                relayerFee: RELAYER_FEE,
+                nonce: 1n,
+                deadline
+            });
+
+            // The relayer submits both the permit and the order; Alice spends no gas.
+            await token.connect(relayer).permit(
+                alice.address, await bondingCurve.getAddress(), balance, deadline, permit.v, permit.r, permit.s
+            );
+            const aliceBefore = await ethers.provider.getBalance(alice.address);
+            const tx = bondingCurve.connect(relayer).executeOrder(order, signature);
+            await expect(tx).to.changeEtherBalance(relayer, RELAYER_FEE);
+            await expect(tx).to.emit(bondingCurve, "OrderExecuted").withArgs(alice.address, 1n, relayer.address);
+
+            const received = (await ethers.provider.getBalance(alice.address)) - aliceBefore;
+            console.log("Relayed sell:", { alice: ethers.formatEther(received), relayer: ethers.formatEther(RELAYER_FEE) });
+            expect(received).to.be.gt(0);
+            expect(await token.balanceOf(alice.address)).to.equal(0);
+            expect(await bondingCurve.orderNonceUsed(alice.address, 1n)).to.be.true;
+        });
+
+        it("should cost the relayer nothing but gas", async function () {
+            const amount = (await token.balanceOf(alice.address)) / 2n;
+            await token.connect(alice).approve(bondingCurve, amount);
+            const { order, signature } = await signOrder(alice, bondingCurve, { amount });
+
+            // Gas is left out of the balance change, so a zero-fee order leaves the relayer where it was.
+            await expect(bondingCurve.connect(relayer).executeOrder(order, signature))
+                .to.changeEtherBalance(relayer, 0);
+
+            // Orders take no BERA, so a relayer cannot be made to fund a trade.
+            const next = await signOrder(alice, bondingCurve, { amount: 1n, nonce: 1n });
+            await expect(relayer.sendTransaction({
+                to: await bondingCurve.getAddress(),
+                data: bondingCurve.interface.encodeFunctionData("executeOrder", [next.order, next.signature]),
+                value: ethers.parseEther("0.1")
+            })).to.be.reverted;
+        });
+
+        it("should not execute an order twice or after it is cancelled", async function () {
+            await token.connect(alice).approve(bondingCurve, ethers.MaxUint256);
+            const amount = (await token.balanceOf(alice.address)) / 4n;
+            const { order, signature } = await signOrder(alice, bondingCurve, { amount, nonce: 1n });
+            await bondingCurve.connect(relayer).executeOrder(order, signature);
+            await expect(bondingCurve.connect(relayer).executeOrder(order, signature))
+                .to.be.revertedWith("Order nonce used");
+
+            const next = await signOrder(alice, bondingCurve, { amount, nonce: 2n });
+            await expect(bondingCurve.connect(alice).cancelOrder(2n))
+                .to.emit(bondingCurve, "OrderCancelled").withArgs(alice.address, 2n);
+            await expect(bondingCurve.connect(relayer).executeOrder(next.order, next.signature))
+                .to.be.revertedWith("Order nonce used");
+        });
+
+        it("should reject forged, altered or expired orders", async function () {
+            await token.connect(alice).approve(bondingCurve, ethers.MaxUint256);
+            const amount = (await token.balanceOf(alice.address)) / 4n;
+            const { order, signature } = await signOrder(alice, bondingCurve, { amount });
+
+            // Signed by someone other than the trader
+            const forged = await signOrder(bob, bondingCurve, { trader: alice.address, amount });
+            await expect(bondingCurve.connect(relayer).executeOrder(forged.order, forged.signature))
+                .to.be.revertedWith("Invalid order signature");
+            // Terms changed after signing
+            await expect(bondingCurve.connect(relayer).executeOrder({ ...order, relayerFee: 1n }, signature))
+                .to.be.revertedWith("Invalid order signature");
+            // Signed for another curve
+            const curve = bondingCurve;
+            await createToken({}, "OTHER");
+            await expect(bondingCurve.connect(relayer).executeOrder(order, signature))
+                .to.be.revertedWith("Invalid order signature");
+            bondingCurve = curve;
+
+            const expired = await signOrder(alice, bondingCurve, { amount, nonce: 1n, deadline: await deadlineIn(-1) });
+            await expect(bondingCurve.connect(relayer).executeOrder(expired.order, expired.signature))
+                .to.be.revertedWith("Transaction expired");
+        });
+
+        it("should not let the relayer fee exceed a sale's proceeds", async function () {
+            await token.connect(alice).approve(bondingCurve, ethers.MaxUint256);
+            const { order, signature } = await signOrder(alice, bondingCurve, {
+                amount: 1000n,
+                relayerFee: RELAYER_FEE
+            });
+            await expect(bondingCurve.connect(relayer).executeOrder(order, signature))
+                .to.be.revertedWith("Relayer fee exceeds proceeds");
+        });
+    });
+});
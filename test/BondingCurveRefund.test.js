@@ -0,0 +1,227 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployCurveModel } = require("./helpers/curveModels");
+const { deployFeeSplitter } = require("./helpers/feeSplitter");
+const { NO_METADATA } = require("./helpers/tokenMetadata");
+const { deployImplementations } = require("./helpers/implementations");
+const { executeTimelocked } = require("./helpers/timelock");
+
+describe("BondingCurve Refund Mode", function () {
+    let tokenFactory;
+    let bexLiquidityManager;
+    let priceFeed;
+    let curveModel;
+    let curveParams;
+    let token;
+    let bondingCurve;
+    let owner;
+    let alice;
+    let bob;
+    let feeCollector;
+    let feeSplitter;
+    let liquidityCollector;
+    let createdAt;
+
+    const BERA_PRICE = ethers.parseEther("3000");
+    const DEFAULT_DURATION = 30 * 24 * 3600;
+    const REFUNDING = 4n;
+
+    async function createToken(overrides = {}, symbol = "RFND") {
+        const config = { ...(await tokenFactory.defaultLaunchConfig()).toObject(), ...overrides };
+        const tx = await tokenFactory.createToken(
+            "Refund Token",
+            symbol,
+            NO_METADATA,
+            await priceFeed.getAddress(),
+            config,
+            await curveModel.getAddress(),
+            curveParams,
+            0,
+            ethers.ZeroAddress,
+            ethers.hexlify(ethers.randomBytes(32)),
+            { value: await tokenFactory.creationFee() }
+        );
+        const receipt = await tx.wait();
+        createdAt = (await ethers.provider.getBlock(receipt.blockNumber)).timestamp;
+        const event = receipt.logs.find(log => {
+            try {
+                return tokenFactory.interface.parseLog(log)?.name === "TokenCreated";
+            } catch {
+                return false;
+            }
+        });
+        const { tokenAddress, bondingCurveAddress } = tokenFactory.interface.parseLog(event).args;
+        token = await ethers.getContractAt("CustomERC20", tokenAddress);
+        bondingCurve = await ethers.getContractAt("BondingCurve", bondingCurveAddress);
+    }
+
+    function buy(signer, value) {
+        return bondingCurve.connect(signer).buyTokens(0, ethers.MaxUint256, ethers.ZeroAddress, { value });
+    }
+
+    // Claims burn the holder's tokens out of their allowance to the curve.
+    async function claim(signer) {
+        await token.connect(signer).approve(await bondingCurve.getAddress(), await token.balanceOf(signer.address));
+        return bondingCurve.connect(signer).claimRefund();
+    }
+
+    async function expire() {
+        await time.increaseTo(await bondingCurve.expiresAt());
+    }
+
+    beforeEach(async function () {
+        [owner, alice, bob, feeCollector, liquidityCollector] = await ethers.getSigners();
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        priceFeed = await MockPriceFeed.deploy(BERA_PRICE);
+
+        const MockBexDex = await ethers.getContractFactory("MockBexDex");
+        const mockBexDex = await MockBexDex.deploy();
+        const BexLiquidityManager = await ethers.getContractFactory("BexLiquidityManager");
+        bexLiquidityManager = await BexLiquidityManager.deploy(await mockBexDex.getAddress(), await mockBexDex.getAddress());
+
+        feeSplitter = await deployFeeSplitter(feeCollector.address);
+        const TokenFactory = await ethers.getContractFactory("TokenFactory");
+        tokenFactory = await TokenFactory.deploy(
+            await feeSplitter.getAddress(),
+            await bexLiquidityManager.getAddress(),
+            liquidityCollector.address,
+            ...(await deployImplementations())
+        );
+        await feeSplitter.setAuthorizedCaller(tokenFactory, true);
+        await bexLiquidityManager.setFactory(tokenFactory);
+        ({ curveModel, curveParams } = await deployCurveModel(tokenFactory));
+
+        await createToken();
+        await buy(alice, ethers.parseEther("1"));
+        await buy(bob, ethers.parseEther("2"));
+    });
+
+    describe("Expiry", function () {
+        it("should use the factory default duration when the creator passes zero", async function () {
+            await createToken({ saleDuration: 0 }, "DFLT");
+            expect(await bondingCurve.expiresAt()).to.equal(createdAt + DEFAULT_DURATION);
+        });
+
+        it("should use the creator's duration", async function () {
+            await createToken({ saleDuration: 2 * 24 * 3600 }, "SHORT");
+            expect(await bondingCurve.expiresAt()).to.equal(createdAt + 2 * 24 * 3600);
+        });
+
+        it("should not enable refunds before expiry", async function () {
+            await expect(bondingCurve.enableRefunds()).to.be.revertedWith("Sale not expired");
+            await expect(bondingCurve.connect(alice).claimRefund()).to.be.revertedWith("Refunds not enabled");
+        });
+
+        it("should stop buys at expiry", async function () {
+            await expire();
+            await expect(buy(alice, ethers.parseEther("1"))).to.be.revertedWith("Sale expired");
+        });
+    });
+
+    describe("Refunds", function () {
+        it("should snapshot the BERA held and the tokens outside the curve", async function () {
+            await expire();
+            const held = await ethers.provider.getBalance(bondingCurve);
+            const circulating = (await token.balanceOf(alice.address)) + (await token.balanceOf(bob.address));
+
+            await expect(bondingCurve.connect(feeCollector).enableRefunds())
+                .to.emit(bondingCurve, "RefundsEnabled")
+                .withArgs(held, circulating);
+            expect(await bondingCurve.phase()).to.equal(REFUNDING);
+            expect(await token.frozen()).to.be.true;
+        });
+
+        it("should pay holders pro-rata against the BERA held", async function () {
+            await expire();
+            await bondingCurve.enableRefunds();
+            const pool = await bondingCurve.refundPool();
+            const supply = await bondingCurve.refundSupply();
+            const aliceTokens = await token.balanceOf(alice.address);
+            const bobTokens = await token.balanceOf(bob.address);
+
+            const expectedAlice = (aliceTokens * pool) / supply;
+            const expectedBob = (bobTokens * pool) / supply;
+            expect(await bondingCurve.refundOf(alice.address)).to.equal(expectedAlice);
+
+            await expect(claim(alice)).to.changeEtherBalance(alice, expectedAlice);
+            await expect(claim(bob))
+                .to.emit(bondingCurve, "Refunded")
+                .withArgs(bob.address, bobTokens, expectedBob);
+
+            console.log("Refunds:", {
+                pool: ethers.formatEther(pool),
+                alice: ethers.formatEther(expectedAlice),
+                bob: ethers.formatEther(expectedBob),
+                dust: (await ethers.provider.getBalance(bondingCurve)).toString()
+            });
+            expect(await token.balanceOf(alice.address)).to.equal(0);
+            expect(await bondingCurve.refundClaimed(alice.address)).to.equal(expectedAlice);
+            expect(await ethers.provider.getBalance(bondingCurve)).to.equal(pool - expectedAlice - expectedBob);
+        });
+
+        it("should not let a holder claim twice", async function () {
+            await expire();
+            await bondingCurve.enableRefunds();
+            await claim(alice);
+
+            await expect(claim(alice)).to.be.revertedWith("Nothing to refund");
+            expect(await bondingCurve.refundOf(alice.address)).to.equal(0);
+        });
+
+        it("should only burn what the holder approved", async function () {
+            await expire();
+            await bondingCurve.enableRefunds();
+
+            await expect(bondingCurve.connect(alice).claimRefund())
+                .to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance");
+        });
+
+        it("should freeze the token so claims cannot be moved between wallets", async function () {
+            await expire();
+            await bondingCurve.enableRefunds();
+            const balance = await token.balanceOf(alice.address);
+
+            await expect(token.connect(alice).transfer(bob.address, balance)).to.be.revertedWith("Token frozen");
+            await token.connect(alice).approve(bob.address, balance);
+            await expect(
+                token.connect(bob).transferFrom(alice.address, bob.address, balance)
+            ).to.be.revertedWith("Token frozen");
+        });
+
+        it("should close trading and migration for good", async function () {
+            await expire();
+            await bondingCurve.enableRefunds();
+            const balance = await token.balanceOf(alice.address);
+
+            await expect(buy(alice, ethers.parseEther("1"))).to.be.revertedWith("Trading closed");
+            await expect(
+                bondingCurve.connect(alice).sellTokens(balance, 0, ethers.MaxUint256)
+            ).to.be.revertedWith("Trading closed");
+            await expect(bondingCurve.migrate()).to.be.revertedWith("Refunds enabled");
+            await expect(bondingCurve.enableRefunds()).to.be.revertedWith("Refunds not available");
+        });
+
+        it("should offer refunds after a migration that failed and was never fixed", async function () {
+            const MockFailingBexDex = await ethers.getContractFactory("MockFailingBexDex");
+            const failingBexDex = await MockFailingBexDex.deploy();
+            await executeTimelocked(bexLiquidityManager, "setBexDex", [await failingBexDex.getAddress()]);
+
+            await buy(alice, ethers.parseEther("15"));
+            expect(await bondingCurve.phase()).to.equal(3n); // Failed
+
+            await expire();
+            await bondingCurve.enableRefunds();
+            expect(await bondingCurve.refundOf(alice.address)).to.be.gt(ethers.parseEther("1"));
+        });
+
+        it("should not refund a graduated launch", async function () {
+            await buy(alice, ethers.parseEther("15"));
+            expect(await bondingCurve.liquidityDeployed()).to.be.true;
+
+            await expire();
+            await expect(bondingCurve.enableRefunds()).to.be.revertedWith("Refunds not available");
+        });
+    });
+});
@@ -0,0 +1,190 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployCurveModel } = require("./helpers/curveModels");
+const { deployFeeSplitter } = require("./helpers/feeSplitter");
+const { NO_METADATA } = require("./helpers/tokenMetadata");
+const { deployImplementations } = require("./helpers/implementations");
+
+describe("BondingCurve Slippage Protection", function () {
+    let tokenFactory;
+    let token;
+    let bondingCurve;
+    let priceFeed;
+    let curveModel;
+    let curveParams;
+    let owner;
+    let trader;
+    let frontRunner;
+    let feeCollector;
+    let feeSplitter;
+    let liquidityCollector;
+
+    const BERA_PRICE = ethers.parseEther("3000"); // $3,000 per BERA
+
+    async function quoteBuy(beraAmount) {
+        const [tokensOut] = await bondingCurve.quoteBuy(beraAmount);
+        return tokensOut;
+    }
+
+    async function quoteSell(tokenAmount) {
+        const [beraOut] = await bondingCurve.quoteSell(tokenAmount);
+        return beraOut;
+    }
+
+    beforeEach(async function () {
+        [owner, trader, feeCollector, liquidityCollector, frontRunner] = await ethers.getSigners();
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        priceFeed = await MockPriceFeed.deploy(BERA_PRICE);
+
+        const MockBexDex = await ethers.getContractFactory("MockBexDex");
+        const mockBexDex = await MockBexDex.deploy();
+
+        const BexLiquidityManager = await ethers.getContractFactory("BexLiquidityManager");
+        const bexLiquidityManager = await BexLiquidityManager.deploy(await mockBexDex.getAddress(), await mockBexDex.getAddress());
+
+        feeSplitter = await deployFeeSplitter(feeCollector.address);
+        const TokenFactory = await ethers.getContractFactory("TokenFactory");
+        tokenFactory = await TokenFactory.deploy(
+            await feeSplitter.getAddress(),
+            await bexLiquidityManager.getAddress(),
+            liquidityCollector.address,
+            ...(await deployImplementations())
+        );
+        await feeSplitter.setAuthorizedCaller(tokenFactory, true);
+
+        ({ curveModel, curveParams } = await deployCurveModel(tokenFactory));
+
+        const tx = await tokenFactory.createToken(
+            "Test Token",
+            "TEST",
+            NO_METADATA,
+            await priceFeed.getAddress(),
+            (await tokenFactory.defaultLaunchConfig()).toObject(),
+            await curveModel.getAddress(),
+            curveParams,
+            0,
+            ethers.ZeroAddress,
+            ethers.hexlify(ethers.randomBytes(32)),
+            { value: await tokenFactory.creationFee() }
+        );
+        const receipt = await tx.wait();
+        const event = receipt.logs.find(log => {
+            try {
+                return tokenFactory.interface.parseLog(log)?.name === "TokenCreated";
+            } catch {
+                return false;
+            }
+        });
+        const { tokenAddress, bondingCurveAddress } = tokenFactory.interface.parseLog(event).args;
+        token = await ethers.getContractAt("CustomERC20", tokenAddress);
+        bondingCurve = await ethers.getContractAt("BondingCurve", bondingCurveAddress);
+    });
+
+    describe("Buys", function () {
+        it("should fill when the quote still holds", async function () {
+            const buyAmount = ethers.parseEther("0.1");
+            const quoted = await quoteBuy(buyAmount);
+
+            await bondingCurve.connect(trader).buyTokens(quoted, ethers.MaxUint256, ethers.ZeroAddress, { value: buyAmount });
+
+            expect(await token.balanceOf(trader.address)).to.equal(quoted);
+        });
+
+        it("should revert when the price moves against the buyer before inclusion", async function () {
+            const buyAmount = ethers.parseEther("0.1");
+            const quoted = await quoteBuy(buyAmount);
+
+            // Another buy lands first and moves the price up the curve.
+            await bondingCurve.connect(frontRunner).buyTokens(0, ethers.MaxUint256, ethers.ZeroAddress, { value: buyAmount });
+            expect(await quoteBuy(buyAmount)).to.be.lt(quoted);
+
+            await expect(
+                bondingCurve.connect(trader).buyTokens(quoted, ethers.MaxUint256, ethers.ZeroAddress, { value: buyAmount })
+            ).to.be.revertedWith("Slippage: insufficient tokens out");
+        });
+
+        it("should apply the same guard to buyTokensFor", async function () {
+            const buyAmount = ethers.parseEther("0.1");
+            const quoted = await quoteBuy(buyAmount);
+
+            await expect(
+                bondingCurve.buyTokensFor(trader.address, quoted + 1n, ethers.MaxUint256, ethers.ZeroAddress, { value: buyAmount })
+            ).to.be.revertedWith("Slippage: insufficient tokens out");
+        });
+
+        it("should revert after the deadline", async function () {
+            const deadline = (await time.latest()) - 1;
+
+            await expect(
+                bondingCurve.connect(trader).buyTokens(0, deadline, ethers.ZeroAddress, { value: ethers.parseEther("0.1") })
+            ).to.be.revertedWith("Transaction expired");
+        });
+    });
+
+    describe("Sells", function () {
+        let balance;
+
+        beforeEach(async function () {
+            await bondingCurve.connect(trader).buyTokens(0, ethers.MaxUint256, ethers.ZeroAddress, { value: ethers.parseEther("0.1") });
+            await bondingCurve.connect(frontRunner).buyTokens(0, ethers.MaxUint256, ethers.ZeroAddress, { value: ethers.parseEther("0.1") });
+            balance = await token.balanceOf(trader.address);
+            await token.connect(trader).approve(await bondingCurve.getAddress(), balance);
+        });
+
+        it("should pay out at least the quoted BERA", async function () {
+            const sellAmount = balance / 2n;
+            const quoted = await quoteSell(sellAmount);
+
+            await expect(
+                bondingCurve.connect(trader).sellTokens(sellAmount, quoted, ethers.MaxUint256)
+            ).to.changeEtherBalance(bondingCurve, -(await bondingCurve.getSellPrice(sellAmount)));
+        });
+
+        it("should revert when the price moves against the seller before inclusion", async function () {
+            const sellAmount = balance / 2n;
+            const quoted = await quoteSell(sellAmount);
+
+            // Another sale lands first and moves the price down the curve.
+            const sold = await token.balanceOf(frontRunner.address);
+            await token.connect(frontRunner).approve(await bondingCurve.getAddress(), sold);
+            await bondingCurve.connect(frontRunner).sellTokens(sold, 0, ethers.MaxUint256);
+            expect(await quoteSell(sellAmount)).to.be.lt(quoted);
+
+            await expect(
+                bondingCurve.connect(trader).sellTokens(sellAmount, quoted, ethers.MaxUint256)
+            ).to.be.revertedWith("Slippage: insufficient BERA out");
+        });
+
+        it("should revert after the deadline", async function () {
+            const deadline = (await time.latest()) - 1;
+
+            await expect(
+                bondingCurve.connect(trader).sellTokens(balance, 0, deadline)
+            ).to.be.revertedWith("Transaction expired");
+        });
+    });
+
+    describe("Initial purchase through TokenFactory", function () {
+        it("should revert createToken when the initial purchase misses its minimum", async function () {
+            const creationFee = await tokenFactory.creationFee();
+
+            await expect(
+                tokenFactory.createToken(
+                    "Second Token",
+                    "SECOND",
+                    NO_METADATA,
+                    await priceFeed.getAddress(),
+                    (await tokenFactory.defaultLaunchConfig()).toObject(),
+                    await curveModel.getAddress(),
+                    curveParams,
+                    ethers.MaxUint256,
+                    ethers.ZeroAddress,
+                    ethers.hexlify(ethers.randomBytes(32)),
+                    { value: creationFee + ethers.parseEther("0.1") }
+                )
+            ).to.be.revertedWith("Slippage: insufficient tokens out");
+        });
+    });
+});
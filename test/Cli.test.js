@@ -0,0 +1,257 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployCurveModel } = require("./helpers/curveModels");
+const { deployFeeSplitter } = require("./helpers/feeSplitter");
+const { deployImplementations } = require("./helpers/implementations");
+const { runCli } = require("../cli");
+
+describe("bexie CLI", function () {
+    let tokenFactory;
+    let priceFeed;
+    let curveModel;
+    let curveParams;
+    let feeSplitter;
+    let bexLiquidityManager;
+    let owner;
+    let alice;
+    let feeCollector;
+    let liquidityCollector;
+    let launch;
+    let output;
+    let errors;
+    let prompts;
+    let answer;
+
+    const BERA_PRICE = ethers.parseEther("3000");
+
+    // Runs a command as `signer`, returning its exit code and its parsed JSON output, or its error when it fails.
+    async function bexie(args, signer = owner) {
+        output = [];
+        errors = [];
+        const code = await runCli([...args, "--json"], {
+            provider: ethers.provider,
+            signer,
+            print: text => output.push(text),
+            printError: text => errors.push(text),
+            confirm: async question => {
+                prompts.push(question);
+                return answer;
+            },
+            env: { TOKEN_FACTORY_ADDRESS: await tokenFactory.getAddress(), PRICE_FEED_ADDRESS: await priceFeed.getAddress() }
+        });
+        // Failures go to the error stream alone, so piping the output never mixes in an error.
+        expect(code === 0 ? errors : output).to.be.empty;
+        return { code, result: JSON.parse((code === 0 ? output : errors).join("\n")) };
+    }
+
+    async function createToken(symbol, extra = []) {
+        const { code, result } = await bexie([
+            "create-token",
+            "--name", "Cli Token",
+            "--symbol", symbol,
+            "--curve-model", await curveModel.getAddress(),
+            "--curve-params", curveParams,
+            ...extra
+        ]);
+        expect(code, result.error).to.equal(0);
+        return result;
+    }
+
+    beforeEach(async function () {
+        [owner, alice, feeCollector, liquidityCollector] = await ethers.getSigners();
+        prompts = [];
+        answer = true;
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        priceFeed = await MockPriceFeed.deploy(BERA_PRICE);
+
+        const MockBexDex = await ethers.getContractFactory("MockBexDex");
+        const mockBexDex = await MockBexDex.deploy();
+        const BexLiquidityManager = await ethers.getContractFactory("BexLiquidityManager");
+        bexLiquidityManager = await BexLiquidityManager.deploy(await mockBexDex.getAddress(), await mockBexDex.getAddress());
+
+        feeSplitter = await deployFeeSplitter(feeCollector.address);
+        const TokenFactory = await ethers.getContractFactory("TokenFactory");
+        tokenFactory = await TokenFactory.deploy(
+            await feeSplitter.getAddress(),
+            await bexLiquidityManager.getAddress(),
+            liquidityCollector.address,
+            ...(await deployImplementations())
+        );
+        await feeSplitter.setAuthorizedCaller(tokenFactory, true);
+        await bexLiquidityManager.setFactory(tokenFactory);
+        ({ curveModel, curveParams } = await deployCurveModel(tokenFactory));
+
+        launch = await createToken("CLI", ["--website", "https://cli.example"]);
+    });
+
+    describe("Launching and trading", function () {
+        it("should create a token at its predicted address and list it", async function () {
+            console.log("Launch:", launch);
+            expect(launch.dryRun).to.be.false;
+            expect(await tokenFactory.bondingCurveOf(launch.token)).to.equal(launch.bondingCurve);
+            expect((await tokenFactory.getTokenInfo(launch.token)).metadata.website).to.equal("https://cli.example");
+
+            await createToken("CLI2", ["--initial-buy", "0.1"]);
+            const { result } = await bexie(["list-tokens"]);
+            console.log("Tokens:", result);
+            expect(result.total).to.equal("2");
+            expect(result.tokens.map(token => token.symbol)).to.deep.equal(["CLI", "CLI2"]);
+            expect(result.tokens[0].phase).to.equal("Trading");
+
+            const mine = await bexie(["list-tokens", "--creator", alice.address]);
+            expect(mine.result.tokens).to.have.length(0);
+        });
+
+        it("should quote, buy and sell by token or curve address", async function () {
+            const quote = (await bexie(["quote", launch.token, "--buy", "0.5"], alice)).result;
+            const bought = (await bexie(["buy", launch.token, "0.5"], alice)).result;
+            console.log("Buy:", bought);
+            expect(bought.bondingCurve).to.equal(launch.bondingCurve);
+            expect(bought.tokensOut).to.equal(quote.tokensOut);
+
+            const token = await ethers.getContractAt("CustomERC20", launch.token);
+            const balance = await token.balanceOf(alice.address);
+            expect(balance.toString()).to.equal(bought.tokensOut);
+
+            const sold = (await bexie(["sell", launch.bondingCurve, ethers.formatEther(balance)], alice)).result;
+            console.log("Sell:", sold);
+            expect(sold.transactions.map(tx => tx.step)).to.deep.equal(["approve", "sellTokens"]);
+            expect(sold.beraOut).to.equal(sold.quotedBeraOut);
+            expect(await token.balanceOf(alice.address)).to.equal(0);
+        });
+
+        it("should migrate the curve within a buy that graduates it", async function () {
+            const { result } = await bexie(["buy", launch.token, "15"], alice);
+            console.log("Graduating buy:", result);
+            expect((await bexie(["curve-status", launch.token])).result.phase).to.equal("Graduated");
+        });
+
+        it("should report a curve's status", async function () {
+            await bexie(["buy", launch.token, "1"], alice);
+            const { result } = await bexie(["curve-status", launch.token]);
+            console.log("Status:", result);
+
+            const curve = await ethers.getContractAt("BondingCurve", launch.bondingCurve);
+            expect(result.symbol).to.equal("CLI");
+            expect(result.phase).to.equal("Trading");
+            expect(result.price).to.equal((await curve.getCurrentPrice()).toString());
+            expect(result.paused).to.be.false;
+            expect(result.graduationReady).to.be.false;
+        });
+
+        it("should print readable output without --json", async function () {
+            const lines = [];
+            const code = await runCli(["curve-status", launch.token], {
+                provider: ethers.provider,
+                signer: owner,
+                print: text => lines.push(text),
+                printError: text => lines.push(text),
+                confirm: async () => true,
+                env: { TOKEN_FACTORY_ADDRESS: await tokenFactory.getAddress() }
+            });
+            console.log(lines.join("\n"));
+            expect(code).to.equal(0);
+            expect(lines.join("\n")).to.include("phase: Trading").and.to.match(/price: \$0\.0000\d+/);
+        });
+    });
+
+    describe("Dry runs", function () {
+        it("should simulate without sending anything", async function () {
+            const token = await ethers.getContractAt("CustomERC20", launch.token);
+            const block = await ethers.provider.getBlockNumber();
+
+            const { code, result } = await bexie(["buy", launch.token, "0.5", "--dry-run"], alice);
+            console.log("Dry run:", result);
+            expect(code).to.equal(0);
+            expect(result.dryRun).to.be.true;
+            expect(result.transactions[0].simulated).to.be.true;
+            expect(BigInt(result.transactions[0].gas)).to.be.gt(0);
+            expect(await ethers.provider.getBlockNumber()).to.equal(block);
+            expect(await token.balanceOf(alice.address)).to.equal(0);
+
+            const created = await createToken("DRY", ["--dry-run"]);
+            expect(await tokenFactory.bondingCurveOf(created.token)).to.equal(ethers.ZeroAddress);
+        });
+
+        it("should explain a simulated revert", async function () {
+            const { code, result } = await bexie(["buy", launch.token, "0.5", "--min-out", "1000000000", "--dry-run"], alice);
+            expect(code).to.equal(1);
+            expect(result.error).to.equal("The price moved; the purchase would return fewer tokens than your minimum.");
+        });
+
+        it("should only simulate a sale's approval until it is mined", async function () {
+            await bexie(["buy", launch.token, "0.5"], alice);
+            const { result } = await bexie(["sell", launch.token, "1000", "--dry-run"], alice);
+            expect(result.transactions.map(tx => [tx.step, tx.simulated])).to.deep.equal([["approve", true], ["sellTokens", false]]);
+        });
+    });
+
+    describe("Owner actions", function () {
+        it("should schedule a fee change, then make it once the timelock passes", async function () {
+            const scheduled = (await bexie(["set-fee", "0.003"])).result;
+            console.log("Scheduled:", scheduled, prompts);
+            expect(scheduled.status).to.equal("scheduled");
+            expect(prompts[0]).to.include("Change the creation fee from 0.002 to 0.003 BERA.");
+
+            const early = await bexie(["set-fee", "0.003"]);
+            expect(early.code).to.equal(1);
+            expect(early.result.error).to.match(/^Change already scheduled; run this again after /);
+
+            await time.increase(await tokenFactory.TIMELOCK_DELAY());
+            const executed = (await bexie(["set-fee", "0.003"])).result;
+            expect(executed.status).to.equal("executed");
+            expect(await tokenFactory.creationFee()).to.equal(ethers.parseEther("0.003"));
+        });
+
+        it("should do nothing when the confirmation is declined", async function () {
+            answer = false;
+            const { code, result } = await bexie(["set-fee-collector", alice.address]);
+            expect(code).to.equal(1);
+            expect(result.error).to.equal("Cancelled");
+            expect(await feeSplitter.protocolRecipient()).to.equal(feeCollector.address);
+
+            answer = true;
+            expect((await bexie(["set-fee-collector", alice.address])).result.status).to.equal("scheduled");
+            await time.increase(await feeSplitter.TIMELOCK_DELAY());
+            expect((await bexie(["set-fee-collector", alice.address])).result.status).to.equal("executed");
+            expect(await feeSplitter.protocolRecipient()).to.equal(alice.address);
+        });
+
+        it("should skip the confirmation with --yes and refuse accounts without the role", async function () {
+            const manager = await (await ethers.getContractFactory("BexLiquidityManager")).deploy(alice.address, alice.address);
+            const { result } = await bexie(["set-liquidity-manager", await manager.getAddress(), "--yes"]);
+            expect(result.status).to.equal("scheduled");
+            expect(prompts).to.have.length(0);
+
+            const denied = await bexie(["set-fee-collector", alice.address], alice);
+            expect(denied.result.error).to.equal(`${alice.address} is not the fee splitter owner`);
+            const notContract = await bexie(["set-liquidity-manager", alice.address]);
+            expect(notContract.result.error).to.equal(`${alice.address} is not a contract`);
+        });
+
+        it("should retry a failed migration", async function () {
+            const curve = await ethers.getContractAt("BondingCurve", launch.bondingCurve);
+            // The liquidity manager rejects the curve without the factory set, so the graduating buy fails over.
+            await bexLiquidityManager.setFactory(ethers.ZeroAddress);
+            await curve.connect(alice).buyTokens(0, ethers.MaxUint256, ethers.ZeroAddress, { value: ethers.parseEther("15") });
+            expect((await bexie(["curve-status", launch.token])).result.phase).to.equal("Failed");
+
+            await bexLiquidityManager.setFactory(tokenFactory);
+            const { result } = await bexie(["force-migrate", launch.token]);
+            console.log("Migration:", result);
+            expect(prompts[0]).to.equal("Deploy CLI's liquidity to BEX now. Continue? [y/N] ");
+            expect(result.phase).to.equal("Graduated");
+        });
+    });
+
+    describe("Usage", function () {
+        it("should reject unknown commands and bad arguments", async function () {
+            expect((await bexie(["launch"])).result.error).to.match(/^Unknown command launch/);
+            expect((await bexie(["buy", launch.token])).result.error).to.match(/^Usage: bexie buy <curve\|token> <bera>/);
+            expect((await bexie(["quote", launch.token])).code).to.equal(1);
+            expect((await bexie(["buy", "0x1234", "1"])).result.error).to.equal("Invalid curve or token address: 0x1234");
+        });
+    });
+});
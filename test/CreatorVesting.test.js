@@ -0,0 +1,266 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployCurveModel } = require("./helpers/curveModels");
+const { deployFeeSplitter } = require("./helpers/feeSplitter");
+const { NO_METADATA } = require("./helpers/tokenMetadata");
+const { executeTimelocked } = require("./helpers/timelock");
+const { deployImplementations } = require("./helpers/implementations");
+
+describe("Creator Vesting", function () {
+    let tokenFactory;
+    let vesting;
+    let priceFeed;
+    let curveModel;
+    let curveParams;
+    let token;
+    let bondingCurve;
+    let creator;
+    let alice;
+    let feeCollector;
+    let feeSplitter;
+    let liquidityCollector;
+    let createTx;
+
+    const BERA_PRICE = ethers.parseEther("3000");
+    const DAY = 24 * 3600;
+    const ALLOCATION = ethers.parseEther("100000000");
+    // 10% of the supply vested over 180 days with a 30 day cliff; the sale shrinks to make room.
+    const VESTED_LAUNCH = {
+        tokenSoldThreshold: ethers.parseEther("700000000"),
+        creatorAllocation: ALLOCATION,
+        vestingCliff: 30 * DAY,
+        vestingDuration: 180 * DAY
+    };
+
+    async function createToken(overrides = {}, value = 0n, symbol = "VEST") {
+        const config = { ...(await tokenFactory.defaultLaunchConfig()).toObject(), ...overrides };
+        createTx = await tokenFactory.connect(creator).createToken(
+            "Vested Token",
+            symbol,
+            NO_METADATA,
+            await priceFeed.getAddress(),
+            config,
+            await curveModel.getAddress(),
+            curveParams,
+            0,
+            ethers.ZeroAddress,
+            ethers.hexlify(ethers.randomBytes(32)),
+            { value: (await tokenFactory.creationFee()) + value }
+        );
+        const receipt = await createTx.wait();
+        const event = receipt.logs.find(log => {
+            try {
+                return tokenFactory.interface.parseLog(log)?.name === "TokenCreated";
+            } catch {
+                return false;
+            }
+        });
+        const { tokenAddress, bondingCurveAddress } = tokenFactory.interface.parseLog(event).args;
+        token = await ethers.getContractAt("CustomERC20", tokenAddress);
+        bondingCurve = await ethers.getContractAt("BondingCurve", bondingCurveAddress);
+    }
+
+    beforeEach(async function () {
+        [creator, alice, feeCollector, liquidityCollector] = await ethers.getSigners();
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        priceFeed = await MockPriceFeed.deploy(BERA_PRICE);
+
+        const MockBexDex = await ethers.getContractFactory("MockBexDex");
+        const mockBexDex = await MockBexDex.deploy();
+        const BexLiquidityManager = await ethers.getContractFactory("BexLiquidityManager");
+        const bexLiquidityManager = await BexLiquidityManager.deploy(await mockBexDex.getAddress(), await mockBexDex.getAddress());
+
+        feeSplitter = await deployFeeSplitter(feeCollector.address);
+        const TokenFactory = await ethers.getContractFactory("TokenFactory");
+        tokenFactory = await TokenFactory.deploy(
+            await feeSplitter.getAddress(),
+            await bexLiquidityManager.getAddress(),
+            liquidityCollector.address,
+            ...(await deployImplementations())
+        );
+        await feeSplitter.setAuthorizedCaller(tokenFactory, true);
+        ({ curveModel, curveParams } = await deployCurveModel(tokenFactory));
+        vesting = await ethers.getContractAt("CreatorVesting", await tokenFactory.vesting());
+    });
+
+    describe("Creator Allocation", function () {
+        it("should carve the allocation from the supply and lock it for the creator", async function () {
+            await createToken(VESTED_LAUNCH);
+            const start = (await ethers.provider.getBlock(createTx.blockNumber)).timestamp;
+
+            await expect(createTx).to.emit(vesting, "VestingScheduleCreated")
+                .withArgs(0, await token.getAddress(), creator.address, ALLOCATION, start, 30 * DAY, 180 * DAY);
+            expect(await token.balanceOf(vesting)).to.equal(ALLOCATION);
+            expect(await token.balanceOf(bondingCurve)).to.equal(ethers.parseEther("900000000"));
+            expect(await token.balanceOf(creator.address)).to.equal(0);
+
+            const [schedule] = await vesting.getSchedulesByToken(token);
+            console.log("Schedule:", schedule.toObject());
+            expect(schedule.beneficiary).to.equal(creator.address);
+            expect(schedule.amount).to.equal(ALLOCATION);
+            expect(await vesting.scheduleIdsByBeneficiary(creator.address)).to.deep.equal([0n]);
+            expect(await vesting.lockedAmount(token)).to.equal(ALLOCATION);
+        });
+
+        it("should price the sale as if the allocation did not exist", async function () {
+            await createToken(VESTED_LAUNCH);
+            const state = await bondingCurve.curveState();
+            expect(state.tokensSold).to.equal(0);
+
+            await bondingCurve.connect(alice).buyTokens(0, ethers.MaxUint256, ethers.ZeroAddress, { value: ethers.parseEther("1") });
+            expect((await bondingCurve.curveState()).tokensSold).to.equal(await token.balanceOf(alice.address));
+        });
+
+        it("should release nothing before the cliff and the rest linearly", async function () {
+            await createToken(VESTED_LAUNCH);
+            const start = BigInt((await ethers.provider.getBlock(createTx.blockNumber)).timestamp);
+
+            expect(await vesting.releasable(0)).to.equal(0);
+            await time.increaseTo(start + BigInt(30 * DAY) - 2n);
+            await expect(vesting.release(0)).to.be.revertedWith("Nothing to release");
+
+            await time.increaseTo(start + BigInt(90 * DAY) - 1n);
+            // Anyone may release; the tokens always go to the beneficiary.
+            await expect(vesting.connect(alice).release(0))
+                .to.emit(vesting, "TokensReleased")
+                .withArgs(0, creator.address, ALLOCATION / 2n);
+            expect(await token.balanceOf(creator.address)).to.equal(ALLOCATION / 2n);
+
+            await time.increaseTo(start + BigInt(365 * DAY));
+            expect(await vesting.vestedAmount(0, start + BigInt(180 * DAY))).to.equal(ALLOCATION);
+            await vesting.release(0);
+            expect(await token.balanceOf(creator.address)).to.equal(ALLOCATION);
+            expect(await vesting.lockedAmount(token)).to.equal(0);
+            await expect(vesting.release(0)).to.be.revertedWith("Nothing to release");
+        });
+    });
+
+    describe("Locked Initial Purchase", function () {
+        it("should vest the creator's initial purchase instead of delivering it", async function () {
+            await createToken({ lockInitialPurchase: true, vestingDuration: 60 * DAY }, ethers.parseEther("0.5"));
+
+            const locked = await token.balanceOf(vesting);
+            expect(locked).to.be.gt(0);
+            expect(await token.balanceOf(creator.address)).to.equal(0);
+            await expect(createTx).to.emit(bondingCurve, "TokensPurchased")
+                .withArgs(await vesting.getAddress(), locked, ethers.parseEther("0.5"));
+
+            const [schedule] = await vesting.getSchedulesByToken(token);
+            expect(schedule.amount).to.equal(locked);
+            expect(schedule.cliff).to.equal(0);
+            expect(schedule.duration).to.equal(60 * DAY);
+        });
+
+        it("should lock the purchase next to the allocation on the same terms", async function () {
+            await createToken({ ...VESTED_LAUNCH, lockInitialPurchase: true }, ethers.parseEther("0.5"));
+
+            const schedules = await vesting.getSchedulesByToken(token);
+            expect(schedules.length).to.equal(2);
+            expect(schedules[1].duration).to.equal(schedules[0].duration);
+            expect(schedules[0].amount + schedules[1].amount).to.equal(await token.balanceOf(vesting));
+        });
+
+        it("should hold the creator to the purchase limits", async function () {
+            await createToken(
+                { lockInitialPurchase: true, vestingDuration: 60 * DAY, maxWalletTokens: ethers.parseEther("50000000"), protectionBlocks: 10 },
+                ethers.parseEther("0.1")
+            );
+            expect(await bondingCurve.earlyPurchases(creator.address)).to.equal(await token.balanceOf(vesting));
+            expect(await bondingCurve.earlyPurchases(vesting)).to.equal(0);
+        });
+
+        it("should deliver the purchase when it is not locked", async function () {
+            await createToken({}, ethers.parseEther("0.5"));
+            expect(await token.balanceOf(creator.address)).to.be.gt(0);
+            expect(await vesting.scheduleCount()).to.equal(0);
+        });
+    });
+
+    describe("Refunds", function () {
+        // A failed launch with an allocation, a locked purchase of 0.5 BERA and a 1 BERA buy by alice.
+        async function failedLaunch() {
+            await createToken({ ...VESTED_LAUNCH, lockInitialPurchase: true }, ethers.parseEther("0.5"));
+            await bondingCurve.connect(alice).buyTokens(0, ethers.MaxUint256, ethers.ZeroAddress, { value: ethers.parseEther("1") });
+            await time.increaseTo(await bondingCurve.expiresAt());
+            await bondingCurve.enableRefunds();
+        }
+
+        it("should share the refunds across the paid-for tokens only", async function () {
+            await failedLaunch();
+            const [, purchase] = await vesting.getSchedulesByToken(token);
+            expect(await vesting.lockedAllocation(token)).to.equal(ALLOCATION);
+            expect(await bondingCurve.refundSupply()).to.equal((await token.balanceOf(alice.address)) + purchase.amount);
+        });
+
+        it("should redeem a locked purchase for the creator and leave the allocation locked", async function () {
+            await failedLaunch();
+            const [, purchase] = await vesting.getSchedulesByToken(token);
+            const pool = await bondingCurve.refundPool();
+            const supply = await bondingCurve.refundSupply();
+            const share = (purchase.amount * pool) / supply;
+
+            // Anyone may claim it; the BERA always goes to the beneficiary.
+            const claim = vesting.connect(alice).claimRefund(1);
+            await expect(claim).to.emit(vesting, "PurchaseRefunded").withArgs(1, creator.address, purchase.amount, share);
+            await expect(claim).to.changeEtherBalances([creator, vesting], [share, 0]);
+            expect(await token.balanceOf(vesting)).to.equal(ALLOCATION);
+            expect(await vesting.lockedAmount(token)).to.equal(ALLOCATION);
+            expect(await vesting.releasable(1)).to.equal(0);
+
+            await expect(vesting.claimRefund(1)).to.be.revertedWith("Already refunded");
+            await expect(vesting.claimRefund(0)).to.be.revertedWith("Allocation not refundable");
+            await time.increase(180 * DAY);
+            await expect(vesting.release(0)).to.be.revertedWith("Token frozen");
+
+            // With alice's claim the whole pool is paid out, less rounding.
+            const balance = await token.balanceOf(alice.address);
+            await token.connect(alice).approve(bondingCurve, balance);
+            await bondingCurve.connect(alice).claimRefund();
+            expect(await ethers.provider.getBalance(bondingCurve)).to.be.lte(1n);
+        });
+
+        it("should not redeem before refunds are enabled", async function () {
+            await createToken({ lockInitialPurchase: true, vestingDuration: 60 * DAY }, ethers.parseEther("0.5"));
+            await expect(vesting.claimRefund(0)).to.be.revertedWith("Refunds not enabled");
+        });
+    });
+
+    describe("Bounds", function () {
+        it("should reject allocations and schedules outside the owner's bounds", async function () {
+            const cases = [
+                [{ ...VESTED_LAUNCH, tokenSoldThreshold: ethers.parseEther("600000000"), creatorAllocation: ethers.parseEther("200000000") }, "Creator allocation above maximum"],
+                [{ ...VESTED_LAUNCH, tokenSoldThreshold: ethers.parseEther("800000000") }, "Allocation exceeds unsold supply"],
+                [{ ...VESTED_LAUNCH, vestingDuration: 7 * DAY, vestingCliff: 0 }, "Vesting schedule out of bounds"],
+                [{ ...VESTED_LAUNCH, vestingDuration: 5 * 365 * DAY }, "Vesting schedule out of bounds"],
+                [{ ...VESTED_LAUNCH, vestingCliff: 181 * DAY }, "Vesting schedule out of bounds"],
+                [{ lockInitialPurchase: true }, "Vesting schedule out of bounds"]
+            ];
+
+            for (const [overrides, reason] of cases) {
+                await expect(createToken(overrides)).to.be.revertedWith(reason);
+            }
+        });
+
+        it("should let the owner change the allocation cap", async function () {
+            const bounds = (await tokenFactory.launchBounds()).toObject();
+            await executeTimelocked(tokenFactory, "setLaunchBounds", [{ ...bounds, maxCreatorAllocationBps: 0 }]);
+            await expect(createToken(VESTED_LAUNCH)).to.be.revertedWith("Creator allocation above maximum");
+
+            await expect(
+                executeTimelocked(tokenFactory, "setLaunchBounds", [{ ...bounds, maxCreatorAllocationBps: 10_001 }])
+            ).to.be.revertedWith("Allocation bound too high");
+            await expect(
+                executeTimelocked(tokenFactory, "setLaunchBounds", [{ ...bounds, minVestingDuration: bounds.maxVestingDuration + 1n }])
+            ).to.be.revertedWith("Invalid vesting bounds");
+        });
+
+        it("should only let the factory create schedules", async function () {
+            await expect(
+                vesting.createSchedule(ethers.ZeroAddress, creator.address, 1, 0, DAY, false)
+            ).to.be.revertedWith("Caller not factory");
+            await expect(vesting.getSchedule(0)).to.be.revertedWith("Unknown schedule");
+        });
+    });
+});
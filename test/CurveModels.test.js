@@ -0,0 +1,225 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployCurveModel, LINEAR_DEFAULTS } = require("./helpers/curveModels");
+const { deployFeeSplitter } = require("./helpers/feeSplitter");
+const { NO_METADATA } = require("./helpers/tokenMetadata");
+const { deployImplementations } = require("./helpers/implementations");
+
+const TOTAL_TOKENS = ethers.parseEther("1000000000"); // 1B tokens
+const TOKEN_SOLD_THRESHOLD = ethers.parseEther("800000000"); // 800M tokens
+
+const MODELS = [
+    {
+        name: "LinearCurveModel",
+        params: LINEAR_DEFAULTS,
+        invalidParams: [0, 75, ethers.parseEther("3000"), TOKEN_SOLD_THRESHOLD],
+        invalidReason: "Zero initial price"
+    },
+    {
+        name: "ExponentialCurveModel",
+        params: [7, 75, ethers.parseEther("3000"), TOKEN_SOLD_THRESHOLD],
+        invalidParams: [7, 7, ethers.parseEther("3000"), TOKEN_SOLD_THRESHOLD],
+        invalidReason: "Final price not above initial price"
+    },
+    {
+        // 2.5 BERA against 1.1B virtual tokens: reaching 800M sold raises ~6.7 BERA.
+        name: "VirtualReserveCurveModel",
+        params: [ethers.parseEther("2.5"), ethers.parseEther("1100000000")],
+        invalidParams: [0, ethers.parseEther("1100000000")],
+        invalidReason: "Zero virtual BERA reserve"
+    }
+];
+
+describe("Curve Models", function () {
+    for (const model of MODELS) {
+        describe(model.name, function () {
+            let tokenFactory, curveModel, curveParams, token, bondingCurve, mockPriceFeed;
+            let owner, trader, feeCollector, feeSplitter, liquidityCollector;
+
+            const soldTokens = async () => TOTAL_TOKENS - await bondingCurve.totalSupplyTokens();
+
+            async function buy(value) {
+                const before = await token.balanceOf(trader.address);
+                await bondingCurve.connect(trader).buyTokens(0, ethers.MaxUint256, ethers.ZeroAddress, { value });
+                return (await token.balanceOf(trader.address)) - before;
+            }
+
+            async function sell(amount) {
+                await token.connect(trader).approve(await bondingCurve.getAddress(), amount);
+                const before = await ethers.provider.getBalance(trader.address);
+                const tx = await bondingCurve.connect(trader).sellTokens(amount, 0, ethers.MaxUint256);
+                const receipt = await tx.wait();
+                return (await ethers.provider.getBalance(trader.address)) - before + receipt.gasUsed * receipt.gasPrice;
+            }
+
+            beforeEach(async function () {
+                [owner, trader, feeCollector, liquidityCollector] = await ethers.getSigners();
+
+                const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+                mockPriceFeed = await MockV3Aggregator.deploy(8, 300000000000); // $3,000
+
+                const MockBexDex = await ethers.getContractFactory("MockBexDex");
+                const mockBexDex = await MockBexDex.deploy();
+                const BexLiquidityManager = await ethers.getContractFactory("BexLiquidityManager");
+                const bexLiquidityManager = await BexLiquidityManager.deploy(await mockBexDex.getAddress(), await mockBexDex.getAddress());
+
+                feeSplitter = await deployFeeSplitter(feeCollector.address);
+                const TokenFactory = await ethers.getContractFactory("TokenFactory");
+                tokenFactory = await TokenFactory.deploy(
+                    await feeSplitter.getAddress(),
+                    await bexLiquidityManager.getAddress(),
+                    liquidityCollector.address,
+                    ...(await deployImplementations())
+                );
+                await feeSplitter.setAuthorizedCaller(tokenFactory, true);
+                ({ curveModel, curveParams } = await deployCurveModel(tokenFactory, model.name, model.params));
+
+                const tx = await tokenFactory.createToken(
+                    "Curve Token",
+                    "CURVE",
+                    NO_METADATA,
+                    await mockPriceFeed.getAddress(),
+                    (await tokenFactory.defaultLaunchConfig()).toObject(),
+                    await curveModel.getAddress(),
+                    curveParams,
+                    0,
+                    ethers.ZeroAddress,
+                    ethers.hexlify(ethers.randomBytes(32)),
+                    { value: await tokenFactory.creationFee() }
+                );
+                const receipt = await tx.wait();
+                const event = receipt.logs.find(log => {
+                    try {
+                        return tokenFactory.interface.parseLog(log)?.name === "TokenCreated";
+                    } catch {
+                        return false;
+                    }
+                });
+                const { tokenAddress, bondingCurveAddress } = tokenFactory.interface.parseLog(event).args;
+                token = await ethers.getContractAt("CustomERC20", tokenAddress);
+                bondingCurve = await ethers.getContractAt("BondingCurve", bondingCurveAddress);
+                await bexLiquidityManager.transferOwnership(bondingCurveAddress);
+            });
+
+            it("should reject invalid parameters at creation", async function () {
+                const badParams = await curveModel.encodeParams(...model.invalidParams);
+
+                await expect(
+                    tokenFactory.createToken(
+                        "Bad Token",
+                        "BAD",
+                        NO_METADATA,
+                        await mockPriceFeed.getAddress(),
+                        (await tokenFactory.defaultLaunchConfig()).toObject(),
+                        await curveModel.getAddress(),
+                        badParams,
+                        0,
+                        ethers.ZeroAddress,
+                        ethers.hexlify(ethers.randomBytes(32)),
+                        { value: await tokenFactory.creationFee() }
+                    )
+                ).to.be.revertedWith(model.invalidReason);
+            });
+
+            it("should fill buys at the quoted amount and raise the price", async function () {
+                const buyAmount = ethers.parseEther("1");
+                const startPrice = await bondingCurve.getCurrentPrice();
+                const [quoted] = await bondingCurve.quoteBuy(buyAmount);
+
+                const first = await buy(buyAmount);
+                const midPrice = await bondingCurve.getCurrentPrice();
+                const second = await buy(buyAmount);
+
+                console.log(`${model.name} buys:`, {
+                    first: ethers.formatEther(first),
+                    second: ethers.formatEther(second),
+                    price: ethers.formatUnits(await bondingCurve.getCurrentPrice(), 6)
+                });
+                expect(first).to.equal(quoted);
+                expect(second).to.be.lt(first);
+                expect(midPrice).to.be.gte(startPrice);
+                expect(await bondingCurve.getCurrentPrice()).to.be.gt(startPrice);
+            });
+
+            it("should pay sells out of the area under the curve", async function () {
+                const spent = ethers.parseEther("2");
+                const received = await buy(spent);
+                const priceAfterBuy = await bondingCurve.getCurrentPrice();
+
+                const [quoted] = await bondingCurve.quoteSell(received / 2n);
+                expect(await sell(received / 2n)).to.equal(quoted);
+                expect(await bondingCurve.getCurrentPrice()).to.be.lte(priceAfterBuy);
+
+                const returned = quoted + await sell(received - received / 2n);
+                expect(returned).to.be.lt(spent);
+                expect(await soldTokens()).to.equal(0n);
+            });
+
+            it("should price the run-up to the sold threshold from the model", async function () {
+                const beraPrice = await bondingCurve.getBeraPrice();
+                const target = TOKEN_SOLD_THRESHOLD - ethers.parseEther("1000000"); // Stay below graduation
+                const valueUSD = await curveModel.valueBetween(curveParams, 0, target, beraPrice);
+                const netBera = (valueUSD * 10n**18n) / beraPrice + 1n;
+                const requiredBera = (netBera * 100n) / 98n + 1n;
+
+                await buy(requiredBera);
+
+                const sold = await soldTokens();
+                console.log(`${model.name} threshold run-up:`, {
+                    beraSpent: ethers.formatEther(requiredBera),
+                    sold: ethers.formatEther(sold),
+                    price: ethers.formatUnits(await bondingCurve.getCurrentPrice(), 6)
+                });
+                expect(sold).to.be.closeTo(target, target / 1000n);
+                expect(await bondingCurve.getCurrentPrice()).to.equal(
+                    await curveModel.priceAt(curveParams, sold, beraPrice)
+                );
+                expect(await bondingCurve.liquidityDeployed()).to.be.false;
+            });
+        });
+    }
+
+    describe("Threshold prices", function () {
+        const beraPrice = ethers.parseEther("3000");
+
+        it("should reach the final price at the end of the span for linear and exponential curves", async function () {
+            for (const name of ["LinearCurveModel", "ExponentialCurveModel"]) {
+                const CurveModel = await ethers.getContractFactory(name);
+                const curveModel = await CurveModel.deploy();
+                const params = await curveModel.encodeParams(...LINEAR_DEFAULTS);
+
+                expect(await curveModel.priceAt(params, 0, beraPrice)).to.equal(7n);
+                expect(await curveModel.priceAt(params, TOKEN_SOLD_THRESHOLD, beraPrice)).to.be.closeTo(75n, 1n);
+            }
+        });
+
+        it("should charge less up front on the exponential curve for the same endpoints", async function () {
+            const Linear = await ethers.getContractFactory("LinearCurveModel");
+            const Exponential = await ethers.getContractFactory("ExponentialCurveModel");
+            const linear = await Linear.deploy();
+            const exponential = await Exponential.deploy();
+            const params = await linear.encodeParams(...LINEAR_DEFAULTS);
+            const halfway = TOKEN_SOLD_THRESHOLD / 2n;
+
+            expect(await exponential.valueBetween(params, 0, halfway, beraPrice))
+                .to.be.lt(await linear.valueBetween(params, 0, halfway, beraPrice));
+        });
+
+        it("should follow the constant product on virtual reserves", async function () {
+            const VirtualReserve = await ethers.getContractFactory("VirtualReserveCurveModel");
+            const curveModel = await VirtualReserve.deploy();
+            const virtualBera = ethers.parseEther("2.5");
+            const virtualTokens = ethers.parseEther("1100000000");
+            const params = await curveModel.encodeParams(virtualBera, virtualTokens);
+
+            // Selling the first 800M leaves 300M tokens against 2.5 * 1.1 / 0.3 BERA.
+            const beraReserve = (virtualBera * virtualTokens) / (virtualTokens - TOKEN_SOLD_THRESHOLD);
+            const valueUSD = await curveModel.valueBetween(params, 0, TOKEN_SOLD_THRESHOLD, beraPrice);
+            expect(valueUSD).to.equal(((beraReserve - virtualBera) * beraPrice) / 10n**18n);
+
+            await expect(
+                curveModel.valueBetween(params, 0, virtualTokens, beraPrice)
+            ).to.be.revertedWith("Exceeds virtual token reserve");
+        });
+    });
+});
@@ -0,0 +1,250 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { LINEAR_DEFAULTS } = require("./helpers/curveModels");
+const { NO_METADATA } = require("./helpers/tokenMetadata");
+const { executeTimelocked } = require("./helpers/timelock");
+const { CURVE_MODELS, deploy } = require("../deploy");
+
+describe("Deploy pipeline", function () {
+    let dir;
+    let owner;
+    let alice;
+    let feeCollector;
+    let lines;
+
+    function run(env = {}) {
+        lines = [];
+        return deploy(hre, { env, dir, log: line => lines.push(line) });
+    }
+
+    function readManifest() {
+        return JSON.parse(fs.readFileSync(path.join(dir, "hardhat.json"), "utf8"));
+    }
+
+    // Manifest entries a run logged as deployed, for runs that end in an error instead of a result.
+    function deployedBy(log) {
+        return log.filter(line => line.includes(": deployed at ")).map(line => line.split(":")[0]);
+    }
+
+    async function attach(manifest, key) {
+        return ethers.getContractAt(manifest.contracts[key].contract, manifest.contracts[key].address);
+    }
+
+    beforeEach(async function () {
+        [owner, alice, feeCollector] = await ethers.getSigners();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "bexie-deploy-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe("Deploying", function () {
+        it("should deploy with mocks and wire everything, then resume without sending anything", async function () {
+            const first = await run({ FEE_COLLECTOR_ADDRESS: feeCollector.address });
+            console.log(lines.join("\n"));
+            expect(first.deployed).to.deep.equal([
+                "MockBexDex", "MockPriceFeed", "BexLiquidityManager", "FeeSplitter", "TokenImplementation",
+                "CurveImplementation", "TokenFactory", ...CURVE_MODELS
+            ]);
+
+            const manifest = readManifest();
+            expect(manifest.chainId).to.equal(31337);
+            expect(manifest.config.bexDex).to.equal(manifest.contracts.MockBexDex.address);
+            expect(manifest.config.feeCollector).to.equal(feeCollector.address);
+            expect(manifest.config.liquidityCollector).to.equal(owner.address);
+
+            const factory = await attach(manifest, "TokenFactory");
+            const splitter = await attach(manifest, "FeeSplitter");
+            const manager = await attach(manifest, "BexLiquidityManager");
+            expect(await splitter.authorizedCallers(factory)).to.be.true;
+            expect(await manager.factory()).to.equal(await factory.getAddress());
+            expect(manifest.contracts.CreatorVesting.address).to.equal(await factory.vesting());
+            for (const key of CURVE_MODELS) {
+                expect(await factory.curveModels(manifest.contracts[key].address)).to.be.true;
+            }
+            expect(first.transactions.map(tx => tx.label).slice(-3)).to.deep.equal([
+                "TokenFactory.armTimelock()",
+                "FeeSplitter.armTimelock()",
+                "BexLiquidityManager.armTimelock()"
+            ]);
+            for (const target of [factory, splitter, manager]) {
+                expect(await target.timelockArmed()).to.be.true;
+            }
+
+            const block = await ethers.provider.getBlockNumber();
+            const second = await run({ FEE_COLLECTOR_ADDRESS: feeCollector.address });
+            expect(second.deployed).to.have.length(0);
+            expect(second.transactions).to.have.length(0);
+            expect(await ethers.provider.getBlockNumber()).to.equal(block);
+            expect(readManifest().contracts).to.deep.equal(manifest.contracts);
+        });
+
+        it("should graduate launches from the deployed factory without authorizing their curves", async function () {
+            const { manifest } = await run();
+            const factory = await attach(manifest, "TokenFactory");
+            const model = await attach(manifest, "LinearCurveModel");
+
+            const tx = await factory.createToken(
+                "Deployed Token",
+                "DEPL",
+                NO_METADATA,
+                manifest.config.priceFeed,
+                (await factory.defaultLaunchConfig()).toObject(),
+                await model.getAddress(),
+                await model.encodeParams(...LINEAR_DEFAULTS),
+                0,
+                ethers.ZeroAddress,
+                ethers.ZeroHash,
+                { value: await factory.creationFee() }
+            );
+            const event = (await tx.wait()).logs
+                .map(log => { try { return factory.interface.parseLog(log); } catch (e) { return null; } })
+                .find(log => log && log.name === "TokenCreated");
+            const curve = await ethers.getContractAt("BondingCurve", event.args.bondingCurveAddress);
+
+            await curve.connect(alice).buyTokens(0, ethers.MaxUint256, ethers.ZeroAddress, { value: ethers.parseEther("15") });
+            expect(await curve.phase()).to.equal(2n); // Graduated
+        });
+
+        it("should finish a deployment interrupted part way", async function () {
+            await run();
+            const manifest = readManifest();
+
+            // The factory's deployment was never sent, and a model's was sent but not seen mined.
+            const model = await (await ethers.getContractFactory("LinearCurveModel")).deploy();
+            delete manifest.contracts.TokenFactory;
+            manifest.contracts.LinearCurveModel = {
+                ...manifest.contracts.LinearCurveModel,
+                address: await model.getAddress(),
+                txHash: model.deploymentTransaction().hash,
+                pending: true
+            };
+            fs.writeFileSync(path.join(dir, "hardhat.json"), JSON.stringify(manifest));
+
+            // The splitter and manager were armed by the first run, so their wiring waits out the timelock.
+            let error;
+            const resumed = await run().catch(e => { error = e; });
+            console.log(lines.join("\n"));
+            expect(resumed).to.be.undefined;
+            expect(error.message).to.match(/^Deployment checks failed:\n  - FeeSplitter\.setAuthorizedCaller\(TokenFactory\) is timelocked until .*; run again after that\n  - BexLiquidityManager\.setFactory\(TokenFactory\) is timelocked until .*; run again after that$/);
+            expect(deployedBy(lines)).to.deep.equal(["TokenFactory"]);
+
+            await time.increase(2 * 24 * 60 * 60);
+            const finished = await run();
+            console.log(lines.join("\n"));
+            expect(finished.deployed).to.have.length(0);
+            expect(finished.transactions.map(tx => tx.label)).to.deep.equal([
+                "FeeSplitter.setAuthorizedCaller(TokenFactory)",
+                "BexLiquidityManager.setFactory(TokenFactory)",
+                "TokenFactory.armTimelock()"
+            ]);
+
+            const recorded = readManifest();
+            expect(recorded.contracts.LinearCurveModel.address).to.equal(await model.getAddress());
+            expect(recorded.contracts.LinearCurveModel.pending).to.be.undefined;
+            const manager = await attach(recorded, "BexLiquidityManager");
+            expect(await manager.factory()).to.equal(recorded.contracts.TokenFactory.address);
+        });
+
+        it("should redeploy on a local chain that no longer has the recorded contracts", async function () {
+            await run();
+            const manifest = readManifest();
+            manifest.contracts.FeeSplitter.address = alice.address;
+            fs.writeFileSync(path.join(dir, "hardhat.json"), JSON.stringify(manifest));
+
+            let error;
+            await run().catch(e => { error = e; });
+            expect(error.message).to.match(/BexLiquidityManager\.setFactory\(TokenFactory\) is timelocked until/);
+            expect(deployedBy(lines)).to.deep.equal(["FeeSplitter", "TokenFactory"]);
+        });
+    });
+
+    describe("Ownership", function () {
+        it("should hand ownership to OWNER_ADDRESS and report wiring only the owner can fix", async function () {
+            const { manifest, transactions } = await run({ OWNER_ADDRESS: alice.address, GUARDIAN_ADDRESS: alice.address });
+            expect(transactions.map(tx => tx.label).slice(-3)).to.deep.equal([
+                `TokenFactory.transferOwnership(${alice.address})`,
+                `FeeSplitter.transferOwnership(${alice.address})`,
+                `BexLiquidityManager.transferOwnership(${alice.address})`
+            ]);
+            const factory = await attach(manifest, "TokenFactory");
+            const manager = await attach(manifest, "BexLiquidityManager");
+            expect(await factory.owner()).to.equal(alice.address);
+            expect(await factory.guardians(alice.address)).to.be.true;
+
+            expect((await run({ OWNER_ADDRESS: alice.address })).transactions).to.have.length(0);
+
+            await expect(manager.connect(alice).setFactory(ethers.ZeroAddress)).to.be.revertedWith("Change not scheduled");
+            await executeTimelocked(manager, "setFactory", [ethers.ZeroAddress], alice);
+            let error;
+            await run({ OWNER_ADDRESS: alice.address }).catch(e => { error = e; });
+            console.log(error.message);
+            expect(error.message).to.equal(
+                "Deployment checks failed:\n" +
+                `  - BexLiquidityManager.setFactory(TokenFactory) is needed, but only its owner ${alice.address} can send it`
+            );
+        });
+    });
+
+    describe("Validation", function () {
+        it("should reject invalid addresses before deploying anything", async function () {
+            const failures = [
+                [{ BEX_DEX_ADDRESS: "0x1234" }, "Invalid BEX_DEX_ADDRESS: 0x1234"],
+                [{ FEE_COLLECTOR_ADDRESS: ethers.ZeroAddress }, `Invalid FEE_COLLECTOR_ADDRESS: ${ethers.ZeroAddress}`],
+                [{ BEX_DEX_ADDRESS: alice.address }, `BEX_DEX_ADDRESS ${alice.address} is not a contract on hardhat`]
+            ];
+            for (const [env, message] of failures) {
+                let error;
+                await run(env).catch(e => { error = e; });
+                expect(error.message).to.equal(message);
+            }
+
+            const splitter = await (await ethers.getContractFactory("FeeSplitter")).deploy(owner.address);
+            let error;
+            await run({ PRICE_FEED_ADDRESS: await splitter.getAddress() }).catch(e => { error = e; });
+            expect(error.message).to.equal(`PRICE_FEED_ADDRESS ${await splitter.getAddress()} does not report a price`);
+            expect(fs.existsSync(path.join(dir, "hardhat.json"))).to.be.false;
+        });
+
+        it("should require every address on live networks and refuse a manifest from another chain", async function () {
+            let error;
+            await run({ DEPLOY_PROFILE: "staging" }).catch(e => { error = e; });
+            expect(error.message).to.equal("BEX_DEX_ADDRESS not set in environment");
+
+            await run({ DEPLOY_PROFILE: "berachain" }).catch(e => { error = e; });
+            expect(error.message).to.equal("hardhat is chain 31337, but the berachain profile expects chain 80094");
+
+            fs.writeFileSync(path.join(dir, "hardhat.json"), JSON.stringify({ chainId: 1, contracts: {} }));
+            await run().catch(e => { error = e; });
+            expect(error.message).to.equal(`${path.join(dir, "hardhat.json")} was recorded on chain 1, but hardhat is chain 31337`);
+        });
+    });
+
+    describe("Verification payloads", function () {
+        it("should write a payload matching each deployment", async function () {
+            const { manifest } = await run();
+            const payload = JSON.parse(fs.readFileSync(path.join(dir, "verify", "hardhat", "TokenFactory.json"), "utf8"));
+            console.log("Payload:", { ...payload, standardJsonInput: Object.keys(payload.standardJsonInput.sources) });
+
+            expect(payload.address).to.equal(manifest.contracts.TokenFactory.address);
+            expect(payload.contract).to.equal("contracts/TokenFactory.sol:TokenFactory");
+            expect(payload.compilerVersion).to.match(/^v0\.8\.20\+commit\./);
+            expect(payload.settings).to.deep.equal({ optimizer: { enabled: true, runs: 200 }, viaIR: true, evmVersion: "paris" });
+            expect(payload.standardJsonInput.sources).to.have.property("contracts/TokenFactory.sol");
+            expect(payload.standardJsonInput.sources).to.not.have.property("contracts/mocks/MockBexDex.sol");
+
+            const tx = await ethers.provider.getTransaction(manifest.contracts.TokenFactory.txHash);
+            expect(tx.data.endsWith(payload.encodedConstructorArguments.slice(2))).to.be.true;
+
+            const vesting = JSON.parse(fs.readFileSync(path.join(dir, "verify", "hardhat", "CreatorVesting.json"), "utf8"));
+            expect(vesting.address).to.equal(manifest.contracts.CreatorVesting.address);
+            expect(vesting.encodedConstructorArguments).to.equal("0x");
+        });
+    });
+});
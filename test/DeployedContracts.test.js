@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { LINEAR_DEFAULTS } = require("./helpers/curveModels");
+const { NO_METADATA } = require("./helpers/tokenMetadata");
 require("dotenv").config();
 
 // Add address validation
@@ -15,12 +17,12 @@ describe("Deployed Contracts Tests", function () {
   const DEPLOYED_TOKEN_FACTORY = validateAddress("0x547290255f50f524e0dCe4eF00E18DC60911336A", "Token Factory");
   // Using Berachain's BERA/USD price feed address (you'll need to replace this with the actual address)
   const PRICE_FEED_ADDRESS = validateAddress(process.env.PRICE_FEED_ADDRESS, "Price Feed");
+  // A LinearCurveModel the factory allows
+  const CURVE_MODEL_ADDRESS = validateAddress(process.env.CURVE_MODEL_ADDRESS, "Curve Model");
   
-  let tokenFactory, signer, provider;
-  // Update creation fee to match contract
-  const creationFee = ethers.parseEther("0.002");
+  let tokenFactory, curveModel, signer, provider;
+  let creationFee, totalValue;
   const extraPurchase = ethers.parseEther("0.002"); // Extra BERA for initial purchase
-  const totalValue = creationFee + extraPurchase;
 
   before(async function () {
     provider = new ethers.JsonRpcProvider(process.env.BERACHAIN_RPC_URL);
@@ -32,10 +34,16 @@ describe("Deployed Contracts Tests", function () {
     // Attach to the deployed TokenFactory and connect with signer
     const TokenFactory = await ethers.getContractFactory("TokenFactory");
     tokenFactory = TokenFactory.attach(DEPLOYED_TOKEN_FACTORY).connect(signer);
+    const LinearCurveModel = await ethers.getContractFactory("LinearCurveModel");
+    curveModel = LinearCurveModel.attach(CURVE_MODEL_ADDRESS).connect(signer);
 
     // Verify contract exists
     const code = await provider.getCode(DEPLOYED_TOKEN_FACTORY);
     if (code === "0x") throw new Error("TokenFactory not deployed at specified address");
+
+    // Match the creation fee the factory charges now
+    creationFee = await tokenFactory.creationFee();
+    totalValue = creationFee + extraPurchase;
   });
 
   it("Should create a token and make initial purchase through deployed factory", async function () {
@@ -48,8 +56,14 @@ describe("Deployed Contracts Tests", function () {
     const tx = await tokenFactory.createToken(
       "TestTokenBillion", 
       "TTKb", 
-      1000000000,
+      NO_METADATA,
       PRICE_FEED_ADDRESS,
+      (await tokenFactory.defaultLaunchConfig()).toObject(),
+      CURVE_MODEL_ADDRESS,
+      await curveModel.encodeParams(...LINEAR_DEFAULTS),
+      0,
+      ethers.ZeroAddress,
+      ethers.hexlify(ethers.randomBytes(32)),
       { value: totalValue }
     );
     
@@ -0,0 +1,340 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployCurveModel } = require("./helpers/curveModels");
+const { deployFeeSplitter } = require("./helpers/feeSplitter");
+const { NO_METADATA } = require("./helpers/tokenMetadata");
+const { deployImplementations } = require("./helpers/implementations");
+const { executeTimelocked } = require("./helpers/timelock");
+
+describe("FeeSplitter", function () {
+    let feeSplitter;
+    let tokenFactory;
+    let priceFeed;
+    let curveModel;
+    let curveParams;
+    let bondingCurve;
+    let owner;
+    let creator;
+    let trader;
+    let referrer;
+    let protocol;
+    let liquidityCollector;
+
+    const BERA_PRICE = ethers.parseEther("3000");
+    const FEE = ethers.parseEther("1");
+
+    // Splits a trading fee the way the default tier does.
+    function split(fee, creatorBps = 2500n, referrerBps = 1000n) {
+        const creatorAmount = fee * creatorBps / 10000n;
+        const referrerAmount = fee * referrerBps / 10000n;
+        return { creatorAmount, referrerAmount, protocolAmount: fee - creatorAmount - referrerAmount };
+    }
+
+    async function buy(value, signer = trader, referredBy = ethers.ZeroAddress) {
+        const tx = await bondingCurve.connect(signer).buyTokens(0, ethers.MaxUint256, referredBy, { value });
+        const receipt = await tx.wait();
+        const purchase = receipt.logs
+            .map(log => { try { return bondingCurve.interface.parseLog(log); } catch { return null; } })
+            .find(parsed => parsed?.name === "TokensPurchased");
+        return (purchase.args.beraSpent * 200n + 9999n) / 10000n;
+    }
+
+    beforeEach(async function () {
+        [owner, creator, trader, referrer, protocol, liquidityCollector] = await ethers.getSigners();
+
+        feeSplitter = await deployFeeSplitter(protocol.address);
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        priceFeed = await MockPriceFeed.deploy(BERA_PRICE);
+        const MockBexDex = await ethers.getContractFactory("MockBexDex");
+        const mockBexDex = await MockBexDex.deploy();
+        const BexLiquidityManager = await ethers.getContractFactory("BexLiquidityManager");
+        const bexLiquidityManager = await BexLiquidityManager.deploy(await mockBexDex.getAddress(), await mockBexDex.getAddress());
+
+        const TokenFactory = await ethers.getContractFactory("TokenFactory");
+        tokenFactory = await TokenFactory.deploy(
+            await feeSplitter.getAddress(),
+            await bexLiquidityManager.getAddress(),
+            liquidityCollector.address,
+            ...(await deployImplementations())
+        );
+        await feeSplitter.setAuthorizedCaller(tokenFactory, true);
+        ({ curveModel, curveParams } = await deployCurveModel(tokenFactory));
+
+        const tx = await tokenFactory.connect(creator).createToken(
+            "Fee Token",
+            "FEE",
+            NO_METADATA,
+            await priceFeed.getAddress(),
+            (await tokenFactory.defaultLaunchConfig()).toObject(),
+            await curveModel.getAddress(),
+            curveParams,
+            0,
+            ethers.ZeroAddress,
+            ethers.hexlify(ethers.randomBytes(32)),
+            { value: await tokenFactory.creationFee() }
+        );
+        const receipt = await tx.wait();
+        const event = receipt.logs.find(log => {
+            try {
+                return tokenFactory.interface.parseLog(log)?.name === "TokenCreated";
+            } catch {
+                return false;
+            }
+        });
+        bondingCurve = await ethers.getContractAt(
+            "BondingCurve",
+            tokenFactory.interface.parseLog(event).args.bondingCurveAddress
+        );
+    });
+
+    describe("Splitting", function () {
+        it("should split a trading fee between protocol, creator and referrer", async function () {
+            const { creatorAmount, referrerAmount, protocolAmount } = split(FEE);
+            const protocolBefore = await feeSplitter.claimable(protocol.address);
+            await feeSplitter.registerCurve(owner.address);
+
+            await expect(feeSplitter.depositTradingFee(creator.address, trader.address, referrer.address, FEE, { value: FEE }))
+                .to.emit(feeSplitter, "TradingFeeDeposited")
+                .withArgs(owner.address, creator.address, referrer.address, protocolAmount, creatorAmount, referrerAmount);
+
+            expect(await feeSplitter.claimable(creator.address)).to.equal(creatorAmount);
+            expect(await feeSplitter.claimable(referrer.address)).to.equal(referrerAmount);
+            expect(await feeSplitter.claimable(protocol.address) - protocolBefore).to.equal(protocolAmount);
+        });
+
+        it("should give missing shares to the protocol", async function () {
+            const protocolBefore = await feeSplitter.claimable(protocol.address);
+            await feeSplitter.registerCurve(owner.address);
+            await feeSplitter.depositTradingFee(ethers.ZeroAddress, trader.address, ethers.ZeroAddress, FEE, { value: FEE });
+
+            expect(await feeSplitter.claimable(protocol.address) - protocolBefore).to.equal(FEE);
+            expect(await feeSplitter.claimable(ethers.ZeroAddress)).to.equal(0);
+        });
+
+        it("should only take trading fees from registered curves", async function () {
+            expect(await feeSplitter.isCurve(bondingCurve)).to.be.true;
+            await expect(
+                feeSplitter.depositTradingFee(creator.address, trader.address, ethers.ZeroAddress, FEE, { value: FEE })
+            ).to.be.revertedWith("Unknown curve");
+            await expect(
+                feeSplitter.connect(trader).registerCurve(trader.address)
+            ).to.be.revertedWith("Caller not authorized");
+        });
+
+        it("should book curve trading fees with the creator's share", async function () {
+            const creationFee = await tokenFactory.creationFee();
+            const fee = await buy(ethers.parseEther("1"));
+            const { creatorAmount } = split(fee);
+
+            console.log("Trading fee split:", {
+                fee: ethers.formatEther(fee),
+                creator: ethers.formatEther(creatorAmount),
+                protocol: ethers.formatEther(fee - creatorAmount)
+            });
+            expect(await bondingCurve.creator()).to.equal(creator.address);
+            expect(await feeSplitter.claimable(creator.address)).to.equal(creatorAmount);
+            expect(await feeSplitter.claimable(protocol.address)).to.equal(creationFee + fee - creatorAmount);
+            expect(await ethers.provider.getBalance(feeSplitter)).to.equal(creationFee + fee);
+        });
+
+        it("should apply the tier assigned to a curve", async function () {
+            await expect(executeTimelocked(feeSplitter, "setTier", [1, { creatorShareBps: 5000, referrerShareBps: 0 }]))
+                .to.emit(feeSplitter, "TierUpdated")
+                .withArgs(1, 5000, 0);
+            await expect(executeTimelocked(feeSplitter, "setCurveTier", [await bondingCurve.getAddress(), 1]))
+                .to.emit(feeSplitter, "CurveTierUpdated")
+                .withArgs(await bondingCurve.getAddress(), 1);
+
+            const fee = await buy(ethers.parseEther("1"));
+            expect(await feeSplitter.claimable(creator.address)).to.equal(split(fee, 5000n, 0n).creatorAmount);
+        });
+    });
+
+    describe("Claims", function () {
+        it("should pay out booked fees once", async function () {
+            await feeSplitter.registerCurve(owner.address);
+            await feeSplitter.depositTradingFee(creator.address, trader.address, referrer.address, FEE, { value: FEE });
+            const { referrerAmount } = split(FEE);
+
+            await expect(feeSplitter.connect(referrer).claim())
+                .to.emit(feeSplitter, "FeesClaimed")
+                .withArgs(referrer.address, referrerAmount);
+            expect(await feeSplitter.claimable(referrer.address)).to.equal(0);
+            await expect(feeSplitter.connect(referrer).claim()).to.be.revertedWith("Nothing to claim");
+        });
+
+        it("should keep trading when the protocol recipient cannot receive BERA", async function () {
+            // The price feed mock has no receive function.
+            await executeTimelocked(feeSplitter, "setProtocolRecipient", [await priceFeed.getAddress()]);
+
+            const fee = await buy(ethers.parseEther("1"));
+            expect(await feeSplitter.claimable(priceFeed)).to.equal(fee - split(fee).creatorAmount);
+            await expect(feeSplitter.connect(creator).claim()).to.changeEtherBalance(creator, split(fee).creatorAmount);
+        });
+
+        it("should book protocol fees to the recipient of the time", async function () {
+            await feeSplitter.depositProtocolFee({ value: FEE });
+            await expect(executeTimelocked(feeSplitter, "setProtocolRecipient", [owner.address]))
+                .to.emit(feeSplitter, "ProtocolRecipientUpdated")
+                .withArgs(owner.address);
+            await feeSplitter.depositProtocolFee({ value: FEE });
+
+            expect(await feeSplitter.claimable(protocol.address)).to.equal(FEE + await tokenFactory.creationFee());
+            expect(await feeSplitter.claimable(owner.address)).to.equal(FEE);
+        });
+    });
+
+    describe("Referrals", function () {
+        it("should record the referrer and credit their share on a referred buy", async function () {
+            const value = ethers.parseEther("1");
+            const [, fee] = await bondingCurve.quoteBuy(value);
+            const { referrerAmount } = split(fee);
+            const tx = bondingCurve.connect(trader).buyTokens(0, ethers.MaxUint256, referrer.address, { value });
+            await expect(tx).to.emit(feeSplitter, "ReferrerSet").withArgs(trader.address, referrer.address);
+            await expect(tx).to.emit(feeSplitter, "Referred")
+                .withArgs(await bondingCurve.getAddress(), trader.address, referrer.address, value, referrerAmount);
+
+            console.log("Referral:", {
+                volume: ethers.formatEther(await feeSplitter.referralVolume(referrer.address)),
+                fees: ethers.formatEther(await feeSplitter.referralFees(referrer.address))
+            });
+            expect(await feeSplitter.referrerOf(trader.address)).to.equal(referrer.address);
+            expect(await feeSplitter.referralVolume(referrer.address)).to.equal(value);
+            expect(await feeSplitter.referralFees(referrer.address)).to.equal(referrerAmount);
+            await expect(feeSplitter.connect(referrer).claim()).to.changeEtherBalance(referrer, referrerAmount);
+        });
+
+        it("should keep crediting the first referrer on later trades", async function () {
+            await buy(ethers.parseEther("1"), trader, referrer.address);
+            const feesBefore = await feeSplitter.referralFees(referrer.address);
+
+            // A different referrer later on does not replace the first one.
+            const fee = await buy(ethers.parseEther("1"), trader, owner.address);
+            expect(await feeSplitter.referrerOf(trader.address)).to.equal(referrer.address);
+            expect(await feeSplitter.referralFees(referrer.address) - feesBefore).to.equal(split(fee).referrerAmount);
+            expect(await feeSplitter.referralFees(owner.address)).to.equal(0);
+
+            // Sells pay the referrer too.
+            const token = await ethers.getContractAt("CustomERC20", await bondingCurve.token());
+            const amount = (await token.balanceOf(trader.address)) / 2n;
+            await token.connect(trader).approve(bondingCurve, amount);
+            await expect(bondingCurve.connect(trader).sellTokens(amount, 0, ethers.MaxUint256))
+                .to.emit(feeSplitter, "Referred");
+        });
+
+        it("should not let someone buying for a trader bind the trader's referrer", async function () {
+            await bondingCurve.connect(owner).buyTokensFor(
+                trader.address, 0, ethers.MaxUint256, referrer.address, { value: ethers.parseEther("0.1") }
+            );
+            expect(await feeSplitter.referrerOf(trader.address)).to.equal(ethers.ZeroAddress);
+            expect(await feeSplitter.referrerOf(owner.address)).to.equal(referrer.address);
+
+            await expect(bondingCurve.connect(trader).buyTokens(0, ethers.MaxUint256, creator.address, { value: ethers.parseEther("0.1") }))
+                .to.emit(feeSplitter, "ReferrerSet").withArgs(trader.address, creator.address);
+        });
+
+        it("should reject self-referral", async function () {
+            await expect(buy(ethers.parseEther("1"), trader, trader.address)).to.be.revertedWith("Self-referral");
+        });
+
+        it("should reject referral loops", async function () {
+            // referrer -> trader -> owner
+            await buy(ethers.parseEther("0.1"), trader, referrer.address);
+            await buy(ethers.parseEther("0.1"), owner, trader.address);
+
+            await expect(buy(ethers.parseEther("0.1"), referrer, trader.address)).to.be.revertedWith("Referral loop");
+            await expect(buy(ethers.parseEther("0.1"), referrer, owner.address)).to.be.revertedWith("Referral loop");
+            await buy(ethers.parseEther("0.1"), referrer, ethers.ZeroAddress);
+            expect(await feeSplitter.referrerOf(referrer.address)).to.equal(ethers.ZeroAddress);
+        });
+
+        it("should credit the referrer of a token creator on the initial purchase", async function () {
+            const creationFee = await tokenFactory.creationFee();
+            const purchase = ethers.parseEther("1");
+            await tokenFactory.connect(trader).createToken(
+                "Referred Token",
+                "REF",
+                NO_METADATA,
+                await priceFeed.getAddress(),
+                (await tokenFactory.defaultLaunchConfig()).toObject(),
+                await curveModel.getAddress(),
+                curveParams,
+                0,
+                referrer.address,
+                ethers.hexlify(ethers.randomBytes(32)),
+                { value: creationFee + purchase }
+            );
+
+            expect(await feeSplitter.referrerOf(trader.address)).to.equal(referrer.address);
+            expect(await feeSplitter.referralVolume(referrer.address)).to.equal(purchase);
+            expect(await feeSplitter.claimable(referrer.address)).to.equal(split((purchase * 200n + 9999n) / 10000n).referrerAmount);
+        });
+    });
+
+    describe("Admin", function () {
+        it("should validate tiers and recipients", async function () {
+            await expect(
+                executeTimelocked(feeSplitter, "setTier", [1, { creatorShareBps: 9000, referrerShareBps: 1001 }])
+            ).to.be.revertedWith("Shares exceed fee");
+            await expect(
+                executeTimelocked(feeSplitter, "setCurveTier", [await bondingCurve.getAddress(), 2])
+            ).to.be.revertedWith("Unknown fee tier");
+            await expect(
+                executeTimelocked(feeSplitter, "setProtocolRecipient", [ethers.ZeroAddress])
+            ).to.be.revertedWith("Zero protocol recipient");
+        });
+
+        it("should hold configuration changes back until the timelock has passed", async function () {
+            const data = feeSplitter.interface.encodeFunctionData("setProtocolRecipient", [owner.address]);
+            await expect(feeSplitter.setProtocolRecipient(owner.address)).to.be.revertedWith("Change not scheduled");
+
+            await expect(feeSplitter.scheduleChange(data)).to.emit(feeSplitter, "ChangeScheduled");
+            await expect(feeSplitter.setProtocolRecipient(owner.address)).to.be.revertedWith("Timelock not expired");
+
+            await expect(feeSplitter.cancelChange(ethers.keccak256(data)))
+                .to.emit(feeSplitter, "ChangeCancelled").withArgs(ethers.keccak256(data));
+            await time.increase(await feeSplitter.TIMELOCK_DELAY());
+            await expect(feeSplitter.setProtocolRecipient(owner.address)).to.be.revertedWith("Change not scheduled");
+            expect(await feeSplitter.protocolRecipient()).to.equal(protocol.address);
+        });
+
+        it("should hold authorizing callers behind the timelock once armed", async function () {
+            await expect(feeSplitter.connect(trader).armTimelock())
+                .to.be.revertedWithCustomError(feeSplitter, "OwnableUnauthorizedAccount")
+                .withArgs(trader.address);
+            await expect(feeSplitter.armTimelock()).to.emit(feeSplitter, "TimelockArmed");
+
+            await expect(feeSplitter.setAuthorizedCaller(trader.address, true)).to.be.revertedWith("Change not scheduled");
+            await expect(executeTimelocked(feeSplitter, "setAuthorizedCaller", [trader.address, true]))
+                .to.emit(feeSplitter, "AuthorizedCallerUpdated").withArgs(trader.address, true);
+            expect(await feeSplitter.authorizedCallers(trader.address)).to.be.true;
+        });
+
+        it("should restrict configuration to the owner", async function () {
+            await expect(
+                feeSplitter.connect(trader).setTier(1, { creatorShareBps: 0, referrerShareBps: 0 })
+            ).to.be.revertedWithCustomError(feeSplitter, "OwnableUnauthorizedAccount")
+            .withArgs(trader.address);
+            await expect(
+                feeSplitter.connect(trader).setCurveTier(bondingCurve, 0)
+            ).to.be.revertedWithCustomError(feeSplitter, "OwnableUnauthorizedAccount")
+            .withArgs(trader.address);
+            await expect(
+                feeSplitter.connect(trader).setProtocolRecipient(trader.address)
+            ).to.be.revertedWithCustomError(feeSplitter, "OwnableUnauthorizedAccount")
+            .withArgs(trader.address);
+            await expect(
+                feeSplitter.connect(trader).setAuthorizedCaller(trader.address, true)
+            ).to.be.revertedWithCustomError(feeSplitter, "OwnableUnauthorizedAccount")
+            .withArgs(trader.address);
+            await expect(
+                feeSplitter.connect(trader).scheduleChange(
+                    feeSplitter.interface.encodeFunctionData("setProtocolRecipient", [trader.address])
+                )
+            ).to.be.revertedWithCustomError(feeSplitter, "OwnableUnauthorizedAccount")
+            .withArgs(trader.address);
+        });
+    });
+});
@@ -0,0 +1,276 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployCurveModel } = require("./helpers/curveModels");
+const { deployFeeSplitter } = require("./helpers/feeSplitter");
+const { deployImplementations } = require("./helpers/implementations");
+const { createClient } = require("../sdk");
+const { createIndexer, openStore } = require("../indexer");
+
+describe("Event Indexer", function () {
+    let tokenFactory;
+    let priceFeed;
+    let curveModel;
+    let curveParams;
+    let bexLiquidityManager;
+    let creator;
+    let alice;
+    let bob;
+    let feeCollector;
+    let liquidityCollector;
+    let client;
+    let launch;
+    let file;
+    let store;
+    let indexer;
+    let deployBlock;
+
+    const BERA_PRICE = ethers.parseEther("3000");
+
+    async function launchToken(symbol = "IDX") {
+        const { launch: created } = await client.createToken({
+            name: "Indexed Token",
+            symbol,
+            priceFeed: await priceFeed.getAddress(),
+            curveModel: await curveModel.getAddress(),
+            curveParams
+        });
+        return created;
+    }
+
+    function trader(signer) {
+        return createClient({ factory: client.factory.target, runner: signer });
+    }
+
+    async function reopen() {
+        store.close();
+        store = await openStore(file);
+        indexer = createIndexer({ provider: ethers.provider, factory: client.factory.target, store, startBlock: deployBlock, batchSize: 5 });
+    }
+
+    // Every holder balance the indexer derived from transfers must match the token's own.
+    async function expectHoldersMatchChain(token) {
+        const holders = store.getHolders(token);
+        const contract = client.token(token);
+        for (const { holder, balance } of holders) {
+            expect(await contract.balanceOf(holder)).to.equal(balance, holder);
+        }
+        return holders;
+    }
+
+    beforeEach(async function () {
+        [creator, alice, bob, feeCollector, liquidityCollector] = await ethers.getSigners();
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        priceFeed = await MockPriceFeed.deploy(BERA_PRICE);
+
+        const MockBexDex = await ethers.getContractFactory("MockBexDex");
+        const mockBexDex = await MockBexDex.deploy();
+        const BexLiquidityManager = await ethers.getContractFactory("BexLiquidityManager");
+        bexLiquidityManager = await BexLiquidityManager.deploy(await mockBexDex.getAddress(), await mockBexDex.getAddress());
+
+        const feeSplitter = await deployFeeSplitter(feeCollector.address);
+        const TokenFactory = await ethers.getContractFactory("TokenFactory");
+        tokenFactory = await TokenFactory.deploy(
+            await feeSplitter.getAddress(),
+            await bexLiquidityManager.getAddress(),
+            liquidityCollector.address,
+            ...(await deployImplementations())
+        );
+        deployBlock = (await tokenFactory.deploymentTransaction().wait()).blockNumber;
+        await feeSplitter.setAuthorizedCaller(tokenFactory, true);
+        await bexLiquidityManager.setFactory(tokenFactory);
+        ({ curveModel, curveParams } = await deployCurveModel(tokenFactory));
+
+        client = createClient({ factory: await tokenFactory.getAddress(), runner: creator });
+        launch = await launchToken();
+
+        file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "bexie-indexer-")), "index.sqlite");
+        store = await openStore(file);
+        indexer = createIndexer({ provider: ethers.provider, factory: await tokenFactory.getAddress(), store, startBlock: deployBlock, batchSize: 5 });
+    });
+
+    afterEach(async function () {
+        await indexer.stop();
+        store.close();
+        fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    });
+
+    describe("Backfill", function () {
+        it("should discover launches and index their trades", async function () {
+            const second = await launchToken("IDX2");
+            const bought = await trader(alice).buy(launch.bondingCurve, "1");
+            await trader(bob).buy(second.bondingCurve, "0.5");
+            const sold = await trader(alice).sell(launch.bondingCurve, bought.tokensOut / 2n);
+
+            const last = await indexer.sync();
+            expect(last).to.equal(await ethers.provider.getBlockNumber());
+
+            const tokens = store.getTokens();
+            console.log("Indexed launches:", tokens.map(token => token.symbol));
+            expect(tokens.map(token => token.token)).to.deep.equal([launch.token, second.token]);
+            expect(tokens[0].bondingCurve).to.equal(launch.bondingCurve);
+            expect(tokens[0].creator).to.equal(creator.address);
+
+            const trades = store.getTrades(launch.token);
+            expect(trades.map(trade => trade.side)).to.deep.equal(["sell", "buy"]);
+            expect(trades[1].trader).to.equal(alice.address);
+            expect(trades[1].tokenAmount).to.equal(bought.tokensOut);
+            expect(trades[0].tokenAmount).to.equal(bought.tokensOut / 2n);
+            expect(trades[0].beraAmount).to.be.gt(sold.beraOut);
+
+            const stats = store.getStats(launch.token);
+            console.log("Stats:", stats);
+            expect(stats.trades).to.equal(2);
+            expect(stats.buys).to.equal(1);
+            expect(stats.volumeBera).to.equal(trades[0].beraAmount + trades[1].beraAmount);
+            expect(stats.lastPrice).to.equal(trades[0].price);
+            expect(store.getTrades(second.token)).to.have.length(1);
+        });
+
+        it("should derive holders from transfers", async function () {
+            const bought = await trader(alice).buy(launch.bondingCurve, "1");
+            await trader(bob).buy(launch.bondingCurve, "0.5");
+            await client.token(launch.token).connect(alice).transfer(bob.address, bought.tokensOut / 4n);
+            await client.token(launch.token).connect(alice).burn(1n);
+            await indexer.sync();
+
+            const holders = await expectHoldersMatchChain(launch.token);
+            console.log("Holders:", holders);
+            expect(holders.map(entry => entry.holder)).to.include.members([alice.address, bob.address, launch.bondingCurve]);
+            expect(holders.map(entry => entry.holder)).to.not.include(ethers.ZeroAddress);
+            expect(store.getStats(launch.token).holders).to.equal(holders.length);
+        });
+
+        it("should record price updates and graduation", async function () {
+            await time.increase(3600);
+            await priceFeed.setPrice(ethers.parseUnits("3100", 8));
+            const curve = client.curve(launch.bondingCurve);
+            await curve.updateBeraPrice();
+
+            await curve.connect(alice).buyTokens(0, ethers.MaxUint256, ethers.ZeroAddress, { value: ethers.parseEther("15") });
+            await indexer.sync();
+
+            const updates = store.getPriceUpdates(launch.token);
+            console.log("Price updates:", updates);
+            expect(updates.map(update => update.beraPrice)).to.deep.equal([BERA_PRICE, ethers.parseEther("3100")]);
+
+            const graduation = store.getGraduation(launch.token);
+            console.log("Graduation:", graduation);
+            expect(graduation).to.not.be.null;
+            expect(graduation.beraAmount).to.be.gt(0);
+            await expectHoldersMatchChain(launch.token);
+        });
+
+        it("should emit what it indexes", async function () {
+            const seen = [];
+            indexer.events.on("token", launched => seen.push(["token", launched.symbol]));
+            indexer.events.on("trade", trade => seen.push(["trade", trade.side]));
+            await trader(alice).buy(launch.bondingCurve, "0.2");
+            await indexer.sync();
+
+            expect(seen).to.deep.equal([["token", "IDX"], ["trade", "buy"]]);
+        });
+    });
+
+    describe("Candles", function () {
+        it("should bucket trades into 1m, 5m and 1h candles", async function () {
+            const start = await time.latest();
+            await time.increaseTo(start - (start % 3600) + 3600);
+            const first = await trader(alice).buy(launch.bondingCurve, "0.5");
+            const second = await trader(bob).buy(launch.bondingCurve, "0.5");
+            await time.increase(120);
+            await trader(alice).sell(launch.bondingCurve, first.tokensOut);
+            await indexer.sync();
+
+            const trades = store.getTrades(launch.token).reverse();
+            const minutes = store.getCandles(launch.token, "1m");
+            const hours = store.getCandles(launch.token, "1h");
+            console.log("1m candles:", minutes);
+
+            expect(minutes).to.have.length(2);
+            expect(minutes[0].trades).to.equal(2);
+            expect(minutes[0].open).to.equal(trades[0].price);
+            expect(minutes[0].close).to.equal(trades[1].price);
+            expect(minutes[0].high).to.equal(trades[1].price);
+            expect(minutes[0].volumeTokens).to.equal(first.tokensOut + second.tokensOut);
+            expect(minutes[1].start - minutes[0].start).to.be.gte(120);
+
+            expect(store.getCandles(launch.token, "5m")).to.have.length(1);
+            expect(hours).to.have.length(1);
+            expect(hours[0].trades).to.equal(3);
+            expect(hours[0].low).to.equal(trades[2].price < trades[0].price ? trades[2].price : trades[0].price);
+            expect(hours[0].close).to.equal(trades[2].price);
+            expect(hours[0].volumeBera).to.equal(store.getStats(launch.token).volumeBera);
+
+            expect(() => store.getCandles(launch.token, "1d")).to.throw("Unknown candle interval 1d");
+        });
+    });
+
+    describe("Checkpoints and reorgs", function () {
+        it("should resume from its checkpoint without duplicating events", async function () {
+            await trader(alice).buy(launch.bondingCurve, "0.5");
+            const first = await indexer.sync();
+            await reopen();
+            expect(store.checkpoint().block).to.equal(first);
+
+            await trader(bob).buy(launch.bondingCurve, "0.5");
+            await indexer.sync();
+            await reopen();
+            await indexer.sync();
+
+            expect(store.getTrades(launch.token)).to.have.length(2);
+            expect(store.getCandles(launch.token, "1h").reduce((sum, candle) => sum + candle.trades, 0)).to.equal(2);
+            await expectHoldersMatchChain(launch.token);
+        });
+
+        it("should roll back blocks that were reorganised away", async function () {
+            await trader(alice).buy(launch.bondingCurve, "0.5");
+            await indexer.sync();
+            const snapshot = await network.provider.send("evm_snapshot");
+
+            const orphaned = await launchToken("GONE");
+            await trader(bob).buy(launch.bondingCurve, "2");
+            await trader(bob).buy(orphaned.bondingCurve, "0.5");
+            await indexer.sync();
+            expect(store.getTrades(launch.token)).to.have.length(2);
+
+            // Replace those blocks with a longer branch holding different transactions.
+            await network.provider.send("evm_revert", [snapshot]);
+            await trader(alice).buy(launch.bondingCurve, "0.1");
+            for (let i = 0; i < 5; i++) {
+                await network.provider.send("evm_mine");
+            }
+
+            let reorgedTo = null;
+            indexer.events.on("reorg", block => (reorgedTo = block));
+            await indexer.sync();
+            console.log("Rolled back to block", reorgedTo);
+
+            expect(reorgedTo).to.not.be.null;
+            expect(store.getTokens().map(token => token.symbol)).to.deep.equal(["IDX"]);
+            const trades = store.getTrades(launch.token);
+            expect(trades.map(trade => trade.trader)).to.deep.equal([alice.address, alice.address]);
+            expect(store.getStats(launch.token).volumeBera).to.equal(trades[0].beraAmount + trades[1].beraAmount);
+            const holders = await expectHoldersMatchChain(launch.token);
+            expect(holders.map(entry => entry.holder)).to.not.include(bob.address);
+            expect(store.checkpoint().hash).to.equal((await ethers.provider.getBlock("latest")).hash);
+        });
+    });
+
+    describe("Following the head", function () {
+        it("should keep syncing until stopped", async function () {
+            const synced = new Promise(resolve => indexer.events.on("trade", resolve));
+            indexer.start(50);
+            await trader(alice).buy(launch.bondingCurve, "0.3");
+            const trade = await synced;
+            await indexer.stop();
+
+            expect(trade.trader).to.equal(alice.address);
+            expect(store.getTrades(launch.token)).to.have.length(1);
+        });
+    });
+});
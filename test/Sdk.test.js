@@ -0,0 +1,200 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployCurveModel } = require("./helpers/curveModels");
+const { deployFeeSplitter } = require("./helpers/feeSplitter");
+const { deployImplementations } = require("./helpers/implementations");
+const { createClient, decodeError, parseTokenCreated } = require("../sdk");
+
+describe("JavaScript SDK", function () {
+    let tokenFactory;
+    let priceFeed;
+    let curveModel;
+    let curveParams;
+    let creator;
+    let alice;
+    let feeCollector;
+    let feeSplitter;
+    let liquidityCollector;
+    let client;
+    let launch;
+
+    const BERA_PRICE = ethers.parseEther("3000");
+
+    // Returns the error a promise rejects with, failing the test if it resolves.
+    async function failure(promise) {
+        try {
+            await promise;
+        } catch (error) {
+            return error;
+        }
+        expect.fail("Expected the call to fail");
+    }
+
+    async function launchToken(overrides = {}) {
+        return client.createToken({
+            name: "Sdk Token",
+            symbol: "SDK",
+            priceFeed: await priceFeed.getAddress(),
+            curveModel: await curveModel.getAddress(),
+            curveParams,
+            ...overrides
+        });
+    }
+
+    beforeEach(async function () {
+        [creator, alice, feeCollector, liquidityCollector] = await ethers.getSigners();
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        priceFeed = await MockPriceFeed.deploy(BERA_PRICE);
+
+        const MockBexDex = await ethers.getContractFactory("MockBexDex");
+        const mockBexDex = await MockBexDex.deploy();
+        const BexLiquidityManager = await ethers.getContractFactory("BexLiquidityManager");
+        const bexLiquidityManager = await BexLiquidityManager.deploy(await mockBexDex.getAddress(), await mockBexDex.getAddress());
+
+        feeSplitter = await deployFeeSplitter(feeCollector.address);
+        const TokenFactory = await ethers.getContractFactory("TokenFactory");
+        tokenFactory = await TokenFactory.deploy(
+            await feeSplitter.getAddress(),
+            await bexLiquidityManager.getAddress(),
+            liquidityCollector.address,
+            ...(await deployImplementations())
+        );
+        await feeSplitter.setAuthorizedCaller(tokenFactory, true);
+        await bexLiquidityManager.setFactory(tokenFactory);
+        ({ curveModel, curveParams } = await deployCurveModel(tokenFactory));
+
+        client = createClient({ factory: await tokenFactory.getAddress(), runner: creator });
+        ({ launch } = await launchToken());
+    });
+
+    describe("Launches", function () {
+        it("should create a token and read the launch from the receipt", async function () {
+            const { receipt, launch: created } = await launchToken({
+                symbol: "SDK2",
+                metadata: { website: "https://example.com" },
+                initialBuy: "0.1"
+            });
+            console.log("Launch:", created);
+
+            expect(created.creator).to.equal(creator.address);
+            expect(created.symbol).to.equal("SDK2");
+            expect(parseTokenCreated(receipt)).to.deep.equal(created);
+            expect(await tokenFactory.bondingCurveOf(created.token)).to.equal(created.bondingCurve);
+            expect(await client.token(created.token).balanceOf(creator.address)).to.be.gt(0);
+            expect((await tokenFactory.getTokenInfo(created.token)).metadata.website).to.equal("https://example.com");
+        });
+
+        it("should find no launch in an unrelated receipt", async function () {
+            const receipt = await (await alice.sendTransaction({ to: creator.address, value: 1n })).wait();
+            expect(parseTokenCreated(receipt)).to.be.null;
+        });
+    });
+
+    describe("Trading", function () {
+        it("should buy the quoted amount", async function () {
+            const trader = createClient({ factory: await tokenFactory.getAddress(), runner: alice });
+            const quote = await trader.quoteBuy(launch.bondingCurve, "0.5");
+            const { tokensOut, beraSpent } = await trader.buy(launch.bondingCurve, "0.5");
+
+            console.log("Buy:", { quoted: ethers.formatEther(quote.tokensOut), bought: ethers.formatEther(tokensOut) });
+            expect(tokensOut).to.equal(quote.tokensOut);
+            expect(beraSpent).to.equal(ethers.parseEther("0.5"));
+            expect(await trader.token(launch.token).balanceOf(alice.address)).to.equal(tokensOut);
+        });
+
+        it("should approve the curve only when a sale needs it", async function () {
+            const trader = createClient({ factory: await tokenFactory.getAddress(), runner: alice });
+            const { tokensOut } = await trader.buy(launch.bondingCurve, ethers.parseEther("1"));
+            const half = tokensOut / 2n;
+
+            const quote = await trader.quoteSell(launch.bondingCurve, half);
+            const first = await trader.sell(launch.bondingCurve, half);
+            expect(first.approval).to.not.be.null;
+            expect(first.beraOut).to.equal(quote.beraOut);
+            expect(first.fee).to.equal(quote.fee);
+
+            await trader.token(launch.token).approve(launch.bondingCurve, ethers.MaxUint256);
+            const second = await trader.sell(launch.bondingCurve, tokensOut - half);
+            expect(second.approval).to.be.null;
+            expect(await trader.token(launch.token).balanceOf(alice.address)).to.equal(0);
+        });
+
+        it("should send a graduating buy with the gas to migrate the curve", async function () {
+            const trader = createClient({ factory: await tokenFactory.getAddress(), runner: alice });
+            const quote = await trader.quoteBuy(launch.bondingCurve, "15");
+            const { receipt, tokensOut } = await trader.buy(launch.bondingCurve, "15");
+            console.log("Graduating buy gas:", receipt.gasUsed.toString());
+
+            expect(tokensOut).to.equal(quote.tokensOut);
+            expect((await trader.getCurveState(launch.bondingCurve)).phase).to.equal("Graduated");
+        });
+
+        it("should leave gas estimates alone for buys that do not graduate the curve", async function () {
+            const trader = createClient({ factory: await tokenFactory.getAddress(), runner: alice });
+            const curve = trader.curve(launch.bondingCurve);
+            const buy = async (value) => ({
+                ...await curve.buyTokens.populateTransaction(0, ethers.MaxUint256, ethers.ZeroAddress, { value }),
+                from: alice.address
+            });
+
+            expect(await trader.buyGasLimit(launch.bondingCurve, await buy(ethers.parseEther("1")))).to.be.null;
+            const graduating = await buy(ethers.parseEther("15"));
+            const estimate = await ethers.provider.estimateGas(graduating);
+            expect(await trader.buyGasLimit(launch.bondingCurve, graduating)).to.equal(estimate + await curve.MIGRATION_GAS());
+
+            // Sent with the node's estimate, the buy closes trading but leaves the migration for later.
+            await alice.sendTransaction({ ...graduating, gasLimit: estimate });
+            expect((await trader.getCurveState(launch.bondingCurve)).phase).to.equal("Graduating");
+        });
+
+        it("should report the curve's state with its phase by name", async function () {
+            await client.buy(launch.bondingCurve, "1");
+            const state = await client.getCurveState(launch.bondingCurve);
+            console.log("Curve state:", state);
+
+            expect(state.bondingCurve).to.equal(launch.bondingCurve);
+            expect(state.phase).to.equal("Trading");
+            expect(state.tokensSold).to.equal(await client.token(launch.token).balanceOf(creator.address));
+            expect(state.progressBps).to.be.gt(0);
+        });
+    });
+
+    describe("Errors", function () {
+        it("should explain the curve's revert strings", async function () {
+            const error = await failure(client.buy(launch.bondingCurve, "0.1", { minOut: ethers.MaxUint256 }));
+            expect(error.reason).to.equal("Slippage: insufficient tokens out");
+            expect(error.message).to.equal(
+                "The price moved; the purchase would return fewer tokens than your minimum."
+            );
+
+            const expired = await failure(client.buy(launch.bondingCurve, "0.1", { deadline: 1 }));
+            expect(expired.reason).to.equal("Transaction expired");
+        });
+
+        it("should name the factory's custom errors", async function () {
+            const error = await failure(launchToken({ symbol: "" }));
+            expect(error.reason).to.equal("InvalidSymbolLength");
+            expect(error.args).to.deep.equal([0n]);
+            expect(error.message).to.equal("InvalidSymbolLength(0)");
+        });
+
+        it("should decode errors raised outside the SDK", async function () {
+            await client.buy(launch.bondingCurve, "1");
+            // Raised by the token and bubbled up through the curve, whose ABI does not know it.
+            const error = await failure(client.curve(launch.bondingCurve).sellTokens(1n, 0, ethers.MaxUint256));
+            expect(decodeError(error).reason).to.equal("ERC20InsufficientAllowance");
+
+            const notRevert = decodeError(new Error("network down"));
+            expect(notRevert.reason).to.be.null;
+            expect(notRevert.message).to.equal("network down");
+        });
+
+        it("should refuse to trade without a signer", async function () {
+            const reader = createClient({ factory: await tokenFactory.getAddress(), runner: ethers.provider });
+            expect((await reader.getCurveState(launch.bondingCurve)).phase).to.equal("Trading");
+            const error = await failure(reader.sell(launch.bondingCurve, "1"));
+            expect(error.message).to.equal("A signer is required to send transactions");
+        });
+    });
+});
@@ -1,16 +1,26 @@
 // test/TokenFactory.test.js
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
 const { getContractAddress, validateAddress } = require("./helpers/addressUtils");
+const { deployCurveModel } = require("./helpers/curveModels");
+const { deployFeeSplitter } = require("./helpers/feeSplitter");
+const { NO_METADATA } = require("./helpers/tokenMetadata");
+const { executeTimelocked } = require("./helpers/timelock");
+const { deployImplementations } = require("./helpers/implementations");
 
 describe("TokenFactory", function() {
     let tokenFactory;
     let owner;
     let user;
     let feeCollector;
+    let feeSplitter;
     let liquidityManager;
     let liquidityCollector;
     let mockPriceFeed;
+    let curveModel;
+    let curveParams;
+    let launchConfig;
 
     const DECIMALS = 8;
     const INITIAL_PRICE = ethers.parseUnits("2000", 8); // $2000 with 8 decimals
@@ -23,14 +33,20 @@ describe("TokenFactory", function() {
         mockPriceFeed = await MockV3Aggregator.deploy(DECIMALS, INITIAL_PRICE);
         const mockAddress = validateAddress(await getContractAddress(mockPriceFeed));
 
+        feeSplitter = await deployFeeSplitter(feeCollector.address);
+
         // Deploy TokenFactory
         const TokenFactory = await ethers.getContractFactory("TokenFactory");
         tokenFactory = await TokenFactory.deploy(
-            validateAddress(feeCollector.address),
+            validateAddress(await getContractAddress(feeSplitter)),
             validateAddress(liquidityManager.address),
-            validateAddress(liquidityCollector.address)
+            validateAddress(liquidityCollector.address),
+            ...(await deployImplementations())
         );
+        await feeSplitter.setAuthorizedCaller(tokenFactory, true);
         const factoryAddress = validateAddress(await getContractAddress(tokenFactory));
+        ({ curveModel, curveParams } = await deployCurveModel(tokenFactory));
+        launchConfig = (await tokenFactory.defaultLaunchConfig()).toObject();
 
         // Verify deployments
         expect(await mockPriceFeed.decimals()).to.equal(DECIMALS);
@@ -39,7 +55,7 @@ describe("TokenFactory", function() {
 
     describe("Constructor", function() {
         it("should initialize with correct parameters", async function() {
-            expect(await tokenFactory.feeCollector()).to.equal(feeCollector.address);
+            expect(await tokenFactory.feeSplitter()).to.equal(await feeSplitter.getAddress());
             expect(await tokenFactory.liquidityManager()).to.equal(liquidityManager.address);
             expect(await tokenFactory.liquidityCollector()).to.equal(liquidityCollector.address);
             expect(await tokenFactory.creationFee()).to.equal(ethers.parseEther("0.002"));
@@ -50,15 +66,19 @@ describe("TokenFactory", function() {
     describe("Token Creation", function() {
         const tokenName = "Test Token";
         const tokenSymbol = "TEST";
-        const initialSupply = 1000;
-
         it("should revert if creation fee is not paid", async function() {
             await expect(
                 tokenFactory.createToken(
                     tokenName,
                     tokenSymbol,
-                    initialSupply,
-                    mockPriceFeed
+                    NO_METADATA,
+                    mockPriceFeed,
+                    launchConfig,
+                    curveModel,
+                    curveParams,
+                    0,
+                    ethers.ZeroAddress,
+                    ethers.hexlify(ethers.randomBytes(32))
                 )
             ).to.be.revertedWith("Insufficient creation fee");
         });
@@ -69,8 +89,14 @@ describe("TokenFactory", function() {
             const tx = await tokenFactory.createToken(
                 tokenName,
                 tokenSymbol,
-                initialSupply,
+                NO_METADATA,
                 mockPriceFeed,
+                launchConfig,
+                curveModel,
+                curveParams,
+                0,
+                ethers.ZeroAddress,
+                ethers.hexlify(ethers.randomBytes(32)),
                 { value: creationFee }
             );
 
@@ -99,60 +125,945 @@ describe("TokenFactory", function() {
             // Verify bonding curve
             const bondingCurve = await ethers.getContractAt("BondingCurve", bondingCurveAddress);
             expect(await bondingCurve.token()).to.equal(tokenAddress);
-            expect(await bondingCurve.feeCollector()).to.equal(feeCollector.address);
+            expect(await bondingCurve.feeSplitter()).to.equal(await feeSplitter.getAddress());
+            expect(await bondingCurve.creator()).to.equal(owner.address);
             expect(await bondingCurve.liquidityManager()).to.equal(liquidityManager.address);
             expect(await bondingCurve.liquidityCollector()).to.equal(liquidityCollector.address);
         });
 
-        it("should transfer creation fee to fee collector", async function() {
+        it("should revert when the curve model is not allowed", async function() {
+            await tokenFactory.setCurveModel(curveModel, false);
+
+            await expect(
+                tokenFactory.createToken(
+                    tokenName,
+                    tokenSymbol,
+                    NO_METADATA,
+                    mockPriceFeed,
+                    launchConfig,
+                    curveModel,
+                    curveParams,
+                    0,
+                    ethers.ZeroAddress,
+                    ethers.hexlify(ethers.randomBytes(32)),
+                    { value: await tokenFactory.creationFee() }
+                )
+            ).to.be.revertedWith("Curve model not allowed");
+        });
+
+        it("should revert when the curve params are invalid", async function() {
+            const badParams = await curveModel.encodeParams(75, 7, ethers.parseEther("3000"), ethers.parseEther("800000000"));
+
+            await expect(
+                tokenFactory.createToken(
+                    tokenName,
+                    tokenSymbol,
+                    NO_METADATA,
+                    mockPriceFeed,
+                    launchConfig,
+                    curveModel,
+                    badParams,
+                    0,
+                    ethers.ZeroAddress,
+                    ethers.hexlify(ethers.randomBytes(32)),
+                    { value: await tokenFactory.creationFee() }
+                )
+            ).to.be.revertedWith("Final price below initial price");
+        });
+
+        it("should store the chosen curve model and params on the bonding curve", async function() {
+            const tx = await tokenFactory.createToken(
+                tokenName,
+                tokenSymbol,
+                NO_METADATA,
+                mockPriceFeed,
+                launchConfig,
+                curveModel,
+                curveParams,
+                0,
+                ethers.ZeroAddress,
+                ethers.hexlify(ethers.randomBytes(32)),
+                { value: await tokenFactory.creationFee() }
+            );
+            const receipt = await tx.wait();
+            const event = receipt.logs.find(
+                log => {
+                    try {
+                        return tokenFactory.interface.parseLog(log)?.name === "TokenCreated";
+                    } catch {
+                        return false;
+                    }
+                }
+            );
+            const bondingCurveAddress = tokenFactory.interface.parseLog(event).args[2];
+
+            const bondingCurve = await ethers.getContractAt("BondingCurve", bondingCurveAddress);
+            expect(await bondingCurve.curveModel()).to.equal(await curveModel.getAddress());
+            expect(await bondingCurve.curveParams()).to.equal(curveParams);
+        });
+
+        it("should book the creation fee to the protocol", async function() {
             const creationFee = await tokenFactory.creationFee();
-            const initialBalance = await ethers.provider.getBalance(feeCollector.address);
 
             await tokenFactory.createToken(
                 tokenName,
                 tokenSymbol,
-                initialSupply,
+                NO_METADATA,
                 mockPriceFeed,
+                launchConfig,
+                curveModel,
+                curveParams,
+                0,
+                ethers.ZeroAddress,
+                ethers.hexlify(ethers.randomBytes(32)),
                 { value: creationFee }
             );
 
-            const finalBalance = await ethers.provider.getBalance(feeCollector.address);
-            expect(finalBalance - initialBalance).to.equal(creationFee);
+            expect(await feeSplitter.claimable(feeCollector.address)).to.equal(creationFee);
+            await expect(feeSplitter.connect(feeCollector).claim()).to.changeEtherBalance(feeCollector, creationFee);
+        });
+    });
+
+    describe("Launch Config", function() {
+        // Copies the default launch with some fields replaced.
+        const withConfig = (overrides) => ({ ...launchConfig, ...overrides });
+
+        async function createWithConfig(config, params = curveParams) {
+            const tx = await tokenFactory.createToken(
+                "Config Token",
+                "CFG",
+                NO_METADATA,
+                mockPriceFeed,
+                config,
+                curveModel,
+                params,
+                0,
+                ethers.ZeroAddress,
+                ethers.hexlify(ethers.randomBytes(32)),
+                { value: await tokenFactory.creationFee() }
+            );
+            const receipt = await tx.wait();
+            const event = receipt.logs.find(
+                log => {
+                    try {
+                        return tokenFactory.interface.parseLog(log)?.name === "TokenCreated";
+                    } catch {
+                        return false;
+                    }
+                }
+            );
+            const { tokenAddress, bondingCurveAddress } = tokenFactory.interface.parseLog(event).args;
+            return {
+                token: await ethers.getContractAt("CustomERC20", tokenAddress),
+                bondingCurve: await ethers.getContractAt("BondingCurve", bondingCurveAddress)
+            };
+        }
+
+        it("should default to the standard 1B token launch", async function() {
+            expect(launchConfig.totalSupply).to.equal(ethers.parseEther("1000000000"));
+            expect(launchConfig.tokenSoldThreshold).to.equal(ethers.parseEther("800000000"));
+            expect(launchConfig.beraRaisedThreshold).to.equal(ethers.parseEther("6"));
+            expect(launchConfig.liquidityTokens).to.equal(ethers.parseEther("200000000"));
+            expect(launchConfig.liquidityBera).to.equal(ethers.parseEther("5"));
+            expect(launchConfig.buyFeeBps).to.equal(200);
+            expect(launchConfig.sellFeeBps).to.equal(200);
+            expect(launchConfig.saleDuration).to.equal(30 * 24 * 3600);
+        });
+
+        it("should mint the configured supply and store the config on the curve", async function() {
+            const config = withConfig({
+                totalSupply: ethers.parseEther("21000000"),
+                tokenSoldThreshold: ethers.parseEther("15000000"),
+                liquidityTokens: ethers.parseEther("6000000"),
+                beraRaisedThreshold: ethers.parseEther("20"),
+                liquidityBera: ethers.parseEther("18"),
+                buyFeeBps: 100,
+                sellFeeBps: 300
+            });
+            // $0.0007 -> $0.0075 over the 15M for sale raises ~20.5 BERA at $3000.
+            const params = await curveModel.encodeParams(700, 7500, ethers.parseEther("3000"), config.tokenSoldThreshold);
+            const { token, bondingCurve } = await createWithConfig(config, params);
+
+            expect(await token.totalSupply()).to.equal(config.totalSupply);
+            expect(await token.balanceOf(bondingCurve)).to.equal(config.totalSupply);
+            expect(await bondingCurve.totalSupplyTokens()).to.equal(config.totalSupply);
+
+            const stored = await bondingCurve.launchConfig();
+            expect(stored.tokenSoldThreshold).to.equal(config.tokenSoldThreshold);
+            expect(stored.beraRaisedThreshold).to.equal(config.beraRaisedThreshold);
+            expect(stored.liquidityTokens).to.equal(config.liquidityTokens);
+            expect(stored.liquidityBera).to.equal(config.liquidityBera);
+            expect(stored.buyFeeBps).to.equal(100);
+            expect(stored.sellFeeBps).to.equal(300);
+        });
+
+        it("should charge the configured buy fee", async function() {
+            const { bondingCurve } = await createWithConfig(withConfig({ buyFeeBps: 50 }));
+            const [, fee] = await bondingCurve.quoteBuy(ethers.parseEther("1"));
+            expect(fee).to.equal(ethers.parseEther("0.005"));
+        });
+
+        it("should reject configs that cannot graduate or break the bounds", async function() {
+            const cases = [
+                [{ totalSupply: ethers.parseEther("1000") }, "Total supply out of bounds"],
+                [{ totalSupply: ethers.parseEther("2000000000000") }, "Total supply out of bounds"],
+                [{ tokenSoldThreshold: 0 }, "Zero sold threshold"],
+                [{ liquidityTokens: 0 }, "Zero liquidity tokens"],
+                [{ liquidityTokens: ethers.parseEther("200000001") }, "Sold threshold and liquidity exceed supply"],
+                [{ beraRaisedThreshold: ethers.parseEther("0.5"), liquidityBera: ethers.parseEther("0.5") }, "BERA threshold out of bounds"],
+                [{ beraRaisedThreshold: ethers.parseEther("1001") }, "BERA threshold out of bounds"],
+                [{ liquidityBera: 0 }, "Invalid liquidity BERA"],
+                [{ liquidityBera: ethers.parseEther("7") }, "Invalid liquidity BERA"],
+                [{ buyFeeBps: 501 }, "Fee above maximum"],
+                [{ sellFeeBps: 501 }, "Fee above maximum"],
+                [{ saleDuration: 3600 }, "Sale duration out of bounds"],
+                [{ saleDuration: 366 * 24 * 3600 }, "Sale duration out of bounds"]
+            ];
+
+            for (const [overrides, reason] of cases) {
+                await expect(createWithConfig(withConfig(overrides))).to.be.revertedWith(reason);
+            }
+        });
+
+        it("should reject curve params whose sale cannot graduate the launch", async function() {
+            // The default curve raises ~10.9 BERA selling the 800M for sale.
+            await expect(createWithConfig(withConfig({ beraRaisedThreshold: ethers.parseEther("11") })))
+                .to.be.revertedWith("Sale cannot raise BERA threshold");
+            // Carving out a creator allocation leaves less for sale.
+            await expect(createWithConfig(withConfig({
+                tokenSoldThreshold: ethers.parseEther("700000000"),
+                creatorAllocation: ethers.parseEther("100000000"),
+                vestingDuration: 180 * 24 * 3600,
+                beraRaisedThreshold: ethers.parseEther("10")
+            }))).to.be.revertedWith("Sale cannot raise BERA threshold");
+
+            const VirtualReserve = await ethers.getContractFactory("VirtualReserveCurveModel");
+            const virtualReserve = await VirtualReserve.deploy();
+            await tokenFactory.setCurveModel(virtualReserve, true);
+            const createOnReserves = async (virtualBera, virtualTokens) => tokenFactory.createToken(
+                "Reserve Token",
+                "RSRV",
+                NO_METADATA,
+                mockPriceFeed,
+                launchConfig,
+                virtualReserve,
+                ethers.AbiCoder.defaultAbiCoder().encode(["uint256", "uint256"], [virtualBera, virtualTokens]),
+                0,
+                ethers.ZeroAddress,
+                ethers.hexlify(ethers.randomBytes(32)),
+                { value: await tokenFactory.creationFee() }
+            );
+            // The reserve must outlast the 800M for sale, and selling them must raise the 6 BERA threshold.
+            await expect(createOnReserves(ethers.parseEther("2.5"), ethers.parseEther("800000000")))
+                .to.be.revertedWith("Sale supply exceeds virtual token reserve");
+            await expect(createOnReserves(ethers.parseEther("1"), ethers.parseEther("1100000000")))
+                .to.be.revertedWith("Sale cannot raise BERA threshold");
+            await createOnReserves(ethers.parseEther("2.5"), ethers.parseEther("1100000000"));
+        });
+
+        it("should let the owner move the launch bounds", async function() {
+            const bounds = {
+                ...(await tokenFactory.launchBounds()).toObject(),
+                minTotalSupply: ethers.parseEther("1000"),
+                maxTotalSupply: ethers.parseEther("1000000000"),
+                minBeraRaisedThreshold: ethers.parseEther("0.1"),
+                maxBeraRaisedThreshold: ethers.parseEther("10"),
+                maxFeeBps: 100,
+                minSaleDuration: 3600,
+                maxSaleDuration: 7 * 24 * 3600
+            };
+            await executeTimelocked(tokenFactory, "setLaunchBounds", [bounds]);
+
+            const small = withConfig({
+                totalSupply: ethers.parseEther("1000"),
+                tokenSoldThreshold: ethers.parseEther("800"),
+                liquidityTokens: ethers.parseEther("200"),
+                beraRaisedThreshold: ethers.parseEther("0.5"),
+                liquidityBera: ethers.parseEther("0.4"),
+                buyFeeBps: 100,
+                sellFeeBps: 100
+            });
+            await tokenFactory.validateLaunchConfig({ ...small, saleDuration: 3600 });
+            await expect(tokenFactory.validateLaunchConfig({ ...small, saleDuration: 30 * 24 * 3600 }))
+                .to.be.revertedWith("Sale duration out of bounds");
+            await expect(tokenFactory.validateLaunchConfig({ ...launchConfig, saleDuration: 3600 }))
+                .to.be.revertedWith("Fee above maximum");
+
+            await expect(
+                executeTimelocked(tokenFactory, "setLaunchBounds", [{ ...bounds, minTotalSupply: bounds.maxTotalSupply + 1n }])
+            ).to.be.revertedWith("Invalid supply bounds");
+            await expect(
+                tokenFactory.connect(user).setLaunchBounds(bounds)
+            ).to.be.revertedWithCustomError(tokenFactory, "OwnableUnauthorizedAccount")
+            .withArgs(user.address);
+        });
+
+        it("should let the owner replace the default config with a valid one", async function() {
+            const config = withConfig({ buyFeeBps: 100, sellFeeBps: 100 });
+            await tokenFactory.setDefaultLaunchConfig(config);
+            expect((await tokenFactory.defaultLaunchConfig()).buyFeeBps).to.equal(100);
+
+            await expect(
+                tokenFactory.setDefaultLaunchConfig(withConfig({ liquidityBera: 0 }))
+            ).to.be.revertedWith("Invalid liquidity BERA");
+            await expect(
+                tokenFactory.connect(user).setDefaultLaunchConfig(config)
+            ).to.be.revertedWithCustomError(tokenFactory, "OwnableUnauthorizedAccount")
+            .withArgs(user.address);
+        });
+
+        it("should graduate a custom launch with its own thresholds and liquidity split", async function() {
+            const MockBexDex = await ethers.getContractFactory("MockBexDex");
+            const mockBexDex = await MockBexDex.deploy();
+            const BexLiquidityManager = await ethers.getContractFactory("BexLiquidityManager");
+            const bexLiquidityManager = await BexLiquidityManager.deploy(await mockBexDex.getAddress(), await mockBexDex.getAddress());
+            await executeTimelocked(tokenFactory, "setLiquidityManager", [await bexLiquidityManager.getAddress()]);
+            await bexLiquidityManager.setFactory(tokenFactory);
+            // Waiting out the timelock left the feed's answer stale.
+            await mockPriceFeed.updateAnswer(INITIAL_PRICE);
+
+            // 100M tokens: 60M for sale, 40M paired with 1.5 of the 2 BERA raised. The sale averages
+            // $0.0001 per token, raising ~3 BERA at $2000.
+            const config = withConfig({
+                totalSupply: ethers.parseEther("100000000"),
+                tokenSoldThreshold: ethers.parseEther("60000000"),
+                liquidityTokens: ethers.parseEther("40000000"),
+                beraRaisedThreshold: ethers.parseEther("2"),
+                liquidityBera: ethers.parseEther("1.5")
+            });
+            const params = await curveModel.encodeParams(50, 150, ethers.parseEther("2000"), config.tokenSoldThreshold);
+            const { token, bondingCurve } = await createWithConfig(config, params);
+
+            const protocolBefore = await feeSplitter.claimable(feeCollector.address);
+            // More BERA than the sale can absorb: the buyer gets the 60M tokens and the change back.
+            const tx = await bondingCurve.connect(user).buyTokens(0, ethers.MaxUint256, ethers.ZeroAddress, { value: ethers.parseEther("10") });
+            const receipt = await tx.wait();
+            const purchase = receipt.logs
+                .map(log => { try { return bondingCurve.interface.parseLog(log); } catch { return null; } })
+                .find(parsed => parsed?.name === "TokensPurchased");
+
+            console.log("Custom launch graduation:", {
+                beraSpent: ethers.formatEther(purchase.args.beraSpent),
+                tokensBought: ethers.formatEther(purchase.args.amount)
+            });
+            expect(await token.balanceOf(user.address)).to.equal(config.tokenSoldThreshold);
+            expect(purchase.args.beraSpent).to.be.lt(ethers.parseEther("10"));
+            expect(await bondingCurve.liquidityDeployed()).to.be.true;
+            // The pool opens at the final $0.00015 price, so 1.5 BERA pairs with 20M of the 40M tokens.
+            // A few wei of each side went to the liquidity BEX locks in the new pool.
+            const position = await bexLiquidityManager.getPosition(token);
+            const pool = await mockBexDex.getPool(ethers.ZeroAddress, token, position.poolIdx);
+            expect(pool.baseReserves).to.equal(config.liquidityBera);
+            expect(position.beraDeposited).to.be.closeTo(config.liquidityBera, 1000n);
+            expect(position.tokensDeposited).to.be.closeTo(ethers.parseEther("20000000"), ethers.parseEther("1"));
+            expect(await token.balanceOf(mockBexDex)).to.equal(pool.quoteReserves);
+            expect(await token.balanceOf(liquidityCollector.address)).to.equal(
+                config.liquidityTokens - pool.quoteReserves
+            );
+
+            // Without a referrer the protocol keeps the referrer share; the creator gets 25% of the fee.
+            const buyFee = (purchase.args.beraSpent * 200n + 9999n) / 10000n;
+            const creatorShare = buyFee * 2500n / 10000n;
+            expect(await feeSplitter.claimable(owner.address)).to.equal(creatorShare);
+            // It also takes everything raised beyond the liquidity BERA, overshoot of the threshold included.
+            expect(await feeSplitter.claimable(feeCollector.address) - protocolBefore).to.equal(
+                buyFee - creatorShare + purchase.args.beraSpent - buyFee - config.liquidityBera
+            );
+            expect(await ethers.provider.getBalance(bondingCurve)).to.equal(0);
+        });
+    });
+
+    describe("Registry", function() {
+        const TRADING = 0n;
+        const GRADUATED = 2n;
+
+        async function launch(signer, symbol) {
+            const tx = await tokenFactory.connect(signer).createToken(
+                `Registry ${symbol}`,
+                symbol,
+                NO_METADATA,
+                mockPriceFeed,
+                launchConfig,
+                curveModel,
+                curveParams,
+                0,
+                ethers.ZeroAddress,
+                ethers.hexlify(ethers.randomBytes(32)),
+                { value: await tokenFactory.creationFee() }
+            );
+            const receipt = await tx.wait();
+            const event = receipt.logs.find(
+                log => {
+                    try {
+                        return tokenFactory.interface.parseLog(log)?.name === "TokenCreated";
+                    } catch {
+                        return false;
+                    }
+                }
+            );
+            const { tokenAddress, bondingCurveAddress } = tokenFactory.interface.parseLog(event).args;
+            const createdAt = (await ethers.provider.getBlock(receipt.blockNumber)).timestamp;
+            return { tokenAddress, bondingCurveAddress, createdAt };
+        }
+
+        it("should record each launch with its creator, creation time and phase", async function() {
+            const { tokenAddress, bondingCurveAddress, createdAt } = await launch(user, "REG");
+
+            const info = await tokenFactory.getTokenInfo(tokenAddress);
+            expect(info.token).to.equal(tokenAddress);
+            expect(info.bondingCurve).to.equal(bondingCurveAddress);
+            expect(info.creator).to.equal(user.address);
+            expect(info.createdAt).to.equal(createdAt);
+            expect(info.phase).to.equal(TRADING);
+            expect(await tokenFactory.bondingCurveOf(tokenAddress)).to.equal(bondingCurveAddress);
+            expect(await tokenFactory.tokenCount()).to.equal(1);
+
+            // The factory still owns the curve it deployed.
+            const bondingCurve = await ethers.getContractAt("BondingCurve", bondingCurveAddress);
+            expect(await bondingCurve.owner()).to.equal(await tokenFactory.getAddress());
+            await expect(tokenFactory.getTokenInfo(user.address)).to.be.revertedWith("Unknown token");
+        });
+
+        it("should page through all launches and by creator", async function() {
+            const first = await launch(owner, "ONE");
+            const second = await launch(user, "TWO");
+            const third = await launch(owner, "THREE");
+
+            const page = await tokenFactory.getTokens(0, 2);
+            expect(page.map(info => info.token)).to.deep.equal([first.tokenAddress, second.tokenAddress]);
+            expect((await tokenFactory.getTokens(2, 2)).map(info => info.token)).to.deep.equal([third.tokenAddress]);
+            expect(await tokenFactory.getTokens(3, 2)).to.have.length(0);
+
+            expect(await tokenFactory.creatorTokenCount(owner.address)).to.equal(2);
+            const byOwner = await tokenFactory.getTokensByCreator(owner.address, 0, 10);
+            expect(byOwner.map(info => info.token)).to.deep.equal([first.tokenAddress, third.tokenAddress]);
+            expect((await tokenFactory.getTokensByCreator(owner.address, 1, 10)).map(info => info.token))
+                .to.deep.equal([third.tokenAddress]);
+            expect(await tokenFactory.getTokensByCreator(liquidityCollector.address, 0, 10)).to.have.length(0);
+        });
+
+        it("should filter graduated and trading launches", async function() {
+            const MockBexDex = await ethers.getContractFactory("MockBexDex");
+            const mockBexDex = await MockBexDex.deploy();
+            const BexLiquidityManager = await ethers.getContractFactory("BexLiquidityManager");
+            const bexLiquidityManager = await BexLiquidityManager.deploy(await mockBexDex.getAddress(), await mockBexDex.getAddress());
+            await executeTimelocked(tokenFactory, "setLiquidityManager", [await bexLiquidityManager.getAddress()]);
+            await bexLiquidityManager.setFactory(tokenFactory);
+            // Waiting out the timelock left the feed's answer stale.
+            await mockPriceFeed.updateAnswer(INITIAL_PRICE);
+
+            const trading = await launch(owner, "TRD");
+            const graduated = await launch(owner, "GRAD");
+            const later = await launch(user, "LATE");
+            const bondingCurve = await ethers.getContractAt("BondingCurve", graduated.bondingCurveAddress);
+            await bondingCurve.connect(user).buyTokens(0, ethers.MaxUint256, ethers.ZeroAddress, { value: ethers.parseEther("30") });
+            expect(await bondingCurve.phase()).to.equal(GRADUATED);
+
+            const graduatedPage = await tokenFactory.getTokensByPhase(GRADUATED, 0, 10);
+            expect(graduatedPage.map(info => info.token)).to.deep.equal([graduated.tokenAddress]);
+            expect(graduatedPage[0].phase).to.equal(GRADUATED);
+
+            const tradingPage = await tokenFactory.getTokensByPhase(TRADING, 0, 10);
+            expect(tradingPage.map(info => info.token)).to.deep.equal([trading.tokenAddress, later.tokenAddress]);
+            // Pages cover a range of launches, keeping those in the phase.
+            expect((await tokenFactory.getTokensByPhase(TRADING, 1, 2)).map(info => info.token))
+                .to.deep.equal([later.tokenAddress]);
+            expect(await tokenFactory.getTokensByPhase(TRADING, 1, 1)).to.have.length(0);
+            expect(await tokenFactory.getTokensByPhase(TRADING, 3, 10)).to.have.length(0);
+        });
+
+        it("should return the state of many curves in one call", async function() {
+            const fresh = await launch(owner, "NEW");
+            const active = await launch(owner, "ACT");
+            const bondingCurve = await ethers.getContractAt("BondingCurve", active.bondingCurveAddress);
+            const token = await ethers.getContractAt("CustomERC20", active.tokenAddress);
+            await bondingCurve.connect(user).buyTokens(0, ethers.MaxUint256, ethers.ZeroAddress, { value: ethers.parseEther("1") });
+
+            const [freshState, activeState] = await tokenFactory.getCurveStates([
+                fresh.bondingCurveAddress,
+                active.bondingCurveAddress
+            ]);
+            console.log("Curve state:", {
+                price: activeState.price.toString(),
+                tokensSold: ethers.formatEther(activeState.tokensSold),
+                beraRaised: ethers.formatEther(activeState.beraRaised),
+                progressBps: activeState.progressBps.toString()
+            });
+
+            expect(freshState.bondingCurve).to.equal(fresh.bondingCurveAddress);
+            expect(freshState.tokensSold).to.equal(0);
+            expect(freshState.progressBps).to.equal(0);
+
+            const beraRaised = await ethers.provider.getBalance(active.bondingCurveAddress);
+            const tokensSold = await token.balanceOf(user.address);
+            expect(activeState.phase).to.equal(TRADING);
+            expect(activeState.price).to.equal(await bondingCurve.getCurrentPrice());
+            expect(activeState.tokensSold).to.equal(tokensSold);
+            expect(activeState.beraRaised).to.equal(beraRaised);
+            const soldProgress = tokensSold * 10000n / launchConfig.tokenSoldThreshold;
+            const raisedProgress = beraRaised * 10000n / launchConfig.beraRaisedThreshold;
+            expect(activeState.progressBps).to.equal(soldProgress < raisedProgress ? soldProgress : raisedProgress);
+        });
+    });
+
+    describe("Name and Symbol Validation", function() {
+        function create(name, symbol) {
+            return tokenFactory.createToken(
+                name,
+                symbol,
+                NO_METADATA,
+                mockPriceFeed,
+                launchConfig,
+                curveModel,
+                curveParams,
+                0,
+                ethers.ZeroAddress,
+                ethers.hexlify(ethers.randomBytes(32)),
+                { value: ethers.parseEther("0.002") }
+            );
+        }
+
+        it("should reject names and symbols of the wrong length", async function() {
+            await expect(create("", "OK"))
+                .to.be.revertedWithCustomError(tokenFactory, "InvalidNameLength").withArgs(0);
+            await expect(create("N".repeat(33), "OK"))
+                .to.be.revertedWithCustomError(tokenFactory, "InvalidNameLength").withArgs(33);
+            await expect(create("Token", ""))
+                .to.be.revertedWithCustomError(tokenFactory, "InvalidSymbolLength").withArgs(0);
+            await expect(create("Token", "ABCDEFGHIJK"))
+                .to.be.revertedWithCustomError(tokenFactory, "InvalidSymbolLength").withArgs(11);
+
+            await create("N".repeat(32), "ABCDEFGHIJ");
+        });
+
+        it("should reject characters outside the allowed sets", async function() {
+            const cases = [
+                [" Token", "OK", "InvalidNameCharacter", 0],
+                ["Token ", "OK", "InvalidNameCharacter", 5],
+                ["Tok\nen", "OK", "InvalidNameCharacter", 3],
+                ["Tökn", "OK", "InvalidNameCharacter", 1],
+                ["Token", "OK!", "InvalidSymbolCharacter", 2],
+                ["Token", "O K", "InvalidSymbolCharacter", 1],
+                ["Token", "ЕТН", "InvalidSymbolCharacter", 0]
+            ];
+            for (const [name, symbol, error, index] of cases) {
+                await expect(create(name, symbol))
+                    .to.be.revertedWithCustomError(tokenFactory, error).withArgs(index);
+            }
+
+            await expect(create("Pepe the Frog 2.0 (v2) #1", "PePe2")).to.emit(tokenFactory, "TokenCreated");
+        });
+
+        it("should keep symbols unique regardless of case", async function() {
+            const tx = await create("First", "MOON");
+            const receipt = await tx.wait();
+            const { tokenAddress } = tokenFactory.interface.parseLog(
+                receipt.logs.find(log => {
+                    try {
+                        return tokenFactory.interface.parseLog(log)?.name === "TokenCreated";
+                    } catch {
+                        return false;
+                    }
+                })
+            ).args;
+
+            expect(await tokenFactory.tokenBySymbol(await tokenFactory.symbolKey("moon"))).to.equal(tokenAddress);
+            for (const symbol of ["MOON", "moon", "MoOn"]) {
+                await expect(create("Copycat", symbol))
+                    .to.be.revertedWithCustomError(tokenFactory, "SymbolTaken")
+                    .withArgs(symbol, tokenAddress);
+            }
+            await expect(create("Different", "MOON2")).to.emit(tokenFactory, "TokenCreated");
+        });
+
+        it("should let the owner reserve and release symbols", async function() {
+            await expect(tokenFactory.setReservedSymbols(["BERA", "wbtc"], true))
+                .to.emit(tokenFactory, "SymbolReservationUpdated").withArgs("BERA", true);
+            expect(await tokenFactory.reservedSymbols(await tokenFactory.symbolKey("bera"))).to.be.true;
+
+            await expect(create("Fake Bera", "bera"))
+                .to.be.revertedWithCustomError(tokenFactory, "SymbolReserved").withArgs("bera");
+            await expect(create("Fake Bitcoin", "WBTC"))
+                .to.be.revertedWithCustomError(tokenFactory, "SymbolReserved").withArgs("WBTC");
+            await expect(tokenFactory.validateTokenIdentity("Fake Bera", "Bera"))
+                .to.be.revertedWithCustomError(tokenFactory, "SymbolReserved");
+
+            await tokenFactory.setReservedSymbols(["WBTC"], false);
+            await expect(create("Wrapped Bitcoin", "WBTC")).to.emit(tokenFactory, "TokenCreated");
+
+            await expect(
+                tokenFactory.connect(user).setReservedSymbols(["BERA"], true)
+            ).to.be.revertedWithCustomError(tokenFactory, "OwnableUnauthorizedAccount")
+            .withArgs(user.address);
+        });
+    });
+
+    describe("Token Metadata", function() {
+        const metadata = {
+            imageURI: "ipfs://bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi",
+            description: "The first meme coin on the honey standard.",
+            website: "https://honey.example",
+            twitter: "https://x.com/honey",
+            telegram: "https://t.me/honey"
+        };
+
+        async function launchWith(tokenMetadata) {
+            const tx = await tokenFactory.connect(user).createToken(
+                "Honey",
+                "HNY",
+                tokenMetadata,
+                mockPriceFeed,
+                launchConfig,
+                curveModel,
+                curveParams,
+                0,
+                ethers.ZeroAddress,
+                ethers.hexlify(ethers.randomBytes(32)),
+                { value: ethers.parseEther("0.002") }
+            );
+            const receipt = await tx.wait();
+            const event = receipt.logs.find(
+                log => {
+                    try {
+                        return tokenFactory.interface.parseLog(log)?.name === "TokenCreated";
+                    } catch {
+                        return false;
+                    }
+                }
+            );
+            return { tx, tokenAddress: tokenFactory.interface.parseLog(event).args.tokenAddress };
+        }
+
+        it("should store the metadata at launch and expose it in the registry", async function() {
+            const { tx, tokenAddress } = await launchWith(metadata);
+            await expect(tx).to.emit(tokenFactory, "TokenMetadataUpdated");
+
+            const info = await tokenFactory.getTokenInfo(tokenAddress);
+            expect(info.metadata.toObject()).to.deep.equal(metadata);
+            const [listed] = await tokenFactory.getTokens(0, 1);
+            expect(listed.metadata.imageURI).to.equal(metadata.imageURI);
+            const [byCreator] = await tokenFactory.getTokensByCreator(user.address, 0, 1);
+            expect(byCreator.metadata.website).to.equal(metadata.website);
+        });
+
+        it("should let only the creator update the metadata", async function() {
+            const { tokenAddress } = await launchWith(NO_METADATA);
+            const updated = { ...metadata, description: "Now with a roadmap." };
+
+            await expect(tokenFactory.connect(user).updateTokenMetadata(tokenAddress, updated))
+                .to.emit(tokenFactory, "TokenMetadataUpdated");
+            expect((await tokenFactory.getTokenInfo(tokenAddress)).metadata.description).to.equal("Now with a roadmap.");
+
+            await expect(tokenFactory.updateTokenMetadata(tokenAddress, NO_METADATA))
+                .to.be.revertedWithCustomError(tokenFactory, "NotTokenCreator")
+                .withArgs(tokenAddress, owner.address);
+            await expect(tokenFactory.connect(user).updateTokenMetadata(user.address, NO_METADATA))
+                .to.be.revertedWith("Unknown token");
+        });
+
+        it("should reject oversized fields", async function() {
+            await expect(launchWith({ ...metadata, description: "x".repeat(1025) }))
+                .to.be.revertedWithCustomError(tokenFactory, "MetadataTooLong").withArgs("description");
+            await expect(launchWith({ ...metadata, imageURI: "x".repeat(257) }))
+                .to.be.revertedWithCustomError(tokenFactory, "MetadataTooLong").withArgs("imageURI");
+
+            const { tokenAddress } = await launchWith({ ...metadata, description: "x".repeat(1024) });
+            await expect(
+                tokenFactory.connect(user).updateTokenMetadata(tokenAddress, { ...metadata, telegram: "x".repeat(257) })
+            ).to.be.revertedWithCustomError(tokenFactory, "MetadataTooLong").withArgs("telegram");
+        });
+    });
+
+    describe("Deterministic Clones", function() {
+        const salt = ethers.id("launch-salt");
+
+        function create(signer, launchSalt, symbol = "CLONE") {
+            return tokenFactory.connect(signer).createToken(
+                "Clone Token",
+                symbol,
+                NO_METADATA,
+                mockPriceFeed,
+                launchConfig,
+                curveModel,
+                curveParams,
+                0,
+                ethers.ZeroAddress,
+                launchSalt,
+                { value: ethers.parseEther("0.002") }
+            );
+        }
+
+        async function created(tx) {
+            const receipt = await (await tx).wait();
+            const event = receipt.logs.find(
+                log => {
+                    try {
+                        return tokenFactory.interface.parseLog(log)?.name === "TokenCreated";
+                    } catch {
+                        return false;
+                    }
+                }
+            );
+            return { receipt, ...tokenFactory.interface.parseLog(event).args.toObject() };
+        }
+
+        // EIP-1167 proxies embed their implementation at bytes 10..30.
+        async function implementationOf(clone) {
+            const code = await ethers.provider.getCode(clone);
+            return ethers.getAddress("0x" + code.slice(22, 62));
+        }
+
+        it("should deploy the token and curve at the predicted addresses", async function() {
+            const [predictedToken, predictedCurve] = await tokenFactory.predictAddresses(user.address, salt);
+            const { tokenAddress, bondingCurveAddress } = await created(create(user, salt));
+
+            expect(tokenAddress).to.equal(predictedToken);
+            expect(bondingCurveAddress).to.equal(predictedCurve);
+            expect(await implementationOf(tokenAddress)).to.equal(await tokenFactory.tokenImplementation());
+            expect(await implementationOf(bondingCurveAddress)).to.equal(await tokenFactory.curveImplementation());
+
+            const token = await ethers.getContractAt("CustomERC20", tokenAddress);
+            const bondingCurve = await ethers.getContractAt("BondingCurve", bondingCurveAddress);
+            expect(await token.name()).to.equal("Clone Token");
+            expect(await token.symbol()).to.equal("CLONE");
+            expect(await token.owner()).to.equal(bondingCurveAddress);
+            expect(await bondingCurve.owner()).to.equal(await tokenFactory.getAddress());
+            expect(await bondingCurve.maxPriceAge()).to.equal(24 * 3600);
+        });
+
+        it("should namespace salts by creator", async function() {
+            const [ownerToken] = await tokenFactory.predictAddresses(owner.address, salt);
+            const [userToken] = await tokenFactory.predictAddresses(user.address, salt);
+            expect(ownerToken).to.not.equal(userToken);
+
+            await create(user, salt);
+            await expect(create(user, salt, "AGAIN")).to.be.revertedWith("Salt already used");
+            await expect(create(owner, salt, "OTHER")).to.emit(tokenFactory, "TokenCreated");
+        });
+
+        it("should not let anyone initialize the implementations or re-initialize a clone", async function() {
+            const token = await ethers.getContractAt("CustomERC20", await tokenFactory.tokenImplementation());
+            const curve = await ethers.getContractAt("BondingCurve", await tokenFactory.curveImplementation());
+            await expect(
+                token.initialize("Hijack", "HJK", 1, user.address)
+            ).to.be.revertedWithCustomError(token, "InvalidInitialization");
+            await expect(
+                curve.initialize(user.address, user.address, user.address, mockPriceFeed, user.address, user.address, curveModel, curveParams, launchConfig)
+            ).to.be.revertedWithCustomError(curve, "InvalidInitialization");
+
+            const { tokenAddress } = await created(create(user, salt));
+            await expect(
+                (await ethers.getContractAt("CustomERC20", tokenAddress)).initialize("Hijack", "HJK", 1, user.address)
+            ).to.be.revertedWithCustomError(token, "InvalidInitialization");
+        });
+
+        it("should clone new launches from upgraded implementations and leave existing ones", async function() {
+            const before = await created(create(user, salt));
+
+            const CustomERC20 = await ethers.getContractFactory("CustomERC20");
+            const BondingCurve = await ethers.getContractFactory("BondingCurve");
+            const tokenImplementation = await CustomERC20.deploy();
+            const curveImplementation = await BondingCurve.deploy();
+            const upgrade = await executeTimelocked(
+                tokenFactory,
+                "setImplementations",
+                [await tokenImplementation.getAddress(), await curveImplementation.getAddress()]
+            );
+            await expect(upgrade).to.emit(tokenFactory, "ImplementationsUpdated")
+                .withArgs(await tokenImplementation.getAddress(), await curveImplementation.getAddress());
+
+            // The same creator and salt now map to fresh addresses.
+            const [predictedToken] = await tokenFactory.predictAddresses(user.address, salt);
+            expect(predictedToken).to.not.equal(before.tokenAddress);
+            await mockPriceFeed.updateAnswer(INITIAL_PRICE);
+            const after = await created(create(user, salt, "NEWER"));
+
+            expect(await implementationOf(after.tokenAddress)).to.equal(await tokenImplementation.getAddress());
+            expect(await implementationOf(after.bondingCurveAddress)).to.equal(await curveImplementation.getAddress());
+            expect(await implementationOf(before.bondingCurveAddress)).to.not.equal(await curveImplementation.getAddress());
+
+            const oldCurve = await ethers.getContractAt("BondingCurve", before.bondingCurveAddress);
+            await oldCurve.connect(user).buyTokens(0, ethers.MaxUint256, ethers.ZeroAddress, { value: ethers.parseEther("0.1") });
+
+            await expect(
+                executeTimelocked(tokenFactory, "setImplementations", [user.address, await curveImplementation.getAddress()])
+            ).to.be.revertedWith("Implementation is not a contract");
+            await expect(
+                tokenFactory.connect(user).setImplementations(tokenImplementation, curveImplementation)
+            ).to.be.revertedWithCustomError(tokenFactory, "OwnableUnauthorizedAccount")
+            .withArgs(user.address);
+        });
+
+        it("should launch for less gas than deploying full token and curve bytecode", async function() {
+            // The previous path deployed both contracts in full on every launch.
+            const CustomERC20 = await ethers.getContractFactory("CustomERC20");
+            const BondingCurve = await ethers.getContractFactory("BondingCurve");
+            const tokenDeployGas = (await (await CustomERC20.deploy()).deploymentTransaction().wait()).gasUsed;
+            const curveDeployGas = (await (await BondingCurve.deploy()).deploymentTransaction().wait()).gasUsed;
+
+            const { receipt } = await created(create(user, salt));
+            const cloneLaunchGas = receipt.gasUsed;
+
+            console.log("Launch gas:", {
+                fullTokenDeploy: tokenDeployGas.toString(),
+                fullCurveDeploy: curveDeployGas.toString(),
+                cloneCreateToken: cloneLaunchGas.toString(),
+                saved: (tokenDeployGas + curveDeployGas - cloneLaunchGas).toString()
+            });
+            // The whole clone launch, registry and fee booking included, costs less than the bytecode alone.
+            expect(cloneLaunchGas).to.be.lt(tokenDeployGas + curveDeployGas);
+        });
+    });
+
+    describe("Roles and Timelock", function() {
+        it("should only apply a scheduled change after the delay", async function() {
+            const newFee = ethers.parseEther("0.01");
+            const data = tokenFactory.interface.encodeFunctionData("setCreationFee", [newFee]);
+            const id = ethers.keccak256(data);
+
+            await expect(tokenFactory.setCreationFee(newFee)).to.be.revertedWith("Change not scheduled");
+            await expect(tokenFactory.scheduleChange(data)).to.emit(tokenFactory, "ChangeScheduled");
+            await expect(tokenFactory.scheduleChange(data)).to.be.revertedWith("Change already scheduled");
+            await expect(tokenFactory.setCreationFee(newFee)).to.be.revertedWith("Timelock not expired");
+            // Only the exact call that was scheduled is unlocked.
+            await time.increase(await tokenFactory.TIMELOCK_DELAY());
+            await expect(tokenFactory.setCreationFee(newFee + 1n)).to.be.revertedWith("Change not scheduled");
+
+            await expect(tokenFactory.setCreationFee(newFee))
+                .to.emit(tokenFactory, "ChangeExecuted").withArgs(id)
+                .and.to.emit(tokenFactory, "CreationFeeUpdated").withArgs(newFee);
+            expect(await tokenFactory.scheduledChanges(id)).to.equal(0);
+            await expect(tokenFactory.setCreationFee(newFee)).to.be.revertedWith("Change not scheduled");
+        });
+
+        it("should let a guardian cancel a scheduled change", async function() {
+            const data = tokenFactory.interface.encodeFunctionData("setFeeSplitter", [user.address]);
+            const id = ethers.keccak256(data);
+            await tokenFactory.scheduleChange(data);
+
+            await expect(tokenFactory.connect(user).cancelChange(id)).to.be.revertedWith("Caller not guardian");
+            await tokenFactory.setGuardian(feeCollector.address, true);
+            await expect(tokenFactory.connect(feeCollector).cancelChange(id))
+                .to.emit(tokenFactory, "ChangeCancelled").withArgs(id);
+
+            await time.increase(await tokenFactory.TIMELOCK_DELAY());
+            await expect(tokenFactory.setFeeSplitter(user.address)).to.be.revertedWith("Change not scheduled");
+        });
+
+        it("should let fee admins manage the creation fee within its bound", async function() {
+            await expect(tokenFactory.setFeeAdmin(user.address, true))
+                .to.emit(tokenFactory, "FeeAdminUpdated").withArgs(user.address, true);
+
+            await executeTimelocked(tokenFactory, "setCreationFee", [ethers.parseEther("0.005")], user);
+            expect(await tokenFactory.creationFee()).to.equal(ethers.parseEther("0.005"));
+            await expect(
+                executeTimelocked(tokenFactory, "setCreationFee", [ethers.parseEther("1.1")], user)
+            ).to.be.revertedWith("Creation fee too high");
+
+            // Fee admins can schedule, but only the owner can make owner-only changes.
+            await expect(
+                executeTimelocked(tokenFactory, "setLiquidityManager", [user.address], user)
+            ).to.be.revertedWithCustomError(tokenFactory, "OwnableUnauthorizedAccount");
+            await expect(
+                tokenFactory.connect(feeCollector).scheduleChange("0x")
+            ).to.be.revertedWith("Caller not authorized");
+        });
+
+        it("should bound and announce the other parameter changes", async function() {
+            await expect(
+                executeTimelocked(tokenFactory, "setFeeSplitter", [ethers.ZeroAddress])
+            ).to.be.revertedWith("Zero fee splitter");
+            await expect(
+                executeTimelocked(tokenFactory, "setLiquidityManager", [ethers.ZeroAddress])
+            ).to.be.revertedWith("Zero liquidity manager");
+            await expect(executeTimelocked(tokenFactory, "setLiquidityManager", [user.address]))
+                .to.emit(tokenFactory, "LiquidityManagerUpdated").withArgs(user.address);
+
+            await expect(tokenFactory.setCurveModel(user.address, true))
+                .to.emit(tokenFactory, "CurveModelUpdated").withArgs(user.address, true);
+            await expect(tokenFactory.setDefaultLaunchConfig(launchConfig))
+                .to.emit(tokenFactory, "DefaultLaunchConfigUpdated");
+            await expect(tokenFactory.setGuardian(user.address, true))
+                .to.emit(tokenFactory, "GuardianUpdated").withArgs(user.address, true);
+            await expect(tokenFactory.connect(user).setGuardian(user.address, true))
+                .to.be.revertedWithCustomError(tokenFactory, "OwnableUnauthorizedAccount");
+        });
+
+        it("should hold the wiring setters behind the timelock once armed", async function() {
+            await expect(tokenFactory.connect(user).armTimelock())
+                .to.be.revertedWithCustomError(tokenFactory, "OwnableUnauthorizedAccount");
+            await expect(tokenFactory.armTimelock()).to.emit(tokenFactory, "TimelockArmed");
+            expect(await tokenFactory.timelockArmed()).to.be.true;
+            await expect(tokenFactory.armTimelock()).to.be.revertedWith("Timelock already armed");
+
+            const changes = [
+                ["setCurveModel", [user.address, true], "CurveModelUpdated"],
+                ["setDefaultLaunchConfig", [launchConfig], "DefaultLaunchConfigUpdated"],
+                ["setGuardian", [user.address, true], "GuardianUpdated"],
+                ["setFeeAdmin", [user.address, true], "FeeAdminUpdated"]
+            ];
+            for (const [method, args, event] of changes) {
+                await expect(tokenFactory[method](...args)).to.be.revertedWith("Change not scheduled");
+                await expect(executeTimelocked(tokenFactory, method, args)).to.emit(tokenFactory, event);
+            }
+            expect(await tokenFactory.curveModels(user.address)).to.be.true;
+            expect(await tokenFactory.guardians(user.address)).to.be.true;
+            expect(await tokenFactory.feeAdmins(user.address)).to.be.true;
+
+            // A guardian can stop a model being approved before it takes effect.
+            const data = tokenFactory.interface.encodeFunctionData("setCurveModel", [feeCollector.address, true]);
+            await tokenFactory.scheduleChange(data);
+            await tokenFactory.connect(user).cancelChange(ethers.keccak256(data));
+            await time.increase(await tokenFactory.TIMELOCK_DELAY());
+            await expect(tokenFactory.setCurveModel(feeCollector.address, true)).to.be.revertedWith("Change not scheduled");
         });
     });
 
     describe("Admin Functions", function() {
         it("should allow owner to update creation fee", async function() {
             const newFee = ethers.parseEther("0.003");
-            await tokenFactory.setCreationFee(newFee);
+            await expect(executeTimelocked(tokenFactory, "setCreationFee", [newFee]))
+                .to.emit(tokenFactory, "CreationFeeUpdated").withArgs(newFee);
             expect(await tokenFactory.creationFee()).to.equal(newFee);
         });
 
-        it("should allow owner to update fee collector", async function() {
-            const newCollector = user.address;
-            await tokenFactory.setFeeCollector(newCollector);
-            expect(await tokenFactory.feeCollector()).to.equal(newCollector);
+        it("should allow owner to update fee splitter", async function() {
+            const newSplitter = user.address;
+            await executeTimelocked(tokenFactory, "setFeeSplitter", [newSplitter]);
+            expect(await tokenFactory.feeSplitter()).to.equal(newSplitter);
         });
 
         it("should allow owner to update liquidity manager", async function() {
             const newManager = user.address;
-            await tokenFactory.setLiquidityManager(newManager);
+            await executeTimelocked(tokenFactory, "setLiquidityManager", [newManager]);
             expect(await tokenFactory.liquidityManager()).to.equal(newManager);
         });
 
+        it("should allow owner to approve and revoke curve models", async function() {
+            const model = user.address;
+            await tokenFactory.setCurveModel(model, true);
+            expect(await tokenFactory.curveModels(model)).to.be.true;
+            await tokenFactory.setCurveModel(model, false);
+            expect(await tokenFactory.curveModels(model)).to.be.false;
+        });
+
         it("should revert admin functions when called by non-owner", async function() {
             await expect(
                 tokenFactory.connect(user).setCreationFee(ethers.parseEther("0.003"))
+            ).to.be.revertedWith("Caller not fee admin");
+
+            await expect(
+                tokenFactory.connect(user).setFeeSplitter(user.address)
             ).to.be.revertedWithCustomError(tokenFactory, "OwnableUnauthorizedAccount")
             .withArgs(user.address);
 
             await expect(
-                tokenFactory.connect(user).setFeeCollector(user.address)
+                tokenFactory.connect(user).setLiquidityManager(user.address)
             ).to.be.revertedWithCustomError(tokenFactory, "OwnableUnauthorizedAccount")
             .withArgs(user.address);
 
             await expect(
-                tokenFactory.connect(user).setLiquidityManager(user.address)
+                tokenFactory.connect(user).setCurveModel(user.address, true)
             ).to.be.revertedWithCustomError(tokenFactory, "OwnableUnauthorizedAccount")
             .withArgs(user.address);
         });
@@ -0,0 +1,138 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployCurveModel } = require("./helpers/curveModels");
+const { deployFeeSplitter } = require("./helpers/feeSplitter");
+const { NO_METADATA } = require("./helpers/tokenMetadata");
+const { deployImplementations } = require("./helpers/implementations");
+const { executeTimelocked } = require("./helpers/timelock");
+
+describe("Token Fixed Supply", function () {
+    let tokenFactory;
+    let bexLiquidityManager;
+    let priceFeed;
+    let curveModel;
+    let curveParams;
+    let token;
+    let bondingCurve;
+    let alice;
+    let bob;
+    let feeCollector;
+    let feeSplitter;
+    let liquidityCollector;
+
+    const BERA_PRICE = ethers.parseEther("3000");
+    const TOTAL_SUPPLY = ethers.parseEther("1000000000");
+
+    function buy(signer, value) {
+        return bondingCurve.connect(signer).buyTokens(0, ethers.MaxUint256, ethers.ZeroAddress, { value });
+    }
+
+    beforeEach(async function () {
+        [, alice, bob, feeCollector, liquidityCollector] = await ethers.getSigners();
+
+        const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+        priceFeed = await MockPriceFeed.deploy(BERA_PRICE);
+
+        const MockBexDex = await ethers.getContractFactory("MockBexDex");
+        const mockBexDex = await MockBexDex.deploy();
+        const BexLiquidityManager = await ethers.getContractFactory("BexLiquidityManager");
+        bexLiquidityManager = await BexLiquidityManager.deploy(await mockBexDex.getAddress(), await mockBexDex.getAddress());
+
+        feeSplitter = await deployFeeSplitter(feeCollector.address);
+        const TokenFactory = await ethers.getContractFactory("TokenFactory");
+        tokenFactory = await TokenFactory.deploy(
+            await feeSplitter.getAddress(),
+            await bexLiquidityManager.getAddress(),
+            liquidityCollector.address,
+            ...(await deployImplementations())
+        );
+        await feeSplitter.setAuthorizedCaller(tokenFactory, true);
+        await bexLiquidityManager.setFactory(tokenFactory);
+        ({ curveModel, curveParams } = await deployCurveModel(tokenFactory));
+
+        const tx = await tokenFactory.createToken(
+            "Fixed Token",
+            "FIXED",
+            NO_METADATA,
+            await priceFeed.getAddress(),
+            (await tokenFactory.defaultLaunchConfig()).toObject(),
+            await curveModel.getAddress(),
+            curveParams,
+            0,
+            ethers.ZeroAddress,
+            ethers.hexlify(ethers.randomBytes(32)),
+            { value: await tokenFactory.creationFee() }
+        );
+        const receipt = await tx.wait();
+        const event = receipt.logs.find(log => {
+            try {
+                return tokenFactory.interface.parseLog(log)?.name === "TokenCreated";
+            } catch {
+                return false;
+            }
+        });
+        const { tokenAddress, bondingCurveAddress } = tokenFactory.interface.parseLog(event).args;
+        token = await ethers.getContractAt("CustomERC20", tokenAddress);
+        bondingCurve = await ethers.getContractAt("BondingCurve", bondingCurveAddress);
+
+        await buy(alice, ethers.parseEther("1"));
+    });
+
+    describe("Minting", function () {
+        it("should have no way to mint past the launch supply", async function () {
+            expect(token.interface.getFunction("mint")).to.be.null;
+            expect(await token.initialSupply()).to.equal(TOTAL_SUPPLY);
+
+            const proof = await token.supplyProof();
+            console.log("Supply proof:", proof.toObject());
+            expect(proof.initialSupply_).to.equal(TOTAL_SUPPLY);
+            expect(proof.currentSupply).to.equal(TOTAL_SUPPLY);
+            expect(proof.burned).to.equal(0);
+            expect(proof.ownershipRenounced).to.be.false;
+        });
+    });
+
+    describe("Burning", function () {
+        it("should let holders burn their own tokens", async function () {
+            const amount = (await token.balanceOf(alice.address)) / 2n;
+            await token.connect(alice).burn(amount);
+
+            const proof = await token.supplyProof();
+            expect(proof.currentSupply).to.equal(TOTAL_SUPPLY - amount);
+            expect(proof.burned).to.equal(amount);
+            expect(await token.totalSupply()).to.equal(TOTAL_SUPPLY - amount);
+        });
+
+        it("should not let anyone burn another holder's tokens without an allowance", async function () {
+            const balance = await token.balanceOf(alice.address);
+            await expect(token.connect(bob).burnFrom(alice.address, balance))
+                .to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance");
+            expect(token.interface.getFunction("burn(address,uint256)")).to.be.null;
+
+            await token.connect(alice).approve(bob.address, balance / 2n);
+            await token.connect(bob).burnFrom(alice.address, balance / 2n);
+            expect(await token.balanceOf(alice.address)).to.equal(balance - balance / 2n);
+        });
+    });
+
+    describe("Ownership", function () {
+        it("should stay with the curve until graduation and be renounced after", async function () {
+            expect(await token.owner()).to.equal(await bondingCurve.getAddress());
+
+            await buy(alice, ethers.parseEther("15"));
+            expect(await bondingCurve.liquidityDeployed()).to.be.true;
+
+            expect(await token.owner()).to.equal(ethers.ZeroAddress);
+            expect((await token.supplyProof()).ownershipRenounced).to.be.true;
+        });
+
+        it("should keep ownership when the migration fails so refunds stay possible", async function () {
+            const MockFailingBexDex = await ethers.getContractFactory("MockFailingBexDex");
+            await executeTimelocked(bexLiquidityManager, "setBexDex", [await (await MockFailingBexDex.deploy()).getAddress()]);
+
+            await buy(alice, ethers.parseEther("15"));
+            expect(await bondingCurve.phase()).to.equal(3n); // Failed
+            expect(await token.owner()).to.equal(await bondingCurve.getAddress());
+        });
+    });
+});
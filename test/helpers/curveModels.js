@@ -0,0 +1,16 @@
+const { ethers } = require("hardhat");
+
+// Default launch shape: $0.000007 -> $0.000075 per token over the first 800M tokens at 3000 USD/BERA.
+const LINEAR_DEFAULTS = [7, 75, ethers.parseEther("3000"), ethers.parseEther("800000000")];
+
+module.exports = {
+    LINEAR_DEFAULTS,
+    // Deploys a curve model, approves it on the factory and returns it with encoded params.
+    deployCurveModel: async (tokenFactory, name = "LinearCurveModel", params = LINEAR_DEFAULTS) => {
+        const CurveModel = await ethers.getContractFactory(name);
+        const curveModel = await CurveModel.deploy();
+        await tokenFactory.setCurveModel(await curveModel.getAddress(), true);
+        const curveParams = await curveModel.encodeParams(...params);
+        return { curveModel, curveParams };
+    }
+};
@@ -0,0 +1,9 @@
+const { ethers } = require("hardhat");
+
+module.exports = {
+    // Deploys a fee splitter that books the protocol's share to `protocolRecipient`.
+    deployFeeSplitter: async (protocolRecipient) => {
+        const FeeSplitter = await ethers.getContractFactory("FeeSplitter");
+        return FeeSplitter.deploy(protocolRecipient);
+    }
+};
@@ -0,0 +1,13 @@
+const { ethers } = require("hardhat");
+
+module.exports = {
+    // Deploys the token and curve implementations a factory clones launches from, returned as the
+    // [tokenImplementation, curveImplementation] constructor arguments.
+    deployImplementations: async () => {
+        const CustomERC20 = await ethers.getContractFactory("CustomERC20");
+        const BondingCurve = await ethers.getContractFactory("BondingCurve");
+        const token = await CustomERC20.deploy();
+        const curve = await BondingCurve.deploy();
+        return [await token.getAddress(), await curve.getAddress()];
+    }
+};
@@ -0,0 +1,51 @@
+const { ethers } = require("hardhat");
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+// Leaf of an allowlisted wallet, hashed twice like the curve does.
+function allowlistLeaf(account, maxTokens) {
+    return ethers.keccak256(ethers.keccak256(coder.encode(["address", "uint256"], [account, maxTokens])));
+}
+
+// Pairs are hashed in sorted order, matching OpenZeppelin's MerkleProof.
+function hashPair(a, b) {
+    return BigInt(a) < BigInt(b)
+        ? ethers.keccak256(ethers.concat([a, b]))
+        : ethers.keccak256(ethers.concat([b, a]));
+}
+
+module.exports = {
+    allowlistLeaf,
+    // Builds a tree over [account, maxTokens] entries and returns its root and a proof lookup by account.
+    buildAllowlist: (entries) => {
+        const leaves = entries.map(([account, maxTokens]) => allowlistLeaf(account, maxTokens));
+        const layers = [leaves];
+        while (layers[layers.length - 1].length > 1) {
+            const layer = layers[layers.length - 1];
+            const next = [];
+            for (let i = 0; i < layer.length; i += 2) {
+                // An odd node out is carried up unchanged.
+                next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+            }
+            layers.push(next);
+        }
+
+        const proofFor = (account) => {
+            let index = entries.findIndex(([entry]) => entry.toLowerCase() === account.toLowerCase());
+            if (index < 0) {
+                throw new Error(`${account} is not allowlisted`);
+            }
+            const proof = [];
+            for (const layer of layers.slice(0, -1)) {
+                const sibling = index % 2 === 0 ? index + 1 : index - 1;
+                if (sibling < layer.length) {
+                    proof.push(layer[sibling]);
+                }
+                index = Math.floor(index / 2);
+            }
+            return proof;
+        };
+
+        return { root: layers[layers.length - 1][0], proofFor };
+    }
+};
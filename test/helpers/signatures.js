@@ -0,0 +1,79 @@
+const { ethers } = require("hardhat");
+
+const PERMIT_TYPES = {
+    Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+const ORDER_TYPES = {
+    Order: [
+        { name: "trader", type: "address" },
+        { name: "amount", type: "uint256" },
+        { name: "minAmountOut", type: "uint256" },
+        { name: "relayerFee", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+async function chainId() {
+    return (await ethers.provider.getNetwork()).chainId;
+}
+
+// Launch tokens sign permits under their own name, version "1" and address.
+async function permitDomain(token) {
+    return {
+        name: await token.name(),
+        version: "1",
+        chainId: await chainId(),
+        verifyingContract: await token.getAddress()
+    };
+}
+
+// Every curve shares a name and version but signs orders against its own address.
+async function orderDomain(bondingCurve) {
+    return {
+        name: "Bexie Bonding Curve",
+        version: "1",
+        chainId: await chainId(),
+        verifyingContract: await bondingCurve.getAddress()
+    };
+}
+
+module.exports = {
+    PERMIT_TYPES,
+    ORDER_TYPES,
+    permitDomain,
+    orderDomain,
+    // Signs an EIP-2612 permit and returns it split into the v, r, s the contracts take.
+    signPermit: async (signer, token, spender, value, deadline) => {
+        const permit = {
+            owner: signer.address,
+            spender: typeof spender === "string" ? spender : await spender.getAddress(),
+            value,
+            nonce: await token.nonces(signer.address),
+            deadline
+        };
+        const signature = await signer.signTypedData(await permitDomain(token), PERMIT_TYPES, permit);
+        return ethers.Signature.from(signature);
+    },
+    // Signs a relayer sell order for a curve; missing fields default to a zero-fee order.
+    signOrder: async (signer, bondingCurve, fields) => {
+        const order = {
+            trader: signer.address,
+            amount: 0n,
+            minAmountOut: 0n,
+            relayerFee: 0n,
+            nonce: 0n,
+            deadline: ethers.MaxUint256,
+            ...fields
+        };
+        const signature = await signer.signTypedData(await orderDomain(bondingCurve), ORDER_TYPES, order);
+        return { order, signature };
+    }
+};
@@ -0,0 +1,12 @@
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+module.exports = {
+    // Schedules a timelocked setter of the factory, fee splitter or liquidity manager, waits out the delay
+    // and calls it with the same arguments.
+    executeTimelocked: async (target, method, args, signer) => {
+        const contract = signer ? target.connect(signer) : target;
+        await contract.scheduleChange(target.interface.encodeFunctionData(method, args));
+        await time.increase(await target.TIMELOCK_DELAY());
+        return contract[method](...args);
+    }
+};
@@ -0,0 +1,4 @@
+// Launch metadata with every optional field left empty.
+const NO_METADATA = { imageURI: "", description: "", website: "", twitter: "", telegram: "" };
+
+module.exports = { NO_METADATA };